@@ -0,0 +1,65 @@
+// Rewrites src/brightStars.js from the XHIP extended Hipparcos compilation, as d3-celestial
+// packages it (stars.6.json, every star to magnitude 6, and starnames.json, their designations),
+// keeping every star down to the given magnitude. Ids follow the stars' Bayer and Flamsteed
+// designations so the constellation figures in src/starCatalog.js still find their stars.
+//
+// Usage: npm pack d3-celestial && tar xzf d3-celestial-*.tgz
+//        node scripts/build-star-catalog.js package/data [faintest magnitude=5.5]
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const target = join(root, 'src', 'brightStars.js');
+
+const [source, limitArg] = process.argv.slice(2);
+if (!source) {
+    console.error('Usage: node scripts/build-star-catalog.js <path/to/d3-celestial/data> [faintest magnitude=5.5]');
+    process.exit(1);
+}
+const faintest = Number(limitArg ?? 5.5);
+
+const { features } = JSON.parse(readFileSync(join(source, 'stars.6.json'), 'utf8'));
+const names = JSON.parse(readFileSync(join(source, 'starnames.json'), 'utf8'));
+
+// 'α2 Lib', '27 Tau', 'p Car' or 'HIP 12345': a Greek letter first, as the Bright Star Catalogue
+// names stars, then the Flamsteed number, then a Latin letter. A designation two stars share (the
+// components of a wide double) goes to the brighter one.
+const taken = new Set();
+function starId(hip) {
+    const { bayer = '', flam = '', c: constellation } = names[hip] ?? {};
+    const greek = /^[α-ω]\d*$/.test(bayer);
+    const latin = /^[a-zA-Z]\d*$/.test(bayer);
+    const candidates = constellation ? [greek && bayer, flam, latin && bayer].filter(Boolean) : [];
+    for (const name of candidates) {
+        const id = `${name} ${constellation}`;
+        if (taken.has(id)) continue;
+        taken.add(id);
+        return id;
+    }
+    return `HIP ${hip}`;
+}
+
+const stars = features
+    .filter(({ properties: { mag } }) => mag <= faintest)
+    .sort((a, b) => a.properties.mag - b.properties.mag)
+    .map(({ id, properties: { mag, bv }, geometry: { coordinates: [lon, lat] } }) => {
+        const colour = +Number.parseFloat(bv).toFixed(2);
+        return [starId(id), ((lon + 360) % 360) / 15, lat, mag, colour || 0]; // no colour, or -0
+    });
+
+const rows = stars.map(([id, ra, dec, magnitude, bv]) =>
+    `    [${JSON.stringify(id).replace(/"/g, '\'')}, ${ra.toFixed(4)}, ${dec.toFixed(4)}, ${magnitude.toFixed(2)}, ${bv.toFixed(2)}]`);
+writeFileSync(target, `// Bright stars (J2000, from the XHIP extended Hipparcos compilation): [id, right ascension
+// (hours), declination (degrees), visual magnitude, B-V colour index]. Ids are the star's Bayer or
+// Flamsteed designation ('α Ori', '27 Tau', 'p Car'), else its HIP number; the constellation
+// figures in starCatalog.js refer to stars by id.
+//
+// Generated by scripts/build-star-catalog.js: every star down to magnitude ${faintest}, ${stars.length} in all.
+
+export const BRIGHT_STARS = [
+${rows.join(',\n')}
+];
+`);
+console.log(`✨ Wrote ${stars.length} stars to ${target}`);
@@ -0,0 +1,27 @@
+// Copies the Draco geometry decoder and the Basis (KTX2) texture transcoder that ship with three
+// into public/decoders/, so compressed aircraft models decode with files served by the app itself
+// rather than a CDN. Runs before `npm run dev` and `npm run build`; the copies are git-ignored.
+//
+// Usage: node scripts/copy-decoders.js
+
+import { copyFileSync, mkdirSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const libs = join(root, 'node_modules', 'three', 'examples', 'jsm', 'libs');
+const target = join(root, 'public', 'decoders');
+
+// Directory under public/decoders -> files, from three's examples/jsm/libs (modelLoader.js reads them from there)
+const DECODERS = {
+    draco: ['draco/gltf/draco_decoder.js', 'draco/gltf/draco_decoder.wasm', 'draco/gltf/draco_wasm_wrapper.js'],
+    basis: ['basis/basis_transcoder.js', 'basis/basis_transcoder.wasm']
+};
+
+for (const [dir, files] of Object.entries(DECODERS)) {
+    mkdirSync(join(target, dir), { recursive: true });
+    for (const file of files) {
+        copyFileSync(join(libs, file), join(target, dir, file.split('/').pop()));
+    }
+}
+console.log(`📦 Copied decoders to ${target}`);
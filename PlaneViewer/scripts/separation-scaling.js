@@ -0,0 +1,58 @@
+// Scaling check for the traffic separation scan: flies the headless simulation with more and
+// more planes in the same airspace and counts the neighbours the spatial grid offers the planes
+// in each conflict scan. Fails if that grows much faster than the plane count, i.e. if the scan
+// has slid back towards checking every pair.
+//
+// Usage: node scripts/separation-scaling.js [seed] [counts=125,250,500,1000]
+
+import { readFileSync } from 'node:fs';
+import { FIXED_TIMESTEP } from '../src/clock.js';
+import { createSimulation, spawnPlane, step, GROUND_HEIGHT } from '../src/simulation.js';
+import { generateSeed } from '../src/random.js';
+import { createTerrain } from '../src/terrain.js';
+import { CHUNK_SIZE } from '../src/terrainChunks.js';
+import { parseModelManifest } from '../src/planeModels.js';
+
+const seed = process.argv[2] ?? generateSeed();
+const counts = (process.argv[3] ?? '125,250,500,1000').split(',').map(Number);
+const WARM_UP = 10;         // simulated seconds before counting, so the planes are under way
+const MEASURE = 10;         // simulated seconds of scans to average over
+const MAX_EXPONENT = 1.3;   // visits ∝ planes^exponent; 1 is linear, 2 every pair
+
+const observer = { x: CHUNK_SIZE / 2, y: 0, z: CHUNK_SIZE / 2 };
+const terrain = createTerrain(seed, { baseHeight: GROUND_HEIGHT });
+const { models: fleet } = parseModelManifest(readFileSync(new URL('../public/models.json', import.meta.url), 'utf8'));
+
+const results = [];
+for (const count of counts) {
+    const state = createSimulation({ seed, terrain, observer, airportPlanes: 0, fleet, speedMultiplier: 3 });
+    for (let i = 0; i < count; i++) spawnPlane(state);
+    for (let i = 0; i < Math.round(WARM_UP / FIXED_TIMESTEP); i++) step(state, FIXED_TIMESTEP);
+
+    let scans = 0, visited = 0, checked = 0, range = 0;
+    let last = null;
+    for (let i = 0; i < Math.round(MEASURE / FIXED_TIMESTEP); i++) {
+        step(state, FIXED_TIMESTEP);
+        if (state.separationStats === last) continue; // no scan this step
+        last = state.separationStats;
+        scans++;
+        visited += last.visited;
+        checked += last.checked;
+        range += last.range;
+    }
+    visited /= scans;
+    results.push({ count, visited });
+    console.log(`${String(count).padStart(4)} planes: ${(visited / count).toFixed(0)} neighbours visited per plane ` +
+        `(${(100 * visited / (count * (count - 1))).toFixed(1)}% of the others), ${(checked / scans).toFixed(0)} of ` +
+        `${count * (count - 1) / 2} pairs through to the CPA maths, mean search range ${(range / scans).toFixed(0)}m`);
+}
+
+// Growth exponent between the smallest and largest plane counts
+const fewest = results[0], most = results[results.length - 1];
+const exponent = Math.log(most.visited / fewest.visited) / Math.log(most.count / fewest.count);
+console.log(`seed ${seed}: neighbour visits grow as planes^${exponent.toFixed(2)}`);
+if (!(exponent <= MAX_EXPONENT)) {
+    console.error(`❌ the separation scan grows faster than planes^${MAX_EXPONENT}`);
+    process.exit(1);
+}
+console.log('✓ roughly linear');
@@ -0,0 +1,110 @@
+// Soak test for the headless simulation core: runs many simulated minutes in Node and
+// checks that no wandering plane ever leaves the MIN_HEIGHT_AGL..MAX_HEIGHT_AGL band above the
+// scene's terrain, that planes flying the airport circuit never go below the ground, and that
+// two planes that both follow resolution advisories never lose separation. Losses involving a
+// plane that can't be steered (taking off, landing, or external traffic) are only reported.
+//
+// Usage: node scripts/soak-simulation.js [minutes=1000] [planes=20] [seed] [airportPlanes=3]
+
+import { readFileSync } from 'node:fs';
+import { FIXED_TIMESTEP } from '../src/clock.js';
+import {
+    createSimulation, spawnPlane, step, groundHeightAt, yToAGL, GROUND_HEIGHT, MIN_HEIGHT_AGL, MAX_HEIGHT_AGL,
+    SEPARATION_HORIZONTAL, SEPARATION_VERTICAL, followsAdvisories
+} from '../src/simulation.js';
+import { generateSeed } from '../src/random.js';
+import { createTerrain } from '../src/terrain.js';
+import { createAirport, airportCentre } from '../src/airport.js';
+import { CHUNK_SIZE } from '../src/terrainChunks.js';
+import { Settings } from '../src/settings.js';
+import { parseModelManifest } from '../src/planeModels.js';
+
+const minutes = Number(process.argv[2] ?? 1000);
+const planeCount = Number(process.argv[3] ?? 20);
+const seed = process.argv[4] ?? generateSeed();
+const airportPlanes = Number(process.argv[5] ?? 3);
+
+// Same terrain and airport the viewer builds for this seed with the default settings
+const defaults = new Settings({ storage: null, search: '' });
+const observer = { x: CHUNK_SIZE / 2, y: 0, z: CHUNK_SIZE / 2 };
+const naturalTerrain = createTerrain(seed, { baseHeight: GROUND_HEIGHT });
+const airport = createAirport(naturalTerrain, {
+    ...airportCentre(observer, defaults.get('airportBearing'), defaults.get('airportDistance')),
+    runway: defaults.get('runway')
+});
+const terrain = createTerrain(seed, { baseHeight: GROUND_HEIGHT, flats: [airport.flat] });
+// ...and the same fleet (model mix, and so performance profiles)
+const { models: fleet } = parseModelManifest(readFileSync(new URL('../public/models.json', import.meta.url), 'utf8'));
+const state = createSimulation({ seed, terrain, observer, airport, airportPlanes, fleet, speedMultiplier: 3 });
+for (let i = 0; i < planeCount; i++) spawnPlane(state);
+
+const totalSteps = Math.round((minutes * 60) / FIXED_TIMESTEP);
+let minAGL = Infinity;
+let maxAGL = -Infinity;
+let violations = 0;
+let takeoffs = 0;
+let landings = 0;
+const lastPhase = new Map(); // plane -> phase after the previous step
+let losses = 0;
+let unresolved = 0;           // losses between two planes that both follow advisories
+let lossPairs = new Set();    // "a-b" pairs inside each other's protected zone at the last scan
+
+for (let i = 0; i < totalSteps; i++) {
+    step(state, FIXED_TIMESTEP);
+    // Count each loss of separation once, when the pair first gets too close
+    const pairs = new Set();
+    for (const conflict of state.conflicts) {
+        if (conflict.level !== 'loss') continue;
+        const pair = `${conflict.a}-${conflict.b}`;
+        pairs.add(pair);
+        if (lossPairs.has(pair)) continue;
+        losses++;
+        const a = state.planes.find(plane => plane.id === conflict.a);
+        const b = state.planes.find(plane => plane.id === conflict.b);
+        if (followsAdvisories(a) && followsAdvisories(b)) {
+            if (unresolved < 10) {
+                const horizontal = Math.hypot(b.position.x - a.position.x, b.position.z - a.position.z);
+                const vertical = Math.abs(b.position.y - a.position.y);
+                console.error(`✗ planes ${a.id} and ${b.id} lost separation (${horizontal.toFixed(0)}m, ${vertical.toFixed(0)}m apart) after ${state.time.toFixed(1)}s`);
+            }
+            unresolved++;
+        }
+    }
+    lossPairs = pairs;
+    for (const plane of state.planes) {
+        const agl = yToAGL(plane.position.y, groundHeightAt(state, plane.position.x, plane.position.z));
+        const previous = lastPhase.get(plane);
+        if (plane.phase !== previous) {
+            if (plane.phase === 'climb' && previous === 'rotate') takeoffs++;
+            if (plane.phase === 'touchdown') landings++;
+            lastPhase.set(plane, plane.phase);
+        }
+
+        // Airport phases take planes down to the runway; only wandering planes keep to the band
+        if (plane.phase && plane.phase !== 'enroute') {
+            if (agl < -0.5) {
+                if (violations < 10) {
+                    console.error(`✗ plane ${plane.id} ${plane.phase} at ${agl.toFixed(1)}m AGL after ${state.time.toFixed(1)}s`);
+                }
+                violations++;
+            }
+            continue;
+        }
+        if (agl < minAGL) minAGL = agl;
+        if (agl > maxAGL) maxAGL = agl;
+        if (agl < MIN_HEIGHT_AGL || agl > MAX_HEIGHT_AGL) {
+            if (violations < 10) {
+                console.error(`✗ plane ${plane.id} at ${agl.toFixed(1)}m AGL after ${state.time.toFixed(1)}s`);
+            }
+            violations++;
+        }
+    }
+}
+
+console.log(`seed ${state.seed}: ${planeCount} planes × ${minutes} simulated minutes: AGL range ${minAGL.toFixed(1)}-${maxAGL.toFixed(1)}m (limits ${MIN_HEIGHT_AGL}-${MAX_HEIGHT_AGL}m)`);
+console.log(`runway ${airport.designator}: ${takeoffs} takeoffs, ${landings} landings`);
+console.log(`${losses} losses of separation (< ${SEPARATION_HORIZONTAL}m and ${SEPARATION_VERTICAL}m), ${losses - unresolved} of them with a plane that can't follow advisories`);
+if (violations > 0) console.error(`✗ ${violations} altitude violations`);
+if (unresolved > 0) console.error(`✗ ${unresolved} losses of separation between planes following advisories`);
+if (violations > 0 || unresolved > 0) process.exit(1);
+console.log('✓ no altitude violations, and planes following advisories kept their separation');
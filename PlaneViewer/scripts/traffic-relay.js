@@ -0,0 +1,73 @@
+// Relay a receiver's live traffic to the viewer over a WebSocket (📡 Go live in the viewer).
+// Reads either the SBS-1 BaseStation TCP output of dump1090/readsb (port 30003) or polls a
+// dump1090 aircraft.json, and forwards the messages unchanged; the browser does the parsing.
+//
+// Usage: node scripts/traffic-relay.js [--sbs host:port] [--json url] [--port 30008] [--host 127.0.0.1]
+//   --sbs   SBS-1 source (default localhost:30003); lines are batched every 250 ms
+//   --json  poll this aircraft.json once a second instead (e.g. http://raspberrypi/dump1090/data/aircraft.json)
+
+import net from 'node:net';
+import { createBroadcastServer, parseOptions } from './websocket-broadcast.js';
+
+const options = parseOptions(process.argv.slice(2), {
+    sbs: 'localhost:30003',
+    json: null,
+    port: '30008',
+    host: '127.0.0.1'
+});
+
+const SBS_BATCH_INTERVAL = 250;  // ms
+const JSON_POLL_INTERVAL = 1000; // ms
+const RECONNECT_DELAY = 5000;    // ms
+
+const relay = createBroadcastServer({ port: Number(options.port), host: options.host });
+
+// --- SBS-1 over TCP ---
+function relaySbs(address) {
+    const [host, port = '30003'] = address.split(':');
+    let pending = [];
+    let partial = '';
+
+    setInterval(() => {
+        if (pending.length === 0) return;
+        relay.broadcast(pending.join('\n'));
+        pending = [];
+    }, SBS_BATCH_INTERVAL);
+
+    function connect() {
+        const socket = net.createConnection({ host, port: Number(port) });
+        socket.setEncoding('utf8');
+        socket.on('connect', () => console.log(`🛰️  Reading SBS-1 from ${host}:${port}`));
+        socket.on('data', (chunk) => {
+            const lines = (partial + chunk).split(/\r?\n/);
+            partial = lines.pop(); // incomplete last line
+            for (const line of lines) if (line) pending.push(line);
+        });
+        socket.on('error', (err) => console.warn(`⚠️  SBS-1 source ${host}:${port}: ${err.message}`));
+        socket.on('close', () => {
+            partial = '';
+            setTimeout(connect, RECONNECT_DELAY);
+        });
+    }
+    connect();
+}
+
+// --- dump1090 aircraft.json over HTTP ---
+function relayJson(url) {
+    console.log(`🛰️  Polling ${url}`);
+    let failing = false;
+    setInterval(async () => {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            relay.broadcast(await response.text());
+            failing = false;
+        } catch (err) {
+            if (!failing) console.warn(`⚠️  ${url}: ${err.message}`);
+            failing = true;
+        }
+    }, JSON_POLL_INTERVAL);
+}
+
+if (options.json) relayJson(options.json);
+else relaySbs(options.sbs);
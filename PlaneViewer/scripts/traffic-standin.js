@@ -0,0 +1,124 @@
+// Stand-in for a live receiver: serves canned traffic on the same WebSocket the relay uses,
+// so 📡 Go live can be tried offline. Three scripted flights around the observer: a level orbit,
+// a climbing/descending orbit the other way, and a straight overflight that goes silent for a
+// minute between passes (so aircraft time out and reappear).
+//
+// Usage: node scripts/traffic-standin.js [--port 30008] [--host 127.0.0.1] [--lat 34.9240] [--lon -117.8912] [--json]
+//   --lat/--lon  observer position (match the viewer's Observer latitude/longitude settings)
+//   --json       send dump1090 aircraft.json snapshots instead of SBS-1 lines
+
+import { EARTH_RADIUS, KNOTS_TO_MPS } from '../src/traffic/geo.js';
+import { createBroadcastServer, parseOptions } from './websocket-broadcast.js';
+
+const options = parseOptions(process.argv.slice(2), {
+    port: '30008',
+    host: '127.0.0.1',
+    lat: '34.9240',
+    lon: '-117.8912',
+    json: 'false'
+});
+
+const ORIGIN_LAT = Number(options.lat);
+const ORIGIN_LON = Number(options.lon);
+const SEND_JSON = options.json === 'true';
+const DEG = Math.PI / 180;
+
+const toLatLon = (east, north) => ({
+    lat: ORIGIN_LAT + (north / EARTH_RADIUS) / DEG,
+    lon: ORIGIN_LON + (east / (EARTH_RADIUS * Math.cos(ORIGIN_LAT * DEG))) / DEG
+});
+
+// Circle of `radius` metres at `speed` knots; clockwise unless `direction` is -1
+function orbit(t, radius, speed, direction = 1) {
+    const angle = (speed * KNOTS_TO_MPS / radius) * t;
+    const east = direction * radius * Math.sin(angle);
+    const north = radius * Math.cos(angle);
+    const track = ((direction * angle / DEG + direction * 90) % 360 + 360) % 360;
+    return { ...toLatLon(east, north), gs: speed, track };
+}
+
+// Canned flights: state(t) -> position/velocity at t seconds, or null while silent
+const FLIGHTS = [
+    {
+        hex: 'a8f3c1', callsign: 'NASA801', type: 'GLF4', category: 'A2',
+        state: t => ({ ...orbit(t, 5000, 140), altitude: 6000, verticalRate: 0 })
+    },
+    {
+        hex: 'ac82ec', callsign: 'N525NA', type: 'BE20', category: 'A1',
+        state: t => {
+            const phase = 2 * Math.PI * t / 240;
+            return {
+                ...orbit(t, 3000, 110, -1),
+                altitude: Math.round((4500 + 1000 * Math.sin(phase)) / 25) * 25, // Mode C reports in 25 ft steps
+                verticalRate: Math.round(1000 * (2 * Math.PI / 240) * Math.cos(phase) * 60)
+            };
+        }
+    },
+    {
+        hex: 'a4b5c6', callsign: 'SWA2144', type: 'B737', category: 'A3',
+        state: t => {
+            const speed = 250 * KNOTS_TO_MPS;
+            const length = 30000;
+            const pass = (t % (length / speed + 60)) * speed; // metres along this pass
+            if (pass > length) return null; // between passes
+            const track = 70;
+            const along = pass - length / 2;
+            const east = along * Math.sin(track * DEG) - 1500 * Math.cos(track * DEG);
+            const north = along * Math.cos(track * DEG) + 1500 * Math.sin(track * DEG);
+            return { ...toLatLon(east, north), gs: 250, track, altitude: 11000, verticalRate: 0 };
+        }
+    }
+];
+
+// SBS-1 line with the given fields filled in (22 comma-separated fields)
+function sbsLine(transmissionType, hex, date, fields) {
+    const row = new Array(22).fill('');
+    const stamp = [date.toISOString().slice(0, 10).replace(/-/g, '/'), date.toISOString().slice(11, 23)];
+    row.splice(0, 10, 'MSG', transmissionType, 1, 1, hex.toUpperCase(), 1, ...stamp, ...stamp);
+    for (const [index, value] of Object.entries(fields)) row[index] = value;
+    row[18] = row[19] = row[20] = row[21] = 0;
+    return row.join(',');
+}
+
+const server = createBroadcastServer({ port: Number(options.port), host: options.host });
+const startTime = Date.now() / 1000;
+let tick = 0;
+
+setInterval(() => {
+    const now = Date.now() / 1000;
+    const t = now - startTime;
+    const date = new Date(now * 1000);
+    const states = FLIGHTS.map(flight => ({ flight, state: flight.state(t) })).filter(entry => entry.state);
+
+    if (SEND_JSON) {
+        server.broadcast(JSON.stringify({
+            now,
+            messages: tick * 10,
+            aircraft: states.map(({ flight, state }) => ({
+                hex: flight.hex,
+                flight: flight.callsign.padEnd(8),
+                t: flight.type,
+                category: flight.category,
+                alt_baro: state.altitude,
+                gs: state.gs,
+                track: Number(state.track.toFixed(1)),
+                baro_rate: state.verticalRate,
+                lat: Number(state.lat.toFixed(6)),
+                lon: Number(state.lon.toFixed(6)),
+                seen_pos: 0,
+                seen: 0
+            }))
+        }));
+    } else {
+        const lines = [];
+        for (const { flight, state } of states) {
+            if (tick % 10 === 0) lines.push(sbsLine(1, flight.hex, date, { 10: flight.callsign }));
+            lines.push(sbsLine(3, flight.hex, date, { 11: state.altitude, 14: state.lat.toFixed(5), 15: state.lon.toFixed(5) }));
+            lines.push(sbsLine(4, flight.hex, date, { 12: state.gs, 13: state.track.toFixed(1), 16: state.verticalRate }));
+        }
+        server.broadcast(lines.join('\n'));
+    }
+    tick++;
+}, 1000);
+
+console.log(`🛩️  Stand-in traffic (${SEND_JSON ? 'dump1090 JSON' : 'SBS-1'}) around ${ORIGIN_LAT}, ${ORIGIN_LON}`);
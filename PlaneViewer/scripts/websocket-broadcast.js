@@ -0,0 +1,98 @@
+// Minimal one-way WebSocket server (RFC 6455) for the traffic scripts: accepts browser
+// connections and broadcasts text messages to all of them. Written against node:http so
+// the scripts need no extra packages; incoming frames are ignored apart from close.
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+
+// Unmasked server frame (servers never mask)
+function encodeFrame(payload, opcode) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Start listening on host:port. `onConnect(send)` runs for each new client (e.g. to send a greeting).
+export function createBroadcastServer({ port, host = '127.0.0.1', onConnect = null }) {
+    const clients = new Set();
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('PlaneViewer traffic: connect with a WebSocket\n');
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+            socket.destroy();
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        clients.add(socket);
+        console.log(`🔌 Client connected (${clients.size} total)`);
+        socket.on('data', (data) => {
+            if ((data[0] & 0x0f) === OPCODE_CLOSE) socket.end(encodeFrame(Buffer.alloc(0), OPCODE_CLOSE));
+        });
+        socket.on('close', () => {
+            clients.delete(socket);
+            console.log(`🔌 Client disconnected (${clients.size} total)`);
+        });
+        socket.on('error', () => clients.delete(socket));
+
+        if (onConnect) onConnect(text => socket.write(encodeFrame(Buffer.from(text), OPCODE_TEXT)));
+    });
+
+    server.listen(port, host, () => console.log(`📡 Traffic WebSocket on ws://${host}:${port}`));
+
+    return {
+        server,
+        clients,
+        broadcast(text) {
+            if (clients.size === 0) return;
+            const frame = encodeFrame(Buffer.from(text), OPCODE_TEXT);
+            for (const socket of clients) socket.write(frame);
+        },
+        close() {
+            for (const socket of clients) socket.end(encodeFrame(Buffer.alloc(0), OPCODE_CLOSE));
+            server.close();
+        }
+    };
+}
+
+// `--name value` command-line options with defaults (all values are strings)
+export function parseOptions(argv, defaults) {
+    const options = { ...defaults };
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([\w-]+)$/.exec(argv[i]);
+        if (!match) continue;
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) options[match[1]] = 'true';
+        else options[match[1]] = argv[++i];
+    }
+    return options;
+}
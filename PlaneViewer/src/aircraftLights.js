@@ -0,0 +1,115 @@
+// Exterior lights of an aircraft, as the regulations lay them out (plain math, no three.js):
+// - position lights, always steady: red on the left wingtip, green on the right, white on the
+//   tail, each seen only from its own sector (red from ahead round to 110° left, green the same
+//   to the right, white over the 140° behind)
+// - a red anti-collision beacon on the fuselage, a rotating beam that sweeps past each viewer
+// - white anti-collision strobes on the wingtips, double flashing
+// - forward landing lights (wing roots) and a taxi light (nose gear), narrow beams seen from ahead
+// Which sets are on follows the flight phase and the time of day (exteriorLights); how bright
+// each light looks to a viewer follows its sector and flash pattern (lightIntensity).
+//
+// Directions are in the plane's own frame: nose +Z, up +Y, left wing +X.
+
+import { planeAGL } from './simulation.js';
+
+// The scaled sky's equivalent of 10,000 ft (see aircraftProfiles.js): landing lights are on below
+// it. Traffic planes fly real altitudes, so for them it's the real 3048 m.
+export const LANDING_LIGHT_CEILING = 250;
+const TRAFFIC_LANDING_LIGHT_CEILING = 3048;
+
+const POSITION_SECTOR = 110;  // degrees from dead ahead covered by each wingtip light
+const SECTOR_EDGE = 4;        // degrees over which a light fades out at the edge of its sector
+const LANDING_BEAM = 12;      // degrees off the beam axis a landing light is seen at full strength
+const LANDING_SPREAD = 30;    // ... and where it has faded out
+const TAXI_BEAM = 25;
+const TAXI_SPREAD = 50;
+const LANDING_BEAM_TILT = 4;  // degrees the landing and taxi beams point below the nose
+
+const BEACON_RPM = 45;        // beam revolutions per minute (40-100 flashes a minute)
+const BEACON_SHARPNESS = 12;  // higher = a shorter flash as the beam sweeps past
+const STROBE_FLASH = 0.06;    // seconds each strobe flash lasts
+const STROBE_GAP = 0.16;      // seconds between the two flashes of a double flash
+const STROBE_PERIOD = 1.5;    // seconds from one double flash to the next
+
+// Phases on the ground with engines running, and on the runway (airport.js / simulation.js)
+const TAXI_PHASES = ['taxi', 'lineup'];
+const RUNWAY_PHASES = ['takeoff', 'rotate', 'touchdown', 'rollout'];
+
+const DEG = Math.PI / 180;
+const smoothstep = (edge0, edge1, x) => {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+};
+
+// Which light sets plane state `plane` has switched on, as { position, beacon, strobes, landing,
+// taxi } booleans. `night` is true between dusk and dawn.
+export function exteriorLights(plane, night) {
+    // Traffic planes: the receiver only says whether they're on the ground
+    if (plane.external) {
+        const onGround = !!plane.onGround;
+        return {
+            position: true,
+            beacon: true,
+            strobes: !onGround,
+            landing: !onGround && planeAGL(plane) < TRAFFIC_LANDING_LIGHT_CEILING,
+            taxi: onGround && night
+        };
+    }
+
+    const phase = plane.phase || 'enroute';
+    // Parked: engines off, position lights left on for ground crews after dark
+    if (phase === 'parked') {
+        return { position: night, beacon: false, strobes: false, landing: false, taxi: false };
+    }
+    const cleared = phase === 'lineup' && plane.cleared;
+    if (TAXI_PHASES.includes(phase) && !cleared) {
+        return { position: true, beacon: true, strobes: false, landing: false, taxi: night };
+    }
+    const onRunway = cleared || RUNWAY_PHASES.includes(phase);
+    const low = planeAGL(plane) < LANDING_LIGHT_CEILING;
+    return {
+        position: true,
+        beacon: true,
+        strobes: true,
+        landing: onRunway || low || phase === 'approach' || phase === 'flare',
+        taxi: onRunway && night
+    };
+}
+
+// How bright (0..1) light `kind` looks from direction (x, y, z) (unit vector from the light
+// towards the viewer, in the plane's frame) at `time` seconds on the plane's light timer.
+// Kinds: 'red', 'green', 'tail', 'beacon', 'strobe', 'landing', 'taxi'.
+export function lightIntensity(kind, time, x, y, z) {
+    // Azimuth from dead ahead, positive to the left
+    const azimuth = Math.atan2(x, z) / DEG;
+    switch (kind) {
+        case 'red':
+            return smoothstep(-SECTOR_EDGE, 0, azimuth) * smoothstep(POSITION_SECTOR + SECTOR_EDGE, POSITION_SECTOR, azimuth);
+        case 'green':
+            return smoothstep(SECTOR_EDGE, 0, azimuth) * smoothstep(-POSITION_SECTOR - SECTOR_EDGE, -POSITION_SECTOR, azimuth);
+        case 'tail':
+            return smoothstep(POSITION_SECTOR - SECTOR_EDGE, POSITION_SECTOR, Math.abs(azimuth));
+        case 'beacon': {
+            // The beam turns about the vertical; seen from straight above or below it's a glow
+            const beam = time * BEACON_RPM / 60 * Math.PI * 2;
+            const sweep = Math.pow(Math.max(0, Math.cos(azimuth * DEG - beam)), BEACON_SHARPNESS);
+            const overhead = Math.abs(y);
+            return Math.max(sweep, overhead * overhead * 0.5);
+        }
+        case 'strobe': {
+            const phase = time % STROBE_PERIOD;
+            const flashing = phase < STROBE_FLASH || (phase >= STROBE_FLASH + STROBE_GAP && phase < STROBE_FLASH * 2 + STROBE_GAP);
+            return flashing ? 1 : 0;
+        }
+        case 'landing':
+        case 'taxi': {
+            const [beam, spread] = kind === 'landing' ? [LANDING_BEAM, LANDING_SPREAD] : [TAXI_BEAM, TAXI_SPREAD];
+            // Angle between the viewer and the beam axis, tilted down from the nose
+            const along = z * Math.cos(LANDING_BEAM_TILT * DEG) - y * Math.sin(LANDING_BEAM_TILT * DEG);
+            const offAxis = Math.acos(Math.min(Math.max(along, -1), 1)) / DEG;
+            return smoothstep(spread, beam, offAxis);
+        }
+        default:
+            return 0;
+    }
+}
@@ -0,0 +1,58 @@
+// Flight performance for each aircraft model, keyed by PLANE_MODELS entry (planeModels.js).
+// Plain data for the headless simulation: spawning, waypoint altitudes and the physics limits
+// in simulation.js all read a plane's profile.
+//
+// The scene is a scaled-down sky (planes wander 50-800 m above the terrain at a few tens of m/s),
+// so the numbers are in scene units rather than the real aircraft's: they keep the real types'
+// order (the ER-2 cruises highest, the Twin Otter climbs steeply but slowly, the DC-8 turns
+// wide) without their range.
+//   cruiseSpeed  m/s before the plane speed multiplier, at the top of the altitude band
+//   ceiling      service ceiling, metres AGL; the climb rate fades out approaching it
+//   climbRate    best vertical speed, m/s
+//   turnRate     fastest heading change, degrees per second
+//   maxBank      steepest bank in a turn, degrees
+//   altitudes    preferred band for cruising waypoints, metres AGL
+//   engines      how many (their contrails, see trails.js); `rearEngines` for jets with them on
+//                the rear fuselage rather than under the wings
+
+import { modelForAircraftType } from './planeModels.js';
+
+export const AIRCRAFT_PROFILES = {
+    // Beechcraft King Air B200: light twin turboprop
+    'B200_AFRC_AIR_0824.glb': { name: 'King Air B200', cruiseSpeed: 6.5, ceiling: 700, climbRate: 1.3, turnRate: 18, maxBank: 35, altitudes: [300, 480], engines: 2 },
+    // Lockheed C-130 Hercules: four-engine military transport
+    'C130_WFF_AIR_0824.glb': { name: 'C-130 Hercules', cruiseSpeed: 6.8, ceiling: 650, climbRate: 1.0, turnRate: 11, maxBank: 30, altitudes: [280, 480], engines: 4 },
+    // Gulfstream C-20A (G-III): business jet
+    'C20A_AFRC_AIR_0824.glb': { name: 'C-20A', cruiseSpeed: 9, ceiling: 780, climbRate: 1.5, turnRate: 14, maxBank: 30, altitudes: [420, 600], engines: 2, rearEngines: true },
+    // Douglas DC-8: four-engine airliner, the heaviest of the fleet
+    'DC8_AFRC_AIR_0824.glb': { name: 'DC-8', cruiseSpeed: 9.5, ceiling: 760, climbRate: 1.1, turnRate: 9, maxBank: 25, altitudes: [450, 600], engines: 4 },
+    // Lockheed ER-2: high-altitude research jet with glider-like wings
+    'ER2_AFRC_AIR_0824.glb': { name: 'ER-2', cruiseSpeed: 8, ceiling: 800, climbRate: 1.6, turnRate: 8, maxBank: 25, altitudes: [520, 600], engines: 1 },
+    // Gulfstream III: business jet
+    'G3_JSC_AIR_0824.glb': { name: 'Gulfstream III', cruiseSpeed: 9, ceiling: 780, climbRate: 1.5, turnRate: 14, maxBank: 30, altitudes: [420, 600], engines: 2, rearEngines: true },
+    // Gulfstream IV: business jet
+    'G4_NOAA_AIR_0824.glb': { name: 'Gulfstream IV', cruiseSpeed: 9.2, ceiling: 790, climbRate: 1.5, turnRate: 14, maxBank: 30, altitudes: [430, 600], engines: 2, rearEngines: true },
+    // Dassault HU-25 Guardian (Falcon 20): small fast business jet
+    'HU25_LARC_AIR_0824.glb': { name: 'HU-25 Guardian', cruiseSpeed: 8.5, ceiling: 760, climbRate: 1.6, turnRate: 17, maxBank: 35, altitudes: [380, 580], engines: 2, rearEngines: true },
+    // Lockheed P-3 Orion: four-engine turboprop, flown low on survey work
+    'P3_WFF_AIR_0824.glb': { name: 'P-3 Orion', cruiseSpeed: 7.2, ceiling: 680, climbRate: 1.1, turnRate: 12, maxBank: 30, altitudes: [260, 460], engines: 4 },
+    // SIERRA: small unmanned aircraft, slow and low
+    'SIERRA_ARC_AIR_0824.glb': { name: 'SIERRA UAS', cruiseSpeed: 4, ceiling: 480, climbRate: 0.9, turnRate: 24, maxBank: 40, altitudes: [250, 360], engines: 1 },
+    // de Havilland Canada DHC-6 Twin Otter: STOL utility turboprop
+    'TWIN_OTTER_CIRPAS_AIR_0824.glb': { name: 'Twin Otter', cruiseSpeed: 5, ceiling: 560, climbRate: 1.2, turnRate: 20, maxBank: 35, altitudes: [250, 420], engines: 2 },
+    // Martin WB-57: high-altitude research jet
+    'WB57_JSC_AIR_0824.glb': { name: 'WB-57', cruiseSpeed: 8.5, ceiling: 800, climbRate: 1.5, turnRate: 11, maxBank: 30, altitudes: [500, 600], engines: 2 },
+    // NOAA WP-3D Orion: hurricane hunter, otherwise a P-3
+    'WP3D_N42RF_NOAA_AIR_0824.glb': { name: 'WP-3D Orion', cruiseSpeed: 7.2, ceiling: 680, climbRate: 1.1, turnRate: 12, maxBank: 30, altitudes: [260, 460], engines: 4 }
+};
+
+// Used for models without an entry and without a known type
+export const DEFAULT_PROFILE = { name: 'Unknown', cruiseSpeed: 7.5, ceiling: 750, climbRate: 1.25, turnRate: 15, maxBank: 30, altitudes: [300, 550], engines: 2 };
+
+// Profile for a model file. Models without their own (imported or newly added ones) fly like the
+// closest built-in model to their ICAO `type` when the manifest gives one, else the default.
+export function profileForModel(model, type = null) {
+    return AIRCRAFT_PROFILES[model]
+        || (type ? AIRCRAFT_PROFILES[modelForAircraftType(type)] : null)
+        || DEFAULT_PROFILE;
+}
@@ -0,0 +1,148 @@
+// Airport layout: one runway with a parallel taxiway and an apron, placed near the observer.
+// Like terrain.js this is plain data and math (no DOM or Three.js), shared by the simulation
+// (flight phases in simulation.js), the meshes and lights (airportView.js) and Node scripts.
+//
+// Positions on the airport are given in the runway frame: `along` is metres from the landing
+// threshold in the direction planes take off and land, `across` is metres to the right of the
+// centreline. The taxiway and apron are on the right-hand side.
+
+export const RUNWAY_LENGTH = 1800;
+export const RUNWAY_WIDTH = 45;
+export const TAXIWAY_OFFSET = 180;     // parallel taxiway centreline, across
+export const TAXIWAY_WIDTH = 23;
+export const HOLD_SHORT_ACROSS = 75;   // departures wait here, on the connector at the runway start
+export const LINEUP_ALONG = 40;        // where the start connector meets the runway
+export const EXITS = [1250, RUNWAY_LENGTH - 40]; // connectors off the runway for landing planes
+export const APRON = { along: [600, 1220], across: [235, 345] };
+export const STAND_COUNT = 8;
+export const GLIDE_SLOPE = 3 * Math.PI / 180;
+export const TOUCHDOWN_ALONG = 300;    // aiming point: where the glide slope meets the runway
+export const FINAL_APPROACH_FIX = 2500; // metres before the threshold where planes join the glide slope
+export const APPROACH_LIGHTS_LENGTH = 900;
+
+const FLAT_PADDING = 150;              // flattened ground around the paved areas
+const FLAT_MARGIN = 400;               // metres over which the flattened pad blends into the hills
+const SITING_CLEARANCE = 30;           // metres approach/departure paths should clear the terrain by
+const DEPARTURE_GRADIENT = 0.08;       // climb-out surface used when picking a runway direction
+
+// Compass bearing (degrees, 0 = north = -Z) to simulation heading (forward = (sin h, cos h))
+const bearingToHeading = bearing => Math.PI - bearing * Math.PI / 180;
+
+// Two-digit runway designator for a runway number (1-36)
+export function runwayDesignator(number) {
+    return String(number).padStart(2, '0');
+}
+
+// World X/Z of a runway-frame point
+export function fromRunway(airport, along, across) {
+    const { threshold, forward, right } = airport;
+    return {
+        x: threshold.x + forward.x * along + right.x * across,
+        z: threshold.z + forward.z * along + right.z * across
+    };
+}
+
+// Runway-frame coordinates ({ along, across }) of a world X/Z point
+export function toRunway(airport, x, z) {
+    const { threshold, forward, right } = airport;
+    const dx = x - threshold.x;
+    const dz = z - threshold.z;
+    return {
+        along: dx * forward.x + dz * forward.z,
+        across: dx * right.x + dz * right.z
+    };
+}
+
+// Height of the glide slope above the runway at `along` (it reaches the runway at TOUCHDOWN_ALONG)
+export function glideSlopeHeight(along) {
+    return Math.max(0, TOUCHDOWN_ALONG - along) * Math.tan(GLIDE_SLOPE);
+}
+
+// Runway-frame position of stand `index` on the apron (planes park nose away from the runway)
+export function standPosition(index) {
+    const spacing = (APRON.along[1] - APRON.along[0]) / STAND_COUNT;
+    return {
+        along: APRON.along[0] + spacing * (index + 0.5),
+        across: (APRON.across[0] + APRON.across[1]) / 2
+    };
+}
+
+// Where to centre the airport: `distance` metres from `origin` ({x, z}) on compass `bearing` (degrees)
+export function airportCentre(origin, bearing, distance) {
+    const heading = bearingToHeading(bearing);
+    return { x: origin.x + Math.sin(heading) * distance, z: origin.z + Math.cos(heading) * distance };
+}
+
+// Runway geometry for a runway number, with the runway centred on (x, z)
+function layout(x, z, number) {
+    const heading = bearingToHeading(number * 10);
+    const forward = { x: Math.sin(heading), z: Math.cos(heading) };
+    const right = { x: -forward.z, z: forward.x };
+    const threshold = { x: x - forward.x * RUNWAY_LENGTH / 2, z: z - forward.z * RUNWAY_LENGTH / 2 };
+    return { x, z, number, heading, forward, right, threshold };
+}
+
+// How badly a runway layout fits the (unflattened) terrain: earthworks along the runway plus
+// terrain poking through the approach and climb-out paths. Also returns the runway elevation.
+function sitingCost(terrain, site) {
+    let elevation = 0;
+    const samples = [];
+    for (let along = 0; along <= RUNWAY_LENGTH; along += RUNWAY_LENGTH / 12) {
+        const { x, z } = fromRunway(site, along, 0);
+        const h = terrain.heightAt(x, z);
+        samples.push(h);
+        elevation += h;
+    }
+    elevation /= samples.length;
+
+    let cost = 0;
+    for (const h of samples) cost += Math.abs(h - elevation);
+    for (let d = 100; d <= FINAL_APPROACH_FIX + 1500; d += 100) {
+        const { x, z } = fromRunway(site, -d, 0);
+        const path = elevation + glideSlopeHeight(-d);
+        cost += Math.max(0, terrain.heightAt(x, z) + SITING_CLEARANCE - path) * 4;
+    }
+    for (let d = 100; d <= 4000; d += 100) {
+        const { x, z } = fromRunway(site, RUNWAY_LENGTH + d, 0);
+        const path = elevation + d * DEPARTURE_GRADIENT;
+        cost += Math.max(0, terrain.heightAt(x, z) + SITING_CLEARANCE - path) * 4;
+    }
+    return { cost, elevation };
+}
+
+// Airport with its runway centred on (x, z). `runway` is the runway number in use (1-36, i.e.
+// the landing direction in tens of degrees); 0 picks the direction that best fits the terrain.
+// `terrain` must be the natural terrain: the airport's `flat` is what gets flattened into it
+// (see createTerrain's `flats`).
+export function createAirport(terrain, { x, z, runway = 0 }) {
+    let site = null;
+    let best = Infinity;
+    const numbers = runway >= 1 && runway <= 36 ? [Math.round(runway)] : Array.from({ length: 36 }, (_, i) => i + 1);
+    for (const number of numbers) {
+        const candidate = layout(x, z, number);
+        const { cost, elevation } = sitingCost(terrain, candidate);
+        if (cost < best) {
+            best = cost;
+            site = { ...candidate, elevation };
+        }
+    }
+
+    // Flatten everything paved plus some padding: the rectangle spans the runway lengthwise and
+    // from the left of the runway to the far side of the apron
+    const acrossMin = -RUNWAY_WIDTH / 2 - FLAT_PADDING;
+    const acrossMax = APRON.across[1] + FLAT_PADDING;
+    const centre = fromRunway(site, RUNWAY_LENGTH / 2, (acrossMin + acrossMax) / 2);
+    return {
+        ...site,
+        designator: runwayDesignator(site.number),
+        flat: {
+            x: centre.x,
+            z: centre.z,
+            heading: site.heading,
+            halfLength: RUNWAY_LENGTH / 2 + FLAT_PADDING,
+            halfWidth: (acrossMax - acrossMin) / 2,
+            margin: FLAT_MARGIN,
+            height: site.elevation
+        }
+    };
+}
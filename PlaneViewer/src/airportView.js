@@ -0,0 +1,284 @@
+// Airport meshes and lights: the runway (with painted markings), taxiways and apron, plus runway,
+// approach, taxiway and PAPI lights drawn as glowing points. The layout comes from airport.js;
+// everything hangs off one group at the landing threshold, turned to the runway heading, so in
+// the group's frame a runway point (along, across) sits at x = -across, z = along.
+
+import * as THREE from 'three';
+import {
+    RUNWAY_LENGTH, RUNWAY_WIDTH, TAXIWAY_OFFSET, TAXIWAY_WIDTH, LINEUP_ALONG, EXITS, APRON,
+    TOUCHDOWN_ALONG, APPROACH_LIGHTS_LENGTH, runwayDesignator, fromRunway, toRunway
+} from './airport.js';
+
+const TEXTURE_WIDTH = 128;           // runway marking texture (px across the runway)
+const TEXTURE_LENGTH = 4096;         // ...and along it
+const LIGHT_HEIGHT = 0.4;            // metres above the pavement (or the terrain off the airport)
+const PAPI_ANGLES = [3.5, 3.17, 2.83, 2.5]; // degrees; units from the runway edge outward show white above these
+
+const RUNWAY_COLORS = {
+    edge: new THREE.Color(1.0, 0.95, 0.8),
+    caution: new THREE.Color(1.0, 0.75, 0.2),
+    threshold: new THREE.Color(0.2, 1.0, 0.35),
+    end: new THREE.Color(1.0, 0.1, 0.05),
+    centre: new THREE.Color(1.0, 1.0, 0.95),
+    approach: new THREE.Color(1.0, 0.95, 0.85),
+    strobe: new THREE.Color(1.0, 1.0, 1.0),
+    taxiway: new THREE.Color(0.2, 0.35, 1.0)
+};
+
+const _camera = new THREE.Vector3();
+
+// Painted runway markings. The canvas top is the landing threshold and canvas +x is the left side
+// of a pilot landing, so a pilot on final sees the canvas upside down.
+function createRunwayTexture(number, anisotropy) {
+    const canvas = document.createElement('canvas');
+    canvas.width = TEXTURE_WIDTH;
+    canvas.height = TEXTURE_LENGTH;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#3b3d40';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    // Draw in metres: x from the pilot's right edge, y along the runway from the threshold
+    ctx.setTransform(TEXTURE_WIDTH / RUNWAY_WIDTH, 0, 0, TEXTURE_LENGTH / RUNWAY_LENGTH, 0, 0);
+    const middle = RUNWAY_WIDTH / 2;
+    ctx.fillStyle = '#e8e8e2';
+
+    // Edge lines and centreline dashes
+    ctx.fillRect(1, 0, 0.9, RUNWAY_LENGTH);
+    ctx.fillRect(RUNWAY_WIDTH - 1.9, 0, 0.9, RUNWAY_LENGTH);
+    for (let along = 80; along < RUNWAY_LENGTH - 80; along += 50) ctx.fillRect(middle - 0.45, along, 0.9, 30);
+
+    // Both ends: piano keys, touchdown zone bars and aiming point blocks (mirrored for the far end)
+    for (const end of [0, RUNWAY_LENGTH]) {
+        const at = (along, length) => (end === 0 ? along : end - along - length);
+        for (let i = 0; i < 6; i++) {
+            const offset = 3 + i * 3.6;
+            ctx.fillRect(middle - offset - 1.8, at(6, 30), 1.8, 30);
+            ctx.fillRect(middle + offset, at(6, 30), 1.8, 30);
+        }
+        for (const [along, bars] of [[150, 3], [450, 2], [600, 2], [750, 1], [900, 1]]) {
+            for (let i = 0; i < bars; i++) {
+                const offset = 9 + i * 3;
+                ctx.fillRect(middle - offset - 1.8, at(along, 22.5), 1.8, 22.5);
+                ctx.fillRect(middle + offset, at(along, 22.5), 1.8, 22.5);
+            }
+        }
+        ctx.fillRect(middle - 19, at(TOUCHDOWN_ALONG, 45), 10, 45);
+        ctx.fillRect(middle + 9, at(TOUCHDOWN_ALONG, 45), 10, 45);
+    }
+
+    // Designators: this end's number reads correctly from final; the far end's from the other way
+    ctx.font = 'bold 9px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.save();
+    ctx.translate(middle, 52);
+    ctx.rotate(Math.PI);
+    ctx.fillText(runwayDesignator(number), 0, 0);
+    ctx.restore();
+    ctx.fillText(runwayDesignator(((number + 17) % 36) + 1), middle, RUNWAY_LENGTH - 52);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.anisotropy = anisotropy;
+    return texture;
+}
+
+// Glowing point lights: size (metres of glow) scales with distance down to a minimum on screen,
+// additive so they bloom at night, and only partly swallowed by fog. `sequence` >= 0 marks a
+// sequenced flasher (0..1 = its place in the run), -1 a steady light.
+function createLightMaterial() {
+    return new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.merge([THREE.UniformsLib.fog, {
+            pixelScale: { value: 500 },
+            intensity: { value: 1 },
+            time: { value: 0 }
+        }]),
+        vertexShader: `
+            attribute vec3 lightColor;
+            attribute float size;
+            attribute float sequence;
+            uniform float pixelScale;
+            uniform float time;
+            varying vec3 vColor;
+            varying float vFogDepth;
+            void main() {
+                vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                vFogDepth = -mvPosition.z;
+                float on = 1.0;
+                if (sequence >= 0.0) {
+                    float phase = fract(time * 2.0) - sequence * 0.8;
+                    on = step(0.0, phase) * step(phase, 0.05) * 3.0;
+                }
+                vColor = lightColor * on;
+                gl_PointSize = on > 0.0 ? clamp(size * pixelScale / vFogDepth, 2.0, 28.0) : 0.0;
+                gl_Position = projectionMatrix * mvPosition;
+            }
+        `,
+        fragmentShader: `
+            uniform float intensity;
+            uniform float fogNear;
+            uniform float fogFar;
+            varying vec3 vColor;
+            varying float vFogDepth;
+            void main() {
+                vec2 p = gl_PointCoord * 2.0 - 1.0;
+                float r2 = dot(p, p);
+                if (r2 > 1.0) discard;
+                float glow = exp(-r2 * 5.0);
+                float fog = smoothstep(fogNear, fogFar, vFogDepth);
+                gl_FragColor = vec4(vColor * glow * intensity * (1.0 - 0.7 * fog), 1.0);
+            }
+        `,
+        fog: true,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    });
+}
+
+export class AirportView {
+    // `airport` from createAirport, `terrain` the flattened terrain (lights off the airport sit on it)
+    constructor(scene, airport, terrain, { anisotropy = 1 } = {}) {
+        this.airport = airport;
+        this.terrain = terrain;
+        this.group = new THREE.Group();
+        this.group.position.set(airport.threshold.x, airport.elevation, airport.threshold.z);
+        this.group.rotation.y = airport.heading;
+        this.group.updateMatrixWorld(true);
+
+        this.buildSurfaces(anisotropy);
+        this.buildLights();
+        scene.add(this.group);
+    }
+
+    // A flat rectangle in runway coordinates, `lift` metres above the ground
+    addPavement(alongMin, alongMax, acrossMin, acrossMax, material, lift) {
+        const mesh = new THREE.Mesh(new THREE.PlaneGeometry(acrossMax - acrossMin, alongMax - alongMin), material);
+        mesh.rotation.x = -Math.PI / 2;
+        mesh.position.set(-(acrossMin + acrossMax) / 2, lift, (alongMin + alongMax) / 2);
+        mesh.receiveShadow = true;
+        this.group.add(mesh);
+        return mesh;
+    }
+
+    buildSurfaces(anisotropy) {
+        // Pavement sits a few centimetres up and is pulled toward the camera, so the terrain under it never shows through
+        const pavement = (options, offset) => new THREE.MeshStandardMaterial({
+            roughness: 0.9,
+            metalness: 0,
+            polygonOffset: true,
+            polygonOffsetFactor: -offset,
+            polygonOffsetUnits: -offset,
+            ...options
+        });
+        this.runwayMaterial = pavement({ map: createRunwayTexture(this.airport.number, anisotropy) }, 3);
+        this.taxiwayMaterial = pavement({ color: 0x4a4c4f }, 2);
+        this.apronMaterial = pavement({ color: 0x56585a }, 1);
+
+        // PlaneGeometry's top edge (v = 1) is the canvas top: after the rotation it's at z = -L/2, the threshold
+        this.addPavement(0, RUNWAY_LENGTH, -RUNWAY_WIDTH / 2, RUNWAY_WIDTH / 2, this.runwayMaterial, 0.15);
+
+        const half = TAXIWAY_WIDTH / 2;
+        this.addPavement(LINEUP_ALONG - half, EXITS[EXITS.length - 1] + half, TAXIWAY_OFFSET - half, TAXIWAY_OFFSET + half, this.taxiwayMaterial, 0.12);
+        for (const along of [LINEUP_ALONG, ...EXITS]) {
+            this.addPavement(along - half, along + half, RUNWAY_WIDTH / 2, TAXIWAY_OFFSET, this.taxiwayMaterial, 0.12);
+        }
+        // The apron reaches back to the taxiway so planes can taxi straight onto their stands
+        this.addPavement(APRON.along[0], APRON.along[1], TAXIWAY_OFFSET + half, APRON.across[1], this.apronMaterial, 0.1);
+    }
+
+    buildLights() {
+        const positions = [];
+        const colors = [];
+        const sizes = [];
+        const sequences = [];
+        const add = (along, across, color, size = 1.2, sequence = -1) => {
+            // Lights off the flattened ground (approach lights) stand on the terrain
+            const { x, z } = fromRunway(this.airport, along, across);
+            const ground = this.terrain.heightAt(x, z) - this.airport.elevation;
+            positions.push(-across, Math.max(ground, 0) + LIGHT_HEIGHT, along);
+            colors.push(color.r, color.g, color.b);
+            sizes.push(size);
+            sequences.push(sequence);
+            return positions.length / 3 - 1;
+        };
+
+        const edge = RUNWAY_WIDTH / 2 + 1.5;
+        for (let along = 0; along <= RUNWAY_LENGTH; along += 60) {
+            const color = along > RUNWAY_LENGTH - 600 ? RUNWAY_COLORS.caution : RUNWAY_COLORS.edge;
+            add(along, -edge, color);
+            add(along, edge, color);
+        }
+        for (let across = -edge; across <= edge + 0.01; across += 3) {
+            add(-1.5, across, RUNWAY_COLORS.threshold, 1.4);
+            add(RUNWAY_LENGTH + 1.5, across, RUNWAY_COLORS.end, 1.4);
+        }
+        // Centreline: white, then alternating red/white over the last 900 m and red over the last 300 m
+        for (let along = 15, i = 0; along < RUNWAY_LENGTH; along += 15, i++) {
+            const toGo = RUNWAY_LENGTH - along;
+            const red = toGo < 300 || (toGo < 900 && i % 2 === 1);
+            add(along, 0.5, red ? RUNWAY_COLORS.end : RUNWAY_COLORS.centre, 0.8);
+        }
+
+        // Approach lights: five-light bars every 30 m out along the extended centreline, a crossbar
+        // at 300 m and sequenced flashers ("the rabbit") running in toward the runway
+        for (let out = 30; out <= APPROACH_LIGHTS_LENGTH; out += 30) {
+            for (let i = -2; i <= 2; i++) add(-out, i * 1.5, RUNWAY_COLORS.approach, 1.3);
+            if (out === 300) {
+                for (let across = 6; across <= 15; across += 1.5) {
+                    add(-out, across, RUNWAY_COLORS.approach, 1.3);
+                    add(-out, -across, RUNWAY_COLORS.approach, 1.3);
+                }
+            }
+            if (out > 300) add(-out, 0, RUNWAY_COLORS.strobe, 2.5, (APPROACH_LIGHTS_LENGTH - out) / (APPROACH_LIGHTS_LENGTH - 300));
+        }
+
+        // Taxiway edges (blue)
+        const half = TAXIWAY_WIDTH / 2 + 1;
+        for (let along = LINEUP_ALONG; along <= EXITS[EXITS.length - 1]; along += 60) {
+            add(along, TAXIWAY_OFFSET - half, RUNWAY_COLORS.taxiway, 0.8);
+            add(along, TAXIWAY_OFFSET + half, RUNWAY_COLORS.taxiway, 0.8);
+        }
+        for (const along of [LINEUP_ALONG, ...EXITS]) {
+            for (let across = RUNWAY_WIDTH / 2 + 15; across < TAXIWAY_OFFSET - half; across += 30) {
+                add(along - half, across, RUNWAY_COLORS.taxiway, 0.8);
+                add(along + half, across, RUNWAY_COLORS.taxiway, 0.8);
+            }
+        }
+
+        // PAPI on the left of the touchdown point, four units outward from the runway edge
+        this.papi = PAPI_ANGLES.map((angle, i) => ({
+            index: add(TOUCHDOWN_ALONG, -(RUNWAY_WIDTH / 2 + 15 + i * 9), RUNWAY_COLORS.end, 1.6),
+            angle: angle * Math.PI / 180
+        }));
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('lightColor', new THREE.Float32BufferAttribute(colors, 3));
+        geometry.setAttribute('size', new THREE.Float32BufferAttribute(sizes, 1));
+        geometry.setAttribute('sequence', new THREE.Float32BufferAttribute(sequences, 1));
+        this.lightMaterial = createLightMaterial();
+        this.lights = new THREE.Points(geometry, this.lightMaterial);
+        this.lights.frustumCulled = false; // the approach lights reach well past the runway's bounds
+        this.group.add(this.lights);
+    }
+
+    // Per frame: point sizes for the viewport, brightness (1 at night), flasher timing and the PAPI
+    // colours as seen from the camera
+    update(camera, viewportHeight, time, lightLevel) {
+        const uniforms = this.lightMaterial.uniforms;
+        uniforms.pixelScale.value = viewportHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+        uniforms.intensity.value = lightLevel;
+        uniforms.time.value = time;
+
+        camera.getWorldPosition(_camera);
+        const { along } = toRunway(this.airport, _camera.x, _camera.z);
+        const height = _camera.y - this.airport.elevation - LIGHT_HEIGHT;
+        const elevation = Math.atan2(height, TOUCHDOWN_ALONG - along);
+        const colors = this.lights.geometry.getAttribute('lightColor');
+        for (const unit of this.papi) {
+            const color = elevation > unit.angle ? RUNWAY_COLORS.centre : RUNWAY_COLORS.end;
+            colors.setXYZ(unit.index, color.r, color.g, color.b);
+        }
+        colors.needsUpdate = true;
+    }
+}
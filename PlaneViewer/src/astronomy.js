@@ -0,0 +1,193 @@
+// Where the sun, moon and stars are in the real sky (plain math, no three.js), from the standard
+// low-precision ephemeris formulas (the Astronomical Almanac's for the sun, the main periodic
+// terms of the lunar theory for the moon). Good to a fraction of a degree for centuries either
+// side of 2000, far finer than the sky dome shows.
+//
+// Dates are Dates or milliseconds since 1970 (UTC). Latitude and longitude are degrees, north
+// and east positive. Angles returned are radians: altitude above the horizon, azimuth clockwise
+// from north (90° east).
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588;              // Julian day of the Unix epoch (at noon)
+const J2000 = 2451545;              // ... and of the J2000.0 epoch
+const OBLIQUITY = 23.4397 * RAD;    // tilt of the Earth's axis to the ecliptic
+const EARTH_RADIUS = 6378;          // km
+export const SUN_DISTANCE = 149598000;  // km (one astronomical unit)
+
+// Sun altitudes (degrees, at the centre of its disc) that start and end each part of twilight
+export const SUNRISE_ALTITUDE = -0.833;  // the upper limb on the horizon, with refraction
+export const TWILIGHTS = [
+    { name: 'day', label: '☀️ Day', above: SUNRISE_ALTITUDE },
+    { name: 'civil', label: '🌆 Civil twilight', above: -6 },
+    { name: 'nautical', label: '🌆 Nautical twilight', above: -12 },
+    { name: 'astronomical', label: '🌌 Astronomical twilight', above: -18 },
+    { name: 'night', label: '🌙 Night', above: -90 }
+];
+
+export const MOON_PHASES = ['🌑 New moon', '🌒 Waxing crescent', '🌓 First quarter', '🌔 Waxing gibbous',
+    '🌕 Full moon', '🌖 Waning gibbous', '🌗 Last quarter', '🌘 Waning crescent'];
+
+// Days since J2000.0
+const toDays = date => date.valueOf() / DAY_MS - 0.5 + J1970 - J2000;
+const fromDays = days => new Date((days + 0.5 - J1970 + J2000) * DAY_MS);
+
+// Equatorial coordinates from ecliptic longitude `l` and latitude `b`
+const rightAscension = (l, b) => Math.atan2(Math.sin(l) * Math.cos(OBLIQUITY) - Math.tan(b) * Math.sin(OBLIQUITY), Math.cos(l));
+const declination = (l, b) => Math.asin(Math.sin(b) * Math.cos(OBLIQUITY) + Math.cos(b) * Math.sin(OBLIQUITY) * Math.sin(l));
+
+// Local sidereal time (radians): the right ascension on the meridian at `longitude` at `date`.
+// The stars turn with it.
+export function localSiderealTime(date, longitude) {
+    return RAD * (280.46061837 + 360.98564736629 * toDays(date) + longitude);
+}
+
+// Bending of light by the air lifts things near the horizon (radians, for true altitude `h`)
+function refraction(h) {
+    h = Math.max(h, 0);
+    return 0.0002967 / Math.tan(h + 0.00312536 / (h + 0.08901179));
+}
+
+// Altitude and azimuth of right ascension `ra`, declination `dec` at local sidereal time `lst`
+function horizontal(ra, dec, lst, latitude) {
+    const phi = latitude * RAD;
+    const hourAngle = lst - ra;
+    const altitude = Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(hourAngle));
+    const azimuth = Math.atan2(Math.sin(hourAngle), Math.cos(hourAngle) * Math.sin(phi) - Math.tan(dec) * Math.cos(phi)) + Math.PI;
+    return { altitude, azimuth };
+}
+
+// The sun's mean anomaly and ecliptic longitude `days` after J2000
+function solarLongitude(days) {
+    const anomaly = RAD * (357.5291 + 0.98560028 * days);
+    const centre = RAD * (1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly));
+    return { anomaly, longitude: anomaly + centre + RAD * 102.9372 + Math.PI };
+}
+
+function sunEquatorial(days) {
+    const { longitude } = solarLongitude(days);
+    return { ra: rightAscension(longitude, 0), dec: declination(longitude, 0), distance: SUN_DISTANCE };
+}
+
+function moonEquatorial(days) {
+    const L = RAD * (218.316 + 13.176396 * days);   // mean longitude
+    const M = RAD * (134.963 + 13.064993 * days);   // mean anomaly
+    const F = RAD * (93.272 + 13.229350 * days);    // mean distance from the ascending node
+    const D = RAD * (297.850 + 12.190749 * days);   // mean elongation from the sun
+    const S = RAD * (357.529 + 0.98560028 * days);  // the sun's mean anomaly
+    const longitude = L + RAD * (6.289 * Math.sin(M) + 1.274 * Math.sin(2 * D - M) + 0.658 * Math.sin(2 * D) +
+        0.214 * Math.sin(2 * M) - 0.186 * Math.sin(S) - 0.114 * Math.sin(2 * F));
+    const latitude = RAD * (5.128 * Math.sin(F) + 0.281 * Math.sin(M + F) + 0.278 * Math.sin(M - F) + 0.173 * Math.sin(2 * D - F));
+    const distance = 385001 - 20905 * Math.cos(M) - 3699 * Math.cos(2 * D - M) - 2956 * Math.cos(2 * D); // km
+    return { ra: rightAscension(longitude, latitude), dec: declination(longitude, latitude), distance };
+}
+
+// The sun as seen from (latitude, longitude) at `date`: { altitude, azimuth } (altitude as it
+// appears, lifted by refraction)
+export function sunPosition(date, latitude, longitude) {
+    const days = toDays(date);
+    const { ra, dec } = sunEquatorial(days);
+    const position = horizontal(ra, dec, localSiderealTime(date, longitude), latitude);
+    position.altitude += refraction(position.altitude);
+    return position;
+}
+
+// The moon as seen from (latitude, longitude) at `date`: { altitude, azimuth, distance (km) }.
+// It's close enough that the observer's place on the Earth lowers it by up to a degree (parallax).
+export function moonPosition(date, latitude, longitude) {
+    const days = toDays(date);
+    const { ra, dec, distance } = moonEquatorial(days);
+    const position = horizontal(ra, dec, localSiderealTime(date, longitude), latitude);
+    position.altitude -= Math.asin(EARTH_RADIUS / distance) * Math.cos(position.altitude);
+    position.altitude += refraction(position.altitude);
+    position.distance = distance;
+    return position;
+}
+
+// How much of the moon is lit at `date`: { fraction (0..1 of the disc), phase (0 new, 0.25 first
+// quarter, 0.5 full, 0.75 last quarter), label (one of MOON_PHASES) }
+export function moonIllumination(date) {
+    const days = toDays(date);
+    const sun = sunEquatorial(days);
+    const moon = moonEquatorial(days);
+    const elongation = Math.acos(Math.sin(sun.dec) * Math.sin(moon.dec) +
+        Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra));
+    // Angle at the moon between the sun and the Earth
+    const incidence = Math.atan2(sun.distance * Math.sin(elongation), moon.distance - sun.distance * Math.cos(elongation));
+    // Which side of the sun the moon is on (waxing east of it, waning west)
+    const side = Math.atan2(Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra),
+        Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra));
+    const phase = 0.5 + 0.5 * incidence * (side < 0 ? -1 : 1) / Math.PI;
+    return {
+        fraction: (1 + Math.cos(incidence)) / 2,
+        phase,
+        label: MOON_PHASES[Math.round(phase * 8) % 8]
+    };
+}
+
+// The part of the day (one of TWILIGHTS) with the sun at `altitude` (radians)
+export function twilight(altitude) {
+    return TWILIGHTS.find(part => altitude / RAD >= part.above);
+}
+
+// Faintest star magnitude the eye picks out with the sun at `altitude` (radians): none by day,
+// the brightest few in civil twilight, the main constellation stars by the end of nautical
+// twilight and all of them once astronomical twilight is over. Linear in between.
+const LIMITING_MAGNITUDES = [
+    { altitude: SUNRISE_ALTITUDE, magnitude: -2 },
+    { altitude: -6, magnitude: 1.5 },
+    { altitude: -12, magnitude: 4 },
+    { altitude: -18, magnitude: 6 }
+];
+export function limitingMagnitude(altitude) {
+    const degrees = altitude / RAD;
+    const points = LIMITING_MAGNITUDES;
+    if (degrees >= points[0].altitude) return points[0].magnitude;
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1], b = points[i];
+        if (degrees >= b.altitude) {
+            return a.magnitude + (b.magnitude - a.magnitude) * (degrees - a.altitude) / (b.altitude - a.altitude);
+        }
+    }
+    return points[points.length - 1].magnitude;
+}
+
+// The solar day around `date` at `longitude`: days since J2000 of its solar noon (the one nearest
+// `date`), and the sun's declination then
+function solarDay(date, longitude) {
+    const cycle = Math.round(toDays(date) - 0.0009 + longitude / 360);
+    const approxNoon = 0.0009 - longitude / 360 + cycle;
+    const { anomaly, longitude: eclipticLongitude } = solarLongitude(approxNoon);
+    const transit = approxNoon + 0.0053 * Math.sin(anomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+    return { transit, dec: declination(eclipticLongitude, 0) };
+}
+
+// When the sun's centre passes `altitude` degrees on the day of `date` at (latitude, longitude):
+// [rising, setting] as Dates, or [null, null] when it doesn't reach that altitude that day (or
+// never drops below it)
+export function sunCrossings(date, latitude, longitude, altitude) {
+    const { transit, dec } = solarDay(date, longitude);
+    const phi = latitude * RAD;
+    const cosHour = (Math.sin(altitude * RAD) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+    if (cosHour < -1 || cosHour > 1) return [null, null];
+    const hours = Math.acos(cosHour) / (2 * Math.PI);
+    return [fromDays(transit - hours), fromDays(transit + hours)];
+}
+
+// Sun times for the day of `date` at (latitude, longitude): { solarNoon, nadir, sunrise, sunset,
+// dawn, dusk, nauticalDawn, nauticalDusk, astronomicalDawn, astronomicalDusk } as Dates; a
+// rise or set is null when the sun doesn't reach that altitude that day (polar day or night).
+// The day runs from the solar midnight (nadir) before the solar noon nearest `date`.
+export function sunTimes(date, latitude, longitude) {
+    const { transit } = solarDay(date, longitude);
+    const crossings = altitude => sunCrossings(date, latitude, longitude, altitude);
+    const [sunrise, sunset] = crossings(SUNRISE_ALTITUDE);
+    const [dawn, dusk] = crossings(-6);
+    const [nauticalDawn, nauticalDusk] = crossings(-12);
+    const [astronomicalDawn, astronomicalDusk] = crossings(-18);
+    return {
+        solarNoon: fromDays(transit),
+        nadir: fromDays(transit - 0.5),
+        sunrise, sunset, dawn, dusk, nauticalDawn, nauticalDusk, astronomicalDawn, astronomicalDusk
+    };
+}
@@ -0,0 +1,2860 @@
+// Bright stars (J2000, from the XHIP extended Hipparcos compilation): [id, right ascension
+// (hours), declination (degrees), visual magnitude, B-V colour index]. Ids are the star's Bayer or
+// Flamsteed designation ('α Ori', '27 Tau', 'p Car'), else its HIP number; the constellation
+// figures in starCatalog.js refer to stars by id.
+//
+// Generated by scripts/build-star-catalog.js: every star down to magnitude 5.5, 2851 in all.
+
+export const BRIGHT_STARS = [
+    ['α CMa', 6.7525, -16.7161, -1.44, 0.01],
+    ['α Car', 6.3992, -52.6957, -0.62, 0.16],
+    ['α Boo', 14.2610, 19.1824, -0.05, 1.24],
+    ['α1 Cen', 14.6601, -60.8340, -0.01, 0.71],
+    ['α Lyr', 18.6156, 38.7837, 0.03, 0.00],
+    ['α Aur', 5.2782, 45.9980, 0.08, 0.80],
+    ['β Ori', 5.2423, -8.2016, 0.18, -0.03],
+    ['α CMi', 7.6550, 5.2250, 0.40, 0.43],
+    ['α Eri', 1.6286, -57.2368, 0.45, -0.16],
+    ['α Ori', 5.9195, 7.4071, 0.45, 1.50],
+    ['β Cen', 14.0637, -60.3730, 0.61, -0.23],
+    ['α Aql', 19.8464, 8.8683, 0.76, 0.22],
+    ['α1 Cru', 12.4433, -63.0991, 0.77, -0.24],
+    ['α Tau', 4.5987, 16.5093, 0.87, 1.54],
+    ['α Vir', 13.4199, -11.1613, 0.98, -0.23],
+    ['α Sco', 16.4901, -26.4320, 1.06, 1.86],
+    ['β Gem', 7.7553, 28.0262, 1.16, 0.99],
+    ['α PsA', 22.9608, -29.6222, 1.17, 0.14],
+    ['β Cru', 12.7954, -59.6888, 1.25, -0.24],
+    ['α Cyg', 20.6905, 45.2803, 1.25, 0.09],
+    ['α2 Cen', 14.6597, -60.8372, 1.35, 0.90],
+    ['α Leo', 10.1395, 11.9672, 1.36, -0.09],
+    ['ε CMa', 6.9771, -28.9721, 1.50, -0.21],
+    ['α Gem', 7.5766, 31.8883, 1.58, 0.03],
+    ['γ Cru', 12.5194, -57.1132, 1.59, 1.60],
+    ['λ Sco', 17.5601, -37.1038, 1.62, -0.23],
+    ['γ Ori', 5.4189, 6.3497, 1.64, -0.22],
+    ['β Tau', 5.4382, 28.6075, 1.65, -0.13],
+    ['β Car', 9.2200, -69.7172, 1.67, 0.07],
+    ['ε Ori', 5.6036, -1.2019, 1.69, -0.18],
+    ['α Gru', 22.1372, -46.9610, 1.73, -0.07],
+    ['ζ Ori', 5.6793, -1.9426, 1.74, -0.20],
+    ['γ2 Vel', 8.1589, -47.3366, 1.75, -0.14],
+    ['ε UMa', 12.9005, 55.9598, 1.76, -0.02],
+    ['α Per', 3.4054, 49.8612, 1.79, 0.48],
+    ['ε Sgr', 18.4029, -34.3846, 1.79, -0.03],
+    ['α UMa', 11.0621, 61.7510, 1.81, 1.06],
+    ['δ CMa', 7.1399, -26.3932, 1.83, 0.67],
+    ['η UMa', 13.7923, 49.3133, 1.85, -0.10],
+    ['ε Car', 8.3752, -59.5095, 1.86, 1.20],
+    ['θ Sco', 17.6220, -42.9978, 1.86, 0.41],
+    ['β Aur', 5.9921, 44.9474, 1.90, 0.08],
+    ['α TrA', 16.8111, -69.0277, 1.91, 1.45],
+    ['γ Gem', 6.6285, 16.3993, 1.93, 0.00],
+    ['δ Vel', 8.7451, -54.7088, 1.93, 0.04],
+    ['α Pav', 20.4275, -56.7351, 1.94, -0.12],
+    ['α UMi', 2.5303, 89.2641, 1.97, 0.64],
+    ['β CMa', 6.3783, -17.9559, 1.98, -0.24],
+    ['α Hya', 9.4598, -8.6586, 1.99, 1.44],
+    ['α Ari', 2.1196, 23.4624, 2.01, 1.15],
+    ['γ1 Leo', 10.3329, 19.8415, 2.01, 1.13],
+    ['β Cet', 0.7265, -17.9866, 2.04, 1.02],
+    ['σ Sgr', 18.9211, -26.2967, 2.05, -0.13],
+    ['θ Cen', 14.1114, -36.3700, 2.06, 1.01],
+    ['α And', 0.1398, 29.0904, 2.07, -0.04],
+    ['β And', 1.1622, 35.6206, 2.07, 1.58],
+    ['κ Ori', 5.7959, -9.6696, 2.07, -0.17],
+    ['β UMi', 14.8451, 74.1555, 2.07, 1.47],
+    ['β Gru', 22.7111, -46.8846, 2.07, 1.61],
+    ['α Oph', 17.5822, 12.5600, 2.08, 0.15],
+    ['β Per', 3.1361, 40.9556, 2.09, 0.00],
+    ['γ1 And', 2.0650, 42.3297, 2.10, 1.37],
+    ['β Leo', 11.8177, 14.5721, 2.14, 0.09],
+    ['γ Cas', 0.9451, 60.7167, 2.15, -0.05],
+    ['γ Cen', 12.6920, -48.9599, 2.20, -0.02],
+    ['ζ Pup', 8.0597, -40.0031, 2.21, -0.27],
+    ['ι Car', 9.2848, -59.2752, 2.21, 0.19],
+    ['α CrB', 15.5781, 26.7147, 2.22, 0.03],
+    ['λ Vel', 9.1333, -43.4326, 2.23, 1.67],
+    ['ζ UMa', 13.3988, 54.9254, 2.23, 0.06],
+    ['γ Cyg', 20.3705, 40.2567, 2.23, 0.67],
+    ['α Cas', 0.6751, 56.5373, 2.24, 1.17],
+    ['γ Dra', 17.9434, 51.4889, 2.24, 1.52],
+    ['δ Ori', 5.5334, -0.2991, 2.25, -0.17],
+    ['β Cas', 0.1530, 59.1498, 2.28, 0.38],
+    ['ε Cen', 13.6648, -53.4664, 2.29, -0.17],
+    ['δ Sco', 16.0056, -22.6217, 2.29, -0.12],
+    ['ε Sco', 16.8361, -34.2932, 2.29, 1.14],
+    ['α Lup', 14.6988, -47.3882, 2.30, -0.15],
+    ['η Cen', 14.5918, -42.1578, 2.33, -0.16],
+    ['β UMa', 11.0307, 56.3824, 2.34, 0.03],
+    ['ε Boo', 14.7498, 27.0742, 2.35, 0.97],
+    ['ε Peg', 21.7364, 9.8750, 2.38, 1.52],
+    ['κ Sco', 17.7081, -39.0300, 2.39, -0.17],
+    ['α Phe', 0.4381, -42.3060, 2.40, 1.08],
+    ['γ UMa', 11.8972, 53.6948, 2.41, 0.04],
+    ['η Oph', 17.1730, -15.7249, 2.43, 0.06],
+    ['β Peg', 23.0629, 28.0828, 2.44, 1.66],
+    ['η CMa', 7.4016, -29.3031, 2.45, -0.08],
+    ['α Cep', 21.3097, 62.5856, 2.45, 0.26],
+    ['κ Vel', 9.3686, -55.0107, 2.47, -0.14],
+    ['ε Cyg', 20.7702, 33.9703, 2.48, 1.02],
+    ['α Peg', 23.0793, 15.2053, 2.49, 0.00],
+    ['α Cet', 3.0380, 4.0897, 2.54, 1.63],
+    ['ζ Oph', 16.6193, -10.5671, 2.54, 0.04],
+    ['ζ Cen', 13.9257, -47.2884, 2.55, -0.18],
+    ['δ Leo', 11.2351, 20.5237, 2.56, 0.13],
+    ['β1 Sco', 16.0906, -19.8055, 2.56, -0.07],
+    ['α Lep', 5.5455, -17.8223, 2.58, 0.21],
+    ['δ Cen', 12.1393, -50.7224, 2.58, -0.13],
+    ['γ Crv', 12.2634, -17.5419, 2.58, -0.11],
+    ['ζ Sgr', 19.0435, -29.8801, 2.60, 0.06],
+    ['β Lib', 15.2834, -9.3829, 2.61, -0.07],
+    ['α Ser', 15.7378, 6.4256, 2.63, 1.17],
+    ['β Ari', 1.9107, 20.8080, 2.64, 0.17],
+    ['α Col', 5.6608, -34.0741, 2.65, -0.12],
+    ['θ Aur', 5.9954, 37.2126, 2.65, -0.08],
+    ['β Crv', 12.5731, -23.3968, 2.65, 0.89],
+    ['δ Cas', 1.4303, 60.2353, 2.66, 0.16],
+    ['η Boo', 13.9114, 18.3977, 2.68, 0.58],
+    ['β Lup', 14.9755, -43.1340, 2.68, -0.18],
+    ['ι Aur', 4.9499, 33.1661, 2.69, 1.49],
+    ['μ Vel', 10.7795, -49.4203, 2.69, 0.90],
+    ['α Mus', 12.6197, -69.1356, 2.69, -0.18],
+    ['υ Sco', 17.5127, -37.2958, 2.70, -0.18],
+    ['π Pup', 7.2857, -37.0975, 2.71, 1.62],
+    ['δ Sgr', 18.3499, -29.8281, 2.72, 1.38],
+    ['γ Aql', 19.7710, 10.6133, 2.72, 1.51],
+    ['δ Oph', 16.2391, -3.6943, 2.73, 1.58],
+    ['η Dra', 16.3999, 61.5142, 2.73, 0.91],
+    ['θ Car', 10.7159, -64.3945, 2.74, -0.22],
+    ['γ Vir', 12.6943, -1.4494, 2.74, 0.37],
+    ['ι Ori', 5.5906, -5.9099, 2.75, -0.21],
+    ['ι Cen', 13.3433, -36.7123, 2.75, 0.07],
+    ['α2 Lib', 14.8480, -16.0418, 2.75, 0.15],
+    ['β Oph', 17.7245, 4.5673, 2.76, 1.17],
+    ['β Eri', 5.1308, -5.0864, 2.78, 0.16],
+    ['β Her', 16.5037, 21.4896, 2.78, 0.95],
+    ['α1 Her', 17.2441, 14.3903, 2.78, 1.16],
+    ['δ Cru', 12.2524, -58.7489, 2.79, -0.19],
+    ['β Dra', 17.5072, 52.3014, 2.79, 0.95],
+    ['γ Lup', 15.5857, -41.1668, 2.80, -0.22],
+    ['β Lep', 5.4708, -20.7594, 2.81, 0.81],
+    ['ζ Her', 16.6881, 31.6027, 2.81, 0.65],
+    ['β Hyi', 0.4292, -77.2542, 2.82, 0.62],
+    ['τ Sco', 16.5980, -28.2160, 2.82, -0.21],
+    ['λ Sgr', 18.4662, -25.4217, 2.82, 1.02],
+    ['γ Peg', 0.2206, 15.1836, 2.83, -0.19],
+    ['ρ Pup', 8.1257, -24.3043, 2.83, 0.46],
+    ['β TrA', 15.9190, -63.4307, 2.83, 0.32],
+    ['ζ Per', 3.9022, 31.8836, 2.84, 0.27],
+    ['β Ara', 17.4217, -55.5299, 2.84, 1.48],
+    ['α Ara', 17.5307, -49.8761, 2.84, -0.14],
+    ['η Tau', 3.7914, 24.1051, 2.85, -0.09],
+    ['ε Vir', 13.0363, 10.9592, 2.85, 0.93],
+    ['δ Cap', 21.7840, -16.1273, 2.85, 0.18],
+    ['α Hyi', 1.9795, -61.5699, 2.86, 0.29],
+    ['δ Cyg', 19.7496, 45.1308, 2.86, 0.00],
+    ['μ Gem', 6.3827, 22.5136, 2.87, 1.62],
+    ['γ TrA', 15.3152, -68.6795, 2.87, 0.01],
+    ['α Tuc', 22.3084, -60.2596, 2.87, 1.39],
+    ['θ1 Eri', 2.9710, -40.3047, 2.88, 0.13],
+    ['π Sgr', 19.1627, -21.0236, 2.88, 0.38],
+    ['β CMi', 7.4525, 8.2893, 2.89, -0.10],
+    ['α2 CVn', 12.9338, 38.3184, 2.89, -0.12],
+    ['π Sco', 15.9809, -26.1141, 2.89, -0.18],
+    ['ε Per', 3.9642, 40.0102, 2.90, -0.20],
+    ['σ Sco', 16.3531, -25.5928, 2.90, 0.30],
+    ['β Aqr', 21.5260, -5.5712, 2.90, 0.83],
+    ['γ Per', 3.0799, 53.5064, 2.91, 0.72],
+    ['υ Car', 9.7850, -65.0720, 2.92, 0.27],
+    ['η Peg', 22.7167, 30.2212, 2.93, 0.85],
+    ['τ Pup', 6.8323, -50.6146, 2.94, 1.21],
+    ['δ Crv', 12.4977, -16.5154, 2.94, -0.01],
+    ['α Aqr', 22.0964, -0.3199, 2.95, 0.97],
+    ['γ Eri', 3.9672, -13.5085, 2.97, 1.59],
+    ['ζ Tau', 5.6274, 21.1425, 2.97, -0.15],
+    ['ε Leo', 9.7642, 23.7743, 2.97, 0.81],
+    ['γ2 Sgr', 18.0968, -30.4241, 2.98, 0.98],
+    ['γ Hya', 13.3154, -23.1715, 2.99, 0.92],
+    ['ι1 Sco', 17.7931, -40.1270, 2.99, 0.51],
+    ['ζ Aql', 19.0902, 13.8635, 2.99, 0.01],
+    ['β Tri', 2.1591, 34.9873, 3.00, 0.14],
+    ['ψ UMa', 11.1611, 44.4985, 3.00, 1.14],
+    ['γ UMi', 15.3455, 71.8340, 3.00, 0.06],
+    ['μ1 Sco', 16.8645, -38.0474, 3.00, -0.20],
+    ['γ Gru', 21.8988, -37.3649, 3.00, -0.08],
+    ['δ Per', 3.7154, 47.7876, 3.01, -0.13],
+    ['ζ CMa', 6.3386, -30.0634, 3.02, -0.16],
+    ['ο2 CMa', 7.0504, -23.8333, 3.02, -0.08],
+    ['ε Crv', 12.1687, -22.6198, 3.02, 1.33],
+    ['ε Aur', 5.0328, 43.8233, 3.03, 0.54],
+    ['β Mus', 12.7713, -68.1081, 3.04, -0.18],
+    ['γ Boo', 14.5346, 38.3083, 3.04, 0.19],
+    ['β1 Cyg', 19.5120, 27.9597, 3.05, 1.09],
+    ['β Cap', 20.3502, -14.7814, 3.05, 0.79],
+    ['ε Gem', 6.7322, 25.1311, 3.06, 1.38],
+    ['μ UMa', 10.3722, 41.4995, 3.06, 1.60],
+    ['δ Dra', 19.2093, 67.6615, 3.07, 0.99],
+    ['η Sgr', 18.2938, -36.7617, 3.10, 1.58],
+    ['ζ Hya', 8.9232, 5.9456, 3.11, 0.98],
+    ['ν Hya', 10.8271, -16.1936, 3.11, 1.23],
+    ['λ Cen', 11.5964, -63.0198, 3.11, -0.04],
+    ['α Ind', 20.6261, -47.2915, 3.11, 1.00],
+    ['β Col', 5.8493, -35.7683, 3.12, 1.15],
+    ['ι UMa', 8.9868, 48.0418, 3.12, 0.22],
+    ['ζ Ara', 16.9770, -55.9901, 3.12, 1.55],
+    ['δ Her', 17.2505, 24.8392, 3.12, 0.08],
+    ['κ Cen', 14.9860, -42.1042, 3.13, -0.21],
+    ['α Lyn', 9.3509, 34.3926, 3.14, 1.55],
+    ['N Vel', 9.5204, -57.0344, 3.16, 1.54],
+    ['π Her', 17.2508, 36.8092, 3.16, 1.44],
+    ['ν Pup', 6.6294, -43.1959, 3.17, -0.10],
+    ['θ UMa', 9.5476, 51.6773, 3.17, 0.47],
+    ['ζ Dra', 17.1464, 65.7147, 3.17, -0.12],
+    ['φ Sgr', 18.7609, -26.9908, 3.17, -0.11],
+    ['η Aur', 5.1086, 41.2345, 3.18, -0.15],
+    ['α Cir', 14.7084, -64.9751, 3.18, 0.26],
+    ['π3 Ori', 4.8307, 6.9613, 3.19, 0.48],
+    ['ε Lep', 5.0910, -22.3710, 3.19, 1.46],
+    ['κ Oph', 16.9611, 9.3750, 3.19, 1.16],
+    ['G Sco', 17.8310, -37.0433, 3.19, 1.19],
+    ['ζ Cyg', 21.2156, 30.2269, 3.21, 0.99],
+    ['γ Cep', 23.6558, 77.6323, 3.21, 1.03],
+    ['δ Lup', 15.3562, -40.6475, 3.22, -0.23],
+    ['ε Oph', 16.3054, -4.6925, 3.23, 0.97],
+    ['η Ser', 18.3552, -2.8988, 3.23, 0.94],
+    ['β Cep', 21.4777, 70.5607, 3.23, -0.20],
+    ['α Pic', 6.8032, -61.9414, 3.24, 0.23],
+    ['θ Aql', 20.1884, -0.8215, 3.24, -0.07],
+    ['σ Pup', 7.4872, -43.3014, 3.25, 1.51],
+    ['π Hya', 14.1062, -26.6824, 3.25, 1.09],
+    ['σ Lib', 15.0678, -25.2820, 3.25, 1.67],
+    ['γ Lyr', 18.9824, 32.6896, 3.25, -0.05],
+    ['γ Hyi', 3.7873, -74.2390, 3.26, 1.59],
+    ['δ And', 0.6555, 30.8610, 3.27, 1.27],
+    ['θ Oph', 17.3668, -24.9995, 3.27, -0.19],
+    ['δ Aqr', 22.9108, -15.8208, 3.27, 0.07],
+    ['μ Lep', 5.2155, -16.2055, 3.29, -0.11],
+    ['ω Car', 10.2289, -70.0379, 3.29, -0.07],
+    ['ι Dra', 15.4155, 58.9661, 3.29, 1.17],
+    ['α Dor', 4.5666, -55.0450, 3.30, -0.08],
+    ['p Car', 10.5337, -61.6853, 3.30, -0.09],
+    ['η Gem', 6.2480, 22.5068, 3.31, 1.60],
+    ['γ Ara', 17.4232, -56.3777, 3.31, -0.15],
+    ['β Phe', 1.1014, -46.7184, 3.32, 0.89],
+    ['ρ Per', 3.0863, 38.8403, 3.32, 1.53],
+    ['δ UMa', 12.2571, 57.0326, 3.32, 0.08],
+    ['η Sco', 17.2026, -43.2392, 3.32, 0.44],
+    ['ν Oph', 17.9838, -9.7736, 3.32, 0.99],
+    ['τ Sgr', 19.1157, -27.6704, 3.32, 1.17],
+    ['α Ret', 4.2404, -62.4739, 3.33, 0.92],
+    ['θ Leo', 11.2373, 15.4296, 3.33, 0.00],
+    ['ξ Pup', 7.8216, -24.8598, 3.34, 1.22],
+    ['ε Cas', 1.9066, 63.6701, 3.35, -0.15],
+    ['η Ori', 5.4079, -2.3971, 3.35, -0.24],
+    ['ξ Gem', 6.7548, 12.8956, 3.35, 0.44],
+    ['ο UMa', 8.5044, 60.7182, 3.35, 0.86],
+    ['δ Aql', 19.4250, 3.1148, 3.36, 0.32],
+    ['ε Lup', 15.3780, -44.6896, 3.37, -0.19],
+    ['ε Hya', 8.7796, 6.4188, 3.38, 0.69],
+    ['ζ Vir', 13.5782, -0.5958, 3.38, 0.11],
+    ['λ Ori', 5.5856, 9.9342, 3.39, -0.16],
+    ['q Car', 10.2847, -61.3323, 3.39, 1.54],
+    ['δ Vir', 12.9267, 3.3975, 3.39, 1.57],
+    ['ζ Cep', 22.1809, 58.2013, 3.39, 1.56],
+    ['θ2 Tau', 4.4777, 15.8709, 3.40, 0.18],
+    ['γ Phe', 1.4728, -43.3182, 3.41, 1.54],
+    ['λ Tau', 4.0113, 12.4903, 3.41, -0.10],
+    ['ν Cen', 13.8251, -41.6877, 3.41, -0.23],
+    ['ζ Lup', 15.2047, -52.0992, 3.41, 0.92],
+    ['η Cep', 20.7548, 61.8388, 3.41, 0.91],
+    ['ζ Peg', 22.6910, 10.8314, 3.41, -0.09],
+    ['α Tri', 1.8847, 29.5788, 3.42, 0.49],
+    ['η Lup', 16.0020, -38.3967, 3.42, -0.21],
+    ['μ Her', 17.7743, 27.7207, 3.42, 0.75],
+    ['β Pav', 20.7493, -66.2032, 3.42, 0.16],
+    ['a Car', 9.1828, -58.9669, 3.43, -0.19],
+    ['ζ Leo', 10.2782, 23.4173, 3.43, 0.31],
+    ['λ Aql', 19.1041, -4.8826, 3.43, -0.10],
+    ['λ UMa', 10.2849, 42.9144, 3.45, 0.03],
+    ['η Cas', 0.8184, 57.8152, 3.46, 0.59],
+    ['η Cet', 1.1432, -10.1823, 3.46, 1.16],
+    ['χ Car', 7.9463, -52.9824, 3.46, -0.18],
+    ['δ Boo', 15.2584, 33.3148, 3.46, 0.96],
+    ['γ Cet', 2.7217, 3.2358, 3.47, 0.09],
+    ['μ Cen', 13.8269, -42.4737, 3.47, -0.17],
+    ['η Leo', 10.1222, 16.7627, 3.48, -0.03],
+    ['η Her', 16.7149, 38.9223, 3.48, 0.92],
+    ['τ Cet', 1.7345, -15.9375, 3.49, 0.73],
+    ['σ CMa', 7.0287, -27.9348, 3.49, 1.73],
+    ['ν UMa', 11.3080, 33.0943, 3.49, 1.40],
+    ['β Boo', 15.0324, 40.3906, 3.49, 0.96],
+    ['α Tel', 18.4496, -45.9685, 3.49, -0.18],
+    ['ε Gru', 22.8092, -51.3169, 3.49, 0.08],
+    ['κ CMa', 6.8307, -32.5085, 3.50, -0.12],
+    ['δ Gem', 7.3354, 21.9823, 3.50, 0.37],
+    ['ι Cep', 22.8280, 66.2004, 3.50, 1.05],
+    ['γ Sge', 19.9793, 19.4921, 3.51, 1.57],
+    ['μ Peg', 22.8334, 24.6016, 3.51, 0.93],
+    ['δ Eri', 3.7208, -9.7634, 3.52, 0.92],
+    ['ο Leo', 9.6858, 9.8923, 3.52, 0.52],
+    ['φ Vel', 9.9477, -54.5678, 3.52, -0.07],
+    ['β Lyr', 18.8347, 33.3627, 3.52, 0.00],
+    ['ξ2 Sgr', 18.9622, -21.1067, 3.52, 1.15],
+    ['θ Peg', 22.1700, 6.1979, 3.52, 0.09],
+    ['ε Tau', 4.4769, 19.1804, 3.53, 1.01],
+    ['β Cnc', 8.2753, 9.1855, 3.53, 1.48],
+    ['ξ Hya', 11.5500, -31.8576, 3.54, 0.95],
+    ['μ Ser', 15.8270, -3.4302, 3.54, -0.04],
+    ['ξ Ser', 17.6264, -15.3986, 3.54, 0.26],
+    ['υ4 Eri', 4.2982, -33.7983, 3.55, -0.11],
+    ['ζ Lep', 5.7826, -14.8220, 3.55, 0.10],
+    ['ι Lup', 14.3234, -46.0581, 3.55, -0.18],
+    ['χ Dra', 18.3509, 72.7328, 3.55, 0.49],
+    ['δ Pav', 20.1454, -66.1821, 3.55, 0.75],
+    ['ι Cet', 0.3238, -8.8239, 3.56, 1.21],
+    ['φ Eri', 2.2752, -51.5122, 3.56, -0.12],
+    ['δ Crt', 11.3223, -14.7785, 3.56, 1.11],
+    ['μ2 Sco', 16.8723, -38.0175, 3.56, -0.21],
+    ['κ Gem', 7.7408, 24.3980, 3.57, 0.93],
+    ['κ UMa', 9.0604, 47.1565, 3.57, 0.01],
+    ['ρ Boo', 14.5305, 30.3714, 3.57, 1.30],
+    ['φ1 Lup', 15.3634, -36.2614, 3.57, 1.53],
+    ['λ Gem', 7.3015, 16.5404, 3.58, 0.11],
+    ['α2 Cap', 20.3009, -12.5449, 3.58, 0.88],
+    ['51 And', 1.6332, 48.6282, 3.59, 1.27],
+    ['τ Ori', 5.2934, -6.8444, 3.59, -0.12],
+    ['γ Lep', 5.7411, -22.4484, 3.59, 0.48],
+    ['β Vir', 11.8449, 1.7647, 3.59, 0.52],
+    ['ε Cru', 12.3560, -60.4011, 3.59, 1.39],
+    ['θ Cet', 1.4004, -8.1833, 3.60, 1.06],
+    ['θ Gem', 6.8798, 33.9613, 3.60, 0.10],
+    ['ο Vel', 8.6716, -52.9219, 3.60, -0.17],
+    ['ψ Vel', 9.5117, -40.4668, 3.60, 0.37],
+    ['υ Lib', 15.6171, -28.1351, 3.60, 1.36],
+    ['δ Ara', 17.5183, -60.6838, 3.60, -0.10],
+    ['41 Ari', 2.8331, 27.2605, 3.61, -0.10],
+    ['ο Tau', 3.4136, 9.0289, 3.61, 0.89],
+    ['λ Hya', 10.1765, -12.3541, 3.61, 1.01],
+    ['δ Mus', 13.0379, -71.5489, 3.61, 1.19],
+    ['η Pav', 17.7622, -64.7239, 3.61, 1.16],
+    ['η Psc', 1.5247, 15.3458, 3.62, 0.97],
+    ['27 Tau', 3.8194, 24.0534, 3.62, -0.07],
+    ['c Pup', 7.7542, -37.9686, 3.62, 1.71],
+    ['ζ2 Sco', 16.9097, -42.3613, 3.62, 1.39],
+    ['ο And', 23.0320, 42.3260, 3.62, -0.10],
+    ['λ Mus', 11.7601, -66.7288, 3.63, 0.16],
+    ['β Del', 20.6258, 14.5951, 3.64, 0.42],
+    ['γ Tau', 4.3299, 15.6276, 3.65, 0.98],
+    ['23 UMa', 9.5255, 63.0619, 3.65, 0.36],
+    ['β Ser', 15.7698, 15.4218, 3.65, 0.07],
+    ['θ Ara', 18.1105, -50.0915, 3.65, -0.10],
+    ['ζ1 Aqr', 22.4805, -0.0200, 3.65, 0.41],
+    ['β CrB', 15.4638, 29.1057, 3.66, 0.32],
+    ['τ Lib', 15.6443, -29.7778, 3.66, -0.18],
+    ['α Dra', 14.0732, 64.3759, 3.67, -0.05],
+    ['β Ind', 20.9135, -58.4542, 3.67, 1.25],
+    ['π4 Ori', 4.8534, 5.6051, 3.68, -0.16],
+    ['α Pyx', 8.7265, -33.1864, 3.68, -0.18],
+    ['δ Sge', 19.7898, 18.5343, 3.68, 1.31],
+    ['88 Aqr', 23.1574, -21.1724, 3.68, 1.20],
+    ['ζ Cas', 0.6162, 53.8969, 3.69, -0.20],
+    ['χ Eri', 1.9326, -51.6089, 3.69, 0.84],
+    ['ζ Aur', 5.0413, 41.0758, 3.69, 1.15],
+    ['l Car', 9.7541, -62.5079, 3.69, 1.01],
+    ['χ UMa', 11.7675, 47.7794, 3.69, 1.18],
+    ['γ Cap', 21.6682, -16.6623, 3.69, 0.32],
+    ['τ4 Eri', 3.3253, -21.7579, 3.70, 1.61],
+    ['ξ Her', 17.9627, 29.2479, 3.70, 0.94],
+    ['γ Psc', 23.2861, 3.2823, 3.70, 0.92],
+    ['π5 Ori', 4.9042, 2.4407, 3.71, -0.18],
+    ['η Lep', 5.9401, -14.1677, 3.71, 0.34],
+    ['a Pup', 7.8703, -40.5758, 3.71, 1.01],
+    ['ε Ser', 15.8469, 4.4777, 3.71, 0.15],
+    ['72 Oph', 18.1225, 9.5638, 3.71, 0.16],
+    ['β Aql', 19.9219, 6.4068, 3.71, 0.85],
+    ['ε Eri', 3.5488, -9.4583, 3.72, 0.88],
+    ['17 Tau', 3.7479, 24.1133, 3.72, -0.10],
+    ['δ Aur', 5.9921, 54.2847, 3.72, 1.01],
+    ['ξ Cyg', 21.0822, 43.9279, 3.72, 1.61],
+    ['ξ Tau', 3.4528, 9.7327, 3.73, -0.08],
+    ['109 Vir', 14.7708, 1.8929, 3.73, -0.01],
+    ['ξ Dra', 17.8921, 56.8726, 3.73, 1.18],
+    ['ν Oct', 21.6913, -77.3900, 3.73, 1.01],
+    ['λ Aqr', 22.8769, -7.5796, 3.73, 1.63],
+    ['ζ Cet', 1.8577, -10.3350, 3.74, 1.14],
+    ['γ Her', 16.3653, 19.1531, 3.74, 0.30],
+    ['τ Cyg', 21.2465, 38.0453, 3.74, 0.39],
+    ['c Vel', 9.0692, -47.0977, 3.75, 1.17],
+    ['γ Oph', 17.7982, 2.7073, 3.75, 0.04],
+    ['β Dor', 5.5604, -62.4898, 3.76, 0.64],
+    ['δ Lep', 5.8554, -20.8791, 3.76, 0.98],
+    ['β Mon', 6.4803, -7.0331, 3.76, -0.11],
+    ['ο Sgr', 19.0781, -21.7415, 3.76, 1.01],
+    ['ι Cyg', 19.4951, 51.7298, 3.76, 0.15],
+    ['α Lac', 22.5215, 50.2825, 3.76, 0.03],
+    ['η Per', 2.8449, 55.8955, 3.77, 1.69],
+    ['ν Per', 3.7532, 42.5785, 3.77, 0.42],
+    ['δ Tau', 4.3822, 17.5425, 3.77, 0.98],
+    ['σ Ori', 5.6458, -2.6001, 3.77, -0.19],
+    ['β Vol', 8.4289, -66.1369, 3.77, 1.13],
+    ['b Vel', 8.6771, -46.6487, 3.77, 0.67],
+    ['η Ara', 16.8298, -59.0414, 3.77, 1.56],
+    ['α Del', 20.6606, 15.9121, 3.77, -0.06],
+    ['ζ Cap', 21.4445, -22.4113, 3.77, 1.00],
+    ['ι Peg', 22.1169, 25.3451, 3.77, 0.43],
+    ['γ2 Vol', 7.1458, -70.4989, 3.78, 1.01],
+    ['ι Gem', 7.4288, 27.7981, 3.78, 1.02],
+    ['υ UMa', 9.8498, 59.0387, 3.78, 0.29],
+    ['u Car', 10.8916, -58.8532, 3.78, 0.94],
+    ['ζ Boo', 14.6858, 13.7283, 3.78, 0.04],
+    ['ε Aqr', 20.7946, -9.4958, 3.78, 0.00],
+    ['κ Per', 3.1583, 44.8575, 3.79, 0.98],
+    ['46 LMi', 10.8885, 34.2149, 3.79, 1.04],
+    ['ξ UMa', 11.3031, 31.5308, 3.79, 0.61],
+    ['α For', 3.2013, -28.9876, 3.80, 0.54],
+    ['κ1 Pup', 7.6472, -26.8038, 3.80, -0.16],
+    ['δ Ser', 15.5800, 10.5389, 3.80, 0.27],
+    ['κ Cyg', 19.2850, 53.3685, 3.80, 0.95],
+    ['ο1 Cyg', 20.2272, 46.7413, 3.80, 1.27],
+    ['υ2 Eri', 4.5925, -30.5623, 3.81, 0.96],
+    ['s Car', 10.4646, -58.7394, 3.81, 0.32],
+    ['γ CrB', 15.7124, 26.2956, 3.81, 0.02],
+    ['λ And', 23.6261, 46.4582, 3.81, 0.98],
+    ['α Psc', 2.0341, 2.7638, 3.82, 0.02],
+    ['38 Lyn', 9.3141, 36.8026, 3.82, 0.07],
+    ['λ Dra', 11.5234, 69.3311, 3.82, 1.61],
+    ['λ Oph', 16.5152, 1.9839, 3.82, 0.02],
+    ['ι Her', 17.6577, 46.0063, 3.82, -0.18],
+    ['μ Hya', 10.4348, -16.8363, 3.83, 1.46],
+    ['φ Cen', 13.9712, -42.1008, 3.83, -0.22],
+    ['α Aps', 14.7977, -79.0448, 3.83, 1.43],
+    ['β Ret', 3.7367, -64.8069, 3.84, 1.13],
+    ['ο Per', 3.7386, 32.2882, 3.84, 0.02],
+    ['θ1 Tau', 4.4762, 15.9622, 3.84, 0.95],
+    ['c Car', 8.9175, -60.6446, 3.84, -0.10],
+    ['ρ Leo', 10.5469, 9.3066, 3.84, -0.15],
+    ['p Vel', 10.6217, -48.2256, 3.84, 0.30],
+    ['γ Mus', 12.5411, -72.1330, 3.84, -0.16],
+    ['ο Her', 18.1257, 28.7625, 3.84, -0.02],
+    ['μ Sgr', 18.2294, -21.0588, 3.84, 0.20],
+    ['ε Dra', 19.8029, 70.2679, 3.84, 0.89],
+    ['α Hor', 4.2334, -42.2944, 3.85, 1.08],
+    ['β Pic', 5.7881, -51.0665, 3.85, 0.17],
+    ['δ Col', 6.3686, -33.4364, 3.85, 0.86],
+    ['q Vel', 10.2456, -42.1219, 3.85, 0.05],
+    ['κ Dra', 12.5580, 69.7882, 3.85, -0.12],
+    ['τ Cen', 12.6284, -48.5413, 3.85, 0.05],
+    ['γ Ser', 15.9409, 15.6616, 3.85, 0.48],
+    ['109 Her', 18.3950, 21.7698, 3.85, 1.17],
+    ['α Sct', 18.5868, -8.2441, 3.85, 1.32],
+    ['μ And', 0.9459, 38.4993, 3.86, 0.13],
+    ['53 Eri', 4.6363, -14.3040, 3.86, 1.08],
+    ['ε Col', 5.5202, -35.4705, 3.86, 1.13],
+    ['δ TrA', 16.2573, -63.6857, 3.86, 1.10],
+    ['γ Aps', 16.5575, -78.8971, 3.86, 0.92],
+    ['θ Her', 17.9376, 37.2505, 3.86, 1.35],
+    ['γ Aqr', 22.3609, -1.3873, 3.86, -0.06],
+    ['20 Tau', 3.7638, 24.3677, 3.87, -0.06],
+    ['a Vel', 8.7671, -46.0415, 3.87, 0.01],
+    ['υ1 Cen', 13.9780, -44.8036, 3.87, -0.21],
+    ['μ Vir', 14.7177, -5.6582, 3.87, 0.39],
+    ['ρ Sco', 15.9481, -29.2141, 3.87, -0.20],
+    ['η Aql', 19.8745, 1.0057, 3.87, 0.63],
+    ['ε Phe', 0.1568, -45.7474, 3.88, 1.01],
+    ['γ1 Ari', 1.8922, 19.2939, 3.88, -0.05],
+    ['μ Leo', 9.8794, 26.0070, 3.88, 1.22],
+    ['κ1 Lup', 15.1989, -48.7378, 3.88, -0.03],
+    ['ι Gru', 23.1726, -45.2467, 3.88, 1.00],
+    ['η Eri', 2.9405, -8.8981, 3.89, 1.09],
+    ['ο1 CMa', 6.9022, -24.1842, 3.89, 1.74],
+    ['θ Hya', 9.2394, 2.3143, 3.89, -0.06],
+    ['η Vir', 12.3318, -0.6668, 3.89, 0.03],
+    ['η Cyg', 19.9384, 35.0834, 3.89, 1.02],
+    ['ι Hya', 9.6643, -1.1428, 3.90, 1.31],
+    ['π Cen', 11.3501, -54.4910, 3.90, -0.16],
+    ['d Cen', 13.5174, -39.4073, 3.90, 1.19],
+    ['ν Tau', 4.0526, 5.9893, 3.91, 0.03],
+    ['C Hya', 8.4277, -3.9064, 3.91, -0.01],
+    ['σ Cen', 12.4673, -50.2306, 3.91, -0.19],
+    ['π Lup', 15.0853, -47.0512, 3.91, -0.14],
+    ['γ Lib', 15.5921, -14.7895, 3.91, 1.01],
+    ['τ Her', 16.3290, 46.3134, 3.91, -0.15],
+    ['ε Her', 17.0048, 30.9264, 3.92, -0.02],
+    ['ρ1 Sgr', 19.3612, -17.8472, 3.92, 0.23],
+    ['α Equ', 21.2637, 5.2478, 3.92, 0.55],
+    ['κ Phe', 0.4367, -43.6798, 3.93, 0.17],
+    ['δ Phe', 1.5209, -49.0727, 3.93, 0.97],
+    ['τ Per', 2.9043, 52.7625, 3.93, 0.76],
+    ['ν Eri', 4.6053, -3.3525, 3.93, -0.21],
+    ['ζ Vol', 7.6970, -72.6061, 3.93, 1.03],
+    ['x Car', 11.1432, -58.9750, 3.93, 1.23],
+    ['ω1 Sco', 16.1135, -20.6692, 3.93, -0.05],
+    ['67 Oph', 18.0108, 2.9316, 3.93, 0.03],
+    ['ζ Phe', 1.1397, -55.2458, 3.94, -0.12],
+    ['α Mon', 7.6875, -9.5511, 3.94, 1.02],
+    ['3 Pup', 7.7301, -28.9548, 3.94, 0.16],
+    ['δ Cnc', 8.7447, 18.1543, 3.94, 1.08],
+    ['ν Cyg', 20.9529, 41.1671, 3.94, 0.03],
+    ['50 Cas', 2.0573, 72.4213, 3.95, 0.00],
+    ['ν2 CMa', 6.6114, -19.2559, 3.95, 1.04],
+    ['48 Per', 4.1444, 47.7125, 3.96, -0.03],
+    ['η Col', 5.9858, -42.8151, 3.96, 1.15],
+    ['10 UMa', 9.0107, 41.7829, 3.96, 0.46],
+    ['i Car', 9.1880, -62.3170, 3.96, -0.18],
+    ['β1 Sgr', 19.3773, -44.4590, 3.96, -0.09],
+    ['α Sgr', 19.3981, -40.6159, 3.96, -0.10],
+    ['ο2 Cyg', 20.2579, 47.7142, 3.96, 1.45],
+    ['98 Aqr', 23.3828, -20.1006, 3.96, 1.08],
+    ['43 Eri', 4.4006, -34.0168, 3.97, 1.47],
+    ['ν Aur', 5.8582, 39.1485, 3.97, 1.13],
+    ['δ Vol', 7.2805, -67.9572, 3.97, 0.76],
+    ['β Pyx', 8.6684, -35.3084, 3.97, 0.94],
+    ['ρ Cen', 12.1942, -52.3685, 3.97, -0.16],
+    ['χ Lup', 15.8493, -33.6272, 3.97, -0.04],
+    ['ε Pav', 20.0099, -72.9105, 3.97, -0.03],
+    ['δ1 Gru', 22.4878, -43.4956, 3.97, 1.02],
+    ['λ Peg', 22.7755, 23.5657, 3.97, 1.07],
+    ['ξ Per', 3.9828, 35.7910, 3.98, 0.02],
+    ['ρ Cyg', 21.5663, 45.5918, 3.98, 0.89],
+    ['υ Cet', 2.0001, -21.0778, 3.99, 1.55],
+    ['γ Mon', 6.2476, -6.2748, 3.99, 1.32],
+    ['I Car', 10.4066, -74.0316, 3.99, 0.37],
+    ['80 UMa', 13.4204, 54.9880, 3.99, 0.17],
+    ['γ Tuc', 23.2905, -58.2357, 3.99, 0.41],
+    ['α Vol', 9.0408, -66.3961, 4.00, 0.14],
+    ['ι Leo', 11.3987, 10.5295, 4.00, 0.42],
+    ['ν Sco', 16.1999, -19.4607, 4.00, 0.08],
+    ['φ Per', 1.7277, 50.6887, 4.01, -0.10],
+    ['μ Eri', 4.7584, -3.2547, 4.01, -0.15],
+    ['ζ Gem', 7.0685, 20.5703, 4.01, 0.90],
+    ['ω CMa', 7.2468, -26.7727, 4.01, -0.15],
+    ['b Cen', 14.6993, -37.7935, 4.01, -0.16],
+    ['θ Dra', 16.0315, 58.5653, 4.01, 0.53],
+    ['γ2 Nor', 16.3307, -50.1555, 4.01, 1.08],
+    ['ζ Pav', 18.7173, -71.4281, 4.01, 1.13],
+    ['41 Cyg', 20.4899, 30.3686, 4.01, 0.40],
+    ['γ Pyx', 8.8422, -27.7098, 4.02, 1.27],
+    ['α Crv', 12.1402, -24.7289, 4.02, 0.33],
+    ['ε Aql', 18.9937, 15.0683, 4.02, 1.08],
+    ['12 Aql', 19.0280, -5.7391, 4.02, 1.08],
+    ['γ Tri', 2.2886, 33.8472, 4.03, 0.02],
+    ['β Cam', 5.0570, 60.4422, 4.03, 0.92],
+    ['ι Cnc', 8.7783, 28.7599, 4.03, 1.01],
+    ['μ1 Cru', 12.9099, -57.1779, 4.03, -0.18],
+    ['70 Oph', 18.0909, 2.5001, 4.03, 0.86],
+    ['ε Del', 20.5535, 11.3033, 4.03, -0.12],
+    ['ω Psc', 23.9885, 6.8633, 4.03, 0.42],
+    ['ο1 Eri', 4.1978, -6.8376, 4.04, 0.33],
+    ['ν Vir', 11.7643, 6.5294, 4.04, 1.50],
+    ['θ Boo', 14.4199, 51.8507, 4.04, 0.50],
+    ['η Aqr', 22.5893, -0.1175, 4.04, -0.08],
+    ['ι Per', 3.1511, 49.6133, 4.05, 0.59],
+    ['α Cha', 8.3088, -76.9197, 4.05, 0.41],
+    ['d Vel', 8.7400, -42.6493, 4.05, 0.87],
+    ['σ Leo', 11.3523, 6.0293, 4.05, -0.06],
+    ['υ Boo', 13.8246, 15.7979, 4.05, 1.52],
+    ['ψ Cen', 14.3426, -37.8853, 4.05, -0.03],
+    ['ρ Lup', 14.6315, -49.4258, 4.05, -0.15],
+    ['τ2 Aqr', 22.8265, -13.5926, 4.05, 1.57],
+    ['ο2 Ori', 4.9395, 13.5145, 4.06, 1.16],
+    ['υ Gem', 7.5987, 26.8957, 4.06, 1.54],
+    ['γ Crt', 11.4147, -17.6840, 4.06, 0.22],
+    ['ε Mus', 12.2929, -67.9607, 4.06, 1.60],
+    ['ζ Cru', 12.3073, -64.0031, 4.06, -0.17],
+    ['c1 Cen', 14.7276, -35.1737, 4.06, 1.36],
+    ['ε1 Ara', 16.9931, -53.1604, 4.06, 1.45],
+    ['ι Vir', 14.2669, -6.0005, 4.07, 0.51],
+    ['λ Lup', 15.1474, -45.2799, 4.07, -0.16],
+    ['β Cir', 15.2919, -58.8012, 4.07, 0.09],
+    ['δ Cep', 22.4862, 58.4152, 4.07, 0.78],
+    ['ζ And', 0.7890, 24.2672, 4.08, 1.10],
+    ['δ Hyi', 2.3625, -68.6594, 4.08, 0.03],
+    ['δ Cet', 2.6580, 0.3285, 4.08, -0.21],
+    ['τ3 Eri', 3.0399, -23.6245, 4.08, 0.16],
+    ['θ CMa', 6.9032, -12.0386, 4.08, 1.42],
+    ['h Car', 9.5741, -59.2298, 4.08, -0.01],
+    ['α Crt', 10.9962, -18.2988, 4.08, 1.08],
+    ['13 Lyr', 18.9223, 43.9461, 4.08, 1.40],
+    ['θ Cap', 21.0991, -17.2329, 4.08, -0.01],
+    ['1 Peg', 21.3681, 19.8045, 4.08, 1.11],
+    ['φ2 Ori', 5.6151, 9.2907, 4.09, 0.95],
+    ['κ Ser', 15.8123, 18.1416, 4.09, 1.62],
+    ['υ And', 1.6133, 41.4055, 4.10, 0.54],
+    ['θ Per', 2.7367, 49.2284, 4.10, 0.51],
+    ['P Pup', 7.8206, -46.3732, 4.10, -0.16],
+    ['ζ Tel', 18.4805, -49.0706, 4.10, 0.99],
+    ['β CrA', 19.1672, -39.3408, 4.10, 1.16],
+    ['ι Eri', 2.6778, -39.8554, 4.11, 1.01],
+    ['γ CMa', 7.0626, -15.6333, 4.11, -0.11],
+    ['e Vel', 8.6274, -42.9891, 4.11, 0.11],
+    ['υ1 Hya', 9.8580, -14.8466, 4.11, 0.92],
+    ['γ Cha', 10.5911, -78.6078, 4.11, 1.58],
+    ['HIP 57439', 11.7752, -61.1784, 4.11, 0.90],
+    ['ε TrA', 15.6120, -66.3170, 4.11, 1.16],
+    ['α CrA', 19.1579, -37.9045, 4.11, 0.04],
+    ['ζ Gru', 23.0147, -52.7541, 4.11, 0.96],
+    ['ε Hyi', 2.6598, -68.2669, 4.12, -0.06],
+    ['μ Per', 4.2483, 48.4093, 4.12, 0.94],
+    ['μ Ori', 6.0397, 9.6473, 4.12, 0.17],
+    ['ο Vir', 12.0868, 8.7330, 4.12, 0.97],
+    ['ι Sgr', 19.9210, -41.8683, 4.12, 1.06],
+    ['ω Cap', 20.8637, -26.9191, 4.12, 1.63],
+    ['δ2 Gru', 22.4960, -43.7492, 4.12, 1.57],
+    ['29 Ori', 5.3991, -7.8081, 4.13, 0.94],
+    ['ν Gem', 6.4827, 20.2121, 4.13, -0.12],
+    ['θ Lib', 15.8971, -16.7293, 4.13, 1.00],
+    ['ψ Cap', 20.7683, -25.2709, 4.13, 0.43],
+    ['β Oct', 22.7676, -81.3816, 4.13, 0.21],
+    ['ι Psc', 23.6658, 5.6263, 4.13, 0.51],
+    ['5 Tau', 3.5145, 12.9367, 4.14, 1.11],
+    ['23 Tau', 3.7721, 23.9484, 4.14, -0.05],
+    ['δ Hya', 8.6276, 5.7038, 4.14, 0.00],
+    ['η Cru', 12.1147, -64.6137, 4.14, 0.35],
+    ['θ CrB', 15.5488, 31.3591, 4.14, -0.13],
+    ['ε CrB', 15.9598, 26.8779, 4.14, 1.23],
+    ['κ Peg', 21.7441, 25.6450, 4.14, 0.42],
+    ['1 Lac', 22.2662, 37.7487, 4.14, 1.45],
+    ['δ Mon', 7.1977, -0.4928, 4.15, -0.01],
+    ['ρ Her', 17.3947, 37.1459, 4.15, -0.01],
+    ['κ And', 23.6735, 44.3339, 4.15, -0.07],
+    ['1 Gem', 6.0687, 23.2633, 4.16, 0.83],
+    ['ρ Gem', 7.4852, 31.7846, 4.16, 0.32],
+    ['HIP 78727', 16.0727, -11.3736, 4.16, 0.46],
+    ['44 Oph', 17.4395, -24.1753, 4.16, 0.28],
+    ['κ Cas', 0.5500, 62.9318, 4.17, 0.13],
+    ['g Eri', 3.8242, -36.2003, 4.17, 0.93],
+    ['θ Aqr', 22.2806, -7.7833, 4.17, 0.98],
+    ['κ Vir', 14.2149, -10.2737, 4.18, 1.32],
+    ['λ Boo', 14.2731, 46.0883, 4.18, 0.09],
+    ['H Sco', 16.6062, -35.2553, 4.18, 1.53],
+    ['ε Cep', 22.2506, 57.0436, 4.18, 0.28],
+    ['ε PsA', 22.6776, -27.0436, 4.18, -0.10],
+    ['2 Cen', 13.8241, -34.4508, 4.19, 1.52],
+    ['110 Her', 18.7610, 20.5463, 4.19, 0.48],
+    ['32 Ori', 5.5131, 5.9481, 4.20, -0.14],
+    ['11 Pup', 7.9476, -22.8801, 4.20, 0.72],
+    ['β LMi', 10.4647, 36.7072, 4.20, 0.91],
+    ['σ Her', 16.5684, 42.4370, 4.20, -0.01],
+    ['ξ Peg', 22.7782, 12.1729, 4.20, 0.50],
+    ['δ PsA', 22.9325, -32.5396, 4.20, 0.95],
+    ['HIP 16228', 3.4845, 59.9403, 4.21, 0.42],
+    ['κ Tau', 4.4228, 22.2939, 4.21, 0.14],
+    ['ε UMi', 16.7662, 82.0373, 4.21, 0.90],
+    ['θ Cep', 20.4930, 62.9941, 4.21, 0.20],
+    ['γ Pav', 21.4407, -65.3662, 4.21, 0.49],
+    ['16 Per', 2.8431, 38.3186, 4.22, 0.34],
+    ['τ6 Eri', 3.7808, -23.2497, 4.22, 0.43],
+    ['J Pup', 7.8884, -48.1029, 4.22, -0.13],
+    ['θ Lup', 16.1099, -36.8023, 4.22, -0.18],
+    ['χ Oph', 16.4504, -18.4563, 4.22, 0.22],
+    ['φ Dra', 18.3460, 71.3378, 4.22, -0.09],
+    ['β Sct', 18.7862, -4.7479, 4.22, 1.09],
+    ['λ Pav', 18.8703, -62.1876, 4.22, -0.15],
+    ['δ2 Lyr', 18.9084, 36.8986, 4.22, 1.57],
+    ['52 Cyg', 20.7610, 30.7197, 4.22, 1.05],
+    ['σ Cyg', 21.2903, 39.3947, 4.22, 0.10],
+    ['φ Aqr', 23.2387, -6.0490, 4.22, 1.54],
+    ['ζ Tuc', 0.3345, -64.8748, 4.23, 0.58],
+    ['σ Gem', 7.7219, 28.8835, 4.23, 1.12],
+    ['β Com', 13.1979, 27.8782, 4.23, 0.57],
+    ['1 Cen', 13.7615, -33.0437, 4.23, 0.39],
+    ['τ Vir', 14.0274, 1.5445, 4.23, 0.12],
+    ['φ Her', 16.1462, 44.9349, 4.23, -0.04],
+    ['β Aps', 16.7180, -77.5174, 4.23, 1.06],
+    ['γ CrA', 19.1070, -37.0634, 4.23, 0.52],
+    ['μ Cep', 21.7251, 58.7800, 4.23, 2.24],
+    ['π2 Cyg', 21.7799, 49.3096, 4.23, -0.12],
+    ['2 UMi', 1.1458, 86.2571, 4.24, 1.21],
+    ['κ Eri', 2.4498, -47.7038, 4.24, -0.14],
+    ['π Cet', 2.7354, -13.8587, 4.24, -0.12],
+    ['β Cha', 12.3058, -79.3122, 4.24, -0.12],
+    ['β CVn', 12.5624, 41.3575, 4.24, 0.59],
+    ['N Sco', 16.5230, -34.7044, 4.24, -0.17],
+    ['ο Ser', 17.6902, -12.8753, 4.24, 0.09],
+    ['ψ1 Aqr', 23.2649, -9.0877, 4.24, 1.11],
+    ['κ Tuc', 1.2628, -68.8759, 4.25, 0.48],
+    ['λ Per', 4.1097, 50.3513, 4.25, -0.01],
+    ['88 Tau', 4.5942, 10.1608, 4.25, 0.18],
+    ['58 Per', 4.6115, 41.2648, 4.25, 1.17],
+    ['λ Eri', 5.1524, -8.7541, 4.25, -0.19],
+    ['31 Lyn', 8.3806, 43.1881, 4.25, 1.55],
+    ['n Cen', 12.8906, -40.1789, 4.25, 0.22],
+    ['5 UMi', 14.4588, 75.6960, 4.25, 1.43],
+    ['ν Cep', 21.7575, 61.1208, 4.25, 0.47],
+    ['φ And', 1.1584, 47.2418, 4.26, 0.01],
+    ['ο Psc', 1.7566, 9.1577, 4.26, 0.94],
+    ['82 Eri', 3.3321, -43.0698, 4.26, 0.71],
+    ['τ5 Eri', 3.5631, -21.6329, 4.26, -0.11],
+    ['γ Dor', 4.2671, -51.4866, 4.26, 0.31],
+    ['α Cam', 4.9008, 66.3427, 4.26, -0.01],
+    ['α Cnc', 8.9748, 11.8577, 4.26, 0.14],
+    ['Q Sco', 17.6091, -38.6353, 4.26, 1.07],
+    ['95 Her', 18.0251, 21.5958, 4.26, 0.41],
+    ['ξ Cep', 22.0632, 64.6280, 4.26, 0.38],
+    ['ε Psc', 1.0491, 7.8901, 4.27, 0.95],
+    ['μ Cet', 2.7490, 10.1141, 4.27, 0.31],
+    ['μ Tau', 4.2589, 8.8924, 4.27, -0.05],
+    ['90 Tau', 4.6360, 12.5108, 4.27, 0.12],
+    ['τ Tau', 4.7041, 22.9569, 4.27, -0.11],
+    ['ξ2 Cen', 13.1152, -49.9062, 4.27, -0.18],
+    ['μ Lup', 15.3089, -47.8753, 4.27, -0.09],
+    ['β2 Sgr', 19.3870, -44.7998, 4.27, 0.35],
+    ['γ2 Del', 20.7776, 16.1243, 4.27, 1.04],
+    ['θ Psc', 23.4661, 6.3790, 4.27, 1.06],
+    ['υ Tau', 4.4385, 22.8136, 4.28, 0.26],
+    ['HIP 47193', 9.6181, 81.3264, 4.28, 1.49],
+    ['α Ant', 10.4525, -31.0678, 4.28, 1.43],
+    ['45 Oph', 17.4559, -29.8670, 4.28, 0.40],
+    ['33 Cyg', 20.2233, 56.5677, 4.28, 0.11],
+    ['ι Cap', 21.3708, -16.8345, 4.28, 0.89],
+    ['π Peg', 22.1665, 33.1782, 4.28, 0.47],
+    ['θ Gru', 23.1146, -43.5204, 4.28, 0.42],
+    ['10 Tau', 3.6146, 0.4017, 4.29, 0.57],
+    ['λ Lep', 5.3263, -13.1768, 4.29, -0.23],
+    ['x Vel', 10.6551, -55.6033, 4.29, 1.02],
+    ['β Hya', 11.8818, -33.9081, 4.29, -0.10],
+    ['ζ UMi', 15.7343, 77.7945, 4.29, 0.04],
+    ['φ Oph', 16.5190, -16.6127, 4.29, 0.92],
+    ['ι Aqr', 22.1073, -13.8697, 4.29, -0.07],
+    ['β PsA', 22.5251, -32.3461, 4.29, 0.01],
+    ['ι And', 23.6356, 43.2681, 4.29, -0.08],
+    ['α Scl', 0.9768, -29.3574, 4.30, -0.15],
+    ['ξ2 Cet', 2.4693, 8.4601, 4.30, -0.05],
+    ['19 Tau', 3.7535, 24.4673, 4.30, -0.11],
+    ['f Eri', 3.8100, -37.6202, 4.30, -0.04],
+    ['68 Tau', 4.4248, 17.9279, 4.30, 0.05],
+    ['π Aur', 5.9989, 45.9367, 4.30, 1.70],
+    ['η Hya', 8.7204, 3.3987, 4.30, -0.19],
+    ['54 Leo', 10.9269, 24.7497, 4.30, 0.02],
+    ['υ Leo', 11.6158, -0.8237, 4.30, 0.98],
+    ['j Cen', 11.8281, -63.7885, 4.30, -0.15],
+    ['η Crv', 12.5345, -16.1960, 4.30, 0.39],
+    ['v Cen', 14.3388, -56.3865, 4.30, 0.08],
+    ['α1 Cap', 20.2941, -12.5082, 4.30, 0.93],
+    ['d Car', 8.6770, -59.7610, 4.31, -0.12],
+    ['δ Oct', 14.4487, -83.6679, 4.31, 1.30],
+    ['μ1 Boo', 15.4082, 37.3772, 4.31, 0.31],
+    ['ω2 Sco', 16.1234, -20.8688, 4.31, 0.83],
+    ['71 Aql', 20.6390, -1.1051, 4.31, 0.95],
+    ['ψ Per', 3.6082, 48.1926, 4.32, -0.06],
+    ['54 Eri', 4.6740, -19.6715, 4.32, 1.60],
+    ['119 Tau', 5.5369, 18.5942, 4.32, 2.06],
+    ['κ Aur', 6.2563, 29.4981, 4.32, 1.02],
+    ['12 Hya', 8.7729, -13.5477, 4.32, 0.90],
+    ['λ Leo', 9.5287, 22.9680, 4.32, 1.54],
+    ['θ1 Cru', 12.0504, -63.3129, 4.32, 0.28],
+    ['α Com', 13.1665, 17.5294, 4.32, 0.46],
+    ['3 Cen', 13.8638, -32.9941, 4.32, -0.15],
+    ['ο Lup', 14.8606, -43.5754, 4.32, -0.15],
+    ['ν Ser', 17.3471, -12.8469, 4.32, 0.04],
+    ['γ CMi', 7.4694, 8.9255, 4.33, 1.43],
+    ['e Cen', 12.8853, -48.9433, 4.33, 1.34],
+    ['τ2 Lup', 14.4363, -45.3793, 4.33, 0.43],
+    ['36 Oph', 17.2558, -26.6028, 4.33, 0.85],
+    ['π Pav', 18.1430, -63.6686, 4.33, 0.23],
+    ['κ Lyr', 18.3310, 36.0645, 4.33, 1.16],
+    ['π And', 0.6147, 33.7193, 4.34, -0.12],
+    ['ε And', 0.6426, 29.3118, 4.34, 0.87],
+    ['θ Cas', 1.1850, 55.1499, 4.34, 0.17],
+    ['δ Dor', 5.7462, -65.7355, 4.34, 0.22],
+    ['ξ1 CMa', 6.5309, -23.4184, 4.34, -0.24],
+    ['θ Cha', 8.3440, -77.4845, 4.34, 1.16],
+    ['g Car', 9.2700, -57.5415, 4.34, 1.60],
+    ['M Vel', 9.6138, -49.3550, 4.34, 0.17],
+    ['υ2 Cen', 14.0287, -45.6034, 4.34, 0.60],
+    ['ω Lup', 15.6342, -42.5673, 4.34, 1.41],
+    ['σ Oph', 17.4419, 4.1404, 4.34, 1.48],
+    ['ζ1 Lyr', 18.7462, 37.6051, 4.34, 0.19],
+    ['111 Her', 18.7837, 18.1815, 4.34, 0.15],
+    ['9 Peg', 21.7419, 17.3500, 4.34, 1.16],
+    ['5 Lac', 22.4922, 47.7069, 4.34, 1.68],
+    ['δ Ari', 3.1938, 19.7267, 4.35, 1.03],
+    ['π2 Ori', 4.8435, 8.9002, 4.35, 0.01],
+    ['N Car', 6.5829, -52.9756, 4.35, -0.02],
+    ['15 Lyn', 6.9546, 58.4228, 4.35, 0.85],
+    ['ε Vol', 8.1322, -68.6171, 4.35, -0.11],
+    ['ρ Hya', 8.8072, 5.8378, 4.35, -0.04],
+    ['γ Com', 12.4490, 28.2684, 4.35, 1.13],
+    ['2 Lup', 15.2972, -30.1487, 4.35, 1.10],
+    ['δ UMi', 17.5369, 86.5865, 4.35, 0.02],
+    ['ξ Pav', 18.3871, -61.4939, 4.35, 1.46],
+    ['θ Lyr', 19.2728, 38.1337, 4.35, 1.26],
+    ['ι PsA', 21.7491, -33.0258, 4.35, -0.05],
+    ['β1 Tuc', 0.5257, -62.9582, 4.36, -0.06],
+    ['η Phe', 0.7226, -57.4631, 4.36, 0.02],
+    ['ξ1 Cet', 2.2167, 8.8467, 4.36, 0.88],
+    ['σ Per', 3.5096, 47.9952, 4.36, 1.37],
+    ['37 Tau', 4.0783, 22.0819, 4.36, 1.06],
+    ['ω Eri', 4.8816, -5.4527, 4.36, 0.26],
+    ['κ Lep', 5.2205, -12.9413, 4.36, -0.09],
+    ['γ Col', 5.9589, -35.2833, 4.36, -0.17],
+    ['ι CMa', 6.9356, -17.0542, 4.36, -0.06],
+    ['ζ Mon', 8.1432, -2.9838, 4.36, 0.97],
+    ['χ Cen', 14.1008, -41.1796, 4.36, -0.20],
+    ['ι Aql', 19.6120, -1.2866, 4.36, -0.08],
+    ['30 Psc', 0.0327, -6.0141, 4.37, 1.63],
+    ['κ Col', 6.2759, -35.1405, 4.37, 0.98],
+    ['τ CMa', 7.3118, -24.9544, 4.37, -0.13],
+    ['i Vel', 11.0026, -42.2259, 4.37, 0.12],
+    ['102 Her', 18.1460, 20.8146, 4.37, -0.16],
+    ['θ1 Sgr', 19.9956, -35.2763, 4.37, -0.15],
+    ['θ Vir', 13.1658, -5.5390, 4.38, -0.01],
+    ['κ Cep', 20.1482, 77.7114, 4.38, -0.05],
+    ['99 Aqr', 23.4341, -20.6420, 4.38, 1.46],
+    ['β Scl', 23.5495, -37.8183, 4.38, -0.10],
+    ['ψ Phe', 1.8941, -46.3027, 4.39, 1.60],
+    ['HIP 17884', 3.8254, 65.5260, 4.39, 1.87],
+    ['φ1 Ori', 5.5803, 9.4896, 4.39, -0.16],
+    ['χ1 Ori', 5.9064, 20.2762, 4.39, 0.59],
+    ['ε Mon', 6.3961, 4.5929, 4.39, 0.21],
+    ['G CMi', 8.0378, 2.3346, 4.39, 1.25],
+    ['31 Leo', 10.1317, 9.9975, 4.39, 1.45],
+    ['110 Vir', 15.0483, 2.0913, 4.39, 1.03],
+    ['ι Oph', 16.9001, 10.1654, 4.39, -0.09],
+    ['ξ Oph', 17.3501, -21.1129, 4.39, 0.39],
+    ['α Sge', 19.6683, 18.0139, 4.39, 0.78],
+    ['β Sge', 19.6841, 17.4760, 4.39, 1.04],
+    ['θ Ind', 21.3311, -53.4494, 4.39, 0.19],
+    ['η And', 0.9534, 23.4176, 4.40, 0.94],
+    ['ο Pup', 7.8014, -25.9372, 4.40, -0.07],
+    ['16 Pup', 8.1505, -19.2450, 4.40, -0.16],
+    ['κ Pav', 18.9492, -67.2335, 4.40, 0.53],
+    ['δ Ind', 21.9653, -54.9926, 4.40, 0.30],
+    ['A Car', 6.8309, -53.6224, 4.41, 0.90],
+    ['τ Gem', 7.1857, 30.2452, 4.41, 1.26],
+    ['a Cen', 14.3840, -39.5118, 4.41, -0.18],
+    ['λ Her', 17.5123, 26.1106, 4.41, 1.43],
+    ['ν Her', 17.9750, 30.1893, 4.41, 0.38],
+    ['υ Cyg', 21.2986, 34.8969, 4.41, -0.10],
+    ['π Cep', 23.1316, 75.3875, 4.41, 0.80],
+    ['ψ2 Aqr', 23.2984, -9.1825, 4.41, -0.14],
+    ['γ Scl', 23.3137, -32.5320, 4.41, 1.11],
+    ['ν Ori', 6.1262, 14.7685, 4.42, -0.16],
+    ['ν3 CMa', 6.6315, -18.2375, 4.42, 1.14],
+    ['L2 Pup', 7.2256, -44.6397, 4.42, 1.33],
+    ['27 CMa', 7.2376, -26.3525, 4.42, -0.17],
+    ['h2 Pup', 8.2341, -40.3479, 4.42, 1.17],
+    ['60 Leo', 11.0388, 20.1798, 4.42, 0.05],
+    ['58 Hya', 14.8381, -27.9604, 4.42, 1.37],
+    ['λ Ser', 15.7741, 7.3531, 4.42, 0.60],
+    ['68 Oph', 18.0292, 1.3051, 4.42, 0.05],
+    ['β Lac', 22.3927, 52.2290, 4.42, 1.01],
+    ['υ Peg', 23.4230, 23.4041, 4.42, 0.62],
+    ['π Eri', 3.7690, -12.1016, 4.43, 1.60],
+    ['ο2 Eri', 4.2545, -7.6529, 4.43, 0.82],
+    ['7 Cam', 4.9548, 53.7521, 4.43, -0.02],
+    ['η Lyr', 19.2293, 39.1460, 4.43, -0.15],
+    ['62 Sgr', 20.0443, -27.7098, 4.43, 1.64],
+    ['39 Cyg', 20.3977, 32.1902, 4.43, 1.33],
+    ['δ Del', 20.7243, 15.0746, 4.43, 0.30],
+    ['3 Aqr', 20.7956, -5.0277, 4.43, 1.64],
+    ['7 Cet', 0.2440, -18.9329, 4.44, 1.64],
+    ['δ Psc', 0.8114, 7.5851, 4.44, 1.50],
+    ['ε Ret', 4.2747, -59.3022, 4.44, 1.08],
+    ['α Cae', 4.6760, -41.8638, 4.44, 0.34],
+    ['2 Lyn', 6.3271, 59.0110, 4.44, 0.03],
+    ['HIP 36795', 7.5676, -22.2961, 4.44, 0.52],
+    ['h1 Pup', 8.1893, -39.6185, 4.44, 1.59],
+    ['q Pup', 8.3093, -36.6593, 4.44, 0.22],
+    ['σ Lup', 14.5436, -50.4572, 4.44, -0.18],
+    ['α Vul', 19.4784, 24.6649, 4.44, 1.50],
+    ['ν Psc', 1.6905, 5.4876, 4.45, 1.35],
+    ['β For', 2.8182, -32.4059, 4.45, 0.98],
+    ['ι Lep', 5.2050, -11.8692, 4.45, -0.10],
+    ['ξ Ori', 6.1990, 14.2088, 4.45, -0.18],
+    ['σ Hya', 8.6460, 3.3414, 4.45, 1.22],
+    ['w Vel', 9.0015, -41.2536, 4.45, 0.65],
+    ['r Car', 10.5931, -57.5576, 4.45, 1.60],
+    ['δ2 Cha', 10.7631, -80.5402, 4.45, -0.19],
+    ['φ Leo', 11.2777, -3.6516, 4.45, 0.21],
+    ['ω Oph', 16.5356, -21.4664, 4.45, 0.13],
+    ['τ Dra', 19.2592, 73.3555, 4.45, 1.26],
+    ['μ Aql', 19.5682, 7.3789, 4.45, 1.18],
+    ['ι Cas', 2.4844, 67.4025, 4.46, 0.15],
+    ['32 Eri', 3.9049, -2.9547, 4.46, 0.67],
+    ['ρ Ori', 5.2215, 2.8613, 4.46, 1.17],
+    ['15 UMa', 9.1478, 51.6046, 4.46, 0.29],
+    ['β Crt', 11.1943, -22.8258, 4.46, 0.03],
+    ['HIP 59173', 12.1348, -50.6613, 4.46, -0.16],
+    ['ε Nor', 16.4531, -47.5548, 4.46, -0.07],
+    ['γ PsA', 22.8754, -32.8755, 4.46, -0.04],
+    ['τ1 Eri', 2.7517, -18.5726, 4.47, 0.48],
+    ['HIP 15549', 3.3390, 29.0485, 4.47, 1.55],
+    ['π6 Ori', 4.9758, 1.7140, 4.47, 1.37],
+    ['λ CMa', 6.4695, -32.5801, 4.47, -0.17],
+    ['13 Mon', 6.5484, 7.3330, 4.47, 0.02],
+    ['HIP 38957', 7.9707, -49.2449, 4.47, -0.18],
+    ['G Car', 9.0858, -72.6027, 4.47, 0.61],
+    ['κ Leo', 9.4109, 26.1823, 4.47, 1.22],
+    ['26 UMa', 9.5804, 52.0515, 4.47, 0.03],
+    ['B Cen', 11.8524, -45.1735, 4.47, 1.28],
+    ['σ Boo', 14.5780, 29.7451, 4.47, 0.36],
+    ['16 Lib', 14.9531, -4.3465, 4.47, 0.32],
+    ['δ Equ', 21.2413, 10.0070, 4.47, 0.53],
+    ['λ Gru', 22.1019, -39.5434, 4.47, 1.35],
+    ['ο Cas', 0.7454, 48.2844, 4.48, -0.07],
+    ['γ Ret', 4.0149, -62.1593, 4.48, 1.50],
+    ['71 Tau', 4.4391, 15.6183, 4.48, 0.26],
+    ['18 Mon', 6.7977, 2.4122, 4.48, 1.10],
+    ['α Sex', 10.1323, -0.3716, 4.48, -0.03],
+    ['γ Cir', 15.3896, -59.3208, 4.48, 0.17],
+    ['ψ Oph', 16.4017, -20.0373, 4.48, 1.00],
+    ['β Psc', 23.0646, 3.8200, 4.48, -0.12],
+    ['86 Aqr', 23.1113, -23.7431, 4.48, 0.89],
+    ['48 Cas', 2.0326, 70.9070, 4.49, 0.16],
+    ['υ1 Eri', 4.5585, -29.7665, 4.49, 0.97],
+    ['30 Gem', 6.7331, 13.2280, 4.49, 1.17],
+    ['I Pup', 7.2093, -46.7593, 4.49, 0.32],
+    ['b Pup', 7.8774, -38.8628, 4.49, -0.19],
+    ['21 LMi', 10.1238, 35.2447, 4.49, 0.19],
+    ['π1 Boo', 14.6788, 16.4183, 4.49, 0.00],
+    ['θ Cyg', 19.6074, 50.2211, 4.49, 0.40],
+    ['24 Cap', 21.1188, -25.0059, 4.49, 1.60],
+    ['μ1 Cyg', 21.7357, 28.7426, 4.49, 0.51],
+    ['λ Psc', 23.7008, 1.7800, 4.49, 0.20],
+    ['ω2 Aqr', 23.7120, -14.5449, 4.49, -0.03],
+    ['ε Tuc', 23.9986, -65.5771, 4.49, -0.07],
+    ['ω Ori', 5.6531, 4.1215, 4.50, -0.10],
+    ['γ Pic', 5.8305, -56.1667, 4.50, 1.07],
+    ['f Car', 8.7785, -56.7698, 4.50, -0.17],
+    ['J Vel', 10.3486, -56.0432, 4.50, -0.10],
+    ['93 Leo', 11.7998, 20.2189, 4.50, 0.55],
+    ['τ Boo', 13.7877, 17.4569, 4.50, 0.51],
+    ['23 Vul', 20.2628, 27.8142, 4.50, 1.26],
+    ['ν Aqr', 21.1599, -11.3717, 4.50, 0.93],
+    ['36 Cap', 21.4787, -21.8072, 4.50, 0.89],
+    ['μ PsA', 22.1397, -32.9885, 4.50, 0.05],
+    ['HIP 109754', 22.2313, 39.7149, 4.50, 1.39],
+    ['11 Lac', 22.6752, 44.2763, 4.50, 1.32],
+    ['σ And', 0.3055, 36.7852, 4.51, 0.05],
+    ['τ Psc', 1.1943, 30.0896, 4.51, 1.09],
+    ['τ Aur', 5.8196, 39.1811, 4.51, 0.95],
+    ['ε Ant', 9.4874, -35.9513, 4.51, 1.41],
+    ['m Car', 9.6558, -61.3281, 4.51, -0.07],
+    ['ι Ser', 15.6925, 19.6704, 4.51, 0.06],
+    ['ρ Dra', 20.0470, 67.8736, 4.51, 1.31],
+    ['η Ind', 20.7340, -51.9210, 4.51, 0.28],
+    ['ε Cap', 21.6180, -19.4660, 4.51, -0.18],
+    ['δ Tuc', 22.4555, -64.9664, 4.51, -0.03],
+    ['ρ Cas', 23.9064, 57.4994, 4.51, 1.19],
+    ['39 Ari', 2.7985, 29.2471, 4.52, 1.11],
+    ['J Cen', 13.3772, -60.9884, 4.52, -0.14],
+    ['m Cen', 13.4001, -64.5357, 4.52, 0.82],
+    ['λ Vir', 14.3185, -13.3711, 4.52, 0.13],
+    ['ψ Boo', 15.0741, 26.9476, 4.52, 1.24],
+    ['ε Tel', 18.1872, -45.9544, 4.52, 1.01],
+    ['υ Sgr', 19.3621, -15.9550, 4.52, 0.08],
+    ['υ1 Cep', 20.7559, 57.5797, 4.52, 0.54],
+    ['2 Peg', 21.4991, 23.6388, 4.52, 1.62],
+    ['6 Lac', 22.5081, 43.1234, 4.52, -0.09],
+    ['β2 Tuc', 0.5260, -62.9656, 4.53, 0.15],
+    ['ν And', 0.8302, 41.0789, 4.53, -0.14],
+    ['HIP 28413', 6.0009, -3.0743, 4.53, 1.20],
+    ['f Pup', 7.6228, -34.9685, 4.53, -0.08],
+    ['κ2 Boo', 14.2247, 51.7900, 4.53, 0.23],
+    ['47 Oph', 17.4439, -5.0866, 4.53, 0.39],
+    ['3 Sgr', 17.7927, -27.8308, 4.53, 0.60],
+    ['λ Cyg', 20.7901, 36.4907, 4.53, -0.08],
+    ['7 And', 23.2092, 49.4062, 4.53, 0.30],
+    ['16 Aur', 5.3029, 33.3716, 4.54, 1.25],
+    ['ξ2 CMa', 6.5843, -22.9648, 4.54, -0.04],
+    ['τ2 Hya', 9.5330, -1.1847, 4.54, 0.11],
+    ['10 LMi', 9.5704, 36.3976, 4.54, 0.91],
+    ['24 UMa', 9.5747, 69.8303, 4.54, 0.78],
+    ['ξ Boo', 14.8565, 19.1005, 4.54, 0.72],
+    ['ι Lib', 15.2037, -19.7917, 4.54, -0.07],
+    ['φ2 Lup', 15.3859, -36.8585, 4.54, -0.15],
+    ['59 Sgr', 19.9491, -27.1699, 4.54, 1.46],
+    ['55 Peg', 23.1167, 9.4095, 4.54, 1.56],
+    ['70 Peg', 23.4859, 12.7606, 4.54, 0.94],
+    ['2 Cet', 0.0623, -17.3360, 4.55, -0.05],
+    ['HIP 16281', 3.4985, 58.8787, 4.55, 0.49],
+    ['γ Cae', 5.0734, -35.4830, 4.55, 1.18],
+    ['HIP 33694', 7.0011, 76.9774, 4.55, 1.36],
+    ['6 CMi', 7.4966, 12.0066, 4.55, 1.28],
+    ['φ UMa', 9.8684, 54.0643, 4.55, 0.04],
+    ['d Lup', 15.5981, -44.9584, 4.55, -0.17],
+    ['ο Sco', 16.3439, -24.1693, 4.55, 0.76],
+    ['HIP 88839', 18.1347, -28.4571, 4.55, 0.94],
+    ['11 Cep', 21.6987, 71.3114, 4.55, 1.11],
+    ['2 Lac', 22.3504, 46.5366, 4.55, -0.10],
+    ['4 Lac', 22.4086, 49.4764, 4.55, 0.09],
+    ['17 Per', 2.8586, 35.0597, 4.56, 1.55],
+    ['δ Ret', 3.9791, -61.4002, 4.56, 1.59],
+    ['136 Tau', 5.8888, 27.6123, 4.56, -0.01],
+    ['HIP 44700', 9.1088, 38.4522, 4.56, 1.04],
+    ['72 Leo', 11.2534, 23.0955, 4.56, 1.66],
+    ['τ1 Lup', 14.4356, -45.2214, 4.56, -0.15],
+    ['σ Ara', 17.5943, -46.5057, 4.56, -0.02],
+    ['31 Vul', 20.8688, 27.0970, 4.56, 0.83],
+    ['63 Cyg', 21.1100, 47.6484, 4.56, 1.57],
+    ['y Eri', 3.6182, -40.2745, 4.57, 1.02],
+    ['ω Her', 16.4236, 14.0333, 4.57, 0.00],
+    ['ρ Oph', 16.4264, -23.4472, 4.57, 0.23],
+    ['ψ Dra', 17.6990, 72.1488, 4.57, 0.43],
+    ['113 Her', 18.9125, 22.6451, 4.57, 0.78],
+    ['δ CrA', 19.1392, -40.4967, 4.57, 1.07],
+    ['13 Vul', 19.8910, 24.0796, 4.57, -0.05],
+    ['42 Ori', 5.5898, -4.8384, 4.58, -0.18],
+    ['m Vel', 9.8613, -46.5476, 4.58, 1.17],
+    ['w Car', 10.7256, -60.5666, 4.58, 1.70],
+    ['HIP 64425', 13.2049, -59.9206, 4.58, -0.07],
+    ['10 Dra', 13.8572, 64.7233, 4.58, 1.57],
+    ['13 Sco', 16.2051, -27.9264, 4.58, -0.17],
+    ['μ Oph', 17.6308, -8.1188, 4.58, 0.13],
+    ['τ Peg', 23.3440, 23.7403, 4.58, 0.18],
+    ['μ Phe', 0.6888, -46.0850, 4.59, 0.95],
+    ['h Eri', 3.7139, -37.3135, 4.59, 1.19],
+    ['γ Cam', 3.8393, 71.3323, 4.59, 0.06],
+    ['ψ Ori', 5.4473, 3.0957, 4.59, -0.20],
+    ['π2 UMa', 8.6702, 64.3279, 4.59, 1.18],
+    ['τ1 Hya', 9.4858, -2.7690, 4.59, 0.41],
+    ['HIP 50555', 10.3269, -55.0293, 4.59, 1.60],
+    ['y Car', 11.2100, -60.3176, 4.59, 0.54],
+    ['δ CrB', 15.8266, 26.0684, 4.59, 0.79],
+    ['2 Sco', 15.8935, -25.3271, 4.59, -0.07],
+    ['ε2 Lyr', 18.7397, 39.6127, 4.59, 0.18],
+    ['52 Sgr', 19.6118, -24.8836, 4.59, -0.07],
+    ['δ Scl', 23.8154, -28.1303, 4.59, 0.00],
+    ['b Per', 4.3041, 50.2955, 4.60, 0.04],
+    ['υ2 Hya', 10.0854, -13.0646, 4.60, -0.09],
+    ['ι Ant', 10.9453, -37.1378, 4.60, 1.01],
+    ['ο Boo', 14.7540, 16.9643, 4.60, 0.97],
+    ['k Lup', 15.4223, -38.7336, 4.60, 0.00],
+    ['χ Her', 15.8779, 42.4515, 4.60, 0.56],
+    ['π Dra', 19.3445, 65.7145, 4.60, 0.03],
+    ['33 Psc', 0.0889, -5.7076, 4.61, 1.03],
+    ['θ And', 0.2849, 38.6816, 4.61, 0.06],
+    ['ξ Psc', 1.8926, 3.1875, 4.61, 0.93],
+    ['ω Per', 3.1882, 39.6116, 4.61, 1.11],
+    ['21 Lyn', 7.4452, 49.2115, 4.61, 0.00],
+    ['HIP 39095', 7.9978, -18.3992, 4.61, 0.09],
+    ['37 Lib', 15.5696, -10.0645, 4.61, 1.00],
+    ['47 Cyg', 20.5651, 35.2509, 4.61, 1.59],
+    ['υ2 Cas', 0.9444, 59.1811, 4.62, 0.96],
+    ['τ9 Eri', 3.9987, -24.0162, 4.62, -0.12],
+    ['ι Tau', 5.0516, 21.5900, 4.62, 0.15],
+    ['υ Ori', 5.5322, -7.3015, 4.62, -0.26],
+    ['κ Pyx', 9.1341, -25.8585, 4.62, 1.59],
+    ['χ Leo', 11.0836, 7.3360, 4.62, 0.33],
+    ['z Car', 11.1090, -62.4241, 4.62, 0.99],
+    ['A Cen', 11.5793, -54.2641, 4.62, -0.08],
+    ['HIP 62327', 12.7730, -56.4888, 4.62, -0.15],
+    ['λ Cru', 12.9109, -59.1467, 4.62, -0.15],
+    ['υ Oph', 16.4634, -8.3717, 4.62, 0.18],
+    ['ζ Ser', 18.0081, -3.6903, 4.62, 0.39],
+    ['θ CrA', 18.5584, -42.3125, 4.62, 0.99],
+    ['θ1 Ser', 18.9370, 4.2036, 4.62, 0.16],
+    ['ε Ari', 2.9869, 21.3404, 4.63, 0.05],
+    ['1 Pup', 7.7257, -28.4109, 4.63, 1.63],
+    ['HIP 38500', 7.8843, -49.6130, 4.63, -0.23],
+    ['F Hya', 8.7279, -7.2337, 4.63, 0.84],
+    ['k Vel', 9.2625, -37.4131, 4.63, 0.47],
+    ['l Cen', 12.6646, -39.9873, 4.63, -0.08],
+    ['83 UMa', 13.6790, 54.6816, 4.63, 1.63],
+    ['HIP 73199', 14.9597, 65.9325, 4.63, 1.59],
+    ['1 Sco', 15.8497, -25.7513, 4.63, -0.07],
+    ['ι1 Nor', 16.0589, -57.7751, 4.63, 0.25],
+    ['ν Pav', 18.5229, -62.2783, 4.63, -0.12],
+    ['ο Dra', 18.8534, 59.3884, 4.63, 1.19],
+    ['ψ Peg', 23.9626, 25.1414, 4.63, 1.58],
+    ['τ8 Eri', 3.8952, -24.6122, 4.64, -0.14],
+    ['π1 Ori', 4.9149, 10.1508, 4.64, 0.09],
+    ['χ2 Ori', 6.0653, 20.1385, 4.64, 0.24],
+    ['M Cen', 13.7776, -51.4328, 4.64, 0.95],
+    ['ζ1 CrB', 15.6563, 36.6358, 4.64, -0.10],
+    ['g Lup', 15.6865, -44.6612, 4.64, 0.41],
+    ['20 Oph', 16.8306, -10.7830, 4.64, 0.48],
+    ['69 Her', 17.2945, 37.2915, 4.64, 0.04],
+    ['71 Oph', 18.1218, 8.7339, 4.64, 0.95],
+    ['ν Aql', 19.4420, 0.3386, 4.64, 0.58],
+    ['ζ Del', 20.5885, 14.6742, 4.64, 0.12],
+    ['9 Lac', 22.6229, 51.5451, 4.64, 0.25],
+    ['3 And', 23.0697, 50.0521, 4.64, 1.06],
+    ['35 Ari', 2.7242, 27.7071, 4.65, -0.12],
+    ['ρ Tau', 4.5641, 14.8444, 4.65, 0.26],
+    ['11 Ori', 5.0762, 15.4041, 4.65, -0.06],
+    ['36 Dor', 5.9017, -63.0896, 4.65, 1.02],
+    ['v1 Pup', 7.3051, -36.7340, 4.65, -0.10],
+    ['HIP 36514', 7.5118, -30.9623, 4.65, 0.90],
+    ['p Pup', 7.5897, -28.3693, 4.65, -0.11],
+    ['P Car', 10.4568, -57.6388, 4.65, 0.47],
+    ['π Vir', 12.0146, 6.6143, 4.65, 0.12],
+    ['η Nor', 16.0536, -49.2297, 4.65, 0.90],
+    ['χ Psc', 1.1909, 21.0347, 4.66, 1.02],
+    ['χ Cet', 1.8264, -10.6864, 4.66, 0.33],
+    ['15 Mon', 6.6830, 9.8958, 4.66, -0.23],
+    ['π CMa', 6.9271, -20.1365, 4.66, 0.37],
+    ['HIP 35205', 7.2764, -27.8812, 4.66, 1.59],
+    ['γ Cnc', 8.7214, 21.4685, 4.66, 0.01],
+    ['E Car', 9.0940, -70.5385, 4.66, -0.15],
+    ['ω UMa', 10.8997, 43.1900, 4.66, -0.04],
+    ['χ Vir', 12.6541, -7.9956, 4.66, 1.24],
+    ['w Cen', 12.7098, -48.8131, 4.66, 1.07],
+    ['ψ1 Lup', 15.6628, -34.4119, 4.66, 0.96],
+    ['HIP 88567', 18.0837, -29.5801, 4.66, 0.77],
+    ['HIP 89678', 18.3009, -27.0426, 4.66, 1.63],
+    ['ζ Sct', 18.3943, -8.9344, 4.66, 0.93],
+    ['15 Vul', 20.0183, 27.7536, 4.66, 0.18],
+    ['φ Psc', 1.2292, 24.5837, 4.67, 1.05],
+    ['34 Per', 3.4895, 49.5089, 4.67, -0.10],
+    ['52 Per', 4.2481, 40.4837, 4.67, 1.01],
+    ['σ2 Tau', 4.6546, 15.9180, 4.67, 0.15],
+    ['θ Lep', 6.1026, -14.9353, 4.67, 0.05],
+    ['ζ1 Cnc', 8.2035, 17.6478, 4.67, 0.53],
+    ['τ UMa', 9.1820, 63.5136, 4.67, 0.38],
+    ['93 Her', 18.0009, 16.7509, 4.67, 1.25],
+    ['γ Sct', 18.4866, -14.5658, 4.67, 0.08],
+    ['ε1 Lyr', 18.7390, 39.6701, 4.67, 0.17],
+    ['σ Dra', 19.5393, 69.6612, 4.67, 0.79],
+    ['γ Mic', 21.0215, -32.2578, 4.67, 0.89],
+    ['χ Cas', 1.5655, 59.2320, 4.68, 0.99],
+    ['η2 Hyi', 1.9156, -67.6473, 4.68, 0.93],
+    ['ν For', 2.0748, -29.2968, 4.68, -0.16],
+    ['π Per', 2.9794, 39.6627, 4.68, 0.07],
+    ['H Vel', 8.9387, -52.7235, 4.68, -0.12],
+    ['2 Sex', 9.6409, 4.6493, 4.68, 1.31],
+    ['π Leo', 10.0036, 8.0442, 4.68, 1.59],
+    ['37 LMi', 10.6453, 31.9762, 4.68, 0.82],
+    ['74 Vir', 13.5327, -6.2558, 4.68, 1.61],
+    ['24 CVn', 13.5742, 49.0160, 4.68, 0.13],
+    ['δ1 Aps', 16.3391, -78.6957, 4.68, 1.68],
+    ['φ Cyg', 19.6563, 30.1533, 4.68, 0.97],
+    ['ξ Aqr', 21.6292, -7.8542, 4.68, 0.17],
+    ['66 Aqr', 22.7265, -18.8304, 4.68, 1.36],
+    ['π Tau', 4.4434, 14.7138, 4.69, 0.98],
+    ['λ Aur', 5.3190, 40.0991, 4.69, 0.63],
+    ['m Pup', 7.6383, -25.3648, 4.69, -0.10],
+    ['Q Pup', 7.8056, -47.0777, 4.69, 1.04],
+    ['28 Mon', 8.0204, -1.3926, 4.69, 1.48],
+    ['t2 Car', 10.6458, -59.1830, 4.69, 1.56],
+    ['ι Cru', 12.7606, -60.9813, 4.69, 1.05],
+    ['π1 Cyg', 21.7016, 51.1896, 4.69, -0.12],
+    ['ε Ind', 22.0560, -56.7860, 4.69, 1.06],
+    ['ι Phe', 23.5846, -42.6151, 4.69, 0.08],
+    ['HIP 24927', 5.3408, -21.2398, 4.70, -0.05],
+    ['θ Crt', 11.6114, -9.8022, 4.70, -0.07],
+    ['ο Hya', 11.6702, -34.7447, 4.70, -0.07],
+    ['ζ1 Sco', 16.8999, -42.3620, 4.70, 0.44],
+    ['δ Sct', 18.7046, -9.0525, 4.70, 0.36],
+    ['ω Sgr', 19.9307, -26.2995, 4.70, 0.75],
+    ['γ Equ', 21.1724, 10.1316, 4.70, 0.26],
+    ['HIP 113116', 22.9069, 84.3462, 4.70, 1.42],
+    ['101 Aqr', 23.5546, -20.9145, 4.70, 0.02],
+    ['λ Cet', 2.9953, 8.9074, 4.71, -0.11],
+    ['κ Ret', 3.4896, -62.9375, 4.71, 0.41],
+    ['ο1 Ori', 4.8755, 14.2506, 4.71, 1.77],
+    ['ζ Dor', 5.0918, -57.4727, 4.71, 0.53],
+    ['31 Ori', 5.4956, -1.0922, 4.71, 1.59],
+    ['χ Aur', 5.5455, 32.1920, 4.71, 0.28],
+    ['θ Pyx', 9.3582, -25.9654, 4.71, 1.63],
+    ['λ Pyx', 9.3867, -28.8339, 4.71, 0.89],
+    ['ζ Crt', 11.7460, -18.3507, 4.71, 0.96],
+    ['f Cen', 13.1046, -48.4633, 4.71, -0.15],
+    ['HIP 68191', 13.9608, -63.6867, 4.71, 1.07],
+    ['ξ Aql', 19.9041, 8.4615, 4.71, 1.02],
+    ['ε Mic', 21.2990, -32.1725, 4.71, 0.07],
+    ['89 Aqr', 23.1652, -22.4576, 4.71, 0.67],
+    ['ψ Cas', 1.4322, 68.1300, 4.72, 1.05],
+    ['22 Ori', 5.3627, -0.3825, 4.72, -0.17],
+    ['υ Aur', 5.8507, 37.3056, 4.72, 1.62],
+    ['δ Pic', 6.1716, -54.9686, 4.72, -0.23],
+    ['19 Pup', 8.1879, -12.9270, 4.72, 0.94],
+    ['G Hya', 9.4551, -22.3438, 4.72, 1.15],
+    ['30 LMi', 10.4319, 33.7961, 4.72, 0.26],
+    ['K Car', 10.5056, -71.9928, 4.72, 0.04],
+    ['HIP 51658', 10.5539, 40.4256, 4.72, 0.22],
+    ['θ2 Cru', 12.0720, -63.1657, 4.72, -0.08],
+    ['11 Com', 12.3453, 17.7929, 4.72, 1.01],
+    ['20 CVn', 13.2924, 40.5726, 4.72, 0.31],
+    ['υ Her', 16.0466, 46.0367, 4.72, -0.09],
+    ['41 Oph', 17.2769, -0.4453, 4.72, 1.12],
+    ['κ Cap', 21.7110, -18.8663, 4.72, 0.87],
+    ['65 And', 2.4271, 50.2786, 4.73, 1.53],
+    ['38 Gem', 6.9107, 13.1778, 4.73, 0.32],
+    ['HIP 40096', 8.1905, -42.9873, 4.73, 0.16],
+    ['61 Leo', 11.0305, -2.4846, 4.73, 1.59],
+    ['δ Nor', 16.1082, -45.1732, 4.73, 0.23],
+    ['τ CrB', 16.1495, 36.4909, 4.73, 1.01],
+    ['μ Aqr', 20.8776, -8.9833, 4.73, 0.33],
+    ['λ Cas', 0.5295, 54.5223, 4.74, -0.10],
+    ['υ Psc', 1.3244, 27.2641, 4.74, 0.03],
+    ['σ Cet', 2.5348, -15.2447, 4.74, 0.45],
+    ['s Eri', 2.6633, -42.8917, 4.74, 0.06],
+    ['HIP 15520', 3.3331, 65.6523, 4.74, -0.11],
+    ['17 Eri', 3.5103, -5.0751, 4.74, -0.09],
+    ['B Car', 8.1502, -61.3024, 4.74, 0.44],
+    ['n Vel', 8.6870, -47.3171, 4.74, 0.14],
+    ['ρ UMa', 9.0424, 67.6296, 4.74, 1.54],
+    ['61 Vir', 13.3068, -18.3112, 4.74, 0.71],
+    ['HIP 69191', 14.1652, -53.4389, 4.74, 0.94],
+    ['ρ Ser', 15.8544, 20.9779, 4.74, 1.53],
+    ['4 Sgr', 17.9965, -23.8161, 4.74, -0.03],
+    ['ζ CrA', 19.0519, -42.0951, 4.74, -0.03],
+    ['8 Cyg', 19.5295, 34.4530, 4.74, -0.15],
+    ['59 Cyg', 20.9971, 47.5210, 4.74, -0.08],
+    ['ο Aqr', 22.0552, -2.1554, 4.74, -0.10],
+    ['HIP 116602', 23.6308, -45.4924, 4.74, 0.08],
+    ['HIP 35020', 7.2439, -48.2719, 4.75, -0.09],
+    ['μ Mus', 11.8040, -66.8149, 4.75, 1.52],
+    ['4 Cen', 13.8868, -31.9276, 4.75, -0.11],
+    ['ι Boo', 14.2694, 51.3672, 4.75, 0.24],
+    ['κ Lib', 15.6991, -19.6788, 4.75, 1.57],
+    ['ψ2 Lup', 15.7114, -34.7104, 4.75, -0.15],
+    ['φ1 Pav', 20.5930, -60.5817, 4.75, 0.29],
+    ['ο Cep', 23.3104, 68.1114, 4.75, 0.84],
+    ['λ1 Phe', 0.5236, -48.8035, 4.76, 0.02],
+    ['ν Hyi', 2.8412, -75.0669, 4.76, 1.34],
+    ['τ2 Eri', 2.8506, -21.0040, 4.76, 0.91],
+    ['56 Ori', 5.8740, 1.8551, 4.76, 1.38],
+    ['HIP 29997', 6.3141, 69.3198, 4.76, 0.03],
+    ['χ Pup', 7.9611, -30.3346, 4.76, 0.15],
+    ['I Hya', 9.6881, -23.5915, 4.76, -0.12],
+    ['HIP 52370', 10.7039, -64.4664, 4.76, -0.14],
+    ['55 UMa', 11.3189, 38.1856, 4.76, 0.11],
+    ['5 CVn', 12.4004, 51.5623, 4.76, 0.88],
+    ['36 Com', 12.9821, 17.4094, 4.76, 1.57],
+    ['69 Vir', 13.4575, -15.9736, 4.76, 1.10],
+    ['HIP 67665', 13.8632, 34.4442, 4.76, 1.61],
+    ['HIP 70264', 14.3770, -58.4591, 4.76, 0.80],
+    ['ζ Aps', 17.3665, -67.7707, 4.76, 1.19],
+    ['λ Ara', 17.6733, -49.4156, 4.76, 0.41],
+    ['1 Vul', 19.2703, 21.3904, 4.76, -0.06],
+    ['9 Cep', 21.6320, 62.0819, 4.76, 0.25],
+    ['56 Peg', 23.1185, 25.4683, 4.76, 1.28],
+    ['φ1 Cet', 0.7365, -10.6096, 4.77, 1.00],
+    ['k Per', 3.0923, 56.7057, 4.77, 1.02],
+    ['49 Ori', 5.6481, -7.2128, 4.77, 0.14],
+    ['17 Mon', 6.7888, 8.0373, 4.77, 1.40],
+    ['26 Hya', 9.3296, -11.9749, 4.77, 0.93],
+    ['87 Leo', 11.5052, -3.0035, 4.77, 1.53],
+    ['ψ Vir', 12.9059, -9.5390, 4.77, 1.59],
+    ['ω Dra', 17.6159, 68.7580, 4.77, 0.43],
+    ['τ Oph', 18.0514, -8.1803, 4.77, 0.41],
+    ['45 Dra', 18.5429, 57.0456, 4.77, 0.61],
+    ['HIP 98761', 20.0593, -37.9407, 4.77, 1.42],
+    ['34 Cyg', 20.2964, 38.0329, 4.77, 0.38],
+    ['ν Cap', 20.3444, -12.7591, 4.77, -0.05],
+    ['ρ Cap', 20.4810, -17.8137, 4.77, 0.39],
+    ['HIP 112519', 22.7914, 83.1538, 4.77, 1.26],
+    ['θ Oct', 0.0266, -77.0657, 4.78, 1.25],
+    ['20 Cet', 0.8835, -1.1443, 4.78, 1.55],
+    ['58 And', 2.1415, 37.8591, 4.78, 0.12],
+    ['HIP 17587', 3.7673, 63.3450, 4.78, 0.75],
+    ['HIP 21029', 4.5093, 16.1940, 4.78, 0.17],
+    ['64 Eri', 4.9988, -12.5374, 4.78, 0.27],
+    ['HIP 26199', 5.5841, -6.0020, 4.78, -0.25],
+    ['27 Lyn', 8.1410, 51.5067, 4.78, 0.05],
+    ['r Pup', 8.2249, -35.8995, 4.78, -0.11],
+    ['θ Ant', 9.7367, -27.7695, 4.78, 0.52],
+    ['40 Leo', 10.3289, 19.4709, 4.78, 0.45],
+    ['12 Com', 12.3751, 25.8462, 4.78, 0.52],
+    ['σ Vir', 13.2934, 5.4699, 4.78, 1.64],
+    ['HIP 70104', 14.3452, -45.1871, 4.78, 0.31],
+    ['51 Hya', 14.3849, -27.7540, 4.78, 1.30],
+    ['51 Oph', 17.5236, -23.9626, 4.78, 0.02],
+    ['ι2 Sco', 17.8364, -40.0904, 4.78, 0.26],
+    ['HIP 92024', 18.7575, -64.8713, 4.78, 0.20],
+    ['32 Peg', 22.3554, 28.3305, 4.78, -0.01],
+    ['35 Peg', 22.4643, 4.6957, 4.78, 1.04],
+    ['χ Peg', 0.2434, 20.2067, 4.79, 1.57],
+    ['λ Ari', 1.9655, 23.5961, 4.79, 0.29],
+    ['2 Aur', 4.8772, 36.7032, 4.79, 1.41],
+    ['B Vel', 8.3755, -48.4904, 4.79, -0.15],
+    ['k Car', 9.3491, -62.4046, 4.79, 0.93],
+    ['η Mus', 13.2542, -67.8946, 4.79, -0.08],
+    ['κ CrB', 15.8539, 35.6574, 4.79, 1.00],
+    ['22 Sco', 16.5035, -25.1152, 4.79, -0.12],
+    ['HIP 87220', 17.8196, -31.7032, 4.79, -0.03],
+    ['66 Oph', 18.0044, 4.3686, 4.79, -0.10],
+    ['HIP 99824', 20.2544, 25.5920, 4.79, -0.18],
+    ['24 Cep', 22.1635, 72.3412, 4.79, 0.92],
+    ['μ1 Gru', 22.2603, -41.3467, 4.79, 0.79],
+    ['ξ Cas', 0.7011, 50.5125, 4.80, -0.10],
+    ['HIP 4151', 0.8845, 61.1240, 4.80, 0.54],
+    ['ζ Eri', 3.2639, -8.8197, 4.80, 0.23],
+    ['53 Per', 4.3592, 46.4989, 4.80, -0.02],
+    ['64 Tau', 4.4016, 17.4441, 4.80, 0.15],
+    ['ψ Eri', 5.0240, -7.1740, 4.80, -0.16],
+    ['ψ2 Aur', 6.6555, 42.4889, 4.80, 1.24],
+    ['σ2 UMa', 9.1732, 67.1340, 4.80, 0.49],
+    ['18 UMa', 9.2698, 54.0219, 4.80, 0.20],
+    ['27 Hya', 9.3414, -9.5557, 4.80, 0.91],
+    ['HIP 52502', 10.7353, -63.9611, 4.80, -0.13],
+    ['23 Com', 12.5809, 22.6293, 4.80, 0.01],
+    ['41 Com', 13.1196, 27.6247, 4.80, 1.48],
+    ['4 UMi', 14.1475, 77.5475, 4.80, 1.37],
+    ['A Boo', 14.2999, 35.5095, 4.80, 1.06],
+    ['34 Boo', 14.7237, 26.5279, 4.80, 1.67],
+    ['ω Boo', 15.0351, 25.0081, 4.80, 1.51],
+    ['d Sco', 16.3050, -28.6140, 4.80, 0.01],
+    ['68 Her', 17.2888, 33.1001, 4.80, -0.17],
+    ['30 Cyg', 20.2217, 46.8157, 4.80, 0.10],
+    ['57 Cyg', 20.8874, 44.3873, 4.80, -0.13],
+    ['θ1 Mic', 21.3460, -40.8095, 4.80, 0.03],
+    ['π Aqr', 22.4213, 1.3774, 4.80, -0.17],
+    ['ο Peg', 22.6959, 29.3076, 4.80, -0.01],
+    ['15 Ori', 5.1617, 15.5972, 4.81, 0.31],
+    ['θ Dor', 5.2293, -67.1853, 4.81, 1.27],
+    ['ο Col', 5.2914, -34.8952, 4.81, 0.99],
+    ['139 Tau', 5.9666, 25.9539, 4.81, -0.09],
+    ['D Car', 8.0055, -63.5675, 4.81, -0.17],
+    ['HIP 47029', 9.5844, 39.6215, 4.81, 0.99],
+    ['ε Crt', 11.4102, -10.8593, 4.81, 1.56],
+    ['φ Vir', 14.4700, -2.2280, 4.81, 0.69],
+    ['21 Sgr', 18.4225, -20.5417, 4.81, 1.31],
+    ['29 Vul', 20.6420, 21.2012, 4.81, -0.03],
+    ['55 Cyg', 20.8156, 46.1141, 4.81, 0.57],
+    ['HIP 9095', 1.9528, -47.3853, 4.82, 0.86],
+    ['μ Aur', 5.2238, 38.4845, 4.82, 0.19],
+    ['HIP 31827', 6.6546, -14.1458, 4.82, 1.46],
+    ['15 CMa', 6.8925, -20.2243, 4.82, -0.21],
+    ['HIP 36773', 7.5633, -14.5239, 4.82, 1.36],
+    ['r Vel', 10.3721, -41.6500, 4.82, 1.09],
+    ['36 UMa', 10.5104, 55.9805, 4.82, 0.54],
+    ['G Cen', 12.4422, -51.4506, 4.82, -0.14],
+    ['25 CVn', 13.6243, 36.2949, 4.82, 0.24],
+    ['12 Boo', 14.1733, 25.0917, 4.82, 0.54],
+    ['π Ser', 16.0382, 22.8045, 4.82, 0.07],
+    ['σ Ser', 16.3679, 1.0290, 4.82, 0.34],
+    ['52 Her', 16.8206, 45.9833, 4.82, 0.09],
+    ['30 Oph', 17.0177, -4.2226, 4.82, 1.48],
+    ['42 Dra', 18.4331, 65.5635, 4.82, 1.18],
+    ['υ Dra', 18.9066, 71.2972, 4.82, 1.15],
+    ['η Cap', 21.0734, -19.8550, 4.82, 0.17],
+    ['31 Peg', 22.3586, 12.2052, 4.82, -0.13],
+    ['σ Aqr', 22.5108, -10.6780, 4.82, -0.05],
+    ['8 And', 23.2957, 49.0153, 4.82, 1.67],
+    ['104 Aqr', 23.6961, -17.8165, 4.82, 0.82],
+    ['υ1 Cas', 0.9167, 58.9727, 4.83, 1.22],
+    ['ω And', 1.4609, 45.4067, 4.83, 0.42],
+    ['ε Cet', 2.6594, -11.8722, 4.83, 0.45],
+    ['ζ Hyi', 2.7591, -67.6166, 4.83, 0.06],
+    ['A Pup', 7.1475, -39.6557, 4.83, -0.18],
+    ['145 CMa', 7.2769, -23.3156, 4.83, 1.60],
+    ['w Pup', 8.3564, -33.0544, 4.83, 1.42],
+    ['HIP 42726', 8.7071, -53.1140, 4.83, -0.17],
+    ['ξ1 Cen', 13.0593, -49.5273, 4.83, 0.03],
+    ['44 Boo', 15.0631, 47.6541, 4.83, 0.65],
+    ['e Lup', 15.2138, -44.5004, 4.83, -0.18],
+    ['30 Her', 16.4774, 41.8817, 4.83, 1.29],
+    ['k Sco', 17.0804, -34.1229, 4.83, 0.26],
+    ['HIP 92088', 18.7679, 26.6621, 4.83, 1.20],
+    ['η Sct', 18.9510, -5.8463, 4.83, 1.06],
+    ['ε CrA', 18.9787, -37.1074, 4.83, 0.40],
+    ['μ Psc', 1.5031, 6.1438, 4.84, 1.37],
+    ['60 And', 2.2204, 44.2317, 4.84, 1.48],
+    ['δ Tri', 2.2842, 34.2242, 4.84, 0.61],
+    ['κ Cet', 3.3227, 3.3702, 4.84, 0.68],
+    ['47 Tau', 4.2323, 9.2638, 4.84, 0.80],
+    ['126 Tau', 5.6883, 16.5341, 4.84, -0.13],
+    ['d1 Pup', 7.6576, -38.3080, 4.84, -0.19],
+    ['e2 Car', 8.5888, -58.0092, 4.84, 0.98],
+    ['58 Leo', 11.0093, 3.6175, 4.84, 1.14],
+    ['ξ Vir', 11.7547, 8.2581, 4.84, 0.17],
+    ['20 Boo', 14.3292, 16.3069, 4.84, 1.23],
+    ['29 Her', 16.5434, 11.4880, 4.84, 1.50],
+    ['18 Dra', 16.6820, 64.5890, 4.84, 1.21],
+    ['HIP 82020', 16.7549, 56.7819, 4.84, 0.38],
+    ['60 Sgr', 19.9826, -26.1958, 4.84, 0.88],
+    ['ρ Gru', 22.7250, -41.4143, 4.84, 1.03],
+    ['η Gru', 22.7605, -53.5001, 4.84, 1.18],
+    ['1 Cas', 23.1102, 59.4198, 4.84, -0.06],
+    ['HIP 14862', 3.1990, 74.3937, 4.85, 0.04],
+    ['HIP 15416', 3.3122, 34.2227, 4.85, 1.49],
+    ['HIP 36431', 7.4976, -23.0243, 4.85, 0.24],
+    ['Q Vel', 10.1490, -51.8113, 4.85, -0.12],
+    ['HIP 64408', 13.2009, -37.8030, 4.85, 0.69],
+    ['ε Cir', 15.2941, -63.6105, 4.85, 1.26],
+    ['HIP 87846', 17.9465, -44.3422, 4.85, 1.18],
+    ['74 Oph', 18.3478, 3.3772, 4.85, 0.91],
+    ['λ Tel', 18.9744, -52.9386, 4.85, -0.05],
+    ['η Scl', 0.4655, -33.0072, 4.86, 1.63],
+    ['15 Eri', 3.3061, -22.5111, 4.86, 0.90],
+    ['12 Lyn', 6.7706, 59.4417, 4.86, 0.08],
+    ['ζ Pyx', 8.6618, -29.5611, 4.86, 0.90],
+    ['HIP 51808', 10.5849, 75.7129, 4.86, 0.96],
+    ['HIP 64820', 13.2869, -66.7834, 4.86, 1.48],
+    ['HIP 70327', 14.3896, 8.4466, 4.86, 0.01],
+    ['31 Boo', 14.6941, 8.1618, 4.86, 0.99],
+    ['ξ CrB', 16.3683, 30.8920, 4.86, 0.97],
+    ['μ Nor', 16.5681, -44.0453, 4.86, 0.04],
+    ['42 Her', 16.6458, 48.9283, 4.86, 1.56],
+    ['ν2 Dra', 17.5378, 55.1730, 4.86, 0.28],
+    ['58 Oph', 17.7238, -21.6832, 4.86, 0.47],
+    ['HIP 91918', 18.7387, -35.6420, 4.86, -0.17],
+    ['ν1 Sgr', 18.9028, -22.7448, 4.86, 1.41],
+    ['ψ Sgr', 19.2590, -25.2567, 4.86, 0.57],
+    ['ρ Pav', 20.6265, -61.5299, 4.86, 0.45],
+    ['ν Peg', 22.0947, 5.0585, 4.86, 1.44],
+    ['ξ And', 1.3723, 45.5288, 4.87, 1.08],
+    ['ν Cet', 2.5979, 5.5932, 4.87, 0.88],
+    ['ζ Ari', 3.2484, 21.0444, 4.87, -0.01],
+    ['39 Eri', 4.2399, -10.2563, 4.87, 1.16],
+    ['L1 Pup', 7.2204, -45.1827, 4.87, 0.00],
+    ['9 Hya', 8.6954, -15.9434, 4.87, 1.06],
+    ['δ Pyx', 8.9254, -27.6819, 4.87, 0.14],
+    ['HIP 48559', 9.9034, -25.9323, 4.87, 1.20],
+    ['HIP 51979', 10.6205, -27.4126, 4.87, 1.63],
+    ['HIP 52736', 10.7809, -64.3835, 4.87, -0.15],
+    ['56 Sgr', 19.7727, -19.7611, 4.87, 1.06],
+    ['72 Cyg', 21.5796, 38.5341, 4.87, 1.08],
+    ['ρ Cet', 2.4325, -12.2905, 4.88, -0.03],
+    ['114 Tau', 5.4606, 21.9370, 4.88, -0.14],
+    ['132 Tau', 5.8169, 24.5675, 4.88, 1.02],
+    ['λ Col', 5.8852, -33.8014, 4.88, -0.15],
+    ['29 CMa', 7.3112, -24.5587, 4.88, -0.16],
+    ['ε Cha', 11.9938, -78.2218, 4.88, -0.05],
+    ['ρ Vir', 12.6981, 10.2356, 4.88, 0.08],
+    ['37 Com', 13.0046, 30.7850, 4.88, 1.17],
+    ['19 Dra', 16.9338, 65.1348, 4.88, 0.48],
+    ['HIP 87936', 17.9633, -41.7163, 4.88, 1.62],
+    ['ε Sct', 18.7253, -8.2752, 4.88, 1.11],
+    ['43 Sgr', 19.2939, -18.9529, 4.88, 1.01],
+    ['ι Tel', 19.5869, -48.0992, 4.88, 1.10],
+    ['τ Cas', 23.7843, 58.6520, 4.88, 1.12],
+    ['27 Psc', 23.9779, -3.5560, 4.88, 0.93],
+    ['σ Cas', 23.9835, 55.7549, 4.88, -0.07],
+    ['6 Cet', 0.1877, -15.4680, 4.89, 0.49],
+    ['1 Aur', 4.8318, 37.4883, 4.89, 1.45],
+    ['25 Ori', 5.4125, 1.8464, 4.89, -0.20],
+    ['134 Tau', 5.8258, 12.6513, 4.89, -0.07],
+    ['ο Gem', 7.6528, 34.5843, 4.89, 0.41],
+    ['81 Gem', 7.7687, 18.5100, 4.89, 1.43],
+    ['HIP 51523', 10.5227, -53.7155, 4.89, 0.50],
+    ['HIP 52009', 10.6259, -13.3845, 4.89, 2.80],
+    ['HIP 57443', 11.7753, -40.5004, 4.89, 0.66],
+    ['HIP 57851', 11.8642, -65.2059, 4.89, -0.12],
+    ['35 Com', 12.8883, 21.2449, 4.89, 0.90],
+    ['η Aps', 14.3039, -81.0078, 4.89, 0.24],
+    ['60 Her', 17.0896, 12.7408, 4.89, 0.13],
+    ['ν1 Dra', 17.5363, 55.1842, 4.89, 0.25],
+    ['15 Cyg', 19.7379, 37.3544, 4.89, 0.95],
+    ['α Mic', 20.8328, -33.7797, 4.89, 1.00],
+    ['10 Lac', 22.6544, 39.0503, 4.89, -0.21],
+    ['HIP 115990', 23.5005, 58.5489, 4.89, -0.12],
+    ['ν Cas', 0.8139, 50.9682, 4.90, -0.09],
+    ['46 Cet', 1.4270, -14.5988, 4.90, 1.23],
+    ['51 Ori', 5.7080, 1.4746, 4.90, 1.14],
+    ['16 Lyn', 6.9603, 45.0941, 4.90, 0.03],
+    ['p Cen', 12.8448, -33.9993, 4.90, -0.03],
+    ['HIP 64583', 13.2375, -59.1032, 4.90, 0.49],
+    ['HIP 78655', 16.0567, -38.6025, 4.90, -0.15],
+    ['β2 Sco', 16.0907, -19.8019, 4.90, -0.02],
+    ['ζ TrA', 16.4745, -70.0844, 4.90, 0.56],
+    ['12 Vul', 19.8511, 22.6100, 4.90, -0.15],
+    ['ζ Ind', 20.8247, -46.2268, 4.90, 1.49],
+    ['12 Per', 2.7041, 40.1939, 4.91, 0.58],
+    ['45 Eri', 4.5313, -0.0440, 4.91, 1.32],
+    ['HIP 23362', 5.0238, -20.0519, 4.91, -0.05],
+    ['104 Tau', 5.1242, 18.6451, 4.91, 0.66],
+    ['HIP 30093', 6.3332, -2.9445, 4.91, 1.61],
+    ['20 Mon', 7.1705, -4.2371, 4.91, 1.02],
+    ['63 Aur', 7.1943, 39.3205, 4.91, 1.45],
+    ['φ Hya', 10.6430, -16.8766, 4.91, 0.92],
+    ['39 Cru', 12.6990, -59.6858, 4.91, -0.04],
+    ['HIP 66257', 13.5799, 37.1824, 4.91, 0.40],
+    ['δ Lib', 15.0162, -8.5189, 4.91, 0.00],
+    ['1 Lup', 15.2437, -31.5191, 4.91, 0.37],
+    ['24 Sco', 16.6929, -17.7422, 4.91, 1.09],
+    ['μ Dra', 17.0889, 54.4700, 4.91, 0.47],
+    ['ψ Cyg', 19.9272, 52.4389, 4.91, 0.12],
+    ['69 Aql', 20.4942, -2.8855, 4.91, 1.16],
+    ['70 Aql', 20.6121, -2.5500, 4.91, 1.61],
+    ['ν Tuc', 22.5500, -61.9821, 4.91, 1.61],
+    ['ρ Peg', 22.9205, 8.8162, 4.91, 0.00],
+    ['56 Cet', 1.9445, -22.5268, 4.92, 1.43],
+    ['3 Mon', 6.0307, -10.5979, 4.92, -0.13],
+    ['17 Lep', 6.0831, -16.4844, 4.92, 0.20],
+    ['ψ1 Aur', 6.4150, 49.2879, 4.92, 1.91],
+    ['H Pup', 7.0649, -49.5839, 4.92, 0.14],
+    ['HIP 36547', 7.5179, 82.4115, 4.92, 1.63],
+    ['l Vel', 9.2602, -38.5699, 4.92, 1.08],
+    ['χ1 Hya', 11.0889, -27.2936, 4.92, 0.37],
+    ['14 Com', 12.4400, 27.2682, 4.92, 0.28],
+    ['78 Vir', 13.5689, 3.6590, 4.92, 0.03],
+    ['6 Boo', 13.8286, 21.2641, 4.92, 1.43],
+    ['c2 Cen', 14.7498, -35.1918, 4.92, 0.01],
+    ['ε Lib', 15.4033, -10.3223, 4.92, 0.45],
+    ['HIP 88726', 18.1139, -43.4252, 4.92, 0.26],
+    ['106 Her', 18.3383, 21.9613, 4.92, 1.59],
+    ['δ1 Tel', 18.5293, -45.9148, 4.92, -0.10],
+    ['HIP 92689', 18.8871, 50.7082, 4.92, 0.90],
+    ['30 Vul', 20.7479, 25.2706, 4.92, 1.18],
+    ['δ Hor', 4.1807, -41.9936, 4.93, 0.33],
+    ['ω Tau', 4.2877, 20.5786, 4.93, 0.26],
+    ['54 Per', 4.3402, 34.5667, 4.93, 0.95],
+    ['4 Aur', 4.9876, 37.8902, 4.93, 0.04],
+    ['Q Car', 7.5944, -52.5338, 4.93, 1.37],
+    ['24 Lyn', 7.7168, 58.7104, 4.93, 0.10],
+    ['27 Mon', 7.9956, -3.6796, 4.93, 1.21],
+    ['b1 Car', 8.9496, -59.2293, 4.93, -0.18],
+    ['HIP 47592', 9.7040, -23.9156, 4.93, 0.53],
+    ['17 Crt', 11.5379, -29.2610, 4.93, 0.54],
+    ['HIP 56986', 11.6816, -62.0901, 4.93, 1.11],
+    ['7 Com', 12.2724, 23.9454, 4.93, 0.96],
+    ['31 Com', 12.8616, 27.5407, 4.93, 0.68],
+    ['78 UMa', 13.0121, 56.3663, 4.93, 0.37],
+    ['HIP 69269', 14.1807, -16.3020, 4.93, 1.68],
+    ['11 Lib', 14.8503, -2.2992, 4.93, 0.99],
+    ['45 Boo', 15.1217, 24.8692, 4.93, 0.43],
+    ['ψ Sco', 16.2000, -10.0643, 4.93, 0.09],
+    ['κ Aql', 19.6148, -7.0275, 4.93, -0.05],
+    ['ξ Tel', 20.1231, -52.8808, 4.93, 1.59],
+    ['28 Cyg', 20.1571, 36.8396, 4.93, -0.14],
+    ['29 Cyg', 20.2422, 36.8063, 4.93, 0.15],
+    ['HIP 102571', 20.7863, 34.3741, 4.93, 1.29],
+    ['χ Aqr', 23.2808, -7.7265, 4.93, 1.61],
+    ['78 Peg', 23.7332, 29.3615, 4.93, 0.94],
+    ['6 Tri', 2.2062, 30.3031, 4.94, 0.77],
+    ['24 Per', 2.9844, 35.1831, 4.94, 1.24],
+    ['HIP 33357', 6.9378, -48.7211, 4.94, 1.67],
+    ['HIP 35727', 7.3704, -19.0166, 4.94, -0.04],
+    ['χ Gem', 8.0586, 27.7943, 4.94, 1.13],
+    ['g Vel', 8.8299, -45.3079, 4.94, 0.04],
+    ['HIP 48615', 9.9145, -19.0094, 4.94, 1.56],
+    ['HIP 50933', 10.4022, 65.5664, 4.94, -0.05],
+    ['HIP 51495', 10.5172, -73.2215, 4.94, 1.68],
+    ['ψ Hya', 13.1509, -23.1181, 4.94, 1.05],
+    ['HIP 64540', 13.2286, 40.1529, 4.94, 1.06],
+    ['15 Dra', 16.4664, 68.7681, 4.94, -0.05],
+    ['λ Lyr', 19.0002, 32.1455, 4.94, 1.47],
+    ['ρ Aql', 20.2379, 15.1976, 4.94, 0.07],
+    ['ω1 Cyg', 20.5010, 48.9516, 4.94, -0.09],
+    ['τ PsA', 22.1691, -32.5484, 4.94, 0.49],
+    ['π Cas', 0.7245, 47.0245, 4.95, 0.17],
+    ['φ Cas', 1.3347, 58.2316, 4.95, 0.68],
+    ['HIP 18505', 3.9571, 63.0723, 4.95, -0.07],
+    ['HIP 26736', 5.6808, -1.1288, 4.95, -0.20],
+    ['69 Ori', 6.2009, 16.1304, 4.95, -0.15],
+    ['τ Leo', 11.4656, 2.8563, 4.95, 1.00],
+    ['6 Dra', 12.5789, 70.0218, 4.95, 1.31],
+    ['48 Lib', 15.9698, -14.2794, 4.95, -0.08],
+    ['κ Nor', 16.2246, -54.6305, 4.95, 1.02],
+    ['η UMi', 16.2917, 75.7553, 4.95, 0.39],
+    ['22 Cyg', 19.9310, 38.4867, 4.95, -0.09],
+    ['HIP 98608', 20.0291, -59.3759, 4.95, 1.36],
+    ['15 Lac', 22.8672, 43.3124, 4.95, 1.56],
+    ['κ Psc', 23.4489, 1.2556, 4.95, 0.04],
+    ['19 Psc', 23.7732, 3.4868, 4.95, 2.51],
+    ['τ And', 1.6763, 40.5770, 4.96, -0.07],
+    ['HIP 7918', 1.6964, 42.6134, 4.96, 0.62],
+    ['ω For', 2.5641, -28.2323, 4.96, -0.05],
+    ['32 Per', 3.3574, 43.3297, 4.96, 0.05],
+    ['75 Tau', 4.4740, 16.3597, 4.96, 1.14],
+    ['109 Tau', 5.3213, 22.0965, 4.96, 0.94],
+    ['ξ Aur', 5.9141, 55.7069, 4.96, 0.05],
+    ['89 Vir', 13.8312, -18.1342, 4.96, 1.06],
+    ['HIP 78180', 15.9632, 54.7498, 4.96, 0.27],
+    ['HIP 78650', 16.0557, -25.8652, 4.96, 1.23],
+    ['98 Her', 18.1005, 22.2189, 4.96, 1.66],
+    ['11 Sgr', 18.1954, -23.7012, 4.96, 1.05],
+    ['104 Her', 18.1984, 31.4053, 4.96, 1.64],
+    ['4 Cas', 23.4140, 62.2828, 4.96, 1.68],
+    ['ν Phe', 1.2531, -45.5317, 4.97, 0.57],
+    ['ω Cas', 1.9333, 68.6852, 4.97, -0.08],
+    ['40 Per', 3.7063, 33.9650, 4.97, -0.05],
+    ['ι Ret', 4.0217, -61.0788, 4.97, 1.39],
+    ['φ Tau', 4.3392, 27.3508, 4.97, 1.15],
+    ['ξ Col', 5.9250, -37.1207, 4.97, 1.10],
+    ['φ Gem', 7.8916, 26.7658, 4.97, 0.10],
+    ['L Car', 10.3828, -66.9015, 4.97, -0.13],
+    ['16 Vir', 12.3392, 3.3126, 4.97, 1.17],
+    ['70 Vir', 13.4738, 13.7788, 4.97, 0.71],
+    ['52 Hya', 14.4696, -29.4916, 4.97, -0.07],
+    ['42 Lib', 15.6714, -23.8181, 4.97, 1.30],
+    ['γ1 Nor', 16.2836, -50.0681, 4.97, 0.79],
+    ['32 Oph', 17.0522, 14.0919, 4.97, 1.60],
+    ['72 Peg', 23.5659, 31.3253, 4.97, 1.38],
+    ['ω1 Aqr', 23.6631, -14.2222, 4.97, 0.26],
+    ['ψ And', 23.7672, 46.4203, 4.97, 1.09],
+    ['HIP 7999', 1.7121, -3.6902, 4.98, 1.38],
+    ['14 Ari', 2.1570, 25.9399, 4.98, 0.34],
+    ['β Hor', 2.9799, -64.0713, 4.98, 0.13],
+    ['9 Aur', 5.1113, 51.5977, 4.98, 0.34],
+    ['θ1 Ori', 5.5877, -5.3873, 4.98, 0.00],
+    ['θ2 Ori', 5.5897, -5.4161, 4.98, -0.10],
+    ['140 Pup', 7.6731, -15.2639, 4.98, 1.54],
+    ['6 Hya', 8.6671, -12.4754, 4.98, 1.42],
+    ['59 Leo', 11.0124, 6.1014, 4.98, 0.17],
+    ['HIP 57696', 11.8324, -70.2258, 4.98, 1.36],
+    ['16 Com', 12.4498, 26.8257, 4.98, 0.09],
+    ['ν2 Boo', 15.5297, 40.8993, 4.98, 0.09],
+    ['ι CrB', 16.0240, 29.8511, 4.98, -0.05],
+    ['39 Dra', 18.3985, 58.8007, 4.98, 0.08],
+    ['θ2 Ser', 18.9374, 4.2021, 4.98, 0.20],
+    ['26 Aql', 19.3425, -5.4158, 4.98, 0.94],
+    ['HIP 98073', 19.9320, 58.8460, 4.98, 1.58],
+    ['3 Cet', 0.0750, -10.5095, 4.99, 1.62],
+    ['4 Per', 2.0384, 54.4875, 4.99, -0.07],
+    ['HIP 16147', 3.4675, 49.0629, 4.99, -0.09],
+    ['δ For', 3.7041, -31.9384, 4.99, -0.16],
+    ['HIP 18488', 3.9523, 61.1089, 4.99, 1.44],
+    ['HIP 21644', 4.6482, -12.1231, 4.99, 0.07],
+    ['23 Ori', 5.3806, 3.5445, 4.99, -0.10],
+    ['ψ7 Aur', 6.8461, 41.7812, 4.99, 1.26],
+    ['HIP 32855', 6.8479, -34.3673, 4.99, 1.38],
+    ['19 Mon', 7.0485, -4.2392, 4.99, -0.20],
+    ['ε CMi', 7.4275, 9.2761, 4.99, 0.99],
+    ['20 Pup', 8.2222, -15.7882, 4.99, 1.07],
+    ['ω Hya', 9.0995, 5.0923, 4.99, 1.19],
+    ['HIP 45085', 9.1846, -44.8679, 4.99, 0.22],
+    ['ξ Leo', 9.5324, 11.2998, 4.99, 1.05],
+    ['56 UMa', 11.3804, 43.4827, 4.99, 1.00],
+    ['HIP 59856', 12.2750, 33.0615, 4.99, 1.14],
+    ['Q Cen', 13.6958, -54.5594, 4.99, -0.06],
+    ['HIP 69389', 14.2044, 2.4094, 4.99, -0.12],
+    ['ν1 Lup', 15.3690, -47.9278, 4.99, 0.52],
+    ['η CrB', 15.3868, 30.2878, 4.99, 0.58],
+    ['HIP 78323', 15.9917, -41.7444, 4.99, 0.99],
+    ['36 Dra', 18.2316, 64.3973, 4.99, 0.44],
+    ['2 Cyg', 19.4021, 29.6213, 4.99, -0.12],
+    ['HIP 98842', 20.0721, -32.0563, 4.99, 1.21],
+    ['υ PsA', 22.1405, -34.0438, 4.99, 1.50],
+    ['HIP 113288', 22.9406, 49.7335, 4.99, 1.78],
+    ['ψ3 Aqr', 23.3160, -9.6107, 4.99, -0.02],
+    ['HIP 19018', 4.0742, 59.1555, 5.00, 0.49],
+    ['111 Tau', 5.4071, 17.3835, 5.00, 0.54],
+    ['θ Col', 6.1255, -37.2529, 5.00, -0.10],
+    ['HIP 29735', 6.2625, -13.7184, 5.00, -0.08],
+    ['μ CMa', 6.9352, -14.0434, 5.00, 1.18],
+    ['HIP 35384', 7.3089, 49.4648, 5.00, 0.09],
+    ['10 Leo', 9.6202, 6.8358, 5.00, 1.05],
+    ['HIP 55588', 11.3869, -36.1648, 5.00, 1.46],
+    ['HIP 57175', 11.7253, -62.4894, 5.00, 0.78],
+    ['θ UMi', 15.5236, 77.3494, 5.00, 1.54],
+    ['κ Her', 16.1346, 17.0470, 5.00, 0.93],
+    ['HIP 88060', 17.9848, -30.2530, 5.00, 1.65],
+    ['HIP 88788', 18.1246, 43.4619, 5.00, 0.91],
+    ['ν2 Sgr', 18.9187, -22.6713, 5.00, 1.35],
+    ['16 Lyr', 19.0240, 46.9348, 5.00, 0.19],
+    ['54 Dra', 19.2320, 57.7051, 5.00, 1.16],
+    ['9 Vul', 19.5764, 19.7734, 5.00, -0.09],
+    ['17 Cyg', 19.7738, 33.7276, 5.00, 0.48],
+    ['η Tuc', 23.9597, -64.2982, 5.00, 0.06],
+    ['22 And', 0.1720, 46.0723, 5.01, 0.41],
+    ['47 Psc', 0.4675, 17.8931, 5.01, 1.58],
+    ['χ And', 1.6558, 44.3862, 5.01, 0.88],
+    ['HIP 23430', 5.0361, -26.2750, 5.01, 1.06],
+    ['14 Aur', 5.2568, 32.6876, 5.01, 0.22],
+    ['η2 Dor', 6.1875, -65.5894, 5.01, 1.60],
+    ['1 Lyn', 6.2986, 61.5153, 5.01, 1.84],
+    ['65 Gem', 7.4969, 27.9161, 5.01, 1.12],
+    ['212 Pup', 7.8710, -34.7054, 5.01, 0.47],
+    ['C Vel', 8.5788, -49.9442, 5.01, 1.30],
+    ['L Vel', 9.5691, -51.2553, 5.01, -0.18],
+    ['HIP 52425', 10.7178, 69.0762, 5.01, 1.41],
+    ['HIP 56862', 11.6582, -65.3978, 5.01, 0.80],
+    ['F Cen', 12.3166, -55.1430, 5.01, 1.60],
+    ['6 CVn', 12.4308, 39.0186, 5.01, 0.95],
+    ['4 Dra', 12.5018, 69.2011, 5.01, 1.62],
+    ['HIP 84833', 17.3386, 18.0571, 5.01, 1.65],
+    ['ζ Sge', 19.8163, 19.1420, 5.01, 0.10],
+    ['61 Sgr', 19.9658, -15.4915, 5.01, 0.06],
+    ['79 Tau', 4.4806, 13.0476, 5.02, 0.21],
+    ['σ Aur', 5.4109, 37.3853, 5.02, 1.45],
+    ['HIP 46880', 9.5535, -21.1157, 5.02, 1.02],
+    ['t Vel', 10.5491, -47.0034, 5.02, 1.04],
+    ['46 UMa', 10.9290, 33.5069, 5.02, 1.10],
+    ['9 Boo', 13.9428, 27.4921, 5.02, 1.44],
+    ['HIP 72800', 14.8809, -37.8032, 5.02, -0.15],
+    ['11 UMi', 15.2850, 71.8239, 5.02, 1.37],
+    ['30 Dra', 17.8179, 50.7811, 5.02, 0.04],
+    ['35 Dra', 17.8242, 76.9629, 5.02, 0.52],
+    ['HIP 89981', 18.3591, 49.1216, 5.02, 1.62],
+    ['4 Aql', 18.7472, 2.0600, 5.02, -0.06],
+    ['ξ1 Sgr', 18.9557, -20.6563, 5.02, 0.14],
+    ['χ1 Sgr', 19.4212, -24.5086, 5.02, 0.23],
+    ['θ PsA', 21.7956, -30.8983, 5.02, 0.04],
+    ['κ Ari', 2.1094, 22.6483, 5.03, 0.12],
+    ['60 Eri', 4.8366, -16.2172, 5.03, 0.99],
+    ['HIP 28675', 6.0543, -26.2845, 5.03, 1.33],
+    ['HIP 35226', 7.2804, -36.5926, 5.03, -0.16],
+    ['4 Pup', 7.7658, -14.5638, 5.03, 0.34],
+    ['HIP 41639', 8.4910, -44.7248, 5.03, -0.17],
+    ['47 UMa', 10.9911, 40.4303, 5.03, 0.62],
+    ['24 Com', 12.5855, 18.3771, 5.03, 1.15],
+    ['82 Vir', 13.6935, -8.7030, 5.03, 1.62],
+    ['HIP 69618', 14.2492, -57.0861, 5.03, -0.07],
+    ['51 Her', 16.8626, 24.6564, 5.03, 1.25],
+    ['HIP 83336', 17.0313, -32.1435, 5.03, -0.10],
+    ['e Oph', 17.3103, 10.8645, 5.03, 1.54],
+    ['46 Dra', 18.7105, 55.5395, 5.03, -0.07],
+    ['η Tel', 19.3809, -54.4239, 5.03, 0.02],
+    ['36 Aql', 19.5111, -2.7889, 5.03, 1.77],
+    ['20 Cyg', 19.8438, 52.9880, 5.03, 1.29],
+    ['32 Vul', 20.9093, 28.0576, 5.03, 1.48],
+    ['ζ Scl', 0.0389, -29.7204, 5.04, -0.15],
+    ['41 And', 1.1336, 43.9421, 5.04, 0.11],
+    ['q2 Eri', 1.7684, -53.5220, 5.04, 0.03],
+    ['HIP 15219', 3.2701, 50.9377, 5.04, 1.11],
+    ['β Cae', 4.7010, -37.1443, 5.04, 0.39],
+    ['2 Mon', 5.9845, -9.5583, 5.04, 0.19],
+    ['HIP 28991', 6.1176, -62.1546, 5.04, 1.26],
+    ['74 Ori', 6.2741, 12.2722, 5.04, 0.43],
+    ['ψ4 Aur', 6.7180, 44.5244, 5.04, 1.48],
+    ['57 Gem', 7.3913, 25.0505, 5.04, 0.90],
+    ['74 Gem', 7.6579, 17.6745, 5.04, 1.62],
+    ['HIP 37606', 7.7159, -45.1731, 5.04, 0.77],
+    ['HIP 39690', 8.1112, -45.2660, 5.04, 1.49],
+    ['κ Cha', 12.0796, -76.5191, 5.04, 1.49],
+    ['53 Vir', 13.2010, -16.1986, 5.04, 0.46],
+    ['ι1 Mus', 13.4186, -74.8878, 5.04, 1.11],
+    ['K Cen', 13.4903, -51.1651, 5.04, 0.06],
+    ['δ Cir', 15.2825, -60.9573, 5.04, -0.08],
+    ['5 Ser', 15.3219, 1.7654, 5.04, 0.54],
+    ['ν1 Boo', 15.5155, 40.8330, 5.04, 1.59],
+    ['λ Lib', 15.8889, -20.1670, 5.04, -0.01],
+    ['68 Cyg', 21.3076, 43.9459, 5.04, -0.06],
+    ['74 Cyg', 21.6158, 40.4135, 5.04, 0.20],
+    ['16 Cep', 21.9875, 73.1799, 5.04, 0.44],
+    ['κ Aqr', 22.6293, -4.2281, 5.04, 1.14],
+    ['31 Per', 3.3188, 50.0950, 5.05, -0.07],
+    ['28 Tau', 3.8198, 24.1367, 5.05, -0.08],
+    ['η2 Pic', 5.0828, -49.5778, 5.05, 1.48],
+    ['19 Aur', 5.3336, 33.9581, 5.05, 0.29],
+    ['HIP 31765', 6.6438, -48.2202, 5.05, 1.00],
+    ['HIP 37391', 7.6751, 87.0201, 5.05, 1.60],
+    ['HIP 42430', 8.6522, -22.6619, 5.05, 0.72],
+    ['99 Her', 18.1171, 30.5621, 5.05, 0.53],
+    ['λ Cep', 22.1918, 59.4145, 5.05, 0.19],
+    ['57 Peg', 23.1587, 8.6772, 5.05, 1.48],
+    ['7 Psc', 23.3391, 5.3813, 5.05, 1.20],
+    ['HIP 117371', 23.7985, 67.8068, 5.05, 0.01],
+    ['HIP 17296', 3.7026, 63.2168, 5.06, 1.65],
+    ['HIP 24505', 5.2568, -26.9435, 5.06, -0.07],
+    ['HIP 25045', 5.3628, -24.7730, 5.06, 0.66],
+    ['ν Dor', 6.1456, -68.8434, 5.06, -0.07],
+    ['HIP 29417', 6.1977, -6.5503, 5.06, -0.20],
+    ['10 Mon', 6.4660, -4.7622, 5.06, -0.17],
+    ['n Pup', 7.5718, -23.4737, 5.06, 0.47],
+    ['HIP 40680', 8.3052, -65.6132, 5.06, 1.13],
+    ['HIP 49485', 10.1031, -47.3700, 5.06, 0.88],
+    ['49 UMa', 11.0140, 39.2121, 5.06, 0.26],
+    ['ε Aps', 14.3731, -80.1089, 5.06, -0.11],
+    ['HIP 84033', 17.1784, -44.5577, 5.06, 0.87],
+    ['HIP 96825', 19.6806, 45.5249, 5.06, 0.43],
+    ['55 Sgr', 19.7086, -16.1240, 5.06, 0.32],
+    ['26 Cyg', 20.0227, 50.1047, 5.06, 1.12],
+    ['28 Vul', 20.6422, 24.1160, 5.06, -0.13],
+    ['56 Cyg', 20.8347, 44.0593, 5.06, 0.20],
+    ['ι Ind', 20.8583, -51.6082, 5.06, 1.13],
+    ['ο Pav', 21.2224, -70.1263, 5.06, 1.58],
+    ['φ Peg', 23.8748, 19.1203, 5.06, 1.59],
+    ['β3 Tuc', 0.5455, -63.0315, 5.07, 0.04],
+    ['64 Psc', 0.8163, 16.9406, 5.07, 0.50],
+    ['94 Cet', 3.2129, -1.1961, 5.07, 0.57],
+    ['δ Cae', 4.5139, -44.9537, 5.07, -0.19],
+    ['3 Cam', 4.6652, 53.0795, 5.07, 1.08],
+    ['27 Ori', 5.4080, -0.8913, 5.07, 0.96],
+    ['t Pup', 6.9736, -34.1117, 5.07, -0.15],
+    ['51 Gem', 7.2229, 16.1590, 5.07, 1.65],
+    ['64 Gem', 7.4890, 28.1183, 5.07, 0.12],
+    ['HIP 38010', 7.7903, -38.5111, 5.07, -0.11],
+    ['6 Leo', 9.5327, 9.7158, 5.07, 1.36],
+    ['ζ Cha', 9.5648, -80.9413, 5.07, -0.14],
+    ['κ Hya', 9.6718, -14.3323, 5.07, -0.15],
+    ['γ Sex', 9.8751, -8.1050, 5.07, 0.04],
+    ['48 Leo', 10.5800, 6.9537, 5.07, 0.92],
+    ['ο1 Cen', 11.5295, -59.4421, 5.07, 1.03],
+    ['50 Hya', 14.2128, -27.2612, 5.07, 1.13],
+    ['17 Dra', 16.6038, 52.9244, 5.07, -0.03],
+    ['HIP 83947', 17.1592, 40.7770, 5.07, 1.27],
+    ['27 Dra', 17.5327, 68.1350, 5.07, 1.08],
+    ['δ2 Tel', 18.5339, -45.7574, 5.07, -0.13],
+    ['18 Aql', 19.1163, 11.0712, 5.07, -0.06],
+    ['κ Del', 20.6522, 10.0862, 5.07, 0.70],
+    ['14 Peg', 21.8307, 30.1742, 5.07, 0.01],
+    ['19 Cep', 22.0858, 62.2798, 5.07, 0.24],
+    ['HIP 2854', 0.6023, 54.1685, 5.08, -0.10],
+    ['30 Tau', 3.8045, 11.1433, 5.08, -0.13],
+    ['σ1 Tau', 4.6526, 15.7998, 5.08, 0.14],
+    ['97 Tau', 4.8562, 18.8399, 5.08, 0.21],
+    ['HIP 25110', 5.3760, 79.2311, 5.08, 0.51],
+    ['φ Aur', 5.4608, 34.4759, 5.08, 1.40],
+    ['α Men', 6.1707, -74.7530, 5.08, 0.71],
+    ['HIP 32558', 6.7937, -8.9985, 5.08, 1.79],
+    ['N Pup', 7.9551, -44.1099, 5.08, -0.17],
+    ['F Vel', 8.4602, -53.0885, 5.08, 0.26],
+    ['15 LMi', 9.8098, 46.0210, 5.08, 0.62],
+    ['β Sex', 10.5049, -0.6370, 5.08, -0.14],
+    ['44 Hya', 10.5669, -23.7452, 5.08, 1.60],
+    ['t1 Car', 10.6057, -59.5644, 5.08, 1.17],
+    ['41 LMi', 10.7236, 23.1884, 5.08, 0.04],
+    ['λ Crt', 11.3894, -18.7800, 5.08, 0.44],
+    ['μ2 Cru', 12.9102, -57.1687, 5.08, -0.09],
+    ['θ Cir', 14.9456, -62.7810, 5.08, -0.02],
+    ['HIP 92814', 18.9120, -15.6030, 5.08, 0.14],
+    ['17 Vul', 20.1148, 23.6144, 5.08, -0.16],
+    ['π Cap', 20.4553, -18.2117, 5.08, -0.05],
+    ['μ Cap', 21.8883, -13.5518, 5.08, 0.38],
+    ['31 Cep', 22.5961, 73.6432, 5.08, 0.40],
+    ['λ Hyi', 0.8098, -74.9234, 5.09, 1.34],
+    ['ι Ari', 1.9558, 17.8175, 5.09, 0.92],
+    ['HIP 16292', 3.5001, 55.4518, 5.09, 0.02],
+    ['HIP 23265', 5.0058, 81.1941, 5.09, 1.30],
+    ['HIP 31278', 6.5605, -1.2202, 5.09, -0.13],
+    ['56 Gem', 7.3658, 20.4437, 5.09, 1.53],
+    ['HIP 36114', 7.4394, -51.0185, 5.09, 1.04],
+    ['12 Pup', 7.9849, -23.3104, 5.09, 1.11],
+    ['HIP 40321', 8.2329, -36.3223, 5.09, -0.18],
+    ['f Vel', 8.8426, -46.5292, 5.09, -0.20],
+    ['I Vel', 9.4383, -53.3789, 5.09, -0.10],
+    ['44 UMa', 9.7755, 57.1281, 5.09, 1.59],
+    ['u Vel', 9.8325, -45.7327, 5.09, -0.10],
+    ['HIP 55597', 11.3893, -64.9547, 5.09, -0.06],
+    ['6 Com', 12.2667, 14.8991, 5.09, 0.07],
+    ['36 Ser', 15.8543, -3.0905, 5.09, 0.14],
+    ['HIP 79302', 16.1839, -29.4162, 5.09, 1.13],
+    ['87 Her', 17.8137, 25.6229, 5.09, 1.14],
+    ['HIP 90037', 18.3718, -38.6569, 5.09, 1.50],
+    ['η Sge', 20.0860, 19.9911, 5.09, 1.06],
+    ['75 Cyg', 21.6698, 43.2738, 5.09, 1.60],
+    ['16 Peg', 21.8844, 25.9251, 5.09, -0.15],
+    ['HIP 109102', 22.1005, 45.0143, 5.09, 1.57],
+    ['ε Oct', 22.3338, -80.4397, 5.09, 1.28],
+    ['2 And', 23.0434, 42.7578, 5.09, 0.09],
+    ['66 Peg', 23.3846, 12.3139, 5.09, 1.31],
+    ['77 Peg', 23.7229, 10.3315, 5.09, 1.69],
+    ['21 Per', 2.9548, 31.9342, 5.10, -0.01],
+    ['63 Ari', 3.3792, 20.7421, 5.10, 1.23],
+    ['HIP 19461', 4.1674, 80.6987, 5.10, 0.59],
+    ['66 Tau', 4.3977, 9.4610, 5.10, 0.07],
+    ['ε Dor', 5.8315, -66.9012, 5.10, -0.13],
+    ['HIP 57613', 11.8125, -26.7498, 5.10, 1.59],
+    ['r Cen', 13.2814, -31.5062, 5.10, 0.96],
+    ['HIP 70400', 14.4032, 5.8201, 5.10, 0.12],
+    ['5 Her', 16.0206, 17.8184, 5.10, 0.99],
+    ['HIP 82129', 16.7778, -67.1097, 5.10, -0.08],
+    ['HIP 85162', 17.4036, -44.1626, 5.10, -0.05],
+    ['101 Her', 18.1480, 20.0452, 5.10, 0.18],
+    ['23 Aql', 19.3090, 1.0851, 5.10, 1.14],
+    ['25 Aqr', 21.6592, 2.2436, 5.10, 1.03],
+    ['46 Cap', 21.7501, -9.0824, 5.10, 1.11],
+    ['HIP 113561', 23.0014, 56.9454, 5.10, 1.01],
+    ['γ1 Oct', 23.8685, -82.0188, 5.10, 0.93],
+    ['48 Cet', 1.4934, -21.6293, 5.11, 0.03],
+    ['i Eri', 3.8942, -34.7323, 5.11, -0.13],
+    ['68 Eri', 5.1455, -4.4562, 5.11, 0.46],
+    ['43 Cam', 6.8951, 68.8883, 5.11, -0.11],
+    ['v2 Pup', 7.3106, -36.7427, 5.11, -0.17],
+    ['19 LMi', 9.9614, 41.0556, 5.11, 0.48],
+    ['z2 Car', 11.1428, -61.9472, 5.11, 0.20],
+    ['HIP 65535', 13.4355, -39.7551, 5.11, 1.18],
+    ['κ TrA', 15.9249, -68.6030, 5.11, 1.11],
+    ['μ Lyr', 18.4038, 39.5072, 5.11, 0.05],
+    ['λ CrA', 18.7297, -38.3234, 5.11, 0.07],
+    ['59 Dra', 19.1527, 76.5605, 5.11, 0.31],
+    ['φ2 Pav', 20.6674, -60.5489, 5.11, 0.54],
+    ['ι Mic', 20.8081, -43.9885, 5.11, 0.36],
+    ['HIP 108317', 21.9442, 63.6256, 5.11, 1.55],
+    ['μ2 Gru', 22.2740, -41.6272, 5.11, 0.93],
+    ['HIP 111795', 22.6439, 56.7956, 5.11, 1.54],
+    ['13 Lac', 22.7349, 41.8192, 5.11, 0.96],
+    ['φ Phe', 1.9061, -42.4969, 5.12, -0.06],
+    ['μ Hor', 3.0602, -59.7378, 5.12, 0.35],
+    ['66 Eri', 5.1127, -4.6552, 5.12, -0.06],
+    ['HIP 34670', 7.1799, -48.9321, 5.12, 1.25],
+    ['65 Aur', 7.3674, 36.7606, 5.12, 1.08],
+    ['HIP 37664', 7.7283, -40.9337, 5.12, 1.10],
+    ['ζ CMi', 7.8617, 1.7669, 5.12, -0.12],
+    ['HIP 45505', 9.2731, -44.2657, 5.12, 1.64],
+    ['HIP 46914', 9.5624, -49.0051, 5.12, -0.11],
+    ['38 UMa', 10.6990, 65.7163, 5.12, 1.21],
+    ['HIP 53261', 10.8929, 54.5851, 5.12, 1.35],
+    ['ο2 Cen', 11.5302, -59.5156, 5.12, 0.43],
+    ['HIP 61468', 12.5960, -41.0219, 5.12, 0.22],
+    ['27 Com', 12.7774, 16.5777, 5.12, 1.35],
+    ['μ Ara', 17.7358, -51.8341, 5.12, 0.69],
+    ['107 Her', 18.3503, 28.8700, 5.12, 0.21],
+    ['HIP 90806', 18.5240, -18.4027, 5.12, 0.02],
+    ['HIP 91105', 18.5840, -10.9772, 5.12, 0.93],
+    ['β2 Cyg', 19.5126, 27.9653, 5.12, -0.10],
+    ['37 Aql', 19.5853, -10.5604, 5.12, 1.12],
+    ['ο Aql', 19.8505, 10.4157, 5.12, 0.56],
+    ['ν Mic', 20.5653, -44.5160, 5.12, 1.00],
+    ['47 Aqr', 22.3599, -21.5982, 5.12, 1.06],
+    ['π PsA', 23.0583, -34.7494, 5.12, 0.30],
+    ['29 Psc', 0.0304, -3.0275, 5.13, -0.13],
+    ['HIP 1158', 0.2410, -7.7805, 5.13, 1.60],
+    ['89 Psc', 1.2967, 3.6145, 5.13, 0.07],
+    ['φ For', 2.4671, -33.8110, 5.13, 0.09],
+    ['HIP 15890', 3.4113, 64.5860, 5.13, 2.04],
+    ['41 Ori', 5.5879, -5.3897, 5.13, 0.02],
+    ['χ Cnc', 8.3344, 27.2177, 5.13, 0.49],
+    ['HIP 41325', 8.4319, 7.5645, 5.13, 0.93],
+    ['HIP 56332', 11.5484, -31.0872, 5.13, 1.58],
+    ['HIP 69038', 14.1322, 43.8545, 5.13, 1.49],
+    ['HIP 73826', 15.0887, -41.0672, 5.13, 1.01],
+    ['36 Lib', 15.5770, -28.0470, 5.13, 1.31],
+    ['θ Nor', 16.2543, -47.3720, 5.13, -0.11],
+    ['70 Her', 17.3484, 24.4994, 5.13, 0.00],
+    ['53 Dra', 19.1946, 56.8592, 5.13, 1.01],
+    ['α Oct', 21.0786, -77.0238, 5.13, 0.49],
+    ['π Phe', 23.9822, -52.7458, 5.13, 1.12],
+    ['HIP 2900', 0.6129, 44.4886, 5.14, 1.59],
+    ['37 Cet', 1.2400, -7.9228, 5.14, 0.45],
+    ['4 Tau', 3.5068, 11.3364, 5.14, -0.04],
+    ['42 Per', 3.8257, 33.0914, 5.14, 0.06],
+    ['λ Dor', 5.4387, -58.9125, 5.14, 0.99],
+    ['64 Ori', 6.0576, 19.6906, 5.14, -0.10],
+    ['HIP 32765', 6.8318, -46.6146, 5.14, 0.46],
+    ['42 Cam', 6.8492, 67.5719, 5.14, -0.15],
+    ['23 Car', 7.0143, -51.4026, 5.14, 1.65],
+    ['HIP 34033', 7.0606, 10.9518, 5.14, 1.39],
+    ['HIP 34105', 7.0718, -56.7497, 5.14, -0.03],
+    ['25 Mon', 7.6213, -4.1110, 5.14, 0.44],
+    ['π Gem', 7.7918, 33.4157, 5.14, 1.64],
+    ['O Pup', 7.9644, -45.5777, 5.14, 1.26],
+    ['8 Cnc', 8.0846, 13.1182, 5.14, 0.02],
+    ['HIP 40285', 8.2267, -46.9916, 5.14, -0.14],
+    ['HIP 52742', 10.7826, -56.7572, 5.14, -0.08],
+    ['HIP 56000', 11.4764, -42.6742, 5.14, -0.03],
+    ['HIP 56656', 11.6168, -61.2834, 5.14, 1.10],
+    ['HIP 59504', 12.2033, 77.6162, 5.14, 0.36],
+    ['HIP 60221', 12.3488, -13.5657, 5.14, 1.05],
+    ['21 CVn', 13.3040, 49.6821, 5.14, -0.05],
+    ['υ Vir', 14.3257, -2.2655, 5.14, 1.02],
+    ['μ CrB', 15.5875, 39.0101, 5.14, 1.65],
+    ['ξ1 Lup', 15.9482, -33.9661, 5.14, 0.13],
+    ['ο Oph', 17.3002, -24.2869, 5.14, 1.05],
+    ['ω Pav', 18.9768, -60.2005, 5.14, 1.35],
+    ['21 Aql', 19.2285, 2.2937, 5.14, -0.07],
+    ['4 Vul', 19.4246, 19.7984, 5.14, 1.00],
+    ['23 Cyg', 19.8882, 57.5235, 5.14, -0.13],
+    ['35 Cyg', 20.3109, 34.9828, 5.14, 0.66],
+    ['υ Pav', 20.6992, -66.7607, 5.14, -0.06],
+    ['82 Psc', 1.1852, 31.4247, 5.15, 0.26],
+    ['χ Phe', 2.0284, -44.7135, 5.15, 1.47],
+    ['14 Tri', 2.5350, 36.1473, 5.15, 1.47],
+    ['HIP 29895', 6.2949, -16.8159, 5.15, 1.29],
+    ['HIP 37946', 7.7776, 37.5174, 5.15, 1.59],
+    ['D Vel', 8.7279, -49.8228, 5.15, -0.20],
+    ['35 Lyn', 8.8658, 43.7266, 5.15, 0.97],
+    ['σ1 UMa', 9.1399, 66.8732, 5.15, 1.51],
+    ['27 UMa', 9.7159, 72.2526, 5.15, 1.03],
+    ['M Car', 10.2252, -66.3728, 5.15, 0.22],
+    ['HIP 54360', 11.1213, -42.6387, 5.15, 0.03],
+    ['HIP 56754', 11.6354, -61.8266, 5.15, -0.04],
+    ['HIP 58803', 12.0610, -42.4341, 5.15, 0.42],
+    ['ζ2 Mus', 12.3687, -67.5221, 5.15, 0.20],
+    ['49 Vir', 13.1316, -10.7404, 5.15, 1.14],
+    ['z Cen', 13.7823, -36.2519, 5.15, -0.01],
+    ['54 Hya', 14.7667, -25.4432, 5.15, 0.32],
+    ['α1 Lib', 14.8448, -15.9972, 5.15, 0.40],
+    ['HIP 74605', 15.2440, 67.3467, 5.15, 0.55],
+    ['HIP 74707', 15.2678, -41.4912, 5.15, 0.56],
+    ['10 Ser', 15.4773, 1.8421, 5.15, 0.24],
+    ['43 Her', 16.7639, 8.5826, 5.15, 1.53],
+    ['25 Cyg', 19.9987, 37.0429, 5.15, -0.13],
+    ['1 Aqr', 20.6569, 0.4864, 5.15, 1.06],
+    ['υ Cap', 20.6675, -18.1387, 5.15, 1.65],
+    ['γ1 Del', 20.7775, 16.1241, 5.15, 0.49],
+    ['59 Peg', 23.1956, 8.7201, 5.15, 0.14],
+    ['ρ And', 0.3520, 37.9686, 5.16, 0.44],
+    ['9 Per', 2.3726, 55.8457, 5.16, 0.37],
+    ['HIP 13717', 2.9437, -3.7123, 5.16, 0.08],
+    ['29 Per', 3.3105, 50.2222, 5.16, -0.07],
+    ['HIP 27621', 5.8481, -52.1089, 5.16, 0.96],
+    ['HIP 31084', 6.5231, -12.3920, 5.16, 1.26],
+    ['9 Pup', 7.8629, -13.8980, 5.16, 0.60],
+    ['C Car', 8.2544, -62.9156, 5.16, 0.09],
+    ['ξ Cnc', 9.1560, 22.0454, 5.16, 0.97],
+    ['37 UMa', 10.5860, 57.0826, 5.16, 0.35],
+    ['90 Vir', 13.9117, -1.5031, 5.16, 1.09],
+    ['η Cir', 15.0801, -64.0314, 5.16, 0.94],
+    ['τ1 Ser', 15.4298, 15.4280, 5.16, 1.65],
+    ['HIP 76243', 15.5740, -9.1834, 5.16, -0.09],
+    ['HIP 90887', 18.5393, -39.7040, 5.16, 0.08],
+    ['β Equ', 21.3816, 6.8111, 5.16, 0.06],
+    ['42 Cap', 21.6925, -14.0476, 5.16, 0.67],
+    ['σ Peg', 22.8734, 9.8357, 5.16, 0.49],
+    ['HIP 2381', 0.5063, -23.7877, 5.17, 0.13],
+    ['φ2 Cet', 0.8354, -10.6443, 5.17, 0.51],
+    ['μ Cas', 1.1379, 54.9203, 5.17, 0.70],
+    ['HIP 12273', 2.6339, 72.8183, 5.17, 0.90],
+    ['38 Ari', 2.7493, 12.4458, 5.17, 0.23],
+    ['ξ Eri', 4.3947, -3.7455, 5.17, 0.07],
+    ['6 Pup', 7.8281, -17.2284, 5.17, 1.28],
+    ['HIP 44093', 8.9812, -47.2347, 5.17, 0.27],
+    ['b2 Car', 8.9901, -59.0837, 5.17, 0.42],
+    ['η Crt', 11.9336, -17.1508, 5.17, -0.02],
+    ['HIP 59151', 12.1305, -75.3670, 5.17, 1.28],
+    ['13 Com', 12.4051, 26.0986, 5.17, 0.08],
+    ['HIP 61910', 12.6878, -13.0139, 5.17, 0.43],
+    ['H Cen', 12.9512, -51.1988, 5.17, -0.07],
+    ['90 Her', 17.8883, 40.0080, 5.17, 1.17],
+    ['ρ Tel', 19.1055, -52.3409, 5.17, 0.53],
+    ['31 Aql', 19.4162, 11.9444, 5.17, 0.76],
+    ['4 Cyg', 19.4359, 36.3179, 5.17, -0.12],
+    ['HIP 96459', 19.6105, 44.6949, 5.17, 0.93],
+    ['μ Ind', 21.0873, -54.7270, 5.17, 1.20],
+    ['φ Cap', 21.2605, -20.6517, 5.17, 1.16],
+    ['108 Aqr', 23.8559, -18.9092, 5.17, -0.12],
+    ['ι Scl', 0.3587, -28.9815, 5.18, 1.01],
+    ['HIP 2225', 0.4705, 44.3945, 5.18, 0.04],
+    ['42 Cas', 1.7155, 70.6225, 5.18, -0.02],
+    ['41 Tau', 4.1101, 27.5999, 5.18, -0.12],
+    ['6 Ori', 4.9130, 11.4260, 5.18, 0.12],
+    ['HIP 24197', 5.1949, 16.0457, 5.18, 1.52],
+    ['γ Men', 5.5314, -76.3410, 5.18, 1.13],
+    ['125 Tau', 5.6623, 25.8971, 5.18, -0.15],
+    ['μ Col', 5.7666, -32.3064, 5.18, -0.27],
+    ['HIP 33682', 6.9974, -67.9164, 5.18, 1.40],
+    ['HIP 35951', 7.4112, -16.2015, 5.18, -0.04],
+    ['HIP 40943', 8.3558, -36.4842, 5.18, -0.19],
+    ['HIP 41296', 8.4254, -51.7274, 5.18, -0.16],
+    ['HIP 42504', 8.6660, -53.0547, 5.18, -0.15],
+    ['16 UMa', 9.2390, 61.4233, 5.18, 0.60],
+    ['HIP 52469', 10.7258, 46.2039, 5.18, 0.32],
+    ['75 Leo', 11.2882, 2.0106, 5.18, 1.51],
+    ['HIP 55779', 11.4287, -63.9725, 5.18, 0.49],
+    ['HIP 69373', 14.2011, 69.4325, 5.18, 1.59],
+    ['HIP 73036', 14.9263, -60.1142, 5.18, 1.16],
+    ['κ Tel', 18.8777, -52.1074, 5.18, 0.96],
+    ['σ Aql', 19.6532, 5.3978, 5.18, 0.00],
+    ['19 Cyg', 19.8428, 38.7224, 5.18, 1.67],
+    ['22 Vul', 20.2584, 23.5089, 5.18, 1.02],
+    ['73 Dra', 20.5251, 74.9546, 5.18, 0.10],
+    ['78 Dra', 21.7178, 72.3201, 5.18, 1.06],
+    ['σ Phe', 23.7878, -50.2265, 5.18, -0.16],
+    ['κ For', 2.3757, -23.8163, 5.19, 0.61],
+    ['64 And', 2.4069, 50.0065, 5.19, 0.98],
+    ['HIP 23840', 5.1261, -63.3997, 5.19, 1.65],
+    ['HIP 28744', 6.0704, -6.7089, 5.19, -0.07],
+    ['77 Ori', 6.4538, 0.2992, 5.19, 1.19],
+    ['HIP 39070', 7.9938, -60.5871, 5.19, 1.76],
+    ['θ Vol', 8.6514, -70.3867, 5.19, 0.01],
+    ['HIP 43352', 8.8310, -32.7805, 5.19, 0.88],
+    ['δ Sex', 10.4913, -2.7391, 5.19, -0.05],
+    ['2 Dra', 11.6008, 69.3230, 5.19, 0.97],
+    ['59 Vir', 13.2796, 9.4242, 5.19, 0.58],
+    ['ν Lib', 15.1104, -16.2568, 5.19, 1.59],
+    ['HIP 77277', 15.7778, 62.5996, 5.19, 0.06],
+    ['HIP 80874', 16.5137, -61.6335, 5.19, 1.24],
+    ['κ Ara', 17.4333, -50.6335, 5.19, 1.05],
+    ['21 Vul', 20.2374, 28.6948, 5.19, 0.19],
+    ['17 Del', 20.9269, 13.7215, 5.19, 1.12],
+    ['6 Cep', 21.3228, 64.8719, 5.19, -0.04],
+    ['30 Cep', 22.6442, 63.5845, 5.19, 0.08],
+    ['HIP 115125', 23.3184, -13.4547, 5.19, 0.90],
+    ['97 Aqr', 23.3775, -15.0393, 5.19, 0.20],
+    ['28 And', 0.5020, 29.7516, 5.20, 0.27],
+    ['13 Cet', 0.5875, -3.5928, 5.20, 0.57],
+    ['HIP 19949', 4.2786, 53.6118, 5.20, 0.05],
+    ['47 Eri', 4.5699, -8.2314, 5.20, 1.71],
+    ['31 Cam', 5.9161, 59.8884, 5.20, 0.01],
+    ['71 Ori', 6.2475, 19.1564, 5.20, 0.43],
+    ['61 Pic', 6.4912, -56.8528, 5.20, 1.09],
+    ['26 Gem', 6.7068, 17.6453, 5.20, 0.06],
+    ['ω Gem', 7.0402, 24.2154, 5.20, 0.95],
+    ['C Pup', 7.0674, -42.3373, 5.20, 0.20],
+    ['18 Lyn', 7.2653, 59.6375, 5.20, 1.08],
+    ['63 Gem', 7.4623, 21.4452, 5.20, 0.46],
+    ['HIP 39961', 8.1600, -44.1228, 5.20, -0.17],
+    ['HIP 42540', 8.6720, -40.2639, 5.20, -0.03],
+    ['HIP 42679', 8.6991, -45.4107, 5.20, 0.17],
+    ['HIP 57047', 11.6955, -32.4994, 5.20, 1.48],
+    ['ζ Crv', 12.3427, -22.2159, 5.20, -0.09],
+    ['14 CVn', 13.0957, 35.7989, 5.20, -0.06],
+    ['47 Hya', 13.9753, -24.9722, 5.20, -0.09],
+    ['ν1 CrB', 16.3726, 33.7991, 5.20, 1.63],
+    ['59 Ser', 18.4535, 0.1961, 5.20, 0.49],
+    ['μ CrA', 18.7957, -40.4062, 5.20, 0.78],
+    ['HIP 93017', 18.9504, 32.9013, 5.20, 0.59],
+    ['17 Lyr', 19.1238, 32.5017, 5.20, 0.37],
+    ['2 PsA', 21.1069, -32.3416, 5.20, 1.10],
+    ['61 Cyg', 21.1150, 38.7494, 5.20, 1.07],
+    ['94 Aqr', 23.3185, -13.4586, 5.20, 0.79],
+    ['υ Phe', 1.1300, -41.4869, 5.21, 0.16],
+    ['ζ Psc', 1.2289, 7.5754, 5.21, 0.32],
+    ['ζ Hor', 2.6777, -54.5499, 5.21, 0.41],
+    ['ψ Tau', 4.1168, 29.0013, 5.21, 0.36],
+    ['60 Ori', 5.9804, 0.5530, 5.21, 0.01],
+    ['HIP 30457', 6.4029, -11.5301, 5.21, 1.23],
+    ['5 Lyn', 6.4469, 58.4174, 5.21, 1.54],
+    ['HIP 32064', 6.6990, -9.1675, 5.21, 1.52],
+    ['HIP 55756', 11.4248, -36.0631, 5.21, 0.98],
+    ['57 Vir', 13.2663, -19.9431, 5.21, 1.01],
+    ['76 Vir', 13.5495, -10.1650, 5.21, 0.96],
+    ['ω Ser', 15.8382, 2.1965, 5.21, 1.02],
+    ['ι Ara', 17.3878, -47.4682, 5.21, -0.10],
+    ['υ Aqr', 22.5782, -20.7082, 5.21, 0.45],
+    ['HIP 3505', 0.7457, -22.0061, 5.22, 0.35],
+    ['49 Cas', 2.0921, 76.1151, 5.22, 0.95],
+    ['HIP 13874', 2.9784, -2.7829, 5.22, 0.01],
+    ['HIP 19799', 4.2434, 10.0114, 5.22, -0.09],
+    ['51 Eri', 4.6267, -2.4735, 5.22, 0.28],
+    ['11 Cam', 5.1023, 58.9724, 5.22, -0.08],
+    ['ρ Aur', 5.3634, 41.8046, 5.22, -0.13],
+    ['HIP 31119', 6.5301, 11.5444, 5.22, 0.18],
+    ['ψ6 Aur', 6.7943, 48.7895, 5.22, 1.13],
+    ['HIP 33878', 7.0323, -5.7221, 5.22, 1.69],
+    ['η CMi', 7.4672, 6.9420, 5.22, 0.22],
+    ['HIP 38020', 7.7921, -46.6085, 5.22, -0.15],
+    ['HIP 39061', 7.9912, -39.2969, 5.22, 0.40],
+    ['ο1 Cnc', 8.9542, 15.3228, 5.22, 0.15],
+    ['HIP 54767', 11.2126, -64.1698, 5.22, -0.08],
+    ['HIP 55831', 11.4432, -61.1152, 5.22, -0.08],
+    ['67 UMa', 12.0352, 43.0456, 5.22, 0.28],
+    ['32 Vir', 12.7603, 7.6733, 5.22, 0.32],
+    ['HIP 70035', 14.3310, -61.2730, 5.22, 0.28],
+    ['b Lup', 14.7837, -52.3835, 5.22, 0.98],
+    ['45 Her', 16.7962, 5.2467, 5.22, 0.00],
+    ['29 Sgr', 18.8278, -20.3247, 5.22, 1.40],
+    ['ν Lyr', 18.8314, 32.5511, 5.22, 0.10],
+    ['3 Vul', 19.3808, 26.2624, 5.22, -0.12],
+    ['64 Dra', 20.0246, 64.8210, 5.22, 1.60],
+    ['71 Cyg', 21.4908, 46.5406, 5.22, 0.96],
+    ['14 And', 23.5215, 39.2362, 5.22, 1.03],
+    ['91 Psc', 1.3520, 28.7382, 5.23, 1.40],
+    ['η Ari', 2.2134, 21.2110, 5.23, 0.46],
+    ['HIP 14456', 3.1093, -6.0886, 5.23, 1.57],
+    ['10 CMa', 6.7412, -31.0705, 5.23, -0.13],
+    ['66 Aur', 7.4024, 40.6724, 5.23, 1.25],
+    ['HIP 39970', 8.1620, -47.9372, 5.23, -0.20],
+    ['ρ2 Cnc', 8.9277, 27.9275, 5.23, 1.00],
+    ['σ3 Cnc', 8.9924, 32.4186, 5.23, 0.91],
+    ['HIP 44337', 9.0290, -52.1887, 5.23, -0.12],
+    ['κ Cnc', 9.1291, 10.6682, 5.23, -0.09],
+    ['η Ant', 9.9812, -35.8910, 5.23, 0.30],
+    ['HIP 52701', 10.7749, -64.2632, 5.23, -0.08],
+    ['b3 Hya', 10.8915, -20.1387, 5.23, 0.48],
+    ['8 Dra', 12.9246, 65.4385, 5.23, 0.30],
+    ['56 Hya', 14.7958, -26.0875, 5.23, 0.94],
+    ['h Lup', 15.7106, -37.4249, 5.23, 0.99],
+    ['σ CrB', 16.2447, 33.8586, 5.23, 0.60],
+    ['HIP 82493', 16.8594, -41.2305, 5.23, 0.05],
+    ['23 Oph', 16.9099, -6.1540, 5.23, 1.10],
+    ['26 Dra', 17.5832, 61.8746, 5.23, 0.60],
+    ['19 Aql', 19.1500, 6.0732, 5.23, 0.35],
+    ['16 Vul', 20.0337, 24.9380, 5.23, 0.37],
+    ['θ Scl', 0.1956, -35.1331, 5.24, 0.46],
+    ['ρ Phe', 0.8448, -50.9868, 5.24, 0.36],
+    ['107 Psc', 1.7083, 20.2685, 5.24, 0.84],
+    ['HIP 14043', 3.0145, 52.3517, 5.24, -0.05],
+    ['ζ2 Ret', 3.3036, -62.5064, 5.24, 0.60],
+    ['20 Eri', 3.6048, -17.4671, 5.24, -0.12],
+    ['24 Eri', 3.7418, -1.1631, 5.24, -0.09],
+    ['τ7 Eri', 3.7943, -23.8747, 5.24, 0.07],
+    ['HIP 17954', 3.8386, 25.5794, 5.24, 0.23],
+    ['η Ret', 4.3648, -63.3864, 5.24, 0.95],
+    ['HIP 21297', 4.5699, -8.9703, 5.24, 1.47],
+    ['16 Cam', 5.3911, 57.5444, 5.24, -0.01],
+    ['45 Ori', 5.5943, -4.8561, 5.24, 0.27],
+    ['ψ5 Aur', 6.7790, 43.5774, 5.24, 0.57],
+    ['F Pup', 7.3093, -39.2103, 5.24, 0.03],
+    ['δ1 CMi', 7.5350, 1.9145, 5.24, 0.23],
+    ['η Pyx', 8.6312, -26.2550, 5.24, -0.03],
+    ['z Vel', 9.2401, -43.2275, 5.24, -0.14],
+    ['23 Hya', 9.2783, -6.3531, 5.24, 1.17],
+    ['ω Vir', 11.6410, 8.1343, 5.24, 1.50],
+    ['HIP 64348', 13.1898, -43.3686, 5.24, 1.05],
+    ['HIP 73909', 15.1046, 54.5563, 5.24, 0.96],
+    ['χ Sco', 16.2308, -11.8377, 5.24, 1.39],
+    ['HIP 80620', 16.4621, -7.5979, 5.24, 1.72],
+    ['s Her', 16.5093, 20.4792, 5.24, 1.27],
+    ['HIP 90200', 18.4051, -44.1103, 5.24, -0.16],
+    ['HIP 98174', 19.9518, -58.9014, 5.24, 0.01],
+    ['τ Cap', 20.6545, -14.9548, 5.24, -0.13],
+    ['HIP 103571', 20.9848, 4.2946, 5.24, 0.46],
+    ['41 Cap', 21.7002, -23.2629, 5.24, 0.99],
+    ['HIP 109572', 22.1969, 56.8394, 5.24, 0.53],
+    ['68 Aqr', 22.7925, -19.6134, 5.24, 0.94],
+    ['106 Aqr', 23.7367, -18.2769, 5.24, -0.08],
+    ['π Scl', 1.7024, -32.3270, 5.25, 1.04],
+    ['7 Tri', 2.2656, 33.3589, 5.25, 0.00],
+    ['ν Hor', 2.8171, -62.8065, 5.25, 0.10],
+    ['8 Lep', 5.3917, -13.9274, 5.25, -0.22],
+    ['HIP 31165', 6.5393, -37.6967, 5.25, 0.98],
+    ['HIP 31688', 6.6299, -32.3397, 5.25, 1.18],
+    ['11 CMi', 7.7712, 10.7683, 5.25, 0.02],
+    ['HIP 39487', 8.0712, -32.6748, 5.25, 1.88],
+    ['ε Sex', 10.2938, -8.0689, 5.25, 0.34],
+    ['HIP 51502', 10.5180, 82.5586, 5.25, 0.40],
+    ['φ Boo', 15.6304, 40.3534, 5.25, 0.89],
+    ['π Ara', 17.6349, -54.5004, 5.25, 0.20],
+    ['96 Her', 18.0397, 20.8336, 5.25, -0.10],
+    ['HIP 90067', 18.3803, 17.8266, 5.25, 1.25],
+    ['HIP 92056', 18.7630, 74.0856, 5.25, 0.95],
+    ['ι Lyr', 19.1217, 36.1002, 5.25, -0.11],
+    ['HIP 104738', 21.2175, -39.4249, 5.25, 0.46],
+    ['12 Lac', 22.6913, 40.2254, 5.25, -0.14],
+    ['HIP 113864', 23.0591, 67.2092, 5.25, 1.25],
+    ['π Ari', 2.8215, 17.4643, 5.26, -0.07],
+    ['ρ3 Eri', 3.0713, -7.6009, 5.26, 0.19],
+    ['58 Tau', 4.3434, 15.0955, 5.26, 0.23],
+    ['HIP 20266', 4.3445, 65.1404, 5.26, 0.82],
+    ['52 Ori', 5.8001, 6.4542, 5.26, 0.23],
+    ['49 Aur', 6.5867, 28.0223, 5.26, -0.01],
+    ['HIP 45328', 9.2383, -55.5696, 5.26, 0.98],
+    ['K Vel', 9.3016, -51.0509, 5.26, -0.06],
+    ['ν Leo', 9.9704, 12.4448, 5.26, -0.04],
+    ['HIP 49698', 10.1452, -65.8154, 5.26, 0.97],
+    ['HIP 53154', 10.8752, -57.2404, 5.26, 0.13],
+    ['C2 Cen', 11.5988, -47.6416, 5.26, 0.26],
+    ['92 Leo', 11.6797, 21.3527, 5.26, 0.98],
+    ['HIP 58082', 11.9118, -25.7139, 5.26, 0.88],
+    ['N Cen', 13.8680, -52.8115, 5.26, -0.08],
+    ['13 Boo', 14.1381, 49.4582, 5.26, 1.64],
+    ['HIP 75828', 15.4901, -46.7327, 5.26, 1.73],
+    ['16 Ser', 15.6082, 10.0102, 5.26, 0.93],
+    ['HIP 80161', 16.3635, 69.1094, 5.26, 1.11],
+    ['HIP 93256', 18.9960, 26.2304, 5.26, 1.23],
+    ['18 Cep', 22.0647, 63.1199, 5.26, 1.56],
+    ['49 And', 1.5017, 47.0073, 5.27, 1.00],
+    ['47 Cas', 2.0854, 77.2813, 5.27, 0.34],
+    ['μ For', 2.2151, -30.7238, 5.27, -0.01],
+    ['HIP 11738', 2.5250, 2.2672, 5.27, 1.27],
+    ['μ Hyi', 2.5279, -79.1094, 5.27, 0.98],
+    ['τ Ari', 3.3538, 21.1471, 5.27, -0.07],
+    ['67 Tau', 4.4236, 22.2000, 5.27, 0.25],
+    ['7 Mon', 6.3286, -7.8229, 5.27, -0.18],
+    ['x Pup', 6.7893, -37.9297, 5.27, -0.08],
+    ['68 Gem', 7.5601, 15.8267, 5.27, 0.06],
+    ['e1 Car', 8.5877, -58.2247, 5.27, -0.13],
+    ['31 UMa', 9.9286, 49.8198, 5.27, 0.09],
+    ['HIP 50070', 10.2230, -51.2330, 5.27, 0.26],
+    ['HIP 51313', 10.4813, -64.1723, 5.27, 1.86],
+    ['HIP 57477', 11.7821, 55.6282, 5.27, 1.28],
+    ['HIP 62027', 12.7140, -63.0586, 5.27, 0.20],
+    ['68 Vir', 13.4453, -12.7077, 5.27, 1.48],
+    ['12 Lib', 14.9056, -24.6422, 5.27, 1.34],
+    ['δ2 Aps', 16.3408, -78.6675, 5.27, 1.41],
+    ['59 Her', 17.0268, 33.5683, 5.27, 0.03],
+    ['ε2 Ara', 17.0524, -53.2370, 5.27, 0.50],
+    ['11 Aql', 18.9849, 13.6222, 5.27, 0.57],
+    ['HIP 99968', 20.2820, 40.3651, 5.27, 1.65],
+    ['λ Oct', 21.8485, -82.7189, 5.27, 0.76],
+    ['20 Cep', 22.0835, 62.7857, 5.27, 1.41],
+    ['HIP 109693', 22.2196, 86.1080, 5.27, -0.03],
+    ['HIP 116957', 23.7077, -15.4480, 5.27, 1.34],
+    ['40 Cas', 1.6419, 73.0400, 5.28, 0.97],
+    ['43 Per', 3.9435, 50.6954, 5.28, 0.42],
+    ['35 Eri', 4.0256, -1.5497, 5.28, -0.13],
+    ['κ Dor', 4.7392, -59.7327, 5.28, 0.21],
+    ['106 Tau', 5.1301, 20.4184, 5.28, 0.12],
+    ['ν2 Col', 5.6291, -28.6897, 5.28, 0.49],
+    ['133 Tau', 5.7953, 13.8996, 5.28, -0.16],
+    ['19 Lep', 6.1282, -19.1659, 5.28, 1.66],
+    ['HIP 30953', 6.4970, -50.2391, 5.28, 0.37],
+    ['11 CMa', 6.7809, -14.4260, 5.28, -0.02],
+    ['36 Gem', 6.8592, 21.7611, 5.28, -0.02],
+    ['η Vol', 8.3679, -73.4000, 5.28, 0.01],
+    ['HIP 43142', 8.7875, -1.8970, 5.28, 0.06],
+    ['17 UMa', 9.2638, 56.7414, 5.28, 1.57],
+    ['HIP 45581', 9.2903, -74.8943, 5.28, 0.02],
+    ['42 Lyn', 9.6394, 40.2398, 5.28, 0.22],
+    ['HIP 57371', 11.7622, -45.6901, 5.28, -0.12],
+    ['31 Crv', 12.0142, -19.6590, 5.28, -0.19],
+    ['3 CVn', 12.3302, 48.9841, 5.28, 1.62],
+    ['χ Boo', 15.2414, 29.1643, 5.28, 0.06],
+    ['ι TrA', 16.4659, -64.0579, 5.28, 0.38],
+    ['HIP 81437', 16.6335, 56.0155, 5.28, 1.05],
+    ['HIP 85389', 17.4478, -45.8430, 5.28, -0.06],
+    ['HIP 91014', 18.5660, -33.0166, 5.28, -0.12],
+    ['ω1 Aql', 19.2969, 11.5954, 5.28, 0.20],
+    ['χ Aql', 19.7094, 11.8266, 5.28, 0.57],
+    ['φ Aql', 19.9373, 11.4237, 5.28, 0.01],
+    ['σ Cap', 20.3232, -19.1185, 5.28, 1.39],
+    ['ν Ind', 22.4102, -72.2554, 5.28, 0.66],
+    ['107 Aqr', 23.7669, -18.6783, 5.28, 0.30],
+    ['γ3 Oct', 0.1673, -82.2240, 5.29, 1.05],
+    ['HIP 983', 0.2028, -17.9383, 5.29, 1.48],
+    ['ε Scl', 1.7608, -25.0526, 5.29, 0.40],
+    ['HIP 9312', 1.9939, 64.6216, 5.29, 0.00],
+    ['10 Tri', 2.3158, 28.6427, 5.29, 0.04],
+    ['69 Cet', 2.3657, 0.3957, 5.29, 1.65],
+    ['12 Tri', 2.4694, 29.6693, 5.29, 0.31],
+    ['46 Tau', 4.2259, 7.7160, 5.29, 0.37],
+    ['HIP 20704', 4.4351, 31.4389, 5.29, 0.99],
+    ['4 Cam', 4.8001, 56.7572, 5.29, 0.25],
+    ['ν Lep', 5.3331, -12.3156, 5.29, -0.10],
+    ['HIP 26868', 5.7042, -34.6678, 5.29, -0.03],
+    ['HIP 27947', 5.9139, -52.6355, 5.29, 0.29],
+    ['HIP 33316', 6.9297, -22.9414, 5.29, -0.16],
+    ['HIP 35427', 7.3142, -26.5859, 5.29, 0.96],
+    ['22 Leo', 9.8647, 24.3954, 5.29, 0.23],
+    ['17 Com', 12.4819, 25.9129, 5.29, -0.06],
+    ['15 Boo', 14.2475, 10.1006, 5.29, 1.01],
+    ['15 Sgr', 18.2536, -20.7283, 5.29, 0.01],
+    ['χ Oct', 18.9131, -87.6058, 5.29, 1.30],
+    ['HIP 105898', 21.4477, 48.8352, 5.29, 0.11],
+    ['ξ Gru', 21.5350, -41.1793, 5.29, 1.11],
+    ['12 Peg', 21.7679, 22.9489, 5.29, 1.38],
+    ['32 Aqr', 22.0798, -0.9063, 5.29, 0.23],
+    ['32 And', 0.6853, 39.4587, 5.30, 0.89],
+    ['η Hor', 2.6234, -52.5431, 5.30, 0.29],
+    ['33 Ari', 2.6781, 27.0609, 5.30, 0.08],
+    ['36 Per', 3.5406, 46.0569, 5.30, 0.40],
+    ['λ Pic', 4.7129, -50.4813, 5.30, 0.98],
+    ['59 Per', 4.7151, 43.3651, 5.30, 0.03],
+    ['β Men', 5.0453, -71.3143, 5.30, 1.00],
+    ['HIP 32411', 6.7665, -14.7961, 5.30, 0.07],
+    ['E Pup', 7.2044, -40.4988, 5.30, 0.07],
+    ['76 Gem', 7.7353, 25.7842, 5.30, 1.53],
+    ['14 CMi', 7.9724, 2.2248, 5.30, 0.93],
+    ['μ Cnc', 8.1294, 21.5818, 5.30, 0.64],
+    ['14 Hya', 8.8227, -3.4430, 5.30, -0.08],
+    ['36 Lyn', 9.2301, 43.2178, 5.30, -0.13],
+    ['HIP 47479', 9.6785, -57.9836, 5.30, 0.20],
+    ['HIP 49809', 10.1683, -12.8159, 5.30, 0.37],
+    ['57 UMa', 11.4845, 39.3370, 5.30, 0.02],
+    ['43 Oph', 17.3893, -28.1428, 5.30, 1.55],
+    ['105 Her', 18.3196, 24.4461, 5.30, 1.51],
+    ['54 Sgr', 19.6787, -16.2933, 5.30, 1.11],
+    ['θ2 Sgr', 19.9976, -34.6978, 5.30, 0.17],
+    ['24 Vul', 20.2797, 24.6711, 5.30, 0.95],
+    ['HIP 100541', 20.3863, 5.3430, 5.30, 0.98],
+    ['33 Vul', 20.9712, 22.3259, 5.30, 1.42],
+    ['ε Equ', 20.9846, 4.2935, 5.30, 0.46],
+    ['χ Cap', 21.1427, -21.1937, 5.30, 0.00],
+    ['70 Cyg', 21.4559, 37.1168, 5.30, -0.14],
+    ['7 Peg', 21.7043, 5.6801, 5.30, 1.65],
+    ['4 And', 23.1276, 46.3872, 5.30, 1.41],
+    ['μ Scl', 23.6773, -32.0731, 5.30, 0.96],
+    ['82 Peg', 23.8770, 10.9473, 5.30, 0.19],
+    ['6 Per', 2.2268, 51.0658, 5.31, 0.93],
+    ['62 And', 2.3213, 47.3800, 5.31, 0.01],
+    ['HIP 27243', 5.7743, -46.5972, 5.31, 1.04],
+    ['HIP 37701', 7.7345, 50.4338, 5.31, 0.00],
+    ['HIP 43671', 8.8974, -47.5208, 5.31, 0.28],
+    ['HIP 45544', 9.2825, -39.4015, 5.31, 1.17],
+    ['73 Leo', 11.2644, 13.3076, 5.31, 1.19],
+    ['61 UMa', 11.6842, 34.2016, 5.31, 0.72],
+    ['4 Vir', 11.7986, 8.2459, 5.31, 0.04],
+    ['D Cen', 12.2341, -45.7239, 5.31, 1.40],
+    ['55 Vir', 13.2364, -19.9309, 5.31, 0.86],
+    ['HIP 80945', 16.5283, -41.8171, 5.31, 0.30],
+    ['HIP 85667', 17.5066, -1.0629, 5.31, 0.71],
+    ['HIP 94150', 19.1647, -68.4244, 5.31, 0.90],
+    ['29 Cap', 21.2625, -15.1715, 5.31, 1.64],
+    ['HIP 110649', 22.4157, -57.7974, 5.31, 0.67],
+    ['31 Cas', 1.1776, 68.7786, 5.32, -0.01],
+    ['ρ2 Eri', 3.0451, -7.6855, 5.32, 0.94],
+    ['HIP 15770', 3.3870, 49.2133, 5.32, -0.08],
+    ['40 Tau', 4.0624, 5.4356, 5.32, -0.08],
+    ['49 Eri', 4.6205, 0.9983, 5.32, -0.11],
+    ['38 Ori', 5.5713, 3.7669, 5.32, 0.05],
+    ['188 Pup', 7.8171, -24.9122, 5.32, 0.75],
+    ['HIP 41260', 8.4177, -24.0462, 5.32, 1.48],
+    ['53 Leo', 10.8210, 10.5452, 5.32, 0.04],
+    ['3 Dra', 11.7079, 66.7449, 5.32, 1.27],
+    ['x1 Cen', 12.3932, -35.4127, 5.32, -0.07],
+    ['HIP 65479', 13.4205, -64.4851, 5.32, 0.41],
+    ['μ Lib', 14.8220, -14.1490, 5.32, 0.07],
+    ['HIP 73049', 14.9291, -33.8558, 5.32, 0.05],
+    ['3 Ser', 15.2532, 4.9394, 5.32, 1.09],
+    ['HIP 80208', 16.3744, -49.5724, 5.32, -0.05],
+    ['37 Oph', 17.2077, 10.5852, 5.32, 1.59],
+    ['HIP 97749', 19.8641, -39.8744, 5.32, -0.04],
+    ['μ2 Pav', 20.0312, -66.9440, 5.32, 1.22],
+    ['HIP 99461', 20.1866, -36.1012, 5.32, 0.87],
+    ['ζ Mic', 21.0494, -38.6314, 5.32, 0.42],
+    ['ξ Oct', 22.8397, -80.1238, 5.32, -0.13],
+    ['ψ1 Psc', 1.0947, 21.4732, 5.33, 0.00],
+    ['HIP 20161', 4.3213, -44.2679, 5.33, 1.07],
+    ['5 Ori', 4.8897, 2.5082, 5.33, 1.63],
+    ['HIP 22834', 4.9133, 7.7791, 5.33, 1.21],
+    ['14 Ori', 5.1314, 8.4984, 5.33, 0.34],
+    ['HIP 39734', 8.1217, -20.5543, 5.33, 0.10],
+    ['κ1 Vol', 8.3303, -71.5149, 5.33, -0.06],
+    ['A Vel', 8.4847, -47.9289, 5.33, -0.14],
+    ['θ Cnc', 8.5266, 18.0944, 5.33, 1.57],
+    ['η Cnc', 8.5451, 20.4412, 5.33, 1.25],
+    ['HIP 52678', 10.7713, -64.5146, 5.33, -0.10],
+    ['HIP 64823', 13.2877, 13.6758, 5.33, 1.30],
+    ['HIP 90074', 18.3814, -36.6696, 5.33, -0.12],
+    ['HIP 93124', 18.9708, 17.3609, 5.33, 0.73],
+    ['ν Tel', 19.8003, -56.3626, 5.33, 0.20],
+    ['13 Sge', 20.0009, 17.5165, 5.33, 1.58],
+    ['41 Aqr', 22.2383, -21.0746, 5.33, 0.81],
+    ['71 Peg', 23.5578, 22.4988, 5.33, 1.48],
+    ['π For', 2.0208, -30.0018, 5.34, 0.88],
+    ['20 Per', 2.8952, 38.3375, 5.34, 0.42],
+    ['29 Tau', 3.7612, 6.0500, 5.34, -0.10],
+    ['56 Tau', 4.3269, 21.7735, 5.34, -0.11],
+    ['21 Ori', 5.3198, 2.5958, 5.34, 0.41],
+    ['HIP 25980', 5.5448, -1.5918, 5.34, -0.19],
+    ['28 Dor', 5.5499, -64.2275, 5.34, 1.04],
+    ['72 Ori', 6.2570, 16.1432, 5.34, -0.10],
+    ['45 Aur', 6.3628, 53.4522, 5.34, 0.45],
+    ['ψ3 Aur', 6.6470, 39.9026, 5.34, -0.07],
+    ['13 Lyn', 6.7804, 57.1692, 5.34, 0.96],
+    ['14 Lyn', 6.8847, 59.4485, 5.34, 0.68],
+    ['HIP 36896', 7.5858, 30.9609, 5.34, 1.01],
+    ['55 Cam', 8.2136, 68.4741, 5.34, 1.04],
+    ['HIP 43414', 8.8430, -66.7930, 5.34, 0.42],
+    ['ι Cha', 9.4026, -80.7869, 5.34, 0.45],
+    ['HIP 50888', 10.3915, -38.0098, 5.34, 0.25],
+    ['HIP 58884', 12.0775, -68.3289, 5.34, -0.01],
+    ['E Cen', 12.1374, -48.6925, 5.34, -0.01],
+    ['HIP 63117', 12.9325, -56.8358, 5.34, 0.01],
+    ['HIP 70469', 14.4135, -24.8063, 5.34, 0.96],
+    ['χ Ser', 15.6965, 12.8475, 5.34, 0.03],
+    ['53 Her', 16.8828, 31.7017, 5.34, 0.32],
+    ['HIP 96288', 19.5781, 42.4125, 5.34, 0.06],
+    ['HIP 103127', 20.8945, -39.8099, 5.34, 1.32],
+    ['13 Peg', 21.8357, 17.2859, 5.34, 0.39],
+    ['HIP 109654', 22.2133, 34.6046, 5.34, 1.13],
+    ['42 Aqr', 22.2800, -12.8314, 5.34, 1.13],
+    ['HIP 113327', 22.9513, 48.6841, 5.34, -0.10],
+    ['HIP 3951', 0.8454, 64.2475, 5.35, 0.53],
+    ['φ3 Cet', 0.9337, -11.2665, 5.35, 1.50],
+    ['ρ Psc', 1.4376, 19.1723, 5.35, 0.40],
+    ['HIP 22157', 4.7672, 11.7056, 5.35, 0.20],
+    ['40 Aur', 6.1097, 38.4826, 5.35, 0.25],
+    ['37 Cam', 6.1664, 58.9357, 5.35, 1.10],
+    ['HIP 35957', 7.4122, -31.8089, 5.35, 1.07],
+    ['22 Lyn', 7.4989, 49.6725, 5.35, 0.47],
+    ['34 Lyn', 8.6836, 45.8340, 5.35, 0.99],
+    ['HIP 46811', 9.5387, -40.6493, 5.35, 0.90],
+    ['84 Vir', 13.7177, 3.5379, 5.35, 1.09],
+    ['6 Ser', 15.3506, 0.7153, 5.35, 1.19],
+    ['2 Her', 15.9105, 43.1386, 5.35, 1.65],
+    ['HIP 79050', 16.1354, -26.3267, 5.35, 1.64],
+    ['HIP 80782', 16.4951, -46.2432, 5.35, 0.49],
+    ['54 Her', 16.9228, 18.4332, 5.35, 1.41],
+    ['82 Her', 17.6105, 48.5856, 5.35, 1.14],
+    ['HIP 92953', 18.9380, -42.7107, 5.35, 1.00],
+    ['20 Aql', 19.2113, -7.9395, 5.35, 0.09],
+    ['ρ Aqr', 22.3366, -7.8211, 5.35, -0.05],
+    ['64 Peg', 23.3653, 31.8125, 5.35, -0.10],
+    ['18 And', 23.6523, 50.4717, 5.35, -0.06],
+    ['55 Psc', 0.6654, 21.4385, 5.36, 1.16],
+    ['57 Psc', 0.7758, 15.4755, 5.36, 1.56],
+    ['ι Tuc', 1.1219, -61.7753, 5.36, 0.88],
+    ['λ Hor', 2.4150, -60.3119, 5.36, 0.40],
+    ['75 Cet', 2.5360, -1.0349, 5.36, 1.00],
+    ['HIP 18993', 4.0694, 2.8269, 5.36, 0.51],
+    ['2 Cam', 4.6661, 53.4730, 5.36, 0.33],
+    ['HIP 26063', 5.5587, -1.1561, 5.36, -0.17],
+    ['55 Ori', 5.8561, -7.5180, 5.36, -0.20],
+    ['36 Cam', 6.2142, 65.7184, 5.36, 1.34],
+    ['HIP 29996', 6.3141, -9.3900, 5.36, 1.24],
+    ['HIP 34987', 7.2389, 3.1114, 5.36, 1.19],
+    ['HIP 35083', 7.2559, -30.6864, 5.36, -0.15],
+    ['171 Pup', 7.7597, -34.1724, 5.36, 0.59],
+    ['HIP 38846', 7.9494, -43.5004, 5.36, -0.17],
+    ['HIP 40107', 8.1925, -7.7725, 5.36, 0.89],
+    ['π Cnc', 9.2538, 14.9415, 5.36, 1.32],
+    ['ψ Leo', 9.7289, 14.0217, 5.36, 1.61],
+    ['HIP 52405', 10.7113, -59.2158, 5.36, 0.21],
+    ['42 LMi', 10.7644, 30.6823, 5.36, -0.05],
+    ['7 Vir', 11.9991, 3.6552, 5.36, 0.00],
+    ['63 Vir', 13.3836, -17.7353, 5.36, 0.99],
+    ['HIP 72131', 14.7548, -62.8756, 5.36, 0.31],
+    ['υ Lup', 15.4125, -39.7103, 5.36, -0.09],
+    ['41 Lib', 15.6485, -19.3019, 5.36, 0.88],
+    ['HIP 84821', 17.3361, 25.5376, 5.36, 0.06],
+    ['HIP 89605', 18.2854, -56.0234, 5.36, -0.05],
+    ['HIP 92989', 18.9446, -37.3432, 5.36, -0.15],
+    ['HIP 102599', 20.7926, 80.5523, 5.36, 1.14],
+    ['HIP 110109', 22.3043, -53.6271, 5.36, 0.61],
+    ['103 Aqr', 23.6929, -18.0271, 5.36, 1.58],
+    ['HIP 8230', 1.7665, -5.7333, 5.37, 1.52],
+    ['η1 Pic', 5.0469, -49.1514, 5.37, 0.42],
+    ['121 Tau', 5.5909, 24.0396, 5.37, -0.09],
+    ['HIP 28949', 6.1108, -4.1938, 5.37, -0.12],
+    ['40 Cam', 6.2613, 59.9990, 5.37, 1.34],
+    ['π2 Dor', 6.4246, -69.6903, 5.37, 0.97],
+    ['HIP 35848', 7.3914, -27.8343, 5.37, 1.54],
+    ['1 CMi', 7.4162, 11.6695, 5.37, 0.10],
+    ['HIP 39117', 8.0033, 73.9179, 5.37, 1.42],
+    ['20 LMi', 10.0168, 31.9237, 5.37, 0.68],
+    ['HIP 54746', 11.2092, -49.1010, 5.37, 0.17],
+    ['74 UMa', 12.4993, 58.4057, 5.37, 0.20],
+    ['9 Dra', 12.9986, 66.5973, 5.37, 1.28],
+    ['HIP 73223', 14.9647, -76.6627, 5.37, 1.44],
+    ['HIP 79804', 16.2876, 59.7550, 5.37, 1.55],
+    ['HIP 80337', 16.4004, -39.1930, 5.37, 0.63],
+    ['7 Sgr', 18.0475, -24.2825, 5.37, 0.49],
+    ['HIP 90763', 18.5180, -32.9891, 5.37, 0.18],
+    ['28 Sgr', 18.7724, -22.3922, 5.37, 1.59],
+    ['50 Dra', 18.7728, 75.4340, 5.37, 0.05],
+    ['HIP 109404', 22.1655, -34.0150, 5.37, 0.24],
+    ['HIP 109592', 22.2006, 60.7591, 5.37, 1.18],
+    ['30 Peg', 22.3410, 5.7895, 5.37, -0.04],
+    ['κ Gru', 23.0777, -53.9649, 5.37, 1.45],
+    ['41 Psc', 0.3433, 8.1903, 5.38, 1.34],
+    ['12 Cas', 0.4132, 61.8311, 5.38, 0.01],
+    ['52 Psc', 0.5432, 20.2943, 5.38, 1.07],
+    ['ρ Tuc', 0.7079, -65.4680, 5.38, 0.52],
+    ['15 Tri', 2.5963, 34.6876, 5.38, 1.65],
+    ['HIP 18859', 4.0435, -0.2689, 5.38, 0.52],
+    ['HIP 20264', 4.3442, -20.6396, 5.38, -0.03],
+    ['χ Tau', 4.3764, 25.6293, 5.38, -0.04],
+    ['HIP 21670', 4.6517, 7.8710, 5.38, 0.26],
+    ['HIP 24799', 5.3167, 33.7484, 5.38, -0.17],
+    ['HIP 35589', 7.3441, -52.0859, 5.38, -0.07],
+    ['85 Gem', 7.9277, 19.8840, 5.38, -0.04],
+    ['HIP 45571', 9.2881, -68.6896, 5.38, 0.41],
+    ['HIP 46404', 9.4630, -6.0712, 5.38, 0.64],
+    ['HIP 60379', 12.3804, -57.6761, 5.38, -0.10],
+    ['HIP 60781', 12.4580, -58.9918, 5.38, 1.54],
+    ['HIP 62572', 12.8205, 83.4129, 5.38, 0.03],
+    ['HIP 66849', 13.7003, -58.7871, 5.38, -0.03],
+    ['HIP 70931', 14.5058, -49.5190, 5.38, 0.06],
+    ['c Lup', 14.9381, -52.8095, 5.38, 0.14],
+    ['50 Boo', 15.3635, 32.9337, 5.38, -0.05],
+    ['HIP 77858', 15.8983, -24.5332, 5.38, -0.01],
+    ['72 Her', 17.3443, 32.4677, 5.38, 0.62],
+    ['60 Ser', 18.4947, -1.9853, 5.38, 0.96],
+    ['HIP 91013', 18.5657, 52.3535, 5.38, 1.09],
+    ['HIP 91217', 18.6077, 9.1225, 5.38, 0.39],
+    ['HIP 92202', 18.7914, -5.7051, 5.38, 1.28],
+    ['HIP 94712', 19.2727, -45.4660, 5.38, 1.35],
+    ['51 Aql', 19.8463, -10.7635, 5.38, 0.40],
+    ['27 Cyg', 20.1060, 35.9725, 5.38, 0.85],
+    ['75 Dra', 20.4707, 81.4227, 5.38, 1.01],
+    ['60 Cyg', 21.0197, 46.1558, 5.38, -0.21],
+    ['33 Cap', 21.4027, -20.8519, 5.38, 1.18],
+    ['HIP 109521', 22.1861, 50.8234, 5.38, 0.15],
+    ['HIP 4890', 1.0470, -46.3973, 5.39, 0.90],
+    ['γ2 For', 2.8317, -27.9420, 5.39, 0.01],
+    ['HIP 18396', 3.9328, 47.8714, 5.39, -0.07],
+    ['44 Tau', 4.1805, 26.4810, 5.39, 0.35],
+    ['HIP 22044', 4.7405, 11.1461, 5.39, 0.25],
+    ['63 Eri', 4.9973, -10.2633, 5.39, 0.80],
+    ['75 Ori', 6.2852, 9.9424, 5.39, 0.11],
+    ['HIP 32494', 6.7813, -51.2657, 5.39, 1.33],
+    ['HIP 32677', 6.8160, -15.1447, 5.39, -0.10],
+    ['HIP 39538', 8.0797, 79.4796, 5.39, -0.04],
+    ['8 LMi', 9.5257, 35.1033, 5.39, 1.54],
+    ['79 Leo', 11.4006, 1.4078, 5.39, 0.94],
+    ['HIP 56391', 11.5603, -40.5866, 5.39, 0.12],
+    ['a Lup', 14.6223, -46.1334, 5.39, 0.93],
+    ['33 Boo', 14.6473, 44.4045, 5.39, 0.03],
+    ['25 Ser', 15.7682, -1.8042, 5.39, -0.04],
+    ['ρ CrB', 16.0174, 33.3035, 5.39, 0.61],
+    ['HIP 79195', 16.1640, -3.4667, 5.39, 1.45],
+    ['HIP 82764', 16.9153, 20.9585, 5.39, 0.97],
+    ['ι Aps', 17.3683, -70.1232, 5.39, -0.04],
+    ['HIP 89851', 18.3358, -15.8317, 5.39, 1.47],
+    ['HIP 93299', 19.0038, 50.5335, 5.39, -0.18],
+    ['9 Cyg', 19.5808, 29.4630, 5.39, 0.58],
+    ['HIP 97534', 19.8237, -72.5034, 5.39, 0.23],
+    ['η Del', 20.5658, 13.0273, 5.39, 0.09],
+    ['35 Vul', 21.4611, 27.6086, 5.39, 0.05],
+    ['58 Peg', 23.1671, 9.8221, 5.39, -0.07],
+    ['25 Cet', 1.0507, -4.8366, 5.40, 1.11],
+    ['ι Hor', 2.7093, -50.8003, 5.40, 0.56],
+    ['HIP 17854', 3.8205, 70.8710, 5.40, 0.10],
+    ['HIP 20376', 4.3632, 60.7356, 5.40, 1.50],
+    ['83 Tau', 4.5104, 13.7244, 5.40, 0.26],
+    ['115 Tau', 5.4528, 17.9622, 5.40, -0.09],
+    ['26 Aur', 5.6439, 30.4924, 5.40, 0.45],
+    ['HIP 31579', 6.6091, 38.4455, 5.40, 2.77],
+    ['HIP 35795', 7.3835, -31.9238, 5.40, -0.16],
+    ['57 Cnc', 8.9041, 30.5791, 5.40, 1.05],
+    ['ω Leo', 9.4743, 9.0568, 5.40, 0.60],
+    ['41 Lyn', 9.4778, 45.6015, 5.40, 0.99],
+    ['11 LMi', 9.5943, 35.8101, 5.40, 0.77],
+    ['69 Leo', 11.2293, -0.0695, 5.40, -0.02],
+    ['HIP 65728', 13.4742, 59.9458, 5.40, -0.01],
+    ['22 Boo', 14.4409, 19.2269, 5.40, 0.23],
+    ['κ1 Aps', 15.5252, -73.3896, 5.40, -0.15],
+    ['ν2 CrB', 16.3748, 33.7035, 5.40, 1.52],
+    ['HIP 80399', 16.4110, -29.7047, 5.40, 0.63],
+    ['HIP 91989', 18.7492, -39.6862, 5.40, 0.85],
+    ['14 Aql', 19.0485, -3.6990, 5.40, -0.01],
+    ['51 Dra', 19.0820, 53.3967, 5.40, -0.01],
+    ['15 Aql', 19.0827, -4.0314, 5.40, 1.12],
+    ['66 Dra', 20.0925, 61.9954, 5.40, 1.19],
+    ['30 Cap', 21.2992, -17.9851, 5.40, -0.12],
+    ['κ2 Scl', 0.1929, -27.7997, 5.41, 1.35],
+    ['HIP 3544', 0.7548, 55.2214, 5.41, 0.02],
+    ['50 Cet', 1.5997, -15.4002, 5.41, 1.23],
+    ['ι Vol', 6.8575, -70.9634, 5.41, -0.11],
+    ['HIP 34301', 7.1113, -11.2940, 5.41, 0.03],
+    ['HIP 35855', 7.3922, -32.2021, 5.41, -0.17],
+    ['y Pup', 7.4849, -38.8121, 5.41, -0.15],
+    ['HIP 37450', 7.6877, -38.5335, 5.41, -0.13],
+    ['HIP 61621', 12.6284, -27.1389, 5.41, 0.33],
+    ['87 Vir', 13.7904, -17.8598, 5.41, 1.62],
+    ['18 Boo', 14.3212, 13.0043, 5.41, 0.39],
+    ['η Lib', 15.7346, -15.6728, 5.41, 0.24],
+    ['HIP 77859', 15.8989, -23.9781, 5.41, -0.03],
+    ['HIP 80693', 16.4761, 0.6650, 5.41, 1.46],
+    ['c Her', 17.1339, 35.9352, 5.41, 0.31],
+    ['HIP 85537', 17.4805, 0.3306, 5.41, 0.24],
+    ['HIP 89772', 18.3193, 7.2598, 5.41, 1.08],
+    ['HIP 90023', 18.3691, 23.2852, 5.41, 1.63],
+    ['HIP 91235', 18.6104, 33.4690, 5.41, -0.10],
+    ['14 Cyg', 19.6574, 42.8183, 5.41, -0.06],
+    ['HIP 97646', 19.8458, -59.1937, 5.41, 0.08],
+    ['51 Cyg', 20.7035, 50.3400, 5.41, -0.11],
+    ['σ Pav', 20.8217, -68.7765, 5.41, 1.12],
+    ['3 PsA', 21.2215, -27.6193, 5.41, 1.43],
+    ['κ1 Scl', 0.1559, -27.9879, 5.42, 0.41],
+    ['HIP 2240', 0.4740, -39.9150, 5.42, 1.56],
+    ['23 Cas', 0.7961, 74.8476, 5.42, -0.07],
+    ['39 Cet', 1.2767, -2.5004, 5.42, 0.89],
+    ['HIP 6592', 1.4113, -41.4925, 5.42, 1.03],
+    ['55 And', 1.8882, 40.7298, 5.42, 1.31],
+    ['60 Cet', 2.0532, 0.1285, 5.42, 0.15],
+    ['70 Cet', 2.3701, -0.8849, 5.42, 0.34],
+    ['HIP 20776', 4.4508, 80.8242, 5.42, 1.18],
+    ['HIP 31299', 6.5637, -36.2320, 5.42, 1.42],
+    ['28 Gem', 6.7460, 28.9709, 5.42, 1.45],
+    ['z Pup', 7.5642, -36.3384, 5.42, -0.08],
+    ['HIP 41817', 8.5253, -19.5775, 5.42, -0.06],
+    ['τ Cnc', 9.1333, 29.6542, 5.42, 0.89],
+    ['37 Leo', 10.2780, 13.7283, 5.42, 1.65],
+    ['HIP 57512', 11.7887, -57.6965, 5.42, 1.66],
+    ['HIP 61309', 12.5608, 33.2476, 5.42, 1.01],
+    ['HIP 62223', 12.7522, 45.4403, 5.42, 2.99],
+    ['106 Vir', 14.4783, -6.9005, 5.42, 1.49],
+    ['HIP 80390', 16.4088, -37.5660, 5.42, -0.10],
+    ['HIP 91494', 18.6598, -43.1859, 5.42, 1.65],
+    ['ι Del', 20.6303, 11.3777, 5.42, 0.05],
+    ['7 Cep', 21.4628, 66.8091, 5.42, -0.10],
+    ['5 Psc', 23.1447, 2.1279, 5.42, 0.91],
+    ['57 Cet', 1.9962, -20.8245, 5.43, 1.64],
+    ['HIP 9372', 2.0075, -8.5239, 5.43, 1.39],
+    ['HIP 11029', 2.3671, -10.7775, 5.43, 0.36],
+    ['14 Per', 2.7348, 44.2970, 5.43, 0.90],
+    ['16 Ori', 5.1555, 9.8296, 5.43, 0.25],
+    ['17 Cam', 5.5028, 63.0672, 5.43, 1.70],
+    ['HIP 31121', 6.5306, -8.1582, 5.43, 1.37],
+    ['HIP 43082', 8.7752, -45.9125, 5.43, 0.24],
+    ['ζ Oct', 8.9447, -85.6632, 5.43, 0.31],
+    ['ν Cha', 9.7724, -76.7761, 5.43, 0.90],
+    ['46 Leo', 10.5366, 14.1373, 5.43, 1.70],
+    ['HIP 54173', 11.0817, -35.8047, 5.43, 0.02],
+    ['HIP 54477', 11.1456, -28.0807, 5.43, 0.07],
+    ['7 Dra', 12.7929, 66.7903, 5.43, 1.57],
+    ['HIP 74941', 15.3137, -60.4963, 5.43, -0.09],
+    ['HIP 76618', 15.6471, -52.3727, 5.43, 0.01],
+    ['λ CrB', 15.9299, 37.9470, 5.43, 0.35],
+    ['HIP 78246', 15.9764, -24.8315, 5.43, -0.09],
+    ['16 Sco', 16.2020, -8.5476, 5.43, 0.12],
+    ['HIP 83962', 17.1633, -10.5233, 5.43, 0.47],
+    ['34 Dra', 17.9198, 72.0051, 5.43, 0.34],
+    ['HIP 91237', 18.6109, 6.6718, 5.43, 0.39],
+    ['112 Her', 18.8712, 21.4251, 5.43, -0.07],
+    ['η PsA', 22.0140, -28.4537, 5.43, -0.10],
+    ['38 Aqr', 22.1771, -11.5649, 5.43, -0.12],
+    ['HIP 112731', 22.8295, 55.9028, 5.43, 1.17],
+    ['HIP 112832', 22.8506, -39.1568, 5.43, 1.44],
+    ['2 Psc', 22.9910, 0.9629, 5.43, 0.98],
+    ['6 Cas', 23.8139, 62.2145, 5.43, 0.67],
+    ['68 Psc', 0.9639, 28.9922, 5.44, 1.08],
+    ['4 Eri', 2.9566, -23.8622, 5.44, 0.24],
+    ['HIP 15547', 3.3388, 77.7347, 5.44, 0.21],
+    ['HIP 17776', 3.8058, 23.4212, 5.44, -0.07],
+    ['37 Eri', 4.1729, -6.9239, 5.44, 0.94],
+    ['HIP 24254', 5.2062, 73.9467, 5.44, -0.11],
+    ['ζ Pic', 5.3228, -50.6060, 5.44, 0.52],
+    ['HIP 26649', 5.6638, -32.6292, 5.44, 0.91],
+    ['73 Ori', 6.2625, 12.5511, 5.44, 0.01],
+    ['HIP 32439', 6.7706, 79.5648, 5.44, 0.53],
+    ['HIP 33184', 6.9069, -1.1270, 5.44, 0.17],
+    ['21 Mon', 7.1899, -0.3019, 5.44, 0.31],
+    ['HIP 38497', 7.8843, -36.3638, 5.44, 1.16],
+    ['60 Cnc', 8.9321, 11.6260, 5.44, 1.46],
+    ['σ2 Cnc', 8.9491, 32.9104, 5.44, 0.18],
+    ['HIP 47204', 9.6202, -53.6685, 5.44, 0.14],
+    ['b1 Hya', 10.7811, -17.2969, 5.44, 0.11],
+    ['HIP 58379', 11.9709, -56.3173, 5.44, -0.06],
+    ['θ Mus', 13.1353, -65.3060, 5.44, -0.03],
+    ['HIP 76397', 15.6034, -44.3968, 5.44, 1.50],
+    ['HIP 78893', 16.1055, 67.8101, 5.44, -0.02],
+    ['λ Nor', 16.3216, -42.6740, 5.44, 0.10],
+    ['HIP 87847', 17.9466, -4.0818, 5.44, 1.16],
+    ['HIP 90414', 18.4483, -48.1172, 5.44, 0.85],
+    ['66 Aql', 20.2205, -1.0093, 5.44, 1.43],
+    ['ω2 Cyg', 20.5219, 49.2203, 5.44, 1.57],
+    ['83 Aqr', 23.0861, -7.6938, 5.44, 0.31],
+    ['11 And', 23.3249, 48.6253, 5.44, 1.01],
+    ['HIP 2942', 0.6226, 35.3995, 5.45, 0.89],
+    ['HIP 3083', 0.6527, 49.3546, 5.45, 1.64],
+    ['λ2 Tuc', 0.9168, -69.5271, 5.45, 1.09],
+    ['ν Ari', 2.6469, 21.9614, 5.45, 0.17],
+    ['52 Ari', 3.0907, 25.2552, 5.45, -0.03],
+    ['16 Tau', 3.7467, 24.2895, 5.45, -0.03],
+    ['HIP 18975', 4.0657, 8.1973, 5.45, 0.37],
+    ['HIP 19398', 4.1550, -16.3859, 5.45, -0.15],
+    ['HIP 19805', 4.2468, -62.1918, 5.45, 1.11],
+    ['93 Tau', 4.6676, 12.1976, 5.45, -0.12],
+    ['HIP 25993', 5.5476, -38.5134, 5.45, 1.22],
+    ['θ Men', 6.9429, -79.4202, 5.45, 0.04],
+    ['HIP 33478', 6.9594, -24.6308, 5.45, 0.39],
+    ['HIP 36616', 7.5301, 17.0860, 5.45, 1.13],
+    ['HIP 41323', 8.4311, -42.1531, 5.45, -0.14],
+    ['HIP 42286', 8.6219, -62.8535, 5.45, 1.01],
+    ['HIP 42459', 8.6566, -53.4398, 5.45, -0.13],
+    ['ν Cnc', 9.0456, 24.4529, 5.45, -0.04],
+    ['HIP 46594', 9.5014, -51.5172, 5.45, -0.08],
+    ['p1 Leo', 10.8955, -2.1292, 5.45, 0.97],
+    ['3 Crv', 12.1844, -23.6024, 5.45, 0.06],
+    ['u Cen', 12.4729, -39.0412, 5.45, -0.07],
+    ['ι Oct', 12.9163, -85.1234, 5.45, 0.99],
+    ['HIP 73624', 15.0498, -32.6433, 5.45, -0.13],
+    ['HIP 74305', 15.1878, -55.3460, 5.45, 1.12],
+    ['HIP 77902', 15.9096, 20.3110, 5.45, 1.59],
+    ['HIP 79754', 16.2787, -53.8111, 5.45, 1.70],
+    ['HIP 89507', 18.2648, -44.2065, 5.45, 0.96],
+    ['χ3 Sgr', 19.4249, -23.9625, 5.45, 1.44],
+    ['42 Aql', 19.6298, -4.6476, 5.45, 0.43],
+    ['σ Oct', 21.1463, -88.9565, 5.45, 0.28],
+    ['HIP 108294', 21.9397, -37.2537, 5.45, 0.08],
+    ['λ PsA', 22.2385, -27.7669, 5.45, -0.12],
+    ['ρ Cep', 22.4980, 78.8243, 5.45, 0.09],
+    ['51 Peg', 22.9578, 20.7688, 5.45, 0.67],
+    ['36 And', 0.9161, 23.6283, 5.46, 1.01],
+    ['36 Tau', 4.0727, 24.1060, 5.46, 0.81],
+    ['HIP 20156', 4.3203, 50.0487, 5.46, 0.23],
+    ['HIP 21685', 4.6555, -14.3592, 5.46, 1.05],
+    ['HIP 24902', 5.3374, 41.0862, 5.46, 0.12],
+    ['HIP 25768', 5.5026, -47.0777, 5.46, 0.61],
+    ['33 Ori', 5.5207, 3.2921, 5.46, -0.18],
+    ['ο Aur', 5.7650, 49.8263, 5.46, 0.03],
+    ['κ Men', 5.8380, -79.3614, 5.46, -0.08],
+    ['HIP 28943', 6.1089, -23.1108, 5.46, 0.06],
+    ['HIP 34624', 7.1720, -27.4915, 5.46, 1.00],
+    ['HIP 34912', 7.2232, 51.4287, 5.46, 1.64],
+    ['HIP 35180', 7.2707, -15.5857, 5.46, 0.08],
+    ['η Cha', 8.6888, -78.9634, 5.46, -0.10],
+    ['HIP 46358', 9.4518, -71.6019, 5.46, 1.08],
+    ['H Car', 9.5267, -73.0809, 5.46, 1.56],
+    ['δ1 Cha', 10.7545, -80.4696, 5.46, 0.96],
+    ['HIP 56290', 11.5391, 61.0825, 5.46, 0.52],
+    ['C3 Cen', 11.6261, -47.7473, 5.46, 1.23],
+    ['HIP 62131', 12.7335, -28.3240, 5.46, 1.35],
+    ['HIP 63066', 12.9221, -42.9157, 5.46, 1.67],
+    ['82 UMa', 13.6585, 52.9212, 5.46, 0.11],
+    ['HIP 67304', 13.7940, -50.3207, 5.46, 1.35],
+    ['95 Vir', 14.1119, -9.3135, 5.46, 0.35],
+    ['HIP 75572', 15.4382, 34.3360, 5.46, 1.41],
+    ['HIP 75647', 15.4550, -36.7676, 5.46, -0.15],
+    ['9 Her', 16.2210, 5.0211, 5.46, 1.47],
+    ['HIP 81305', 16.6063, -42.8589, 5.46, 0.34],
+    ['HIP 82676', 16.9005, -41.8064, 5.46, 0.18],
+    ['η1 CrA', 18.8140, -43.6800, 5.46, 0.13],
+    ['HIP 92831', 18.9145, 41.6027, 5.46, 1.03],
+    ['2 Vul', 19.2955, 23.0255, 5.46, 0.02],
+    ['27 Aql', 19.3432, -0.8922, 5.46, -0.04],
+    ['HIP 95865', 19.4978, -26.9856, 5.46, 1.12],
+    ['HIP 96536', 19.6262, -14.3018, 5.46, 0.50],
+    ['HIP 98194', 19.9539, 40.3678, 5.46, -0.09],
+    ['5 Peg', 21.6293, 19.3186, 5.46, 0.32],
+    ['HIP 4104', 0.8780, -24.0058, 5.47, 1.27],
+    ['HIP 13965', 2.9972, 47.2207, 5.47, 0.87],
+    ['HIP 16470', 3.5357, 48.0235, 5.47, -0.10],
+    ['HIP 20982', 4.5001, 83.3404, 5.47, 0.85],
+    ['81 Tau', 4.5108, 15.6919, 5.47, 0.26],
+    ['HIP 22626', 4.8681, 63.5054, 5.47, 1.56],
+    ['η Men', 4.9198, -74.9369, 5.47, 1.52],
+    ['118 Tau', 5.4879, 25.1502, 5.47, -0.04],
+    ['130 Tau', 5.7906, 17.7291, 5.47, 0.30],
+    ['45 Gem', 7.1395, 15.9307, 5.47, 1.02],
+    ['26 Lyn', 7.9119, 47.5646, 5.47, 1.46],
+    ['2 UMa', 8.5767, 65.1452, 5.47, 0.21],
+    ['h Vel', 8.8275, -40.3202, 5.47, 0.07],
+    ['20 Hya', 9.1599, -8.7876, 5.47, 1.00],
+    ['HIP 52004', 10.6242, -58.7333, 5.47, 0.50],
+    ['HIP 53781', 11.0041, 45.5263, 5.47, 1.47],
+    ['HIP 60044', 12.3139, 75.1606, 5.47, 0.05],
+    ['18 Com', 12.4908, 24.1089, 5.47, 0.45],
+    ['21 Com', 12.5168, 24.5672, 5.47, 0.06],
+    ['HIP 65112', 13.3438, -52.7478, 5.47, -0.13],
+    ['HIP 68581', 14.0397, -27.4298, 5.47, 1.33],
+    ['HIP 72582', 14.8416, 37.2720, 5.47, 1.03],
+    ['49 Lib', 16.0054, -16.5334, 5.47, 0.52],
+    ['HIP 84720', 17.3177, -46.6362, 5.47, 0.76],
+    ['89 Her', 17.9237, 26.0500, 5.47, 0.34],
+    ['ι Pav', 18.1739, -62.0022, 5.47, 0.59],
+    ['HIP 89290', 18.2202, -41.3361, 5.47, -0.15],
+    ['φ Oct', 18.3935, -75.0443, 5.47, 0.04],
+    ['HIP 90913', 18.5454, -14.8657, 5.47, 2.00],
+    ['HIP 90923', 18.5472, 30.5542, 5.47, -0.08],
+    ['HIP 102014', 20.6722, -33.4318, 5.47, 1.12],
+    ['HIP 103145', 20.8983, 33.4379, 5.47, 1.52],
+    ['HIP 106044', 21.4791, -69.5054, 5.47, 1.55],
+    ['HIP 110725', 22.4336, 70.7709, 5.47, 1.22],
+    ['ν Gru', 22.4776, -39.1318, 5.47, 0.96],
+    ['ξ Ari', 2.4136, 10.6106, 5.48, -0.10],
+    ['η3 For', 2.8446, -35.6758, 5.48, 1.26],
+    ['30 Eri', 3.8782, -5.3613, 5.48, -0.09],
+    ['HIP 24679', 5.2945, -13.5198, 5.48, 0.93],
+    ['HIP 30214', 6.3569, -11.7732, 5.48, 0.00],
+    ['5 Pup', 7.7991, -12.1927, 5.48, 0.48],
+    ['HIP 38593', 7.9031, -35.8773, 5.48, -0.17],
+    ['HIP 42712', 8.7045, -48.0991, 5.48, -0.17],
+    ['HIP 44613', 9.0900, 48.5303, 5.48, 0.47],
+    ['ι Crt', 11.6444, -13.2019, 5.48, 0.52],
+    ['21 Vir', 12.5630, -9.4521, 5.48, -0.04],
+    ['HIP 72664', 14.8573, 59.2940, 5.48, 1.37],
+    ['ξ2 Lib', 14.9461, -11.4097, 5.48, 1.49],
+    ['HIP 76957', 15.7141, 52.3609, 5.48, -0.04],
+    ['19 UMi', 16.1804, 75.8776, 5.48, -0.09],
+    ['HIP 80008', 16.3320, 39.7086, 5.48, 0.41],
+    ['HIP 82135', 16.7800, -39.3770, 5.48, 0.97],
+    ['47 Her', 16.8387, 7.2477, 5.48, 0.11],
+    ['27 Sco', 16.9531, -33.2595, 5.48, 1.61],
+    ['HIP 102497', 20.7722, -39.1993, 5.48, -0.08],
+    ['HIP 103094', 20.8885, 45.1817, 5.48, 1.09],
+    ['18 Aqr', 21.4032, -12.8781, 5.48, 0.30],
+    ['21 Aqr', 21.4214, -3.5567, 5.48, 1.45],
+    ['HIP 3607', 0.7699, -22.5221, 5.49, 0.98],
+    ['HIP 7213', 1.5489, -36.8652, 5.49, 1.02],
+    ['120 Phe', 1.7683, -50.8163, 5.49, 1.61],
+    ['HIP 14417', 3.1022, 79.4185, 5.49, 1.57],
+    ['30 Per', 3.2965, 44.0250, 5.49, -0.06],
+    ['HIP 18434', 3.9413, 35.0809, 5.49, -0.06],
+    ['58 Eri', 4.7934, -16.9345, 5.49, 0.63],
+    ['HIP 27517', 5.8268, -14.4837, 5.49, 0.87],
+    ['HIP 29150', 6.1494, -22.4274, 5.49, -0.01],
+    ['HIP 37901', 7.7673, -6.7725, 5.49, 1.38],
+    ['HIP 42715', 8.7053, -53.1001, 5.49, -0.13],
+    ['24 Hya', 9.2782, -8.7448, 5.49, -0.08],
+    ['HIP 46578', 9.4985, -26.5896, 5.49, 1.34],
+    ['23 LMi', 10.2707, 29.3105, 5.49, 0.02],
+    ['52 Leo', 10.7737, 14.1946, 5.49, 0.91],
+    ['35 Cru', 12.5279, -59.4239, 5.49, 0.62],
+    ['26 Com', 12.6520, 21.0626, 5.49, 0.98],
+    ['18 Sco', 16.2604, -8.3694, 5.49, 0.65],
+    ['HIP 88836', 18.1340, 36.4013, 5.49, 1.16],
+    ['14 Sgr', 18.2378, -21.7132, 5.49, 1.53],
+    ['24 Sgr', 18.5649, -24.0323, 5.49, 1.79],
+    ['HIP 93667', 19.0736, -31.0471, 5.49, 0.03],
+    ['HIP 97063', 19.7260, -15.4701, 5.49, 0.46],
+    ['7 Aqr', 20.9483, -9.6975, 5.49, 1.47],
+    ['ψ Oct', 22.2974, -77.5116, 5.49, 0.31],
+    ['75 Peg', 23.6324, 18.4007, 5.49, 0.01],
+    ['20 Psc', 23.7990, -2.7616, 5.49, 0.94],
+    ['π Tuc', 0.3442, -69.6249, 5.50, -0.05],
+    ['σ Scl', 1.0407, -31.5520, 5.50, 0.08],
+    ['σ Psc', 1.0470, 31.8043, 5.50, -0.04],
+    ['94 Psc', 1.4449, 19.2404, 5.50, 1.11],
+    ['ε Tri', 2.0494, 33.2841, 5.50, 0.03],
+    ['HIP 15643', 3.3567, -23.6351, 5.50, 0.89],
+    ['64 Ari', 3.4051, 24.7241, 5.50, 1.19],
+    ['53 Tau', 4.3239, 21.1423, 5.50, -0.07],
+    ['62 Eri', 4.9401, -5.1714, 5.50, -0.12],
+    ['103 Tau', 5.1352, 24.2652, 5.50, 0.03],
+    ['HIP 24450', 5.2456, 5.1562, 5.50, 1.37],
+    ['HIP 25950', 5.5373, 17.0581, 5.50, 0.00],
+    ['π2 Col', 6.1313, -42.1540, 5.50, 0.01],
+    ['HIP 34000', 7.0542, -59.1781, 5.50, -0.13],
+    ['HIP 35564', 7.3393, -52.3115, 5.50, 0.48],
+    ['HIP 49005', 9.9977, 56.8118, 5.50, 1.49],
+    ['HIP 51821', 10.5869, -39.5626, 5.50, 3.02],
+    ['51 Leo', 10.7735, 18.8915, 5.50, 1.13],
+    ['HIP 56497', 11.5825, -49.1365, 5.50, 1.04],
+    ['HIP 66435', 13.6197, 71.2423, 5.50, 1.22],
+    ['86 Vir', 13.7656, -12.4265, 5.50, 0.90],
+    ['HIP 76106', 15.5435, -19.6705, 5.50, 0.20],
+    ['11 Ser', 15.5494, -1.1864, 5.50, 1.09],
+    ['HIP 79199', 16.1646, -33.5458, 5.50, -0.07],
+    ['HIP 81141', 16.5720, -70.9881, 5.50, 1.24],
+    ['θ TrA', 16.5958, -65.4954, 5.50, 0.95],
+    ['HIP 89065', 18.1779, 3.3243, 5.50, 1.20],
+    ['10 Vul', 19.7286, 25.7719, 5.50, 0.94],
+    ['25 Vul', 20.3676, 24.4461, 5.50, -0.09],
+    ['HIP 105913', 21.4505, -42.5479, 5.50, 0.39],
+    ['HIP 108543', 21.9883, -38.3951, 5.50, 1.00],
+    ['τ Oct', 23.4677, -87.4822, 5.50, 1.28]
+];
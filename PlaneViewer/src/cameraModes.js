@@ -0,0 +1,243 @@
+// Camera modes: the ground observer, a chase camera behind a plane, an orbit camera around a
+// plane, and a free-fly camera. The controller owns the render camera (a direct child of the
+// scene) and each frame poses it from the active mode; switching modes or targets blends from
+// the old pose to the new one instead of cutting.
+
+import * as THREE from 'three';
+
+export const CAMERA_MODES = [
+    { id: 'ground', label: '🧍 Ground', title: 'Ground observer: walk around with WASD' },
+    { id: 'chase', label: '🎥 Chase', title: 'Follow behind the selected plane (wheel: distance)' },
+    { id: 'orbit', label: '🌀 Orbit', title: 'Circle the selected plane (drag: rotate, wheel: zoom)' },
+    { id: 'free', label: '🕊️ Free', title: 'Fly anywhere: WASD along the view, Q/E down/up' }
+];
+
+const BLEND_TIME = 0.8;              // seconds to blend between modes / targets
+const GROUND_CLEARANCE = 2.0;        // cameras (except free-fly) stay this far above the terrain
+const GROUND_MIN_PITCH = -0.15;      // small downward tilt (radians)
+const MAX_PITCH = Math.PI / 2 - 0.01;
+const CHASE_DISTANCE = 3.5;          // behind the plane, in plane radii
+const CHASE_HEIGHT = 0.8;            // above the plane, in plane radii
+const CHASE_LAG = 0.35;              // seconds; time constant of the chase camera's smoothing
+const ORBIT_MIN_ELEVATION = -0.2;
+const ORBIT_MAX_ELEVATION = 1.45;
+const ORBIT_MAX_DISTANCE = 3000;
+const ZOOM_RATE = 0.001;             // per wheel deltaY unit
+const FREE_FLY_SPEEDUP = 5;          // free-fly moves this much faster than walking
+
+const _box = new THREE.Box3();
+const _sphere = new THREE.Sphere();
+const _forward = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+const _look = new THREE.Vector3();
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+const _up = new THREE.Vector3(0, 1, 0);
+const _matrix = new THREE.Matrix4();
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const smoothstep = t => t * t * (3 - 2 * t);
+
+export class CameraController {
+    // `ground` is the observer rig: { yawObject, pitchObject, eye } (eye = where the camera sits on it).
+    // `groundHeightAt(x, z)` is the terrain height; only the free-fly camera may go below it.
+    constructor(camera, ground, { groundHeightAt = () => 0 } = {}) {
+        this.camera = camera;
+        this.ground = ground;
+        this.groundHeightAt = groundHeightAt;
+        this.mode = 'ground';
+        this.target = null;          // Object3D followed by chase/orbit
+        this.blend = 1;              // 0..1 progress from blendFrom to the mode's pose
+        this.blendFrom = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() };
+        this.pose = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() };
+        this.chase = { position: new THREE.Vector3(), valid: false, zoom: 1 };
+        this.orbit = { azimuth: 0, elevation: 0.3, distance: null };
+        this.free = { position: new THREE.Vector3(), yaw: 0, pitch: 0 };
+        this.targetRadius = 1;
+    }
+
+    // Chase and orbit need a target plane
+    static needsTarget(mode) {
+        return mode === 'chase' || mode === 'orbit';
+    }
+
+    setMode(mode) {
+        if (mode === this.mode || !CAMERA_MODES.some(m => m.id === mode)) return;
+        this.startBlend();
+        if (mode === 'free') {
+            // Take off from wherever the camera is now
+            this.free.position.copy(this.camera.position);
+            _euler.setFromQuaternion(this.camera.quaternion, 'YXZ');
+            this.free.yaw = _euler.y;
+            this.free.pitch = clamp(_euler.x, -MAX_PITCH, MAX_PITCH);
+        }
+        this.chase.valid = false;
+        if (mode === 'orbit') this.orbit.distance = null; // frame the target on the first update
+        this.mode = mode;
+    }
+
+    setTarget(object) {
+        if (object === this.target) return;
+        if (CameraController.needsTarget(this.mode)) this.startBlend();
+        this.target = object;
+        this.chase.valid = false;
+        this.orbit.distance = null;
+    }
+
+    startBlend() {
+        this.blendFrom.position.copy(this.camera.position);
+        this.blendFrom.quaternion.copy(this.camera.quaternion);
+        this.blend = 0;
+    }
+
+    // Mouse look (pointer-lock movement, or a drag for orbit), in pixels
+    look(dx, dy, sensitivity) {
+        switch (this.mode) {
+            case 'ground': {
+                const { yawObject, pitchObject } = this.ground;
+                yawObject.rotation.y -= dx * sensitivity;
+                // Clamp pitch so the observer can't look through the ground
+                pitchObject.rotation.x = clamp(pitchObject.rotation.x - dy * sensitivity, GROUND_MIN_PITCH, MAX_PITCH);
+                break;
+            }
+            case 'free':
+                this.free.yaw -= dx * sensitivity;
+                this.free.pitch = clamp(this.free.pitch - dy * sensitivity, -MAX_PITCH, MAX_PITCH);
+                break;
+            case 'orbit':
+                this.orbit.azimuth -= dx * sensitivity;
+                this.orbit.elevation = clamp(this.orbit.elevation + dy * sensitivity, ORBIT_MIN_ELEVATION, ORBIT_MAX_ELEVATION);
+                break;
+        }
+    }
+
+    // Mouse wheel: chase/orbit distance
+    zoom(deltaY) {
+        const factor = Math.exp(deltaY * ZOOM_RATE);
+        if (this.mode === 'chase') {
+            this.chase.zoom = clamp(this.chase.zoom * factor, 0.4, 6);
+        } else if (this.mode === 'orbit' && this.orbit.distance !== null) {
+            this.orbit.distance = clamp(this.orbit.distance * factor, this.targetRadius * 1.2, ORBIT_MAX_DISTANCE);
+        }
+    }
+
+    // WASD/QE movement by `distance` world units: the ground observer walks, free-fly flies
+    move(movement, distance) {
+        if (this.mode === 'ground') {
+            const { yawObject } = this.ground;
+            _forward.set(0, 0, -1).applyQuaternion(yawObject.quaternion);
+            _forward.y = 0; // walk horizontally whatever the pitch
+            _forward.normalize();
+            _offset.copy(this.directionFrom(movement, _forward));
+            if (_offset.lengthSq() > 0) yawObject.position.addScaledVector(_offset.normalize(), distance);
+        } else if (this.mode === 'free') {
+            _euler.set(this.free.pitch, this.free.yaw, 0, 'YXZ');
+            _forward.set(0, 0, -1).applyEuler(_euler);
+            _offset.copy(this.directionFrom(movement, _forward));
+            if (_offset.lengthSq() > 0) this.free.position.addScaledVector(_offset.normalize(), distance * FREE_FLY_SPEEDUP);
+        }
+    }
+
+    // Unnormalized move direction for the movement flags, given the forward vector
+    directionFrom(movement, forward) {
+        _right.crossVectors(forward, _up).normalize();
+        _look.set(0, 0, 0);
+        if (movement.forward) _look.add(forward);
+        if (movement.backward) _look.sub(forward);
+        if (movement.left) _look.sub(_right);
+        if (movement.right) _look.add(_right);
+        if (movement.up) _look.y += 1;
+        if (movement.down) _look.y -= 1;
+        return _look;
+    }
+
+    // Pose the camera for this frame (after the plane meshes have been synced)
+    update(dt) {
+        const pose = this.pose;
+        if (CameraController.needsTarget(this.mode) && this.target) {
+            _box.setFromObject(this.target).getBoundingSphere(_sphere);
+            this.targetRadius = Math.max(_sphere.radius, 1);
+            if (this.mode === 'chase') this.poseChase(dt);
+            else this.poseOrbit();
+            const floor = this.groundHeightAt(pose.position.x, pose.position.z) + GROUND_CLEARANCE;
+            if (pose.position.y < floor) pose.position.y = floor;
+        } else if (this.mode === 'free') {
+            pose.position.copy(this.free.position);
+            pose.quaternion.setFromEuler(_euler.set(this.free.pitch, this.free.yaw, 0, 'YXZ'));
+        } else {
+            // Ground (also the fallback while chase/orbit have no target)
+            const { yawObject, eye } = this.ground;
+            // Keep the observer slightly above the ground so it doesn't clip below terrain
+            const floor = this.groundHeightAt(yawObject.position.x, yawObject.position.z) + GROUND_CLEARANCE;
+            if (yawObject.position.y < floor) yawObject.position.y = floor;
+            yawObject.rotation.z = 0; // prevent roll
+            yawObject.updateMatrixWorld(true);
+            eye.getWorldPosition(pose.position);
+            eye.getWorldQuaternion(pose.quaternion);
+        }
+
+        const camera = this.camera;
+        if (this.blend < 1) {
+            this.blend = Math.min(1, this.blend + dt / BLEND_TIME);
+            const t = smoothstep(this.blend);
+            camera.position.lerpVectors(this.blendFrom.position, pose.position, t);
+            camera.quaternion.slerpQuaternions(this.blendFrom.quaternion, pose.quaternion, t);
+        } else {
+            camera.position.copy(pose.position);
+            camera.quaternion.copy(pose.quaternion);
+        }
+        camera.updateMatrixWorld();
+    }
+
+    // Behind and above the target along its horizontal heading, trailing it with some lag
+    poseChase(dt) {
+        const target = this.target;
+        const radius = this.targetRadius * this.chase.zoom;
+        _forward.set(0, 0, 1).applyQuaternion(target.quaternion); // models face +Z
+        _forward.y = 0;
+        if (_forward.lengthSq() < 1e-6) _forward.set(0, 0, 1);
+        _forward.normalize();
+        _offset.copy(target.position)
+            .addScaledVector(_forward, -CHASE_DISTANCE * radius)
+            .addScaledVector(_up, CHASE_HEIGHT * radius);
+
+        const chase = this.chase;
+        if (!chase.valid) {
+            chase.position.copy(_offset);
+            chase.valid = true;
+        } else {
+            chase.position.lerp(_offset, 1 - Math.exp(-dt / CHASE_LAG));
+        }
+        this.pose.position.copy(chase.position);
+        // Look a little ahead of the plane
+        this.lookAt(_look.copy(target.position).addScaledVector(_forward, this.targetRadius));
+    }
+
+    // On a sphere around the target (azimuth 0 = due south of it, looking north)
+    poseOrbit() {
+        const orbit = this.orbit;
+        const center = this.target.position;
+        if (orbit.distance === null) {
+            // Keep the current viewing direction and distance, within limits
+            _offset.subVectors(this.camera.position, center);
+            const distance = _offset.length();
+            orbit.distance = clamp(distance, this.targetRadius * 3, this.targetRadius * 12);
+            if (distance > 1e-3) {
+                orbit.azimuth = Math.atan2(_offset.x, _offset.z);
+                orbit.elevation = clamp(Math.asin(_offset.y / distance), ORBIT_MIN_ELEVATION, ORBIT_MAX_ELEVATION);
+            }
+        }
+        const horizontal = Math.cos(orbit.elevation) * orbit.distance;
+        this.pose.position.set(
+            center.x + Math.sin(orbit.azimuth) * horizontal,
+            center.y + Math.sin(orbit.elevation) * orbit.distance,
+            center.z + Math.cos(orbit.azimuth) * horizontal
+        );
+        this.lookAt(center);
+    }
+
+    // Point the pose at `point` (cameras look down -Z)
+    lookAt(point) {
+        this.pose.quaternion.setFromRotationMatrix(_matrix.lookAt(this.pose.position, point, _up));
+    }
+}
@@ -0,0 +1,65 @@
+// Simulation clock: turns real frame deltas into fixed-size simulation steps.
+// Physics always advances in FIXED_TIMESTEP increments regardless of the monitor's
+// refresh rate; leftover time is carried in an accumulator to the next frame.
+
+export const FIXED_TIMESTEP = 1 / 60;        // seconds of simulated time per step
+const MAX_FRAME_DELTA = 0.25;                // clamp long frames (tab switch, breakpoint) so we don't jump ahead
+const MAX_STEPS_PER_FRAME = 32;              // spiral-of-death guard when fast-forwarding on slow machines
+
+// Selectable time scales (slow-motion ... fast-forward)
+export const TIME_SCALES = [0.125, 0.25, 0.5, 1, 2, 4, 8];
+
+export class SimulationClock {
+    constructor(step = FIXED_TIMESTEP) {
+        this.step = step;
+        this.timeScale = 1;
+        this.paused = false;
+        this.elapsed = 0;       // total simulated seconds
+        this.accumulator = 0;   // simulated seconds not yet consumed by a step
+        this.frameDelta = 0;    // real seconds since the previous frame (camera/UI use this)
+        this.alpha = 0;         // 0..1 position between the last two steps, for render interpolation
+        this.lastTimestamp = null;
+    }
+
+    // Advance by one rendered frame. `timestamp` is the requestAnimationFrame time in ms.
+    // Returns how many fixed steps the caller should run this frame.
+    tick(timestamp) {
+        if (this.lastTimestamp === null) this.lastTimestamp = timestamp;
+        this.frameDelta = Math.min(MAX_FRAME_DELTA, Math.max(0, (timestamp - this.lastTimestamp) / 1000));
+        this.lastTimestamp = timestamp;
+
+        if (!this.paused) {
+            this.accumulator += this.frameDelta * this.timeScale;
+        }
+
+        let steps = Math.floor(this.accumulator / this.step);
+        if (steps > MAX_STEPS_PER_FRAME) {
+            // Can't keep up: drop the backlog rather than stalling further
+            steps = MAX_STEPS_PER_FRAME;
+            this.accumulator = this.step * steps;
+        }
+        this.accumulator -= steps * this.step;
+        this.elapsed += steps * this.step;
+        this.alpha = this.accumulator / this.step;
+        return steps;
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+        return this.paused;
+    }
+
+    // Move one entry up/down the TIME_SCALES list
+    shiftTimeScale(direction) {
+        let index = TIME_SCALES.indexOf(this.timeScale);
+        if (index === -1) index = TIME_SCALES.indexOf(1);
+        index = Math.max(0, Math.min(TIME_SCALES.length - 1, index + direction));
+        this.timeScale = TIME_SCALES[index];
+        return this.timeScale;
+    }
+
+    resetTimeScale() {
+        this.timeScale = 1;
+        return this.timeScale;
+    }
+}
@@ -0,0 +1,407 @@
+// Navigation light placement editor: one aircraft model on a turntable with a marker per light
+// (red and green position lights, the wingtip strobes, the tail light and the beacon). The
+// selected marker gets a move gizmo; placements are saved per model in LightOverrides
+// (lightOverrides.js) and can be exported and imported as JSON.
+// It draws into its own full-screen overlay and renderer, so the main view's pointer lock,
+// picking and keys never see its input; main.js pauses its own loop while the editor is open.
+
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+
+// Editable lights, with their slot in the offsets and their mirror image across the centreline
+const LIGHTS = [
+    { id: 'red', label: 'Red (left wing)', color: 0xff3030, mirror: 'green' },
+    { id: 'green', label: 'Green (right wing)', color: 0x30ff30, mirror: 'red' },
+    { id: 'strobeLeft', label: 'Strobe (left)', color: 0xffffff, mirror: 'strobeRight' },
+    { id: 'strobeRight', label: 'Strobe (right)', color: 0xffffff, mirror: 'strobeLeft' },
+    { id: 'tail', label: 'Tail', color: 0xffffff, mirror: null },
+    { id: 'beacon', label: 'Beacon', color: 0xff6020, mirror: null }
+];
+const CLICK_SLOP = 4; // pixels a press may move and still select a marker
+
+// Offsets ({ red, green, whites: [left, right, tail], beacon } as Vector3s or [x, y, z]) -> id -> [x, y, z]
+function offsetsToPoints(offsets) {
+    const point = p => (Array.isArray(p) ? [...p] : [p.x, p.y, p.z]);
+    return {
+        red: point(offsets.red),
+        green: point(offsets.green),
+        strobeLeft: point(offsets.whites[0]),
+        strobeRight: point(offsets.whites[1]),
+        tail: point(offsets.whites[2]),
+        beacon: point(offsets.beacon)
+    };
+}
+
+export class LightEditor {
+    // `models()` lists the models to offer ([{ file, name }]); `loadModel(file)` resolves to
+    // { model, auto, release }: the normalized model at scale 1, its automatic light offsets and
+    // a function to call once the editor stops showing it.
+    constructor({ overrides, models, loadModel }) {
+        this.overrides = overrides;
+        this.models = models;
+        this.loadModel = loadModel;
+        this.active = false;
+        this.built = false;
+        this.file = null;      // model being edited
+        this.auto = null;      // its automatic offsets
+        this.model = null;
+        this.releaseModel = null;
+        this.markers = new Map(); // light id -> marker mesh
+        this.selected = null;
+        this.dirty = false;
+        this.turntableOn = true;
+        this.loadToken = 0;    // ignores models that finish loading after another was picked
+        this.lastTime = null;
+        this.loop = this.loop.bind(this);
+    }
+
+    build() {
+        this.built = true;
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'light-editor';
+        this.overlay.hidden = true;
+
+        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.overlay.appendChild(this.renderer.domElement);
+
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x20242c);
+        this.scene.add(new THREE.HemisphereLight(0xdde8ff, 0x303020, 1.2));
+        const sun = new THREE.DirectionalLight(0xffffff, 1.5);
+        sun.position.set(3, 5, 2);
+        this.scene.add(sun);
+        this.turntable = new THREE.Group();
+        this.scene.add(this.turntable);
+
+        this.camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 0.001, 1000);
+        this.orbit = new OrbitControls(this.camera, this.renderer.domElement);
+        this.orbit.enableDamping = true;
+        this.orbit.autoRotate = true;
+        this.orbit.autoRotateSpeed = 1.5;
+        this.gizmo = new TransformControls(this.camera, this.renderer.domElement);
+        this.gizmo.setSize(0.7);
+        this.gizmo.addEventListener('dragging-changed', (event) => {
+            this.orbit.enabled = !event.value;
+            if (event.value) this.gizmoUsed = true;
+        });
+        this.gizmo.addEventListener('objectChange', () => this.onMarkerMoved());
+        this.scene.add(this.gizmo.getHelper());
+
+        // A press that barely moves (and didn't grab the gizmo) selects the marker under it
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener('pointerdown', (event) => {
+            this.press = { x: event.clientX, y: event.clientY };
+            this.gizmoUsed = false;
+        });
+        canvas.addEventListener('pointerup', (event) => {
+            if (!this.press || this.gizmoUsed) return;
+            const moved = Math.abs(event.clientX - this.press.x) + Math.abs(event.clientY - this.press.y);
+            this.press = null;
+            if (moved <= CLICK_SLOP) this.pickMarker(event);
+        });
+
+        this.buildPanel();
+        document.body.appendChild(this.overlay);
+
+        window.addEventListener('resize', () => {
+            if (!this.active) return;
+            this.camera.aspect = window.innerWidth / window.innerHeight;
+            this.camera.updateProjectionMatrix();
+            this.renderer.setSize(window.innerWidth, window.innerHeight);
+        });
+        window.addEventListener('keydown', (event) => {
+            if (this.active && event.key === 'Escape') this.close();
+        });
+    }
+
+    buildPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'light-editor-panel';
+        const title = document.createElement('div');
+        title.className = 'light-editor-title';
+        title.textContent = '💡 Light placement';
+
+        this.modelSelect = document.createElement('select');
+        this.modelSelect.addEventListener('change', () => {
+            if (!this.confirmDiscard()) {
+                this.modelSelect.value = this.file;
+                return;
+            }
+            this.showModel(this.modelSelect.value);
+        });
+
+        const list = document.createElement('div');
+        list.className = 'light-editor-lights';
+        this.lightButtons = new Map(); // id -> { button, coords }
+        for (const light of LIGHTS) {
+            const button = document.createElement('button');
+            const swatch = document.createElement('span');
+            swatch.className = 'light-editor-swatch';
+            swatch.style.background = `#${new THREE.Color(light.color).getHexString()}`;
+            const label = document.createElement('span');
+            label.textContent = light.label;
+            const coords = document.createElement('span');
+            coords.className = 'light-editor-coords';
+            button.append(swatch, label, coords);
+            button.addEventListener('click', () => this.select(light.id));
+            list.appendChild(button);
+            this.lightButtons.set(light.id, { button, coords });
+        }
+
+        const checkbox = (text, checked, onChange) => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = checked;
+            input.addEventListener('change', () => onChange(input.checked));
+            label.append(input, ` ${text}`);
+            return { label, input };
+        };
+        this.mirror = checkbox('Mirror left/right', true, () => {});
+        const turntable = checkbox('Turntable', true, (on) => { this.turntableOn = on; });
+
+        const button = (text, titleText, onClick) => {
+            const b = document.createElement('button');
+            b.textContent = text;
+            b.title = titleText;
+            b.addEventListener('click', onClick);
+            return b;
+        };
+        const importInput = document.createElement('input');
+        importInput.type = 'file';
+        importInput.accept = '.json';
+        importInput.hidden = true;
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (file) this.importFile(file);
+        });
+        const actions = document.createElement('div');
+        actions.className = 'light-editor-actions';
+        actions.append(
+            button('💾 Save', 'Use these positions for every plane of this model (saved in this browser)', () => this.save()),
+            button('↺ Automatic', 'Forget the saved positions and go back to the automatic placement', () => this.resetToAuto()),
+            button('📤 Export', 'Download every saved placement as JSON', () => this.exportFile()),
+            button('📥 Import', 'Load placements from an exported JSON file', () => importInput.click()),
+            button('✕ Close', 'Back to the sky (Esc)', () => this.close()),
+            importInput
+        );
+
+        this.status = document.createElement('div');
+        this.status.className = 'light-editor-status';
+        const help = document.createElement('div');
+        help.className = 'light-editor-help';
+        help.textContent = 'Click a light (or pick it above) and drag the arrows to move it. Drag the background to turn the view, scroll to zoom.';
+
+        const modelLabel = document.createElement('label');
+        modelLabel.append('Model ', this.modelSelect);
+        panel.append(title, modelLabel, list, this.mirror.label, turntable.label, actions, this.status, help);
+        this.overlay.appendChild(panel);
+    }
+
+    // Open on `file` (or the model last edited, or the first one)
+    open(file = null) {
+        if (!this.built) this.build();
+        const models = this.models();
+        this.modelSelect.replaceChildren(...models.map(({ file: f, name }) => new Option(name, f)));
+        const start = file || this.file || (models[0] && models[0].file);
+        this.active = true;
+        this.overlay.hidden = false;
+        this.camera.aspect = window.innerWidth / window.innerHeight;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.lastTime = null;
+        requestAnimationFrame(this.loop);
+        if (start && (start !== this.file || !this.model)) this.showModel(start);
+        else this.updatePanel();
+        if (start) this.modelSelect.value = start;
+    }
+
+    close() {
+        if (!this.active || !this.confirmDiscard()) return;
+        this.active = false;
+        this.overlay.hidden = true;
+        // Unsaved edits are dropped: reopening shows what planes actually use
+        if (this.dirty && this.file) {
+            this.dirty = false;
+            this.placeMarkers(this.currentOffsets());
+        }
+    }
+
+    confirmDiscard() {
+        return !this.dirty || window.confirm('Discard the unsaved light positions?');
+    }
+
+    async showModel(file) {
+        const token = ++this.loadToken;
+        this.setStatus('Loading…');
+        let loaded;
+        try {
+            loaded = await this.loadModel(file);
+        } catch (err) {
+            if (token === this.loadToken) this.setStatus(`⚠️ Could not load ${file}: ${err.message}`);
+            return;
+        }
+        if (token !== this.loadToken) {
+            loaded.release();
+            return;
+        }
+
+        if (this.model) {
+            this.turntable.remove(this.model);
+            this.releaseModel();
+        }
+        this.releaseModel = loaded.release;
+        this.file = file;
+        this.auto = loaded.auto;
+        this.model = loaded.model;
+        this.turntable.add(this.model);
+        this.dirty = false;
+
+        // Frame the model; markers and the gizmo are sized to it
+        const box = new THREE.Box3().setFromObject(this.model);
+        const size = box.getSize(new THREE.Vector3());
+        const centre = box.getCenter(new THREE.Vector3());
+        const extent = Math.max(size.x, size.y, size.z) || 1;
+        this.orbit.target.copy(centre);
+        this.camera.position.set(centre.x + extent * 0.9, centre.y + extent * 0.6, centre.z + extent * 1.1);
+        this.camera.near = extent / 200;
+        this.camera.far = extent * 50;
+        this.camera.updateProjectionMatrix();
+        this.orbit.update();
+        this.buildMarkers(extent * 0.012);
+        this.placeMarkers(this.currentOffsets());
+        this.select(this.selected || 'red');
+    }
+
+    // Saved positions for the current model, else the automatic ones
+    currentOffsets() {
+        return offsetsToPoints(this.overrides.get(this.file) || this.auto);
+    }
+
+    buildMarkers(radius) {
+        for (const marker of this.markers.values()) {
+            this.turntable.remove(marker);
+            marker.geometry.dispose();
+            marker.material.dispose();
+        }
+        this.markers.clear();
+        for (const light of LIGHTS) {
+            const marker = new THREE.Mesh(
+                new THREE.SphereGeometry(radius, 16, 12),
+                new THREE.MeshBasicMaterial({ color: light.color, depthTest: false, transparent: true })
+            );
+            marker.renderOrder = 5; // visible through the fuselage
+            marker.userData.lightId = light.id;
+            this.turntable.add(marker);
+            this.markers.set(light.id, marker);
+        }
+    }
+
+    placeMarkers(points) {
+        for (const [id, marker] of this.markers) marker.position.fromArray(points[id]);
+        this.updatePanel();
+    }
+
+    select(id) {
+        this.selected = id;
+        const marker = this.markers.get(id);
+        if (marker) this.gizmo.attach(marker);
+        for (const [lightId, { button }] of this.lightButtons) button.classList.toggle('active', lightId === id);
+    }
+
+    pickMarker(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, this.camera);
+        const hit = raycaster.intersectObjects([...this.markers.values()], false)[0];
+        if (hit) this.select(hit.object.userData.lightId);
+    }
+
+    onMarkerMoved() {
+        const light = LIGHTS.find(l => l.id === this.selected);
+        if (light && light.mirror && this.mirror.input.checked) {
+            const p = this.markers.get(light.id).position;
+            this.markers.get(light.mirror).position.set(-p.x, p.y, p.z); // models are centred on X = 0
+        }
+        this.dirty = true;
+        this.updatePanel();
+    }
+
+    // Positions of the markers in LightOverrides' format
+    markerOffsets() {
+        const p = id => this.markers.get(id).position.toArray();
+        return {
+            red: p('red'),
+            green: p('green'),
+            whites: [p('strobeLeft'), p('strobeRight'), p('tail')],
+            beacon: p('beacon')
+        };
+    }
+
+    save() {
+        if (!this.file) return;
+        this.overrides.set(this.file, this.markerOffsets());
+        this.dirty = false;
+        this.updatePanel();
+    }
+
+    resetToAuto() {
+        if (!this.file) return;
+        this.overrides.delete(this.file);
+        this.dirty = false;
+        this.placeMarkers(offsetsToPoints(this.auto));
+    }
+
+    exportFile() {
+        const blob = new Blob([JSON.stringify(this.overrides.toJSON(), null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'light-overrides.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    async importFile(file) {
+        try {
+            const count = this.overrides.import(await file.text());
+            if (!this.dirty && this.file) this.placeMarkers(this.currentOffsets());
+            else this.updatePanel();
+            this.setStatus(`📥 Imported light positions for ${count} model${count === 1 ? '' : 's'}`);
+        } catch (err) {
+            this.setStatus(`⚠️ ${file.name}: ${err.message}`);
+        }
+    }
+
+    updatePanel() {
+        for (const [id, { coords }] of this.lightButtons) {
+            const marker = this.markers.get(id);
+            coords.textContent = marker ? marker.position.toArray().map(v => v.toFixed(3)).join(', ') : '';
+        }
+        if (!this.file) return;
+        this.setStatus(this.dirty ? '✏️ Unsaved changes'
+            : this.overrides.get(this.file) ? '💾 Using the saved positions'
+            : '🤖 Automatic placement (from the bounding box)');
+    }
+
+    setStatus(text) {
+        this.status.textContent = text;
+    }
+
+    loop(time) {
+        if (!this.active) return;
+        requestAnimationFrame(this.loop);
+        const dt = this.lastTime === null ? 0 : Math.min(0.1, (time - this.lastTime) / 1000);
+        this.lastTime = time;
+        this.orbit.autoRotate = this.turntableOn && this.orbit.enabled; // hold still while a light is dragged
+        this.orbit.update(dt);
+        this.renderer.render(this.scene, this.camera);
+    }
+}
@@ -0,0 +1,96 @@
+// Aircraft navigation lights as glowing points: one Points draw for every light of every plane,
+// refilled each frame (begin / add / end). A glow is `size` metres across up close and never
+// shrinks below MIN_PIXELS, so lights stay visible however far away the plane is; additive, so
+// they bloom at night (the same look as the airport lights in airportView.js).
+
+import * as THREE from 'three';
+
+const MIN_PIXELS = 2.5;
+const MAX_PIXELS = 32;
+
+function createGlowMaterial() {
+    return new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.merge([THREE.UniformsLib.fog, {
+            pixelScale: { value: 500 }
+        }]),
+        vertexShader: `
+            attribute vec3 lightColor;
+            attribute float size;
+            uniform float pixelScale;
+            varying vec3 vColor;
+            varying float vFogDepth;
+            void main() {
+                vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                vFogDepth = -mvPosition.z;
+                vColor = lightColor;
+                gl_PointSize = clamp(size * pixelScale / vFogDepth, ${MIN_PIXELS.toFixed(1)}, ${MAX_PIXELS.toFixed(1)});
+                gl_Position = projectionMatrix * mvPosition;
+            }
+        `,
+        fragmentShader: `
+            uniform float fogNear;
+            uniform float fogFar;
+            varying vec3 vColor;
+            varying float vFogDepth;
+            void main() {
+                vec2 p = gl_PointCoord * 2.0 - 1.0;
+                float r2 = dot(p, p);
+                if (r2 > 1.0) discard;
+                float glow = exp(-r2 * 4.0);
+                float fog = smoothstep(fogNear, fogFar, vFogDepth);
+                gl_FragColor = vec4(vColor * glow * (1.0 - 0.7 * fog), 1.0);
+            }
+        `,
+        fog: true,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    });
+}
+
+export class LightGlow {
+    constructor(scene) {
+        this.capacity = 0; // glows the buffers can hold
+        this.count = 0;
+        this.geometry = new THREE.BufferGeometry();
+        this.points = new THREE.Points(this.geometry, createGlowMaterial());
+        this.points.frustumCulled = false;
+        this.points.visible = false;
+        scene.add(this.points);
+    }
+
+    // Start a frame: glow sizes follow the camera's field of view and the viewport height
+    begin(camera, viewportHeight) {
+        this.points.material.uniforms.pixelScale.value = viewportHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+        this.count = 0;
+    }
+
+    // Grow the buffers to hold at least `count` glows, keeping the ones added this frame
+    reserve(count) {
+        if (count <= this.capacity) return;
+        this.capacity = Math.max(count, this.capacity * 2, 256);
+        for (const [name, itemSize] of [['position', 3], ['lightColor', 3], ['size', 1]]) {
+            const attribute = new THREE.BufferAttribute(new Float32Array(this.capacity * itemSize), itemSize).setUsage(THREE.DynamicDrawUsage);
+            const previous = this.geometry.getAttribute(name);
+            if (previous) attribute.array.set(previous.array);
+            this.geometry.setAttribute(name, attribute);
+        }
+    }
+
+    // One light: world `position`, `color` scaled by `intensity`, `size` metres of glow
+    add(position, color, intensity, size) {
+        this.reserve(this.count + 1);
+        const i = this.count++;
+        this.geometry.getAttribute('position').setXYZ(i, position.x, position.y, position.z);
+        this.geometry.getAttribute('lightColor').setXYZ(i, color.r * intensity, color.g * intensity, color.b * intensity);
+        this.geometry.getAttribute('size').setX(i, size);
+    }
+
+    // Finish the frame
+    end() {
+        this.points.visible = this.count > 0;
+        this.geometry.setDrawRange(0, this.count);
+        if (this.count === 0) return;
+        for (const name of ['position', 'lightColor', 'size']) this.geometry.getAttribute(name).needsUpdate = true;
+    }
+}
@@ -0,0 +1,111 @@
+// Per-model navigation light positions placed by hand in the light editor (lightEditor.js).
+// They take precedence over the bounding-box guess in main.js (deriveLightOffsets).
+// Positions are in the model's own units: the normalized model from main.js's normalizeModel
+// (centred on X/Z, lowest point at Y = 0, nose along +Z), before any plane scale is applied.
+//
+// Saved to localStorage and exported/imported as JSON keyed by model file:
+//   { "DC8_AFRC_AIR_0824.glb": { "red": [x, y, z], "green": [x, y, z],
+//     "whites": [[left strobe], [right strobe], [tail]], "beacon": [x, y, z] }, ... }
+
+const STORAGE_KEY = 'planeviewer.lightOverrides';
+
+const isPoint = p => Array.isArray(p) && p.length === 3 && p.every(Number.isFinite);
+
+// Check one model's light positions; returns a clean copy or throws
+export function parseLightOffsets(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('expected an object');
+    for (const key of ['red', 'green', 'beacon']) {
+        if (!isPoint(raw[key])) throw new Error(`"${key}" must be [x, y, z]`);
+    }
+    if (!Array.isArray(raw.whites) || raw.whites.length !== 3 || !raw.whites.every(isPoint)) {
+        throw new Error('"whites" must be three [x, y, z] points (left strobe, right strobe, tail)');
+    }
+    return {
+        red: [...raw.red],
+        green: [...raw.green],
+        whites: raw.whites.map(p => [...p]),
+        beacon: [...raw.beacon]
+    };
+}
+
+export class LightOverrides {
+    constructor({ storage = globalThis.localStorage } = {}) {
+        this.storage = storage || null;
+        this.overrides = {}; // model file -> light positions
+        this.listeners = [];
+
+        if (this.storage) {
+            try {
+                const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+                for (const [model, raw] of Object.entries(stored)) {
+                    try {
+                        this.overrides[model] = parseLightOffsets(raw);
+                    } catch (err) {
+                        console.warn(`⚠️ Ignoring stored light positions for ${model}:`, err.message);
+                    }
+                }
+            } catch (err) {
+                console.warn('⚠️ Ignoring unreadable stored light positions:', err);
+            }
+        }
+    }
+
+    get(model) {
+        return this.overrides[model] || null;
+    }
+
+    set(model, offsets) {
+        this.overrides[model] = parseLightOffsets(offsets);
+        this.save();
+        this.emit(model);
+    }
+
+    // Back to the automatic placement
+    delete(model) {
+        if (!(model in this.overrides)) return;
+        delete this.overrides[model];
+        this.save();
+        this.emit(model);
+    }
+
+    toJSON() {
+        return { ...this.overrides };
+    }
+
+    // Merge exported JSON (text or object) into the overrides. Returns how many models it set;
+    // throws (without changing anything) if any entry is invalid.
+    import(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('expected an object keyed by model file');
+        const parsed = {};
+        for (const [model, raw] of Object.entries(data)) {
+            try {
+                parsed[model] = parseLightOffsets(raw);
+            } catch (err) {
+                throw new Error(`${model}: ${err.message}`);
+            }
+        }
+        Object.assign(this.overrides, parsed);
+        this.save();
+        Object.keys(parsed).forEach(model => this.emit(model));
+        return Object.keys(parsed).length;
+    }
+
+    // fn(model) runs whenever a model's positions change
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    emit(model) {
+        for (const fn of this.listeners) fn(model);
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.overrides));
+        } catch (err) {
+            console.warn('⚠️ Could not save light positions:', err);
+        }
+    }
+}
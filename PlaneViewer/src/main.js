@@ -1,22 +1,68 @@
 // Use bare imports so Vite (or another bundler/dev server) resolves the package from
 // node_modules. This avoids browser errors like "Failed to resolve module specifier 'three'".
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { SimulationClock } from './clock.js';
+import {
+    GROUND_HEIGHT, MIN_HEIGHT_AGL, MAX_HEIGHT_AGL, FLOOR_AVOIDANCE_DIST, CEILING_AVOIDANCE_DIST,
+    SAFE_ZONE_MIN, SAFE_ZONE_MAX, yToAGL, planeAGL, heightRatio, createSimulation, spawnPlane, step,
+    removePlane, syncTraffic, flightPhaseLabel, advisoryLabel, setWindWeather, crabAngle
+} from './simulation.js';
+import { createRandom, deriveSeed, generateSeed } from './random.js';
+import { modelForAircraftType, parseModelManifest } from './planeModels.js';
+import { profileForModel } from './aircraftProfiles.js';
+import { parseRecordingFile, buildTracks } from './traffic/adsb.js';
+import { ReplayTraffic } from './traffic/replay.js';
+import { LiveTraffic } from './traffic/live.js';
+import { Settings } from './settings.js';
+import { createSettingsPanel } from './settingsPanel.js';
+import { createPlaneInfoCard } from './planeInfoCard.js';
+import { createNoticePanel } from './noticePanel.js';
+import { createTerrain } from './terrain.js';
+import { TerrainChunkManager, CHUNK_SIZE } from './terrainChunks.js';
+import { createAirport, airportCentre } from './airport.js';
+import { AirportView } from './airportView.js';
+import { SeparationOverlay } from './separationOverlay.js';
+import { LightOverrides } from './lightOverrides.js';
+import { LightEditor } from './lightEditor.js';
+import { ModelLoader } from './modelLoader.js';
+import { PlaneLod } from './planeLod.js';
+import { LightGlow } from './lightGlow.js';
+import { exteriorLights, lightIntensity } from './aircraftLights.js';
+import { TrailSystem } from './trails.js';
+import { Weather } from './weather.js';
+import { meanWindAt, windAt, windLayer, gustiness, turbulenceLabel, SURFACE_HEIGHT } from './wind.js';
+import { Windsock } from './windsock.js';
+import { sunPosition, moonPosition, moonIllumination, localSiderealTime, sunTimes, twilight, limitingMagnitude, SUN_DISTANCE } from './astronomy.js';
+import { catalogStars, constellationFigures } from './starCatalog.js';
+import { StarField } from './starField.js';
+import { SkyClock, SKY_RATES, SKY_WINDOWS, skyDay, skyWindow } from './skyClock.js';
+import { createSkyTimeline } from './skyTimeline.js';
+import { WeatherView } from './weatherView.js';
+import { CameraController, CAMERA_MODES } from './cameraModes.js';
 import './style.css';
 
+// Runtime settings (plane count, speed multipliers, fog, debug HUD/lights, ...).
+// Edited live from the settings panel; saved to localStorage and overridable with ?key=value.
+const settings = new Settings();
+
 // Debug flags
-const DEBUG_LIGHTS = false;
-const DEBUG_HUD = false; // Show on-screen debug info for nearest plane
 const DEBUG_CONSOLE = false; // Log spawn/altitude events to console
-// Global plane speed multiplier (set >1 to speed up planes for debugging)
 
 // Loading screen management
 let planesLoaded = 0;
 const loadingScreen = document.getElementById('loading-screen');
 const loadingText = document.querySelector('.loading-text');
-const DEBUG_PLANE_SPEED_MULT = 3; // e.g., 8x faster; set to 1 for normal
-// Camera movement speed multiplier for debug mode
-const DEBUG_CAMERA_SPEED_MULT = 4; // 4x faster camera in debug mode; set to 1 for normal
+const loadingBar = document.querySelector('.loading-bar-fill');
+
+// Scene seed: every random decision (terrain texture, stars, fleet, flight paths) derives from it.
+// Pick one with ?seed=... to reproduce a session; otherwise a fresh seed is generated.
+const SCENE_SEED = new URLSearchParams(window.location.search).get('seed') || generateSeed();
+
+// Recorded traffic to replay at startup instead of the random fleet: ?replay=url[,url...]
+// (files served by Vite, e.g. put recordings in public/ and use ?replay=/recording.json)
+const REPLAY_URLS = (new URLSearchParams(window.location.search).get('replay') || '').split(',').filter(Boolean);
+// Connect to a live feed at startup: ?live (uses settings.liveTrafficUrl) or ?live=ws://host:port
+const LIVE_PARAM = new URLSearchParams(window.location.search).get('live');
 
 // --- Global Setup ---
 const scene = new THREE.Scene();
@@ -29,26 +75,55 @@ renderer.outputColorSpace = THREE.SRGBColorSpace;
 renderer.toneMapping = THREE.ACESFilmicToneMapping;
 renderer.toneMappingExposure = 1.0;
 
-// Day/Night Cycle Configuration
-let timeOfDay = 0.25; // 0 = midnight, 0.25 = sunrise, 0.5 = noon, 0.75 = sunset, 1.0 = midnight
-const DAY_CYCLE_SPEED = 0.001; // How fast time progresses (0.01 = ~100 seconds per full cycle)
-let nightModeOnly = false; // When true, stays at night (timeOfDay = 0)
-
-// Atmospheric Haze/Fog Configuration
-const FOG_NEAR = 500;  // Distance where fog starts to appear
-const FOG_FAR = 1200;   // Distance where fog is at maximum density (before spawn area)
-
-// Wind System Configuration
-let windDirection = Math.random() * Math.PI * 2; // Global wind direction (radians)
-let windStrength = 0.5 + Math.random() * 1.5; // Wind strength (0.5-2.0)
-let windChangeTimer = 0;
-const WIND_CHANGE_INTERVAL = 60; // Change wind every 60 seconds
-const TURBULENCE_FREQUENCY = 0.3; // How often turbulence affects each plane
+// Sky clock: the real sky over settings.observerLat/observerLon (astronomy.js). It starts at
+// settings.skyTime (blank: the system clock) and runs settings.skyTimeScale times as fast as
+// simulated time; the sky timeline (skyTimeline.js) drags it, pauses it and loops it.
+function startSkyTime(value) {
+    if (!value) return Date.now();
+    const time = Date.parse(value); // without a zone it's the browser's local time
+    if (Number.isFinite(time)) return time;
+    console.warn(`⚠️ Unreadable sky time "${value}", using the system clock`);
+    return Date.now();
+}
+const skyClock = new SkyClock(startSkyTime(settings.get('skyTime')));
+let nightModeOnly = false; // When true, the sky clock is held at the middle of the night (solar midnight)
+// This frame's sky (updateDayNightCycle): the moment shown, the sun's altitude (radians), the
+// daylight (0 night .. 1 full day) and the twilight glow around sunrise and sunset (0..1)
+const sky = { date: new Date(skyClock.time), sunAltitude: 0, daylight: 0, glow: 0 };
+
+// Simulation clock: fixed-rate physics steps, pause and time scale
+const simClock = new SimulationClock();
+// The ground observer starts in the middle of a chunk
+const OBSERVER_START = { x: CHUNK_SIZE / 2, z: CHUNK_SIZE / 2 };
+// Airport (settings.airport*) sited on this seed's natural hills, which are then flattened under it
+const naturalTerrain = createTerrain(SCENE_SEED, { baseHeight: GROUND_HEIGHT });
+const airport = settings.get('airport') ? createAirport(naturalTerrain, {
+    ...airportCentre(OBSERVER_START, settings.get('airportBearing'), settings.get('airportDistance')),
+    runway: settings.get('runway')
+}) : null;
+// Rolling hills and ridges for this seed; planes, the camera and the chunk meshes all query it
+const terrain = airport ? createTerrain(SCENE_SEED, { baseHeight: GROUND_HEIGHT, flats: [airport.flat] }) : naturalTerrain;
+// Headless flight simulation (plain data); each entry of planes[] below mirrors one of its plane states
+const simState = createSimulation({
+    seed: SCENE_SEED,
+    terrain,
+    airport,
+    airportPlanes: settings.get('airportPlanes'),
+    speedMultiplier: settings.get('planeSpeedMult'),
+    separation: settings.get('separation'),
+    debugConsole: DEBUG_CONSOLE
+});
+// Weather preset (settings.weather), cross-faded in simulated time; its wind goes to the simulation
+const weather = new Weather(settings.get('weather'), deriveSeed(SCENE_SEED, 'weather'));
+setWindWeather(simState, weather.current);
+if (airport && DEBUG_CONSOLE) {
+    console.log(`🛬 Airport: runway ${airport.designator} at (${airport.x.toFixed(0)}, ${airport.z.toFixed(0)}), elevation ${airport.elevation.toFixed(0)}m`);
+}
 
 // Set initial background (will be updated by day/night cycle)
 scene.background = new THREE.Color(0x02001A);
-// Initialize fog (color will be updated with day/night cycle)
-scene.fog = new THREE.Fog(0x02001A, FOG_NEAR, FOG_FAR);
+// Initialize atmospheric haze (color will be updated with day/night cycle; near/far come from settings)
+scene.fog = new THREE.Fog(0x02001A, settings.get('fogNear'), settings.get('fogFar'));
 renderer.setSize(window.innerWidth, window.innerHeight);
 // Attach canvas to the #app container if present to avoid layout/CSS conflicts
 const appRoot = document.getElementById('app');
@@ -57,54 +132,10 @@ const appRoot = document.getElementById('app');
 // Create a green "grass" ground using chunked tiles so terrain streams as you move.
 // We'll generate a small canvas texture with a green gradient and subtle blade strokes,
 // then tile it over chunk meshes that load/unload around the camera.
-const CHUNK_SIZE = 2000;     // world tile size in units (X/Z) - larger to extend beyond fog
-const CHUNK_RADIUS = 1;      // how many tiles around the current to keep loaded (1 => 3x3 grid = 6km coverage)
-// Ground height (where the grid lies) - this is the REFERENCE POINT (Y=0 in world space)
-const GROUND_HEIGHT = 0;
-
-// --- Altitude Limits: ALL VALUES ARE HEIGHT ABOVE GROUND (AGL) ---
-// To get absolute Y position, add GROUND_HEIGHT (which is 0, so AGL = absolute Y)
-const MIN_HEIGHT_AGL = 50;   // Reference floor (meters AGL)
-const MAX_HEIGHT_AGL = 800;  // Reference ceiling (meters AGL) - very high to give lots of room
-const FLOOR_AVOIDANCE_DIST = 150;  // Wide danger zone - start pushing up when within this distance of floor
-const CEILING_AVOIDANCE_DIST = 150; // Wide danger zone - start pushing down when within this distance of ceiling
-
-// Helper to convert AGL to absolute Y (though since GROUND_HEIGHT=0, they're the same)
-const aglToY = (agl) => GROUND_HEIGHT + agl;
-const yToAGL = (y) => y - GROUND_HEIGHT;
-
-// Define safe zone for all operations (well away from floor/ceiling limits)
-const SAFE_ZONE_MIN = MIN_HEIGHT_AGL + FLOOR_AVOIDANCE_DIST + 50; // 250m (50 + 150 + 50)
-const SAFE_ZONE_MAX = MAX_HEIGHT_AGL - CEILING_AVOIDANCE_DIST - 50; // 600m (800 - 150 - 50)
-
-// Compute a safe spawn altitude (always in safe zone)
-function computeSpawnAltitude() {
-    const altitude = SAFE_ZONE_MIN + Math.random() * (SAFE_ZONE_MAX - SAFE_ZONE_MIN);
-    return aglToY(altitude); // Convert to absolute Y position (170-240m)
-}
-
-// --- Waypoint System ---
-const WAYPOINT_DISTANCE_MIN = 800;  // Minimum distance from plane to waypoint
-const WAYPOINT_DISTANCE_MAX = 1500; // Maximum distance from plane to waypoint
-
-// Generate a waypoint far from the plane's current position
-function generateWaypoint(planePos) {
-    const distance = WAYPOINT_DISTANCE_MIN + Math.random() * (WAYPOINT_DISTANCE_MAX - WAYPOINT_DISTANCE_MIN);
-    const angle = Math.random() * Math.PI * 2; // Random horizontal direction
-    const altitude = SAFE_ZONE_MIN + Math.random() * (SAFE_ZONE_MAX - SAFE_ZONE_MIN);
-    
-    return new THREE.Vector3(
-        planePos.x + Math.cos(angle) * distance,
-        aglToY(altitude),
-        planePos.z + Math.sin(angle) * distance
-    );
-}
-
-// Spawn/despawn bounding boxes (sizes)
-const DESPAWN_BOX_SIZE = CHUNK_SIZE * 3; // beyond this box planes will be respawned (3000m)
-const SPAWN_DISTANCE_MIN = 1200; // minimum distance from viewer to spawn (well beyond fog)
-const SPAWN_DISTANCE_MAX = 1800; // maximum distance from viewer to spawn
-
+// Chunks (CHUNK_SIZE wide) and their levels of detail are managed in terrainChunks.js;
+// how many tiles around the current one stay loaded comes from settings.chunkRadius (1 => 3x3 grid = 6km coverage)
+// Seeded so the same scene seed always paints the same grass
+const terrainRandom = createRandom(deriveSeed(SCENE_SEED, 'terrain'));
 const grassCanvas = document.createElement('canvas');
 grassCanvas.width = 1024;
 grassCanvas.height = 1024;
@@ -125,18 +156,18 @@ gctx.fillRect(0, 0, grassCanvas.width, grassCanvas.height);
 // Add subtle noise variation using small dots
 gctx.fillStyle = 'rgba(0, 50, 0, 0.08)';
 for (let i = 0; i < 4000; i++) {
-    const x = Math.random() * grassCanvas.width;
-    const y = Math.random() * grassCanvas.height;
-    const size = Math.random() * 1.5;
+    const x = terrainRandom() * grassCanvas.width;
+    const y = terrainRandom() * grassCanvas.height;
+    const size = terrainRandom() * 1.5;
     gctx.fillRect(x, y, size, size);
 }
 
 // Add bright highlights for depth
 gctx.fillStyle = 'rgba(100, 200, 50, 0.06)';
 for (let i = 0; i < 3000; i++) {
-    const x = Math.random() * grassCanvas.width;
-    const y = Math.random() * grassCanvas.height;
-    const size = Math.random() * 1.2;
+    const x = terrainRandom() * grassCanvas.width;
+    const y = terrainRandom() * grassCanvas.height;
+    const size = terrainRandom() * 1.2;
     gctx.fillRect(x, y, size, size);
 }
 
@@ -145,16 +176,16 @@ for (let i = 0; i < 3000; i++) {
 gctx.strokeStyle = 'rgba(20, 80, 20, 0.12)';
 gctx.lineWidth = 1.2;
 for (let i = 0; i < 3500; i++) {
-    const x = Math.random() * grassCanvas.width;
-    const y = Math.random() * grassCanvas.height;
-    const len = 8 + Math.random() * 32;
-    const angle = Math.random() * 0.4 - 0.2; // slight variation in blade angle
+    const x = terrainRandom() * grassCanvas.width;
+    const y = terrainRandom() * grassCanvas.height;
+    const len = 8 + terrainRandom() * 32;
+    const angle = terrainRandom() * 0.4 - 0.2; // slight variation in blade angle
     
     gctx.beginPath();
     gctx.moveTo(x, y);
     
     // More curved blade for natural look
-    const curveAmount = (Math.random() - 0.5) * 8;
+    const curveAmount = (terrainRandom() - 0.5) * 8;
     const midX = x + Math.sin(angle) * len * 0.5 + curveAmount;
     const midY = y - len * 0.5;
     const endX = x + Math.sin(angle) * len;
@@ -168,15 +199,15 @@ for (let i = 0; i < 3500; i++) {
 gctx.strokeStyle = 'rgba(150, 220, 100, 0.08)';
 gctx.lineWidth = 0.8;
 for (let i = 0; i < 2500; i++) {
-    const x = Math.random() * grassCanvas.width;
-    const y = Math.random() * grassCanvas.height;
-    const len = 10 + Math.random() * 28;
-    const angle = Math.random() * 0.4 - 0.2;
+    const x = terrainRandom() * grassCanvas.width;
+    const y = terrainRandom() * grassCanvas.height;
+    const len = 10 + terrainRandom() * 28;
+    const angle = terrainRandom() * 0.4 - 0.2;
     
     gctx.beginPath();
     gctx.moveTo(x, y);
     
-    const curveAmount = (Math.random() - 0.5) * 6;
+    const curveAmount = (terrainRandom() - 0.5) * 6;
     const midX = x + Math.sin(angle) * len * 0.5 + curveAmount;
     const midY = y - len * 0.5;
     const endX = x + Math.sin(angle) * len;
@@ -189,9 +220,9 @@ for (let i = 0; i < 2500; i++) {
 // Add some darker shadow spots for variation
 gctx.fillStyle = 'rgba(0, 40, 0, 0.04)';
 for (let i = 0; i < 800; i++) {
-    const x = Math.random() * grassCanvas.width;
-    const y = Math.random() * grassCanvas.height;
-    const size = 10 + Math.random() * 40;
+    const x = terrainRandom() * grassCanvas.width;
+    const y = terrainRandom() * grassCanvas.height;
+    const size = 10 + terrainRandom() * 40;
     gctx.fillRect(x, y, size, size);
 }
 
@@ -212,67 +243,25 @@ const groundMat = new THREE.MeshStandardMaterial({
     metalness: 0.0,
     side: THREE.DoubleSide
 });
-// --- Terrain Chunk Manager ---
-class TerrainChunkManager {
-    constructor(scene, material) {
-        this.scene = scene;
-        this.material = material;
-        // Share a single geometry across all tiles for perf
-        this.geometry = new THREE.PlaneGeometry(CHUNK_SIZE, CHUNK_SIZE);
-        this.active = new Map(); // key -> mesh
-        this.centerCx = null;
-        this.centerCz = null;
-    }
-
-    key(cx, cz) { return `${cx},${cz}`; }
-
-    ensureChunk(cx, cz) {
-        const k = this.key(cx, cz);
-        if (this.active.has(k)) return;
-        const mesh = new THREE.Mesh(this.geometry, this.material);
-        mesh.rotation.x = -Math.PI / 2;
-        mesh.position.set(cx * CHUNK_SIZE, GROUND_HEIGHT - 0.01, cz * CHUNK_SIZE);
-        mesh.receiveShadow = true;
-        this.scene.add(mesh);
-        this.active.set(k, mesh);
-    }
-
-    update(centerPos) {
-        const cx = Math.floor(centerPos.x / CHUNK_SIZE);
-        const cz = Math.floor(centerPos.z / CHUNK_SIZE);
-        if (cx === this.centerCx && cz === this.centerCz && this.active.size > 0) return; // no tile crossing
-        this.centerCx = cx; this.centerCz = cz;
-
-        // Desired set of chunks
-        const needed = new Set();
-        for (let dz = -CHUNK_RADIUS; dz <= CHUNK_RADIUS; dz++) {
-            for (let dx = -CHUNK_RADIUS; dx <= CHUNK_RADIUS; dx++) {
-                const x = cx + dx;
-                const z = cz + dz;
-                const k = this.key(x, z);
-                needed.add(k);
-                this.ensureChunk(x, z);
-            }
-        }
-
-        // Remove chunks that are no longer needed (behind you)
-        for (const [k, mesh] of this.active) {
-            if (!needed.has(k)) {
-                this.scene.remove(mesh);
-                mesh.geometry = null; // geometry is shared - don't dispose here
-                // keep material shared; do not dispose
-                this.active.delete(k);
-            }
-        }
-    }
-}
-
-const terrainChunks = new TerrainChunkManager(scene, groundMat);
+// --- Terrain Chunks ---
+const terrainChunks = new TerrainChunkManager(scene, groundMat, terrain, settings.get('chunkRadius'));
+// Runway, taxiways and their lights
+const airportView = airport ? new AirportView(scene, airport, terrain, { anisotropy: renderer.capabilities.getMaxAnisotropy() }) : null;
+// Lines between conflicting planes (settings.debugSeparation)
+const separationOverlay = new SeparationOverlay(scene);
+// Cloud layers, rain and snow (weatherView.js)
+const weatherView = new WeatherView(scene, GROUND_HEIGHT);
+const CLOUD_VISIBILITY = 60; // metres you can see inside a cloud
+// A windsock a little way from where the observer starts, showing the surface wind
+const windsockPosition = new THREE.Vector3(OBSERVER_START.x + 18, 0, OBSERVER_START.z - 24);
+windsockPosition.y = terrain.heightAt(windsockPosition.x, windsockPosition.z);
+const windsock = new Windsock(scene, windsockPosition);
 
 
 
 // --- Sky dome ---
 // A large inverted sphere that follows the camera and only renders above the ground height.
+// It's drawn first and without depth, as a backdrop, so terrain beyond its radius still shows.
 const SKY_RADIUS = 2000;
 const skyGeom = new THREE.SphereGeometry(SKY_RADIUS, 32, 15);
 // Invert the geometry so its inside is visible
@@ -280,12 +269,14 @@ skyGeom.scale(-1, 1, 1);
 
 const skyMaterial = new THREE.ShaderMaterial({
     side: THREE.BackSide,
-    transparent: true,
+    depthTest: false,
     depthWrite: false,
     uniforms: {
         groundHeight: { value: GROUND_HEIGHT },
-        timeOfDay: { value: timeOfDay },
-        sunDirection: { value: new THREE.Vector3(0, 1, 0) }
+        sunAltitude: { value: 0 }, // radians
+        sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+        gloom: { value: 0 },   // cloud cover greying the sky (weather.js)
+        flash: { value: 0 }    // lightning
     },
     vertexShader: `
         varying vec3 vWorldPos;
@@ -298,8 +289,10 @@ const skyMaterial = new THREE.ShaderMaterial({
     fragmentShader: `
         varying vec3 vWorldPos;
         uniform float groundHeight;
-        uniform float timeOfDay;
+        uniform float sunAltitude;
         uniform vec3 sunDirection;
+        uniform float gloom;
+        uniform float flash;
         
         void main() {
             // Smooth step to blend the sky in above the ground
@@ -320,12 +313,12 @@ const skyMaterial = new THREE.ShaderMaterial({
             vec3 sunsetTopColor = vec3(0.2, 0.3, 0.6);
             vec3 sunsetHorizonColor = vec3(1.0, 0.5, 0.3);
             
-            // Determine day phase (0 = night, 0.5 = sunrise/sunset, 1 = day)
-            float dayPhase = smoothstep(0.15, 0.35, timeOfDay) - smoothstep(0.65, 0.85, timeOfDay);
+            // Determine day phase from the sun's altitude (0 = night after astronomical twilight, 1 = day)
+            float altitude = degrees(sunAltitude);
+            float dayPhase = smoothstep(-18.0, 12.0, altitude);
             
-            // Determine sunset phase
-            float sunsetPhase = smoothstep(0.1, 0.25, timeOfDay) * (1.0 - smoothstep(0.25, 0.35, timeOfDay))
-                              + smoothstep(0.65, 0.75, timeOfDay) * (1.0 - smoothstep(0.75, 0.9, timeOfDay));
+            // Sunset glow: from the end of nautical twilight until the sun is well up (as twilightGlow)
+            float sunsetPhase = smoothstep(-12.0, -2.0, altitude) * (1.0 - smoothstep(3.0, 20.0, altitude));
             
             // Mix colors based on time of day
             vec3 topColor = mix(nightTopColor, dayTopColor, dayPhase);
@@ -341,6 +334,11 @@ const skyMaterial = new THREE.ShaderMaterial({
             float gradientFactor = clamp((vWorldPos.y - groundHeight) / 400.0, 0.0, 1.0);
             vec3 color = mix(horizonColor, topColor, gradientFactor);
 
+            // Overcast: the sky turns a darker grey of the same brightness; lightning lights it up
+            float grey = dot(color, vec3(0.3, 0.59, 0.11));
+            color = mix(color, vec3(grey * (1.0 - 0.4 * gloom)), gloom);
+            color += vec3(0.8, 0.85, 1.0) * flash * 0.6;
+
             // If we're below the small fade region, discard to show ground/objects instead
             if (h < 0.01) discard;
 
@@ -353,53 +351,67 @@ const skyMesh = new THREE.Mesh(skyGeom, skyMaterial);
 skyMesh.renderOrder = -1;
 scene.add(skyMesh);
 
-// Ensure camera far plane reaches the sky objects so they don't get clipped
-camera.far = Math.max(camera.far, SKY_RADIUS * 1.5);
-camera.updateProjectionMatrix();
+// Ensure camera far plane reaches the sky objects and the farthest loaded terrain so they don't get clipped
+function updateCameraFar() {
+    camera.far = Math.max(1000, SKY_RADIUS * 1.5, terrainChunks.viewDistance);
+    camera.updateProjectionMatrix();
+}
+updateCameraFar();
 
 // --- Celestial Objects (Sun, Moon, Stars) ---
 const skyObjects = new THREE.Group();
 scene.add(skyObjects);
 
 const celestialObjects = {
-    stars: [],
+    stars: null,
     moon: null,
     moonLight: null,
     sun: null,
     sunLight: null
 };
 
-function createStars(count = 200) {
-    const starGeo = new THREE.SphereGeometry(0.6, 8, 8);
-    for (let i = 0; i < count; i++) {
-        // random point on hemisphere above ground
-        let theta = Math.random() * Math.PI * 2;
-        let phi = Math.random() * (Math.PI / 2); // 0..90deg (above horizon)
-        // place stars well within SKY_RADIUS so they're inside the camera far plane
-        const r = SKY_RADIUS * (0.5 + Math.random() * 0.45);
-        const x = r * Math.cos(theta) * Math.sin(phi);
-        const y = r * Math.cos(phi) + GROUND_HEIGHT + 50; // bias upward
-        const z = r * Math.sin(theta) * Math.sin(phi);
-
-        const color = Math.random() > 0.85 ? 0xfff2b3 : 0xffffff; // some warm stars
-        const mat = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.9 });
-        // Render stars on top of scene geometry so they're always visible
-        mat.depthTest = false;
-        const star = new THREE.Mesh(starGeo, mat);
-        star.position.set(x, y, z);
-        const scale = 0.6 + Math.random() * 1.6;
-        star.scale.setScalar(scale);
-        star.renderOrder = 1000;
-        skyObjects.add(star);
-        celestialObjects.stars.push(star);
-    }
+// The catalogue's bright stars on the celestial sphere, turned with the sidereal time (starField.js)
+function createStars() {
+    const stars = catalogStars();
+    celestialObjects.stars = new StarField(skyObjects, SKY_RADIUS * 0.9, stars, constellationFigures(stars));
+    celestialObjects.stars.setConstellations(settings.get('constellations'));
 }
 
+// The moon is a sphere lit from the real sun's direction, so it shows its phase the right way
+// round; by night its dark side (lit faintly by the Earth) hides the stars behind it
 function createMoon() {
     const moonRadius = 50;
     const moonGeo = new THREE.SphereGeometry(moonRadius, 32, 16);
-    const moonMat = new THREE.MeshBasicMaterial({ color: 0xf6f3e1, transparent: true });
-    moonMat.depthTest = false;
+    const moonMat = new THREE.ShaderMaterial({
+        uniforms: {
+            color: { value: new THREE.Color(0xf6f3e1) },
+            sunDirection: { value: new THREE.Vector3(0, 1, 0) }, // from the moon towards the sun
+            opacity: { value: 1 },
+            night: { value: 1 }
+        },
+        vertexShader: `
+            varying vec3 vNormal;
+            void main() {
+                vNormal = normalize(mat3(modelMatrix) * normal);
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+        `,
+        fragmentShader: `
+            uniform vec3 color;
+            uniform vec3 sunDirection;
+            uniform float opacity;
+            uniform float night;
+            varying vec3 vNormal;
+            void main() {
+                float lit = smoothstep(-0.03, 0.08, dot(normalize(vNormal), sunDirection));
+                gl_FragColor = vec4(color * max(lit, 0.04 * night), opacity * max(lit, night));
+                #include <tonemapping_fragment>
+                #include <colorspace_fragment>
+            }
+        `,
+        transparent: true,
+        depthTest: false
+    });
     const moon = new THREE.Mesh(moonGeo, moonMat);
     moon.renderOrder = 1000;
     skyObjects.add(moon);
@@ -427,25 +439,28 @@ function createSun() {
     celestialObjects.sunLight = sunLight;
 }
 
-createStars(240);
+createStars();
 createMoon();
 createSun();
 
-// (camera position set after parenting below)
-
 // Use pointer lock so the user can click to look around (mouse movement rotates view).
-// We keep the camera position on the ground (y fixed) and only allow rotation.
-// We'll create a yaw object and parent the camera to it. We'll rotate the yawObject
-// on pointer movement's X axis only. The camera's local rotation/pitch/roll will be
-// kept at zero so there's no pitch or roll.
+// The ground observer is a rig: a yaw object (walks, turns around world Y) carrying a
+// pitch object (looks up/down) carrying the eye. The camera itself belongs to the camera
+// controller, which puts it at the eye in ground mode and elsewhere in the other modes.
 const yawObject = new THREE.Object3D();
-// Start at the center of a chunk (CHUNK_SIZE / 2)
-yawObject.position.set(CHUNK_SIZE / 2, 0, CHUNK_SIZE / 2);
-// pitchObject will handle up/down rotation; camera remains child of pitchObject
+yawObject.position.set(OBSERVER_START.x, 0, OBSERVER_START.z);
 const pitchObject = new THREE.Object3D();
-pitchObject.add(camera);
+const groundEye = new THREE.Object3D();
+groundEye.position.set(0, 2.0, 0); // slightly above the grid, for a first-person view
+pitchObject.add(groundEye);
 yawObject.add(pitchObject);
 scene.add(yawObject);
+scene.add(camera);
+
+const cameraController = new CameraController(camera, { yawObject, pitchObject, eye: groundEye }, {
+    groundHeightAt: (x, z) => terrain.heightAt(x, z)
+});
+cameraController.update(0);
 
 // Initialize terrain chunks around the starting position
 if (typeof terrainChunks !== 'undefined') {
@@ -454,15 +469,45 @@ if (typeof terrainChunks !== 'undefined') {
 
 let isLocked = false;
 
-// Request pointer lock when the user clicks the renderer canvas
-renderer.domElement.addEventListener('click', () => {
-    renderer.domElement.requestPointerLock();
+// In orbit mode, dragging with the pointer unlocked rotates around the plane (and isn't a click)
+const DRAG_THRESHOLD = 4; // pixels of movement before a press counts as a drag
+let orbitDrag = null;     // { moved } while the button is held
+let dragged = false;      // the last press was a drag
+
+renderer.domElement.addEventListener('mousedown', (event) => {
+    dragged = false;
+    if (!isLocked && event.button === 0 && cameraController.mode === 'orbit') orbitDrag = { moved: 0 };
+});
+window.addEventListener('mouseup', () => {
+    if (!orbitDrag) return;
+    dragged = orbitDrag.moved > DRAG_THRESHOLD;
+    orbitDrag = null;
+});
+
+// Clicking the canvas picks a plane: with the crosshair while the pointer is locked, otherwise
+// under the mouse. Clicking empty sky locks the pointer (or, once locked, clears the selection).
+renderer.domElement.addEventListener('click', (event) => {
+    if (dragged) return;
+    let picked;
+    if (isLocked) {
+        picked = pickPlane(0, 0);
+    } else {
+        const rect = renderer.domElement.getBoundingClientRect();
+        picked = pickPlane(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+    }
+    if (picked) selectPlane(picked);
+    else if (isLocked) selectPlane(null);
+    else renderer.domElement.requestPointerLock();
 });
 
-// Pointer lock change events to show/hide instructions
+// Pointer lock change events to show/hide instructions and the crosshair
 document.addEventListener('pointerlockchange', () => {
     isLocked = document.pointerLockElement === renderer.domElement;
     instructions.style.display = isLocked ? 'none' : 'block';
+    crosshair.hidden = !isLocked;
 });
 
 // UI hint: simple overlay that tells the user to click to lock pointer and WASD controls
@@ -477,9 +522,15 @@ instructions.style.fontFamily = 'sans-serif';
 instructions.style.fontSize = '13px';
 instructions.style.borderRadius = '4px';
 instructions.style.zIndex = '999';
-instructions.innerText = 'Click to look around (Esc to release) | WASD: move | Q/E: down/up | F: fullscreen';
+instructions.innerText = 'Click a plane to select it | Click the sky to look around (Esc to release) | WASD: move | Q/E: down/up | C: camera mode | F: fullscreen | P: pause | [ / ]: slower/faster';
 document.body.appendChild(instructions);
 
+// Crosshair shown while the pointer is locked (clicks pick the plane under it)
+const crosshair = document.createElement('div');
+crosshair.id = 'crosshair';
+crosshair.hidden = true;
+document.body.appendChild(crosshair);
+
 // --- WASD Movement State ---
 const movement = {
     forward: false,
@@ -500,12 +551,45 @@ function updateNightModeUI() {
     }
 }
 
+// UI update function for pause / time-scale controls
+function updateTimeControlsUI() {
+    const pauseBtn = document.getElementById('time-pause');
+    if (pauseBtn) {
+        pauseBtn.classList.toggle('active', simClock.paused);
+        pauseBtn.textContent = simClock.paused ? '▶ Resume' : '⏸ Pause';
+    }
+    const scaleLabel = document.getElementById('time-scale');
+    if (scaleLabel) {
+        scaleLabel.textContent = `${simClock.timeScale}×`;
+        scaleLabel.classList.toggle('active', simClock.timeScale !== 1);
+    }
+}
+
+// Night mode: jump the sky clock to the nearest solar midnight and hold it there; turning it
+// off lets the clock run on from there
+function setNightMode(on) {
+    nightModeOnly = on;
+    if (on) {
+        const midnight = skyWindow('midnight', skyClock.time, settings.get('observerLat'), settings.get('observerLon'));
+        skyClock.setLoop(null);
+        skyClock.seek(midnight.at);
+    }
+    skyClock.playing = !on;
+    updateNightModeUI();
+}
+
+// Keys typed into a form field (the settings panel's text boxes, a select) are for the field
+function isFormField(target) {
+    return target instanceof HTMLElement &&
+        (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName));
+}
+
 // Map keys to movement flags
 function onKeyDown(event) {
+    if (lightEditor.active || isFormField(event.target)) return;
     // Toggle night mode with 'N' key
     if (event.key.toLowerCase() === 'n') {
-        nightModeOnly = !nightModeOnly;
-        updateNightModeUI();
+        setNightMode(!nightModeOnly);
         event.preventDefault();
         return;
     }
@@ -517,6 +601,11 @@ function onKeyDown(event) {
         case 'KeyQ': movement.down = true; event.preventDefault(); break; // descend
         case 'KeyE': movement.up = true; event.preventDefault(); break;   // ascend
         case 'KeyF': toggleFullscreen(); event.preventDefault(); break;   // F = fullscreen toggle
+        case 'KeyP': simClock.togglePause(); updateTimeControlsUI(); event.preventDefault(); break;
+        case 'KeyC': cycleCameraMode(); event.preventDefault(); break;
+        case 'BracketLeft': simClock.shiftTimeScale(-1); updateTimeControlsUI(); event.preventDefault(); break;  // slow motion
+        case 'BracketRight': simClock.shiftTimeScale(1); updateTimeControlsUI(); event.preventDefault(); break;  // fast-forward
+        case 'Backslash': simClock.resetTimeScale(); updateTimeControlsUI(); event.preventDefault(); break;      // back to 1x
     }
 }
 
@@ -537,10 +626,94 @@ window.addEventListener('keyup', onKeyUp);
 // --- Night Mode Button Handler ---
 const nightModeBtn = document.getElementById('night-mode-toggle');
 if (nightModeBtn) {
-    nightModeBtn.addEventListener('click', () => {
-        nightModeOnly = !nightModeOnly;
-        updateNightModeUI();
-    });
+    nightModeBtn.addEventListener('click', () => setNightMode(!nightModeOnly));
+}
+
+// --- Settings Panel (next to the night-mode button) ---
+if (nightModeBtn) createSettingsPanel(settings, nightModeBtn);
+
+// --- Seed Display ---
+// Shows the scene seed as a link that reproduces this scene
+const seedDisplay = document.getElementById('seed-display');
+if (seedDisplay) {
+    seedDisplay.textContent = `🎲 Seed: ${SCENE_SEED}`;
+    seedDisplay.href = `?seed=${encodeURIComponent(SCENE_SEED)}`;
+}
+// Put the seed in the address bar so copying the URL reproduces this scene
+if (!new URLSearchParams(window.location.search).has('seed')) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', SCENE_SEED);
+    window.history.replaceState(null, '', url);
+}
+
+// --- Time Control Button Handlers ---
+const timeControlActions = {
+    'time-slower': () => simClock.shiftTimeScale(-1),
+    'time-pause': () => simClock.togglePause(),
+    'time-faster': () => simClock.shiftTimeScale(1),
+    'time-scale': () => simClock.resetTimeScale()
+};
+for (const [id, action] of Object.entries(timeControlActions)) {
+    const btn = document.getElementById(id);
+    if (btn) {
+        btn.addEventListener('click', () => {
+            action();
+            updateTimeControlsUI();
+        });
+    }
+}
+updateTimeControlsUI();
+
+// --- Camera Modes ---
+// Chase and orbit follow the selected plane; with nothing selected they pick the nearest one,
+// and when their plane goes away the camera returns to the ground observer.
+function setCameraMode(mode) {
+    if (CameraController.needsTarget(mode) && !selectedPlane) {
+        let nearest = null;
+        let nearestDist = Infinity;
+        for (const plane of planes) {
+            const dist = camera.position.distanceTo(plane.mesh.position);
+            if (dist < nearestDist) {
+                nearestDist = dist;
+                nearest = plane;
+            }
+        }
+        if (!nearest) {
+            noticePanel.set('camera', 'info', `🎥 No plane to ${mode === 'chase' ? 'chase' : 'orbit'} yet`, [
+                'Chase and orbit follow the selected plane, or the nearest one once there are planes in the sky'
+            ]);
+            return;
+        }
+        selectPlane(nearest);
+    }
+    noticePanel.clear('camera');
+    cameraController.setTarget(selectedPlane ? selectedPlane.mesh : null);
+    cameraController.setMode(mode);
+    updateCameraControlsUI();
+}
+
+function cycleCameraMode() {
+    const index = CAMERA_MODES.findIndex(m => m.id === cameraController.mode);
+    setCameraMode(CAMERA_MODES[(index + 1) % CAMERA_MODES.length].id);
+}
+
+function updateCameraControlsUI() {
+    for (const btn of document.querySelectorAll('#camera-controls button')) {
+        btn.classList.toggle('active', btn.dataset.mode === cameraController.mode);
+    }
+}
+
+const cameraControls = document.getElementById('camera-controls');
+if (cameraControls) {
+    for (const { id, label, title } of CAMERA_MODES) {
+        const btn = document.createElement('button');
+        btn.dataset.mode = id;
+        btn.textContent = label;
+        btn.title = `${title} (C: next mode)`;
+        btn.addEventListener('click', () => setCameraMode(id));
+        cameraControls.appendChild(btn);
+    }
+    updateCameraControlsUI();
 }
 
 // --- Fullscreen Toggle ---
@@ -566,28 +739,27 @@ fsButton.addEventListener('click', toggleFullscreen);
 document.body.appendChild(fsButton);
 
 // --- Debug HUD ---
-let debugHUD = null;
-if (DEBUG_HUD) {
-    debugHUD = document.createElement('div');
-    Object.assign(debugHUD.style, {
-        position: 'absolute',
-        left: '12px',
-        top: '80px',
-        padding: '10px 14px',
-        background: 'rgba(0,0,0,0.75)',
-        color: '#0f0',
-        border: '1px solid rgba(0,255,0,0.3)',
-        borderRadius: '4px',
-        fontFamily: 'monospace',
-        fontSize: '11px',
-        lineHeight: '1.5',
-        zIndex: '9998',
-        minWidth: '280px',
-        backdropFilter: 'blur(4px)'
-    });
-    debugHUD.innerHTML = 'Debug: Initializing...';
-    document.body.appendChild(debugHUD);
-}
+// Created up front and shown/hidden by settings.debugHud
+const debugHUD = document.createElement('div');
+Object.assign(debugHUD.style, {
+    position: 'absolute',
+    left: '12px',
+    top: '80px',
+    padding: '10px 14px',
+    background: 'rgba(0,0,0,0.75)',
+    color: '#0f0',
+    border: '1px solid rgba(0,255,0,0.3)',
+    borderRadius: '4px',
+    fontFamily: 'monospace',
+    fontSize: '11px',
+    lineHeight: '1.5',
+    zIndex: '9998',
+    minWidth: '280px',
+    backdropFilter: 'blur(4px)'
+});
+debugHUD.innerHTML = 'Debug: Initializing...';
+debugHUD.hidden = !settings.get('debugHud');
+document.body.appendChild(debugHUD);
 
 function updateFsButton() {
     if (document.fullscreenElement) fsButton.textContent = '⤫ Exit Fullscreen (F)';
@@ -608,23 +780,19 @@ async function toggleFullscreen() {
     }
 }
 
-// Mouse movement: apply yaw and pitch (yaw full 360°, pitch clamped)
-const MOUSE_SENSITIVITY = 0.0022;
+// Mouse movement: look around in the active camera mode (pointer locked), or drag to orbit
 document.addEventListener('mousemove', (event) => {
-    if (!isLocked) return;
-    // rotate yaw only (around world Y)
-    yawObject.rotation.y -= event.movementX * MOUSE_SENSITIVITY;
-    // Apply pitch (rotate around local X of pitchObject)
-    pitchObject.rotation.x -= event.movementY * MOUSE_SENSITIVITY;
-    // Clamp pitch so user can't look through the ground: allow looking up (~+90deg)
-    // and only a small downward tilt.
-    const MIN_PITCH = -0.15; // small downward tilt (radians)
-    const MAX_PITCH = Math.PI / 2 - 0.01; // nearly straight up
-    pitchObject.rotation.x = Math.max(MIN_PITCH, Math.min(MAX_PITCH, pitchObject.rotation.x));
+    if (!isLocked && !orbitDrag) return;
+    if (orbitDrag) orbitDrag.moved += Math.abs(event.movementX) + Math.abs(event.movementY);
+    cameraController.look(event.movementX, event.movementY, settings.get('mouseSensitivity'));
 });
 
-// Set camera position close to the ground for a first-person view (camera is child of pitchObject)
-camera.position.set(0, 2.0, 0); // slightly above the grid
+// Mouse wheel: chase/orbit distance
+renderer.domElement.addEventListener('wheel', (event) => {
+    if (!CameraController.needsTarget(cameraController.mode)) return;
+    cameraController.zoom(event.deltaY);
+    event.preventDefault();
+}, { passive: false });
 
 // Add a subtle ambient light for overall scene visibility
 // Keep ambient relatively low so navigation lights are visible
@@ -635,38 +803,31 @@ scene.add(ambientLight);
 const planes = [];
 
 // --- Plane Configuration ---
-const MAX_PLANES = 10;
-
-// List of available plane models
-const PLANE_MODELS = [
-    'B200_AFRC_AIR_0824.glb',
-    'C130_WFF_AIR_0824.glb',
-    'C20A_AFRC_AIR_0824.glb',
-    'DC8_AFRC_AIR_0824.glb',
-    'ER2_AFRC_AIR_0824.glb',
-    'G3_JSC_AIR_0824.glb',
-    'G4_NOAA_AIR_0824.glb',
-    'HU25_LARC_AIR_0824.glb',
-    'P3_WFF_AIR_0824.glb',
-    'SIERRA_ARC_AIR_0824.glb',
-    'TWIN_OTTER_CIRPAS_AIR_0824.glb',
-    'WB57_JSC_AIR_0824.glb',
-    'WP3D_N42RF_NOAA_AIR_0824.glb'
-];
+// Fleet size comes from settings.maxPlanes
+
+// Available models are listed in planeModels.js (PLANE_MODELS)
 //manual edits to lights and planes
-const PLANE_BASE_SCALE = 40.0;
+// Light offsets are measured with planes at this scale (the tuning below assumes it);
+// the rendered size comes from settings.planeBaseScale
+const PLANE_LIGHT_REFERENCE_SCALE = 40.0;
 const PLANE_LIGHT_OFFSET_SCALE = 0.01;
-const NAV_LIGHT_SIZE = 0.005;
-const STROBE_LIGHT_SIZE = 0.004;
+// Glow of each light up close, in model units (times the plane scale); see lightGlow.js
+const NAV_LIGHT_SIZE = 0.06;
+const STROBE_LIGHT_SIZE = 0.08;
+const LANDING_LIGHT_SIZE = 0.14;
+const TAXI_LIGHT_SIZE = 0.1;
 
 // Baseline (unscaled) light attachment offsets relative to plane origin
-const BASE_RED_LIGHT_POSITION = new THREE.Vector3(-0.5, 0, -1);
-const BASE_GREEN_LIGHT_POSITION = new THREE.Vector3(0.5, 0, -1);
+// (models fly nose along +Z, so the left wing is +X)
+const BASE_RED_LIGHT_POSITION = new THREE.Vector3(0.5, 0, -1);
+const BASE_GREEN_LIGHT_POSITION = new THREE.Vector3(-0.5, 0, -1);
 const BASE_WHITE_LIGHT_POSITIONS = [
-    new THREE.Vector3(-0.5, 0, -1),
     new THREE.Vector3(0.5, 0, -1),
+    new THREE.Vector3(-0.5, 0, -1),
     new THREE.Vector3(0, 0, -3)
 ];
+const BASE_BEACON_LIGHT_POSITION = new THREE.Vector3(0, 0.5, -1);
+const BEACON_LIGHT_SIZE = 0.06;
 
 // Derive reasonable navigation light offsets based on model bounding box
 function deriveLightOffsets(model) {
@@ -707,25 +868,157 @@ function deriveLightOffsets(model) {
     const wingSpanFactorNav = 0.55;
     const wingSpanFactorStrobe = 0.5;
 
-    const leftWing = new THREE.Vector3(center.x - wingSpan * wingSpanFactorNav, lightY, wingZ);
-    const rightWing = new THREE.Vector3(center.x + wingSpan * wingSpanFactorNav, lightY, wingZ);
+    // Nose along +Z: the left wing is +X
+    const leftWing = new THREE.Vector3(center.x + wingSpan * wingSpanFactorNav, lightY, wingZ);
+    const rightWing = new THREE.Vector3(center.x - wingSpan * wingSpanFactorNav, lightY, wingZ);
 
-    const leftStrobe = new THREE.Vector3(center.x - wingSpan * wingSpanFactorStrobe, lightY, wingZ);
-    const rightStrobe = new THREE.Vector3(center.x + wingSpan * wingSpanFactorStrobe, lightY, wingZ);
+    const leftStrobe = new THREE.Vector3(center.x + wingSpan * wingSpanFactorStrobe, lightY, wingZ);
+    const rightStrobe = new THREE.Vector3(center.x - wingSpan * wingSpanFactorStrobe, lightY, wingZ);
     const tailLight = new THREE.Vector3(center.x, lightY, tailLightZ);
+    // Beacon on top of the fuselage, above the wing
+    const beacon = new THREE.Vector3(center.x, bbox.min.y + fuselageHeight * 0.75, wingZ);
 
     return {
         red: leftWing,
         green: rightWing,
-        whites: [leftStrobe, rightStrobe, tailLight]
+        whites: [leftStrobe, rightStrobe, tailLight],
+        beacon
     };
 }
 
-// GLTF loader instance
-const gltfLoader = new GLTFLoader();
+// Light offsets ({ red, green, whites, beacon }) multiplied by `scale`, as new vectors
+function scaleLightOffsets(offsets, scale) {
+    return {
+        red: offsets.red.clone().multiplyScalar(scale),
+        green: offsets.green.clone().multiplyScalar(scale),
+        whites: offsets.whites.map(v => v.clone().multiplyScalar(scale)),
+        beacon: offsets.beacon.clone().multiplyScalar(scale)
+    };
+}
 
-// Cache for loaded models to avoid reloading
-const modelCache = {};
+// Where a model's lights go on its normalized root: the placement saved in the light editor,
+// else `auto` (the bounding-box guess)
+const lightOverrides = new LightOverrides();
+function lightOffsetsFor(modelName, auto) {
+    const saved = lightOverrides.get(modelName);
+    if (!saved) return auto;
+    const point = p => new THREE.Vector3().fromArray(p);
+    return {
+        red: point(saved.red),
+        green: point(saved.green),
+        whites: saved.whites.map(point),
+        beacon: point(saved.beacon)
+    };
+}
+
+// Downloads, decodes and caches the aircraft models (de-duplicated, retried, evicted when unused)
+const modelLoader = new ModelLoader(renderer);
+
+// Level of detail: full models for the nearest planes, shared instanced meshes further out and
+// pre-rendered impostors in the distance (planeLod.js)
+const planeLod = new PlaneLod(scene, renderer);
+const MAX_FULL_DETAIL = 12;     // planes drawn with their own model
+
+// Navigation lights: every lit light of every visible plane is a glow sprite (lightGlow.js), and
+// the nearest lit ones also get one of REAL_LIGHT_BUDGET PointLights so the fuselage and ground
+// around them catch the light. The PointLights stay in the scene (unused ones at intensity 0):
+// three.js recompiles every lit material when the number of lights changes.
+const lightGlow = new LightGlow(scene);
+const REAL_LIGHT_BUDGET = 8;
+const realLights = [];
+for (let i = 0; i < REAL_LIGHT_BUDGET; i++) {
+    const light = new THREE.PointLight(0x000000, 0, 60, 1.5);
+    realLights.push(light);
+    scene.add(light);
+}
+// Planes switch to their night lighting while the sun is this low (dayPhase, 0 at sunrise and sunset)
+const NIGHT_DAY_PHASE = 0.1;
+let realLightHelpers = null; // PointLightHelpers, created when debug lights are first enabled
+setDebugLights(settings.get('debugLights'));
+
+// Contrails above settings.contrailAltitude when the air is humid enough, and faint exhaust
+// trails below it (trails.js). Widths are in wingspans, so they suit any plane scale.
+const trails = new TrailSystem(scene);
+const CONTRAIL_MIN_LIFETIME = 4;   // seconds, in air just humid enough to form them
+const CONTRAIL_MAX_LIFETIME = 90;  // seconds, in saturated air
+const CONTRAIL_FORMING = 40;       // metres above contrailAltitude over which they thicken
+const TRAIL_SUNSET_COLOR = new THREE.Color(1.0, 0.62, 0.72);
+const contrailStyle = { lifetime: 0, width: 0, widening: 0, opacity: 0, smoke: false };
+const exhaustStyle = { lifetime: 3, width: 0, widening: 0, opacity: 0.15, smoke: true };
+const trailColor = new THREE.Color();
+
+// Loading screen: bytes of aircraft models downloaded so far
+const formatMB = bytes => (bytes / 1024 / 1024).toFixed(1);
+modelLoader.onProgress(({ loaded, total, sized, pending, done }) => {
+    if (!loadingText || !loadingScreen || loadingScreen.classList.contains('fade-out')) return;
+    if (!pending) {
+        loadingText.textContent = 'Preparing aircraft...';
+        return;
+    }
+    loadingText.textContent = `Loading aircraft (${done}/${done + pending}): ${formatMB(loaded)}${sized ? ` / ${formatMB(total)}` : ''} MB`;
+    if (loadingBar) loadingBar.style.width = sized && total ? `${(loaded / total) * 100}%` : '0%';
+});
+
+// --- Fleet models ---
+// The fleet is listed in public/models.json (format in planeModels.js) and shared with the
+// simulation as simState.fleet, which picks each plane's model. Models the user drops onto the
+// page (or picks with 🛩️ Add model) join it for the session.
+const MODEL_MANIFEST_URL = '/models.json';
+const MAX_IMPORT_BYTES = 64 * 1024 * 1024;
+// Rotation about Y that turns a model's nose from its `forward` axis to +Z
+const FORWARD_ROTATIONS = { '+z': 0, '-z': Math.PI, '+x': -Math.PI / 2, '-x': Math.PI / 2 };
+const modelEntries = new Map(simState.fleet.map(entry => [entry.file, entry])); // file -> fleet entry
+const failedModels = new Map(); // file -> why it couldn't be loaded
+const modelSizes = new Map();   // file -> largest dimension of each manifest model loaded so far (sizes imports)
+const noticePanel = createNoticePanel();
+
+// Make the manifest the fleet; the built-in list stays if there's no usable manifest
+async function loadModelManifest() {
+    try {
+        const response = await fetch(MODEL_MANIFEST_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { models, errors } = parseModelManifest(await response.text());
+        if (errors.length) {
+            noticePanel.set('manifest', 'warning', `⚠️ Skipped ${errors.length} invalid entr${errors.length === 1 ? 'y' : 'ies'} in ${MODEL_MANIFEST_URL}`, errors);
+        }
+        if (models.length === 0) throw new Error('no usable models listed');
+        const imported = simState.fleet.filter(entry => entry.imported);
+        simState.fleet = [...models, ...imported];
+        modelEntries.clear();
+        simState.fleet.forEach(entry => modelEntries.set(entry.file, entry));
+        if (DEBUG_CONSOLE) console.log(`🛩️ Model manifest: ${models.length} models`);
+    } catch (err) {
+        console.warn(`⚠️ Model manifest ${MODEL_MANIFEST_URL} unavailable, using the built-in models:`, err);
+        noticePanel.set('manifest', 'warning', '⚠️ Model manifest could not be loaded', [
+            `${MODEL_MANIFEST_URL}: ${err.message} (flying the built-in models)`
+        ]);
+    }
+}
+
+// Display name of a model file
+function modelDisplayName(file) {
+    const entry = modelEntries.get(file);
+    return entry ? entry.name : file.replace(/\.(glb|gltf)$/i, '');
+}
+
+// Remember a model that failed to load, stop spawning it and list it in the notice panel
+function reportModelFailure(file, err) {
+    if (failedModels.has(file)) return;
+    console.error(`❌ Failed to load plane model ${file}:`, err);
+    failedModels.set(file, err && err.message ? err.message : String(err));
+    const remaining = simState.fleet.filter(entry => !failedModels.has(entry.file));
+    if (remaining.some(entry => entry.weight > 0)) simState.fleet = remaining;
+    noticePanel.set('failed-models', 'warning',
+        `⚠️ ${failedModels.size} aircraft model${failedModels.size === 1 ? '' : 's'} failed to load (planes already using ${failedModels.size === 1 ? 'it' : 'them'} are grey boxes)`,
+        [...failedModels].map(([name, reason]) => `${modelDisplayName(name)} (${name}): ${reason}`));
+}
+
+// Grey box standing in for a model that couldn't be loaded
+function placeholderModel() {
+    const geometry = new THREE.BoxGeometry(1, 0.2, 3);
+    const material = new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.6, metalness: 0.1 });
+    return new THREE.Mesh(geometry, material);
+}
 
 // Normalize a loaded model so that:
 // - Its lowest point sits at local Y = 0 (so floor proximity is consistent across models)
@@ -761,43 +1054,48 @@ function normalizeModel(model) {
     return root;
 }
 
-// Function to load a GLB model asynchronously
+// Load a fleet model; each plane (or editor view) that gets one releases it with
+// modelLoader.release(modelName) when it goes away
 async function loadPlaneModel(modelName) {
-    if (modelCache[modelName]) {
-        // Clone cached model
-        return modelCache[modelName].clone();
-    }
-    
+    // Don't fetch a known failure again
+    if (failedModels.has(modelName)) return placeholderModel();
+
     try {
-        const gltf = await new Promise((resolve, reject) => {
-            gltfLoader.load(`/${modelName}`, resolve, undefined, reject);
-        });
-        
-        const model = gltf.scene;
-        // Cache the loaded gltf scene for future use
-        modelCache[modelName] = gltf.scene.clone();
-        
+        const model = await modelLoader.acquire(modelName, `/${modelName}`);
+        if (!model.getObjectByProperty('isMesh', true)) {
+            modelLoader.release(modelName);
+            throw new Error('the file has no meshes');
+        }
+        const entry = modelEntries.get(modelName);
+        if (!modelSizes.has(modelName) && !(entry && entry.imported)) {
+            const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+            modelSizes.set(modelName, Math.max(size.x, size.y, size.z) * (entry ? entry.scale : 1));
+        }
         return model;
     } catch (err) {
-        console.error(`Failed to load plane model ${modelName}:`, err);
-        // Fallback to placeholder if model fails to load
-        const geometry = new THREE.BoxGeometry(1, 0.2, 3);
-        const material = new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.6, metalness: 0.1 });
-        return new THREE.Mesh(geometry, material);
+        // Fallback to placeholder if model fails to load (listed in the notice panel)
+        reportModelFailure(modelName, err);
+        return placeholderModel();
     }
 }
 
 // Function to create plane geometry - easily swappable for 3D models
-// Returns a Promise that resolves to the plane mesh (normalized wrapper)
-async function createPlaneGeometry() {
-    const randomModel = PLANE_MODELS[Math.floor(Math.random() * PLANE_MODELS.length)];
-    const rawModel = await loadPlaneModel(randomModel);
+// Returns a Promise that resolves to the plane mesh (normalized wrapper) for a fleet model.
+async function createPlaneGeometry(modelName) {
+    const rawModel = await loadPlaneModel(modelName);
+    // Manifest corrections: nose along +Z, sized like the rest of the fleet
+    const entry = modelEntries.get(modelName);
+    if (entry && !failedModels.has(modelName)) {
+        rawModel.rotation.y += FORWARD_ROTATIONS[entry.forward];
+        rawModel.scale.multiplyScalar(entry.scale);
+    }
 
     // Normalize the raw model into a root wrapper with consistent origin
     const model = normalizeModel(rawModel);
+    model.userData.modelName = modelName;
 
-    // Apply global base scale to the normalized root so user can tune plane size
-    model.scale.setScalar(PLANE_BASE_SCALE);
+    // Measure at the reference scale (reset to 1 below; syncPlaneMesh applies the plane scale)
+    model.scale.setScalar(PLANE_LIGHT_REFERENCE_SCALE);
 
     // Ensure the model responds to lighting
     model.traverse((node) => {
@@ -824,338 +1122,354 @@ async function createPlaneGeometry() {
     });
     // Update world matrices before measuring dimensions
     model.updateMatrixWorld(true);
-    // Capture model-specific light attachment points on the normalized root
-    const lightOffsets = deriveLightOffsets(model);
-    if (lightOffsets) {
-        // Store on userData so clones know where to attach lights
-        model.userData.lightOffsets = {
-            red: lightOffsets.red.clone(),
-            green: lightOffsets.green.clone(),
-            whites: lightOffsets.whites.map(v => v.clone())
-        };
-    }
-    
+    // Capture model-specific light attachment points on the normalized root (in its own units)
+    const derived = deriveLightOffsets(model) || {
+        red: BASE_RED_LIGHT_POSITION,
+        green: BASE_GREEN_LIGHT_POSITION,
+        whites: BASE_WHITE_LIGHT_POSITIONS,
+        beacon: BASE_BEACON_LIGHT_POSITION
+    };
+    model.userData.autoLightOffsets = scaleLightOffsets(derived, PLANE_LIGHT_OFFSET_SCALE);
+    model.userData.lightOffsets = lightOffsetsFor(modelName, model.userData.autoLightOffsets);
+
+    // Planes hang the model off their own pose group, which carries the plane scale
+    model.scale.setScalar(1);
     return model;
 }
 
 // Function to create a plane object with all components
-async function createPlanePlaceholder(spawnNear = true, center = null) {
-    try {
-        // Create the main plane geometry/model (await the async loading)
-        const planeMesh = await createPlaneGeometry();
-        if (!planeMesh) {
-            throw new Error('createPlaneGeometry returned null/undefined');
-        }
-        const lightOffsets = planeMesh.userData && planeMesh.userData.lightOffsets;
+// `model` picks the fleet model (the simulation picks one when omitted).
+async function createPlanePlaceholder(spawnNear = true, center = null, model = null) {
+    // Random spawning is off while a replay or live feed supplies the traffic
+    if (trafficSource) return;
 
-    // Per-plane performance characteristics for varied behavior
-    const baseSpeedFactor = 0.75 + Math.random() * 0.6;
-    const climbPerformance = 0.8 + Math.random() * 0.6;
-    const baseMaxClimbRate = 0.9 + Math.random() * 0.7;
-    const baseMaxDescentRate = 0.4 + Math.random() * 0.5;
-    
-    // Spawn with level or slight climb to avoid immediate nosedive
-    const initialVSpeed = THREE.MathUtils.clamp(
-        Math.random() * baseMaxClimbRate * 0.5, // 0 to 50% of max climb (never negative at spawn)
-        0,
-        baseMaxClimbRate
-    );
-    
-    const initialWaypointInterval = 30 + Math.random() * 40; // Time before first waypoint change (30-70s)
-    
-    if (DEBUG_CONSOLE) {
-        console.log('🛫 Creating plane:', {
-            initialVSpeed: initialVSpeed.toFixed(2),
-            maxClimb: baseMaxClimbRate.toFixed(2),
-            maxDescent: baseMaxDescentRate.toFixed(2)
-        });
+    // Determine spawn center (camera world pos by default)
+    const spawnCenter = center || (function(){ const p=new THREE.Vector3(); camera.getWorldPosition(p); return p; })();
+
+    // Flight state lives in the headless simulation; it is created before the model loads so
+    // planes are spawned in call order (same seed => same fleet, however long each GLB takes).
+    // The simulation picks the aircraft type, since it flies to that type's performance.
+    const planeState = spawnPlane(simState, spawnCenter, model);
+
+    try {
+        await createPlaneView(planeState, planeState.model);
+    } catch (error) {
+        removePlane(simState, planeState);
+        console.error('❌ Error in createPlanePlaceholder:', error);
+        throw error; // Re-throw to be caught by caller
     }
+}
 
-    // --- Navigation Lights ---
-    // Red Light (e.g., left wing)
-        const redLight = new THREE.PointLight(0xFF0000, 0, 60, 1.5); // Start off (intensity=0), modest range
-        const baseRedOffset = lightOffsets && lightOffsets.red ? lightOffsets.red.clone() : BASE_RED_LIGHT_POSITION.clone();
-        const redPosition = baseRedOffset.multiplyScalar(PLANE_LIGHT_OFFSET_SCALE);
-        redLight.position.copy(redPosition);
-    planeMesh.add(redLight);
-    // visual indicator for the red nav light (so it's visible even on unlit materials)
-    const redMesh = new THREE.Mesh(
-        new THREE.SphereGeometry(NAV_LIGHT_SIZE, 12, 12),
-        new THREE.MeshBasicMaterial({ color: 0xFF0000, transparent: true, opacity: 0, blending: THREE.AdditiveBlending })
-    );
-    redMesh.position.copy(redPosition);
-    planeMesh.add(redMesh);
-    // Add a helper and make the indicator larger for debugging
-    let redHelper = null;
-    if (DEBUG_LIGHTS) {
-        redMesh.scale.setScalar(2.5);
-        redMesh.material.opacity = 1;
-        redHelper = new THREE.PointLightHelper(redLight, 1.2, 0xff0000);
-        planeMesh.add(redHelper);
+// Build the mesh and lights for a simulated plane and add it to the scene.
+// `modelName` is the model file (a fleet entry). Resolves to the new planes[] entry,
+// or null if the plane left the simulation while its model was loading.
+// plane.mesh is a group carrying the interpolated pose and scale; the model only hangs off it
+// while the plane is shown at full detail (setPlaneDetail). Its lights are plane.navLights.
+async function createPlaneView(planeState, modelName) {
+    // Create the main plane geometry/model (await the async loading)
+    const model = await createPlaneGeometry(modelName);
+    if (!model) {
+        throw new Error('createPlaneGeometry returned null/undefined');
     }
-    
-    // Green Light (e.g., right wing)
-    const greenLight = new THREE.PointLight(0x00FF00, 0, 60, 1.5); // Start off
-    const baseGreenOffset = lightOffsets && lightOffsets.green ? lightOffsets.green.clone() : BASE_GREEN_LIGHT_POSITION.clone();
-    const greenPosition = baseGreenOffset.multiplyScalar(PLANE_LIGHT_OFFSET_SCALE);
-        greenLight.position.copy(greenPosition);
-    planeMesh.add(greenLight);
-    const greenMesh = new THREE.Mesh(
-        new THREE.SphereGeometry(NAV_LIGHT_SIZE, 12, 12),
-        new THREE.MeshBasicMaterial({ color: 0x00FF00, transparent: true, opacity: 0, blending: THREE.AdditiveBlending })
-    );
-    greenMesh.position.copy(greenPosition);
-    planeMesh.add(greenMesh);
-    let greenHelper = null;
-    if (DEBUG_LIGHTS) {
-        greenMesh.scale.setScalar(2.5);
-        greenMesh.material.opacity = 1;
-        greenHelper = new THREE.PointLightHelper(greenLight, 1.2, 0x00ff00);
-        planeMesh.add(greenHelper);
-    }
-
-    // White Strobe Lights (left, right, back) - will blink together in a double-tap pattern
-    const whiteLights = [];
-    const whiteMeshes = [];
-    const whiteHelpers = [];
-
-    // Positions: left wing, right wing, tail/back
-    const baseWhiteOffsets = (lightOffsets && lightOffsets.whites && lightOffsets.whites.length === 3)
-        ? lightOffsets.whites.map(v => v.clone())
-        : BASE_WHITE_LIGHT_POSITIONS.map(v => v.clone());
-    const whitePositions = baseWhiteOffsets.map(pos => pos.multiplyScalar(PLANE_LIGHT_OFFSET_SCALE));
-
-    for (let i = 0; i < whitePositions.length; i++) {
-        const pos = whitePositions[i];
-    const wLight = new THREE.PointLight(0xFFFFFF, 0, 80, 1.5); // start off
-        wLight.position.copy(pos);
-        planeMesh.add(wLight);
-        whiteLights.push(wLight);
-
-        const wMesh = new THREE.Mesh(
-            new THREE.SphereGeometry(STROBE_LIGHT_SIZE, 12, 12),
-            new THREE.MeshBasicMaterial({ color: 0xFFFFFF, transparent: true, opacity: 0, blending: THREE.AdditiveBlending })
-        );
-        wMesh.position.copy(pos);
-        planeMesh.add(wMesh);
-        whiteMeshes.push(wMesh);
-
-        let wHelper = null;
-        if (DEBUG_LIGHTS) {
-            wMesh.scale.setScalar(2.5);
-            wMesh.material.opacity = 1;
-            wHelper = new THREE.PointLightHelper(wLight, 1.6, 0xffffff);
-            planeMesh.add(wHelper);
-        }
-        whiteHelpers.push(wHelper);
+    // Traffic that timed out before its model arrived
+    if (!simState.planes.includes(planeState)) {
+        modelLoader.release(modelName);
+        return null;
     }
+    const planeMesh = new THREE.Group();
 
-    // --- Custom Plane Data ---
+    // --- Custom Plane Data (visuals; flight state is in planeState) ---
     const plane = {
+        state: planeState,
         mesh: planeMesh,
-        speed: 10,
-        baseSpeed: baseSpeedFactor,
-        climbPerformance,
-        maxClimbRate: baseMaxClimbRate,
-        maxDescentRate: baseMaxDescentRate,
-        waypoint: null, // Will be set after position is determined
-        waypointTimer: 0,
-        waypointInterval: initialWaypointInterval,
-        baseScale: planeMesh.scale.clone(),
-        redLight: redLight,
-        greenLight: greenLight,
-        whiteLights: whiteLights,
-        redMesh: redMesh,
-        greenMesh: greenMesh,
-        whiteMeshes: whiteMeshes,
-        redHelper,
-        greenHelper,
-        whiteHelpers,
-        lightTimer: Math.random() * 50, // Random start time for flashing
-        // vertical speed in units per second (positive = ascending)
-        vSpeed: initialVSpeed,
-    desiredClimbSmooth: initialVSpeed,
-        
-    // Physics: velocity vector and orientation
-    velocity: new THREE.Vector3(0, 0, -1),  // direction of movement (normalized)
-    heading: Math.random() * Math.PI * 2,   // yaw angle in radians
-    pitch: 0,                                // start level; physics will adjust smoothly
-    roll: 0,                                 // roll/bank angle (changes during turns)
-        turnRate: (Math.random() - 0.5) * 0.4,  // degrees/sec for steering (slower, more purposeful)
-        targetHeading: Math.random() * Math.PI * 2, // random target heading for flight path
-        headingChangeTimer: 0,
-        headingChangeInterval: 45 + Math.random() * 55,  // change heading every 45-100 seconds
-        
-        // Wind effects
-        turbulenceTimer: Math.random() * 10, // Random start for turbulence
-        turbulenceOffset: new THREE.Vector3(0, 0, 0), // Current turbulence displacement
-        windDrift: new THREE.Vector3(0, 0, 0) // Accumulated wind drift
+        model,
+        detail: null, // 'full', 'instanced' or 'impostor' (planeLod.js); set every frame
+        modelName: model.userData.modelName,
+        navLights: createNavLights(), // placed by applyLightOffsets below
+        engines: createEngines(model.userData.modelName),
+        wingspan: 1, // model units, from the light offsets
+        trailSpawnCount: planeState.spawnCount,
+
+        // Pose at the previous simulation step (rendered planes are interpolated between steps)
+        prevPosition: new THREE.Vector3(),
+        prevQuaternion: new THREE.Quaternion(),
+        spawnCount: planeState.spawnCount
     };
 
-    // Determine spawn center (camera world pos by default)
-    const spawnCenter = center || (function(){ const p=new THREE.Vector3(); camera.getWorldPosition(p); return p; })();
-
-    // Spawn at a random distance away from viewer (not on visible borders)
-    const spawnDistance = SPAWN_DISTANCE_MIN + Math.random() * (SPAWN_DISTANCE_MAX - SPAWN_DISTANCE_MIN);
-    const spawnAngle = Math.random() * Math.PI * 2; // random direction
-    
-    planeMesh.position.x = spawnCenter.x + Math.cos(spawnAngle) * spawnDistance;
-    planeMesh.position.z = spawnCenter.z + Math.sin(spawnAngle) * spawnDistance;
-    
-    // Set spawn altitude using simplified function
-    plane.mesh.position.y = computeSpawnAltitude();
-    
-    // Set initial vSpeed (already set above in plane creation)
-    plane.vSpeed = initialVSpeed;
-    plane.desiredClimbSmooth = initialVSpeed;
-    
-    // Generate initial waypoint after position is set
-    plane.waypoint = generateWaypoint(planeMesh.position);
-    
-    updatePlaneProperties(plane);
+    applyLightOffsets(plane, model.userData.lightOffsets);
+    planeLod.retain(plane.modelName, model);
+    resetPlaneInterpolation(plane);
+    syncPlaneMesh(plane, 1);
 
     scene.add(planeMesh);
     planes.push(plane);
-    } catch (error) {
-        console.error('❌ Error in createPlanePlaceholder:', error);
-        throw error; // Re-throw to be caught by caller
+    return plane;
+}
+
+// Show a plane at detail `level`: the model hangs off plane.mesh only at 'full'; otherwise
+// planeLod draws it each frame
+function setPlaneDetail(plane, level) {
+    if (plane.detail === level) return;
+    if (level === 'full') plane.mesh.add(plane.model);
+    else if (plane.detail === 'full') plane.mesh.remove(plane.model);
+    plane.detail = level;
+}
+
+// A plane's exterior lights (aircraftLights.js): steady red and green wingtip and white tail
+// position lights, the red beacon, the white wingtip strobes, two landing lights and the taxi
+// light. `offset` is on the normalized root, `size` the glow in model units, `power` and `range`
+// the PointLight at full brightness; updateExteriorLights sets `intensity`.
+function createNavLights() {
+    const light = (kind, color, size, power, range) => ({
+        kind, offset: new THREE.Vector3(), color: new THREE.Color(color), intensity: 0, size, power, range
+    });
+    return {
+        red: light('red', 0xFF0000, NAV_LIGHT_SIZE, 1.2, 60),
+        green: light('green', 0x00FF50, NAV_LIGHT_SIZE, 1.2, 60),
+        tail: light('tail', 0xFFFFFF, NAV_LIGHT_SIZE, 1.2, 60),
+        beacon: light('beacon', 0xFF2000, BEACON_LIGHT_SIZE, 1.5, 60),
+        strobes: [0, 1].map(() => light('strobe', 0xEEF4FF, STROBE_LIGHT_SIZE, 3.2, 80)),
+        landing: [0, 1].map(() => light('landing', 0xFFF2D8, LANDING_LIGHT_SIZE, 6, 150)),
+        taxi: light('taxi', 0xFFF2D8, TAXI_LIGHT_SIZE, 3, 100)
+    };
+}
+
+// All of a plane's lights, in one list
+function allNavLights(lights) {
+    return [lights.red, lights.green, lights.tail, lights.beacon, ...lights.strobes, ...lights.landing, lights.taxi];
+}
+
+// Move a plane's lights to `offsets` (positions on its normalized root). The landing lights go
+// on the wing roots and the taxi light on the nose gear, worked out from the wing, tail and beacon.
+function applyLightOffsets(plane, offsets) {
+    const lights = plane.navLights;
+    lights.red.offset.copy(offsets.red);
+    lights.green.offset.copy(offsets.green);
+    lights.strobes[0].offset.copy(offsets.whites[0]);
+    lights.strobes[1].offset.copy(offsets.whites[1]);
+    lights.tail.offset.copy(offsets.whites[2]);
+    lights.beacon.offset.copy(offsets.beacon);
+
+    const centreX = offsets.beacon.x;
+    [offsets.red, offsets.green].forEach((wingtip, i) => {
+        lights.landing[i].offset.set(THREE.MathUtils.lerp(centreX, wingtip.x, 0.25), wingtip.y, wingtip.z);
+    });
+    // The wing lights sit a quarter of the way back from the nose to the tail (deriveLightOffsets)
+    const wingZ = (offsets.red.z + offsets.green.z) / 2;
+    const noseZ = (wingZ - 0.25 * offsets.whites[2].z) / 0.75;
+    const wingY = (offsets.red.y + offsets.green.y) / 2;
+    lights.taxi.offset.set(centreX, wingY - (offsets.beacon.y - wingY), THREE.MathUtils.lerp(wingZ, noseZ, 0.85));
+
+    placeEngines(plane, offsets);
+}
+
+// A plane's engines, for their trails: { offset (on the normalized root), emitter (trails.js) }
+function createEngines(modelName) {
+    const entry = modelEntries.get(modelName);
+    const profile = profileForModel(modelName, entry ? entry.type : null);
+    return Array.from({ length: profile.engines }, () => ({ offset: new THREE.Vector3(), emitter: {}, rear: !!profile.rearEngines }));
+}
+
+// Put a plane's engines where the light offsets say the wings and tail are: spread along the
+// trailing edge of the wings, either side of the rear fuselage for rear-engined jets, or at the
+// tail for a single engine
+function placeEngines(plane, offsets) {
+    const centreX = offsets.beacon.x;
+    const halfSpan = Math.abs(offsets.red.x - offsets.green.x) / 2;
+    const wingY = (offsets.red.y + offsets.green.y) / 2;
+    const wingZ = (offsets.red.z + offsets.green.z) / 2;
+    const tail = offsets.whites[2];
+    plane.wingspan = offsets.red.distanceTo(offsets.green);
+
+    const engines = plane.engines;
+    if (engines.length === 1) {
+        engines[0].offset.set(centreX, wingY, tail.z);
+        return;
     }
+    engines.forEach((engine, i) => {
+        const side = i % 2 === 0 ? 1 : -1;
+        const pair = Math.floor(i / 2); // inner engines first
+        if (engine.rear) {
+            engine.offset.set(centreX + side * halfSpan * 0.12, (wingY + offsets.beacon.y) / 2, THREE.MathUtils.lerp(wingZ, tail.z, 0.75));
+        } else {
+            const out = engines.length > 2 ? 0.3 + pair * 0.3 : 0.35;
+            engine.offset.set(centreX + side * halfSpan * out, wingY - (offsets.beacon.y - wingY) * 0.3, THREE.MathUtils.lerp(wingZ, tail.z, 0.15));
+        }
+    });
 }
 
-function respawnPlane(plane, center = null) {
-    const spawnCenter = center || (function(){ const p=new THREE.Vector3(); camera.getWorldPosition(p); return p; })();
-    
-    // Spawn at a random distance away from viewer (not on visible borders)
-    const spawnDistance = SPAWN_DISTANCE_MIN + Math.random() * (SPAWN_DISTANCE_MAX - SPAWN_DISTANCE_MIN);
-    const spawnAngle = Math.random() * Math.PI * 2; // random direction
-    
-    plane.mesh.position.x = spawnCenter.x + Math.cos(spawnAngle) * spawnDistance;
-    plane.mesh.position.z = spawnCenter.z + Math.sin(spawnAngle) * spawnDistance;
-    
-    // Respawn at safe altitude
-    plane.mesh.position.y = computeSpawnAltitude();
-    plane.mesh.rotation.y = Math.random() * Math.PI * 2;
-    
-    const maxClimbRate = plane.maxClimbRate || 1.2;
-    const maxDescentRate = plane.maxDescentRate || 0.8;
-    
-    // Respawn with level or slight climb to avoid nosedive
-    const randomVSpeed = THREE.MathUtils.clamp(
-        Math.random() * maxClimbRate * 0.5, // 0 to 50% of max climb
-        0,
-        maxClimbRate
-    );
-    plane.vSpeed = randomVSpeed;
-    plane.desiredClimbSmooth = plane.vSpeed;
-    plane.lightTimer = Math.random() * 50;
-    
-    // Generate new waypoint for respawned plane
-    plane.waypoint = generateWaypoint(plane.mesh.position);
-    
-    if (DEBUG_CONSOLE) {
-        console.log('🔄 Respawning plane at:', {
-            altitude: plane.mesh.position.y.toFixed(1),
-            vSpeed: plane.vSpeed.toFixed(2),
-            waypoint: `(${plane.waypoint.x.toFixed(0)}, ${plane.waypoint.y.toFixed(0)}, ${plane.waypoint.z.toFixed(0)})`
+// The trail a plane leaves just now (a trails.js style), or null: none on the ground
+function trailStyle(plane) {
+    const state = plane.state;
+    if (!settings.get('trails') || state.onGround || ['parked', 'taxi', 'lineup'].includes(state.phase)) return null;
+    const wingspan = plane.wingspan * plane.mesh.scale.x;
+    const altitude = planeAGL(state);
+    // Both styles are shared; the trail drifts with the mean wind where it forms
+    contrailStyle.drift = exhaustStyle.drift = meanWindAt(simState.wind, altitude);
+    const humidity = weather.current.humidity;
+    const threshold = settings.get('contrailAltitude');
+    const minHumidity = settings.get('contrailHumidity');
+    if (altitude >= threshold && humidity >= minHumidity) {
+        // The more humid the air, the longer contrails persist and the wider they spread
+        const persistence = minHumidity < 1 ? (humidity - minHumidity) / (1 - minHumidity) : 1;
+        contrailStyle.lifetime = THREE.MathUtils.lerp(CONTRAIL_MIN_LIFETIME, CONTRAIL_MAX_LIFETIME, persistence);
+        contrailStyle.width = wingspan * 0.06;
+        contrailStyle.widening = wingspan * (0.01 + 0.04 * persistence);
+        contrailStyle.opacity = 0.7 * THREE.MathUtils.smoothstep(altitude, threshold, threshold + CONTRAIL_FORMING);
+        return contrailStyle;
+    }
+    if (!settings.get('exhaustTrails')) return null;
+    exhaustStyle.width = wingspan * 0.04;
+    exhaustStyle.widening = wingspan * 0.05;
+    return exhaustStyle;
+}
+
+// Feed a plane's engines to the trails at simulated `time` (plane.mesh must be up to date)
+const enginePosition = new THREE.Vector3();
+function updatePlaneTrails(plane, time) {
+    // Teleported (respawned): end the old trails where they are
+    if (plane.trailSpawnCount !== plane.state.spawnCount) {
+        plane.trailSpawnCount = plane.state.spawnCount;
+        plane.engines.forEach(engine => trails.breakTrail(engine.emitter));
+    }
+    const style = trailStyle(plane);
+    for (const engine of plane.engines) {
+        enginePosition.copy(engine.offset).applyMatrix4(plane.mesh.matrixWorld);
+        trails.emit(engine.emitter, enginePosition, time, style);
+    }
+}
+
+// Sunlight on the trails: white by day, pink with the sun low (high contrails stay lit for a
+// while after the ground goes dark), gone at night. Sets trailColor; returns the visibility.
+function trailLighting() {
+    const sunHeight = Math.sin(sky.sunAltitude);
+    const pink = 1 - THREE.MathUtils.smoothstep(sunHeight, 0.05, 0.35);
+    trailColor.setRGB(1, 1, 1).lerp(TRAIL_SUNSET_COLOR, pink);
+    return THREE.MathUtils.smoothstep(sunHeight, -0.12, 0.1);
+}
+
+// Lit lights of the visible planes this frame, as { plane, light, position, distance }
+const litLights = [];
+const litLightPool = [];
+
+// Glow every lit light of a visible plane and note it as a candidate for a real light
+function addPlaneLights(plane, cameraPosition, debugLights) {
+    const scale = plane.mesh.scale.x * (debugLights ? 3 : 1);
+    for (const light of allNavLights(plane.navLights)) {
+        if (light.intensity <= 0.01) continue;
+        const entry = litLightPool[litLights.length] || (litLightPool[litLights.length] = { position: new THREE.Vector3() });
+        entry.plane = plane;
+        entry.light = light;
+        entry.position.copy(light.offset).applyMatrix4(plane.mesh.matrixWorld);
+        entry.distance = entry.position.distanceToSquared(cameraPosition);
+        litLights.push(entry);
+        lightGlow.add(entry.position, light.color, light.intensity, light.size * scale);
+    }
+}
+
+// Hand the PointLight budget to the nearest lit lights of full-detail planes
+function assignRealLights(debugLights) {
+    const nearest = litLights.filter(entry => entry.plane.detail === 'full')
+        .sort((a, b) => a.distance - b.distance);
+    realLights.forEach((pointLight, i) => {
+        const entry = nearest[i];
+        if (!entry) {
+            pointLight.intensity = 0;
+            return;
+        }
+        pointLight.position.copy(entry.position);
+        pointLight.color.copy(entry.light.color);
+        pointLight.intensity = entry.light.intensity * entry.light.power * (debugLights ? 8 : 1);
+        pointLight.distance = entry.light.range;
+    });
+    if (realLightHelpers) {
+        realLightHelpers.forEach((helper, i) => {
+            helper.visible = debugLights && realLights[i].intensity > 0;
+            if (helper.visible) helper.update();
         });
     }
-    
-    // Reset physics on respawn
-    plane.heading = plane.mesh.rotation.y;
-    plane.pitch = 0; // start level on respawn; physics will introduce attitude gradually
-    plane.roll = 0;
-    plane.turnRate = (Math.random() - 0.5) * 0.4;
-    plane.headingChangeTimer = 0;
-    plane.headingChangeInterval = 45 + Math.random() * 55;
-    
-    updatePlaneProperties(plane);
+    litLights.length = 0;
+}
+
+// Show or hide helpers on the budgeted PointLights (built on first use)
+function setDebugLights(enabled) {
+    if (enabled && !realLightHelpers) {
+        realLightHelpers = realLights.map(light => new THREE.PointLightHelper(light, 1.2));
+        scene.add(...realLightHelpers);
+    }
+    if (realLightHelpers) realLightHelpers.forEach((helper) => { helper.visible = enabled; });
+}
+
+// Placements saved in the light editor apply to planes already flying
+lightOverrides.onChange((modelName) => {
+    for (const plane of planes) {
+        if (plane.modelName !== modelName) continue;
+        const userData = plane.model.userData;
+        userData.lightOffsets = lightOffsetsFor(modelName, userData.autoLightOffsets);
+        applyLightOffsets(plane, userData.lightOffsets);
+    }
+});
+
+// Orientation of a simulated plane as a quaternion (Euler order: yaw, pitch, roll)
+const planeEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+function planeStateQuaternion(planeState, target) {
+    planeEuler.set(planeState.pitch, planeState.heading, planeState.roll, 'YXZ');
+    return target.setFromEuler(planeEuler);
+}
+
+// Snap the interpolation start pose to the plane's current simulated pose
+function resetPlaneInterpolation(plane) {
+    plane.prevPosition.copy(plane.state.position);
+    planeStateQuaternion(plane.state, plane.prevQuaternion);
+    plane.spawnCount = plane.state.spawnCount;
 }
 
-// Function to adjust size and speed based on height above ground
-function updatePlaneProperties(plane) {
-    const agl = yToAGL(plane.mesh.position.y);
-    const heightRatio = (agl - MIN_HEIGHT_AGL) / (MAX_HEIGHT_AGL - MIN_HEIGHT_AGL);
+// Copy the simulated state onto the mesh. `alpha` (0..1) places the plane part-way between its
+// last two simulation steps so motion stays smooth in slow motion or on high refresh displays.
+const syncQuaternion = new THREE.Quaternion();
+function syncPlaneMesh(plane, alpha) {
+    // Respawned since the last step: don't interpolate across the jump
+    if (plane.spawnCount !== plane.state.spawnCount) resetPlaneInterpolation(plane);
 
-    // Higher planes are faster; apply per-plane base speed multiplier for variation
-    const baseSpeedFactor = plane.baseSpeed || 1;
-    plane.speed = (0.05 + heightRatio * 0.15) * baseSpeedFactor * DEBUG_PLANE_SPEED_MULT; 
+    plane.mesh.position.lerpVectors(plane.prevPosition, plane.state.position, alpha);
+    planeStateQuaternion(plane.state, syncQuaternion);
+    plane.mesh.quaternion.slerpQuaternions(plane.prevQuaternion, syncQuaternion, alpha);
 
     // Higher planes are scaled up (to appear larger due to being closer to the camera at higher viewing angles)
     // A more realistic approach would be to scale them *down* as they get farther away, but since the 
     // camera is near the ground, higher planes are often visually *closer* in the typical viewing frustum.
     // For this effect, we'll keep the size roughly constant or slightly increase it to emphasize high altitude.
-    const sizeScale = 1 + heightRatio * 1.5;
-    let baseScale = plane.baseScale;
-    if (!baseScale) {
-        baseScale = plane.mesh.scale.clone();
-        plane.baseScale = baseScale;
-    }
-    plane.mesh.scale.set(
-        baseScale.x * sizeScale,
-        baseScale.y * sizeScale,
-        baseScale.z * sizeScale
-    );
-}
-
-// Function to handle the flashing navigation lights
-function flashNavigationLights(plane, time, lightMultiplier = 1.0) {
-    const speed = plane.speed * 20; // Flashing is related to speed
-
-    // Calculate base intensities adjusted for time of day
-    // Lights are brighter at night (multiplier high) and dimmer during day (multiplier low)
-    const redGreenBase = DEBUG_LIGHTS ? 10 : 1.2; // 2x brighter (was 5 / 0.6)
-    const whiteBase = DEBUG_LIGHTS ? 14 : 3.2; // 2x brighter (was 7 / 1.6)
-    
-    const redGreenIntensity = redGreenBase * lightMultiplier;
-    const whiteIntensity = whiteBase * lightMultiplier;
-
-    // Red/Green Flash (Alternating/Fast)
-    if (Math.sin(time * speed) > 0.8) {
-        plane.redLight.intensity = redGreenIntensity;
-        plane.greenLight.intensity = 0;
-        if (plane.redMesh) plane.redMesh.material.opacity = lightMultiplier;
-        if (plane.redMesh) plane.redMesh.scale.setScalar(DEBUG_LIGHTS ? 3.0 : 1.0);
-        if (plane.greenMesh) plane.greenMesh.material.opacity = 0;
-    } else if (Math.sin(time * speed) < -0.8) {
-        plane.redLight.intensity = 0;
-        plane.greenLight.intensity = redGreenIntensity;
-        if (plane.redMesh) plane.redMesh.material.opacity = 0;
-        if (plane.greenMesh) plane.greenMesh.material.opacity = lightMultiplier;
-        if (plane.greenMesh) plane.greenMesh.scale.setScalar(DEBUG_LIGHTS ? 3.0 : 1.0);
-    } else {
-        plane.redLight.intensity = 0;
-        plane.greenLight.intensity = 0;
-        if (plane.redMesh) plane.redMesh.material.opacity = DEBUG_LIGHTS ? 0.6 * lightMultiplier : 0;
-        if (plane.greenMesh) plane.greenMesh.material.opacity = DEBUG_LIGHTS ? 0.6 * lightMultiplier : 0;
-    }
-
-    // White Lights (Double-tap blink pattern: quick on, quick off, quick on, pause, repeat)
-    // Durations in seconds
-    const whiteOn = 0.08;
-    const whiteGap = 0.2; // time between the two quick blinks
-    const whitePause = 2; // pause after the double blink
-    const whitePeriod = whiteOn * 2 + whiteGap + whitePause;
-    const phase = time % whitePeriod;
-    const isWhiteOn = (phase < whiteOn) || (phase >= (whiteOn + whiteGap) && phase < (whiteOn + whiteGap + whiteOn));
-
-    if (plane.whiteLights && plane.whiteLights.length) {
-        for (let i = 0; i < plane.whiteLights.length; i++) {
-            const wl = plane.whiteLights[i];
-            const wm = plane.whiteMeshes && plane.whiteMeshes[i];
-            if (isWhiteOn) {
-                wl.intensity = whiteIntensity;
-                if (wm) {
-                    wm.material.opacity = lightMultiplier;
-                    wm.scale.setScalar(DEBUG_LIGHTS ? 3.5 : 1.0);
-                }
-            } else {
-                wl.intensity = 0;
-                if (wm) {
-                    wm.material.opacity = DEBUG_LIGHTS ? 0.6 * lightMultiplier : 0;
-                }
-            }
+    const sizeScale = 1 + heightRatio(plane.state) * 1.5;
+    plane.mesh.scale.setScalar(settings.get('planeBaseScale') * sizeScale);
+}
+
+// Switch a plane's lights for its flight phase and the time of day (`night`), and set how
+// bright each one looks from `cameraPosition`: its sector and flash pattern (aircraftLights.js)
+const lightViewer = new THREE.Vector3();
+const lightDirection = new THREE.Vector3();
+const planeInverse = new THREE.Matrix4();
+function updateExteriorLights(plane, time, night, cameraPosition, debugLights) {
+    const lights = plane.navLights;
+    const on = exteriorLights(plane.state, night);
+    // The camera in the plane's own frame (nose +Z, left wing +X)
+    lightViewer.copy(cameraPosition).applyMatrix4(planeInverse.copy(plane.mesh.matrixWorld).invert());
+    const look = (light) => {
+        lightDirection.subVectors(lightViewer, light.offset).normalize();
+        const intensity = lightIntensity(light.kind, time, lightDirection.x, lightDirection.y, lightDirection.z);
+        // Debug lights: every light that's switched on shows, at least dimly, whatever the angle
+        light.intensity = debugLights ? Math.max(intensity, 0.6) : intensity;
+    };
+    const set = (switchedOn, list) => {
+        for (const light of list) {
+            if (switchedOn) look(light);
+            else light.intensity = 0;
         }
-    }
+    };
+    set(on.position, [lights.red, lights.green, lights.tail]);
+    set(on.beacon, [lights.beacon]);
+    set(on.strobes, lights.strobes);
+    set(on.landing, lights.landing);
+    set(on.taxi, [lights.taxi]);
 }
 
 // Function to hide loading screen
@@ -1168,92 +1482,654 @@ function hideLoadingScreen() {
     }
 }
 
-// Initial plane generation
-if (DEBUG_CONSOLE) console.log(`🚀 Starting to create ${MAX_PLANES} planes...`);
-for (let i = 0; i < MAX_PLANES; i++) {
-    const center = (function(){ const p=new THREE.Vector3(); camera.getWorldPosition(p); return p; })();
-    createPlanePlaceholder(true, center).then(() => {
-        planesLoaded++;
-        if (DEBUG_CONSOLE) console.log(`✅ Plane ${i + 1}/${MAX_PLANES} created. Total: ${planes.length}`);
-        
-        // Hide loading screen once all planes are loaded
-        if (planesLoaded >= MAX_PLANES) {
-            setTimeout(() => {
-                hideLoadingScreen();
-                if (DEBUG_CONSOLE) console.log('🎉 All planes loaded, hiding loading screen');
-            }, 300); // Small delay for smoother transition
+// --- Plane Selection ---
+// Click a plane to highlight it and open its info card; the card follows the plane live
+// and closes when the plane despawns.
+const PICK_TOLERANCE = 1.5 * Math.PI / 180; // radians; near-misses on distant (tiny) planes still count
+const raycaster = new THREE.Raycaster();
+const pickPoint = new THREE.Vector2();
+const pickOffset = new THREE.Vector3();
+let selectedPlane = null;
+let selectedSpawnCount = 0; // a respawn counts as a despawn
+
+const selectionBox = new THREE.BoxHelper(undefined, 0xffdc50);
+selectionBox.material.fog = false; // stay visible through the haze
+selectionBox.visible = false;
+scene.add(selectionBox);
+
+const planeInfoCard = createPlaneInfoCard({ onClose: () => selectPlane(null) });
+
+// Plane under normalized device coordinates (x, y), or null
+function pickPlane(x, y) {
+    pickPoint.set(x, y);
+    raycaster.setFromCamera(pickPoint, camera);
+    const candidates = planes.filter(plane => plane.mesh.visible);
+
+    // Exact hit on a model first
+    const hits = raycaster.intersectObjects(candidates.map(plane => plane.mesh), true);
+    if (hits.length > 0) {
+        for (let node = hits[0].object; node; node = node.parent) {
+            const hit = candidates.find(plane => plane.mesh === node);
+            if (hit) return hit;
         }
-    }).catch(err => {
-        console.error(`❌ Failed to create plane ${i + 1}:`, err);
-        planesLoaded++; // Count failed loads too
-        if (planesLoaded >= MAX_PLANES) {
-            hideLoadingScreen();
+    }
+
+    // Otherwise the plane closest to the ray, within PICK_TOLERANCE
+    let best = null;
+    let bestAngle = PICK_TOLERANCE;
+    for (const plane of candidates) {
+        pickOffset.subVectors(plane.mesh.position, raycaster.ray.origin);
+        const angle = pickOffset.angleTo(raycaster.ray.direction);
+        if (angle < bestAngle) {
+            bestAngle = angle;
+            best = plane;
         }
+    }
+    return best;
+}
+
+function selectPlane(plane) {
+    selectedPlane = plane;
+    if (plane) {
+        setPlaneDetail(plane, 'full'); // the selection box and chase camera measure the model
+        selectedSpawnCount = plane.state.spawnCount;
+        selectionBox.setFromObject(plane.mesh);
+    } else {
+        planeInfoCard.hide();
+    }
+    selectionBox.visible = Boolean(plane);
+}
+
+// Compass bearing in degrees (0 = north = -Z, 90 = east = +X) of a horizontal world direction
+function compassBearing(dx, dz) {
+    return (Math.atan2(dx, -dz) * 180 / Math.PI + 360) % 360;
+}
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+function formatBearing(degrees) {
+    return `${Math.round(degrees) % 360}° ${COMPASS_POINTS[Math.round(degrees / 45) % 8]}`;
+}
+
+// A wind ({ x, z } m/s) the way it's reported: where it blows from, and its speed
+function formatWind(wind) {
+    const speed = Math.hypot(wind.x, wind.z);
+    return speed < 0.05 ? 'calm' : `from ${formatBearing(compassBearing(-wind.x, -wind.z))}, ${speed.toFixed(1)} m/s`;
+}
+
+// A plane's crab into the wind, e.g. "4° left" (nose left of the track)
+function formatCrab(plane) {
+    const crab = crabAngle(plane) * 180 / Math.PI;
+    return Math.abs(crab) < 0.5 ? 'none' : `${Math.abs(crab).toFixed(0)}° ${crab > 0 ? 'left' : 'right'}`;
+}
+
+// A time of day in the browser's time zone, e.g. "21:04" ('—' for a sunrise that doesn't happen)
+function formatClock(date) {
+    return date ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '—';
+}
+
+// Where a sky object (astronomy.js altitude/azimuth) stands, e.g. "12° up, 250° W"
+function formatSkyPosition({ altitude, azimuth }) {
+    return `${(altitude * 180 / Math.PI).toFixed(0)}° ${altitude < 0 ? 'down' : 'up'}, ${formatBearing(azimuth * 180 / Math.PI)}`;
+}
+
+// Refresh the highlight and the info card (every frame, after the meshes are synced)
+function updateSelection(camWorldPos) {
+    if (!selectedPlane) return;
+    const plane = selectedPlane;
+    if (!planes.includes(plane) || plane.state.spawnCount !== selectedSpawnCount) {
+        selectPlane(null);
+        return;
+    }
+    selectionBox.setFromObject(plane.mesh);
+
+    const s = plane.state;
+    const position = plane.mesh.position;
+    const fields = [
+        ['Model', plane.modelName ? modelDisplayName(plane.modelName) : 'unknown'],
+        ['Altitude', `${yToAGL(position.y, terrain.heightAt(position.x, position.z)).toFixed(0)} m AGL`],
+        ['Speed', `${s.speed.toFixed(1)} m/s`],
+        ['Heading', formatBearing(compassBearing(Math.sin(s.heading), Math.cos(s.heading)))],
+        ['Vertical speed', `${s.vSpeed >= 0 ? '+' : ''}${s.vSpeed.toFixed(2)} m/s`],
+        ['Distance', `${camWorldPos.distanceTo(position).toFixed(0)} m`],
+        ['Bearing', formatBearing(compassBearing(position.x - camWorldPos.x, position.z - camWorldPos.z))]
+    ];
+    if (s.external) {
+        fields.unshift(['ICAO', s.icaoType ? `${s.trafficId} · ${s.icaoType}` : s.trafficId]);
+    }
+    const phase = flightPhaseLabel(s);
+    if (phase) fields.push(['Phase', phase]);
+    const advisory = advisoryLabel(s);
+    if (advisory) fields.push(['Advisory', advisory]);
+    if (s.wind) fields.push(['Wind', formatWind(s.wind)], ['Crab', formatCrab(s)]);
+    const title = s.external ? `✈️ ${s.callsign || s.trafficId}` : `✈️ Plane #${s.id}`;
+    planeInfoCard.update(title, fields);
+}
+
+// --- Fleet Management ---
+let pendingPlaneLoads = 0; // createPlanePlaceholder calls still waiting for their model
+
+// Start loading one more plane (of fleet model `model`, or one the simulation picks);
+// the returned promise settles once it has joined the fleet
+function addPlane(center = null, model = null) {
+    pendingPlaneLoads++;
+    return createPlanePlaceholder(true, center, model).finally(() => {
+        pendingPlaneLoads--;
+        // The setting may have been lowered while this model was loading
+        syncFleetSize(false);
+    });
+}
+
+// Remove a plane's visuals and its simulation state
+function removePlaneFromFleet(plane) {
+    scene.remove(plane.mesh);
+    removePlane(simState, plane.state);
+    planes.splice(planes.indexOf(plane), 1);
+    // Model geometry/materials are shared with the cache
+    modelLoader.release(plane.modelName);
+    planeLod.release(plane.modelName);
+}
+
+// Grow or shrink the random fleet to settings.maxPlanes (none while traffic is being replayed)
+function syncFleetSize(allowGrowth = true) {
+    const target = trafficSource ? 0 : settings.get('maxPlanes');
+    const fleet = planes.filter(plane => !plane.state.external);
+    for (let count = fleet.length + pendingPlaneLoads; allowGrowth && count < target; count++) {
+        addPlane().catch(err => console.error('❌ Failed to create plane:', err));
+    }
+    while (fleet.length > 0 && fleet.length + pendingPlaneLoads > target) {
+        removePlaneFromFleet(fleet.pop());
+    }
+}
+
+// --- Importing models ---
+// A .glb (or a .gltf with its buffers and textures embedded) is parsed, checked and added to
+// the fleet rotation; one plane is swapped for it straight away so it shows up.
+
+// Parse and check one file; resolves to its new fleet entry
+async function importModelFile(file) {
+    if (!/\.(glb|gltf)$/i.test(file.name)) throw new Error('not a .glb or .gltf file');
+    if (file.size > MAX_IMPORT_BYTES) throw new Error(`larger than ${MAX_IMPORT_BYTES / 1024 / 1024} MB`);
+    const isGltf = /\.gltf$/i.test(file.name);
+    const data = isGltf ? await file.text() : await file.arrayBuffer();
+    let gltf;
+    try {
+        gltf = await modelLoader.parse(data);
+    } catch (err) {
+        const message = err && err.message ? err.message : String(err);
+        throw new Error(isGltf ? `${message} (external .bin/texture files can't be read; use a .glb)` : message);
+    }
+
+    const model = gltf.scene;
+    if (!model.getObjectByProperty('isMesh', true)) throw new Error('the file has no meshes');
+    model.updateMatrixWorld(true);
+    const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+    const largest = Math.max(size.x, size.y, size.z);
+    if (!Number.isFinite(largest) || largest <= 0) throw new Error('the model has no extent');
+
+    // Files come in all sorts of units: size it like the median fleet model loaded so far
+    const sorted = [...modelSizes.values()].sort((a, b) => a - b);
+    const reference = sorted.length ? sorted[Math.floor(sorted.length / 2)] : largest;
+    let key = `imported:${file.name}`;
+    for (let n = 2; modelEntries.has(key); n++) key = `imported:${file.name} (${n})`;
+    const entry = {
+        file: key,
+        name: file.name.replace(/\.(glb|gltf)$/i, ''),
+        type: null,
+        scale: reference / largest,
+        forward: '+z',
+        weight: 1,
+        imported: true
+    };
+    modelLoader.add(key, model);
+    modelEntries.set(key, entry);
+    simState.fleet = [...simState.fleet, entry];
+    return entry;
+}
+
+// Replace the farthest wandering plane (or add one, below the fleet size) with a plane of `entry`
+function showImportedModel(entry) {
+    const target = settings.get('maxPlanes');
+    if (trafficSource || target === 0) return;
+    const fleet = planes.filter(plane => !plane.state.external);
+    if (fleet.length + pendingPlaneLoads >= target) {
+        const camPos = camera.getWorldPosition(new THREE.Vector3());
+        const candidates = fleet.filter(plane => !plane.state.phase && plane !== selectedPlane);
+        if (candidates.length === 0) return;
+        const farthest = candidates.reduce((a, b) => (a.mesh.position.distanceTo(camPos) >= b.mesh.position.distanceTo(camPos) ? a : b));
+        removePlaneFromFleet(farthest);
+    }
+    addPlane(null, entry.file).catch(err => console.error('❌ Failed to create plane:', err));
+}
+
+async function importModelFiles(files) {
+    const added = [];
+    const failed = [];
+    for (const file of files) {
+        try {
+            const entry = await importModelFile(file);
+            added.push(entry);
+            showImportedModel(entry);
+        } catch (err) {
+            console.warn(`⚠️ Could not import ${file.name}:`, err);
+            failed.push(`${file.name}: ${err.message}`);
+        }
+    }
+    if (added.length) {
+        noticePanel.set('imported', 'info', `🛩️ Added ${added.length} model${added.length === 1 ? '' : 's'} to the fleet (until the page is reloaded)`,
+            added.map(entry => entry.name));
+    }
+    if (failed.length) noticePanel.set('import-failed', 'warning', '⚠️ Could not import', failed);
+}
+
+const modelFileInput = document.getElementById('model-file');
+const modelImportBtn = document.getElementById('model-import');
+if (modelImportBtn && modelFileInput) {
+    modelImportBtn.addEventListener('click', () => modelFileInput.click());
+    modelFileInput.addEventListener('change', () => {
+        const files = [...modelFileInput.files];
+        modelFileInput.value = ''; // allow re-selecting the same files
+        if (files.length) importModelFiles(files);
+    });
+}
+
+// Light placement editor (💡 Edit lights), opened on the selected plane's model. The main loop
+// and keys pause while it's open.
+const lightEditor = new LightEditor({
+    overrides: lightOverrides,
+    models: () => [...modelEntries.keys()]
+        .filter(file => !failedModels.has(file))
+        .map(file => ({ file, name: modelDisplayName(file) })),
+    loadModel: async (file) => {
+        const model = await createPlaneGeometry(file);
+        return { model, auto: model.userData.autoLightOffsets, release: () => modelLoader.release(file) };
+    }
+});
+const lightEditorBtn = document.getElementById('light-editor-open');
+if (lightEditorBtn) {
+    lightEditorBtn.addEventListener('click', () => {
+        if (document.pointerLockElement) document.exitPointerLock();
+        // Keys released inside the editor never reach onKeyUp
+        for (const key of ['forward', 'backward', 'left', 'right', 'up', 'down']) movement[key] = false;
+        lightEditor.open(selectedPlane ? selectedPlane.modelName : null);
     });
 }
+
+// Drag and drop anywhere on the page
+const dropOverlay = document.createElement('div');
+dropOverlay.id = 'drop-overlay';
+dropOverlay.textContent = '🛩️ Drop .glb / .gltf files to add them to the fleet';
+dropOverlay.hidden = true;
+document.body.appendChild(dropOverlay);
+let dragDepth = 0; // dragenter/dragleave fire for every element crossed
+const carriesFiles = event => event.dataTransfer && [...event.dataTransfer.types].includes('Files');
+window.addEventListener('dragenter', (event) => {
+    if (!carriesFiles(event)) return;
+    event.preventDefault();
+    dragDepth++;
+    dropOverlay.hidden = false;
+});
+window.addEventListener('dragover', (event) => {
+    if (carriesFiles(event)) event.preventDefault(); // allows the drop
+});
+window.addEventListener('dragleave', (event) => {
+    if (!carriesFiles(event)) return;
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) dropOverlay.hidden = true;
+});
+window.addEventListener('drop', (event) => {
+    if (!carriesFiles(event)) return;
+    event.preventDefault();
+    dragDepth = 0;
+    dropOverlay.hidden = true;
+    importModelFiles([...event.dataTransfer.files]);
+});
+
+// --- Recorded / Live Traffic ---
+// A traffic source (traffic/replay.js, traffic/live.js) replaces the random fleet while it is active:
+// each of its aircraft becomes an `external` plane state, and planes come and go with them.
+let trafficSource = null;
+const trafficViewLoads = new Set(); // traffic plane states whose model is still loading
+// The observer origin (settings.observerLat/Lon) sits on the ground at the starting position
+const TRAFFIC_ANCHOR = {
+    x: yawObject.position.x,
+    y: terrain.heightAt(yawObject.position.x, yawObject.position.z),
+    z: yawObject.position.z
+};
+
+function trafficProjection() {
+    return {
+        origin: {
+            lat: settings.get('observerLat'),
+            lon: settings.get('observerLon'),
+            elevation: settings.get('observerElevation')
+        },
+        scale: settings.get('trafficScale'),
+        anchor: TRAFFIC_ANCHOR
+    };
+}
+
+// Give every traffic plane state a view and drop views whose aircraft has gone
+function syncTrafficViews() {
+    for (const plane of planes.filter(p => p.state.external && !simState.planes.includes(p.state))) {
+        removePlaneFromFleet(plane);
+    }
+    const viewed = new Set(planes.map(plane => plane.state));
+    for (const state of simState.planes) {
+        if (!state.external || viewed.has(state) || trafficViewLoads.has(state)) continue;
+        trafficViewLoads.add(state);
+        createPlaneView(state, modelForAircraftType(state.icaoType, state.category))
+            .catch(err => console.error(`❌ Failed to create traffic plane ${state.trafficId}:`, err))
+            .finally(() => trafficViewLoads.delete(state));
+    }
+}
+
+function startTraffic(source) {
+    stopTraffic();
+    trafficSource = source;
+    syncFleetSize(); // park the random fleet
+    updateTrafficUI();
+}
+
+function stopTraffic() {
+    if (!trafficSource) return;
+    if (trafficSource.close) trafficSource.close();
+    trafficSource = null;
+    syncTraffic(simState, new Map());
+    syncTrafficViews();
+    syncFleetSize();
+    updateTrafficUI();
+}
+
+// Replay recordings given as [{ name, text, time }] (`time` = fallback timestamp, unix seconds)
+function startReplay(recordings) {
+    const reports = [];
+    for (const { name, text, time } of recordings) {
+        try {
+            for (const report of parseRecordingFile(text, time)) reports.push(report);
+        } catch (err) {
+            throw new Error(`${name}: ${err.message}`);
+        }
+    }
+    const { origin, scale, anchor } = trafficProjection();
+    const replay = new ReplayTraffic(buildTracks(reports), { origin, scale, anchor });
+    startTraffic(replay);
+    if (DEBUG_CONSOLE) console.log(`📼 Replaying ${replay.tracks.length} aircraft over ${(replay.duration / 60).toFixed(1)} min`);
+}
+
+// Mirror a live receiver through a WebSocket relay
+function startLive(url = settings.get('liveTrafficUrl')) {
+    const { origin, scale, anchor } = trafficProjection();
+    startTraffic(new LiveTraffic(url, { origin, scale, anchor }));
+}
+
+const trafficStatus = document.getElementById('traffic-status');
+
+function showTrafficError(err) {
+    console.error('❌ Failed to load replay:', err);
+    if (trafficStatus) {
+        trafficStatus.textContent = '⚠️ Replay failed';
+        trafficStatus.title = err.message;
+        trafficStatus.classList.add('error');
+    }
+}
+
+// Button states plus the source's status line (cheap to call every frame)
+function updateTrafficUI() {
+    const stopBtn = document.getElementById('traffic-stop');
+    if (stopBtn) stopBtn.hidden = !trafficSource;
+    if (!trafficStatus || (!trafficSource && trafficStatus.classList.contains('error'))) return;
+
+    const text = trafficSource ? trafficSource.status() : '';
+    if (trafficStatus.textContent !== text) {
+        trafficStatus.textContent = text;
+        trafficStatus.title = trafficSource ? 'Traffic source and aircraft currently in the air' : '';
+        trafficStatus.classList.remove('error');
+    }
+}
+
+const replayFileInput = document.getElementById('replay-file');
+const replayLoadBtn = document.getElementById('replay-load');
+if (replayLoadBtn && replayFileInput) {
+    replayLoadBtn.addEventListener('click', () => replayFileInput.click());
+    replayFileInput.addEventListener('change', async () => {
+        const files = [...replayFileInput.files];
+        replayFileInput.value = ''; // allow re-selecting the same files
+        if (files.length === 0) return;
+        try {
+            const recordings = await Promise.all(files.map(async file => ({
+                name: file.name,
+                text: await file.text(),
+                time: file.lastModified / 1000
+            })));
+            startReplay(recordings);
+        } catch (err) {
+            showTrafficError(err);
+        }
+    });
+}
+const liveConnectBtn = document.getElementById('live-connect');
+if (liveConnectBtn) liveConnectBtn.addEventListener('click', () => startLive());
+const trafficStopBtn = document.getElementById('traffic-stop');
+if (trafficStopBtn) trafficStopBtn.addEventListener('click', stopTraffic);
+
+if (REPLAY_URLS.length) {
+    Promise.all(REPLAY_URLS.map(async url => {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+        return { name: url, text: await response.text(), time: Date.now() / 1000 };
+    }))
+        .then(startReplay)
+        .catch(err => {
+            showTrafficError(err);
+            syncFleetSize(); // fall back to random traffic
+        });
+}
+
+if (LIVE_PARAM !== null && !REPLAY_URLS.length) {
+    startLive(/^wss?:\/\//.test(LIVE_PARAM) ? LIVE_PARAM : undefined);
+}
+
+// Initial plane generation (skipped when the URL asks for a replay or live feed), once the
+// model manifest says which models the fleet has
+const initialPlaneCount = REPLAY_URLS.length || LIVE_PARAM !== null ? 0 : settings.get('maxPlanes');
+if (DEBUG_CONSOLE) console.log(`🚀 Starting to create ${initialPlaneCount} planes...`);
+if (loadingText && initialPlaneCount > 0) loadingText.textContent = 'Loading aircraft list...';
+loadModelManifest().then(() => {
+    for (let i = 0; i < initialPlaneCount; i++) {
+        const center = (function(){ const p=new THREE.Vector3(); camera.getWorldPosition(p); return p; })();
+        addPlane(center).then(() => {
+            planesLoaded++;
+            if (DEBUG_CONSOLE) console.log(`✅ Plane ${i + 1}/${initialPlaneCount} created. Total: ${planes.length}`);
+
+            // Hide loading screen once all planes are loaded
+            if (planesLoaded >= initialPlaneCount) {
+                setTimeout(() => {
+                    hideLoadingScreen();
+                    if (DEBUG_CONSOLE) console.log('🎉 All planes loaded, hiding loading screen');
+                }, 300); // Small delay for smoother transition
+            }
+        }).catch(err => {
+            console.error(`❌ Failed to create plane ${i + 1}:`, err);
+            planesLoaded++; // Count failed loads too
+            if (planesLoaded >= initialPlaneCount) {
+                hideLoadingScreen();
+            }
+        });
+    }
+});
+if (initialPlaneCount === 0) hideLoadingScreen();
 if (DEBUG_CONSOLE) console.log(`📡 Plane creation initiated. Planes array length: ${planes.length}`);
 
+// --- Apply settings changes live ---
+settings.onChange((key, value) => {
+    switch (key) {
+        case 'maxPlanes': syncFleetSize(); break;
+        case 'airportPlanes': simState.config.airportPlanes = value; break;
+        case 'planeSpeedMult': simState.config.speedMultiplier = value; break;
+        case 'separation': simState.config.separation = value; break;
+        case 'weather': weather.set(value); break;
+        case 'skyTime': moveSkyClock(() => skyClock.seek(startSkyTime(value))); break;
+        case 'constellations': celestialObjects.stars.setConstellations(value); break;
+        case 'chunkRadius':
+            terrainChunks.setRadius(value);
+            updateCameraFar();
+            break;
+        case 'debugHud': debugHUD.hidden = !value; break;
+        case 'debugLights': setDebugLights(value); break;
+        case 'observerLat':
+        case 'observerLon':
+        case 'observerElevation':
+        case 'trafficScale': {
+            timelineDay = null;
+            if (trafficSource && trafficSource.setProjection) {
+                const { origin, scale, anchor } = trafficProjection();
+                trafficSource.setProjection(origin, scale, anchor);
+            }
+            break;
+        }
+        case 'liveTrafficUrl': if (trafficSource instanceof LiveTraffic) startLive(value); break;
+        // Other settings are read where they're used each frame
+    }
+});
+
+// --- Sky Timeline ---
+// The bar along the bottom (skyTimeline.js): drags, plays, jumps and loops the sky clock. Moving
+// the clock from it ends night mode.
+let timelineDay = null; // the day the timeline shows (skyClock.skyDay), kept while the clock stays in it
+
+// Change the sky clock with `change`, leaving night mode (and its pause) first
+function moveSkyClock(change) {
+    if (nightModeOnly) {
+        nightModeOnly = false;
+        skyClock.playing = true;
+        updateNightModeUI();
+    }
+    change();
+}
+
+// Window `name` (skyClock.SKY_WINDOWS) of the day the sky clock is in, or null (with a notice)
+// when the sun doesn't get that high or low that day
+function timelineWindow(name) {
+    const latitude = settings.get('observerLat'), longitude = settings.get('observerLon');
+    const span = skyWindow(name, skyClock.time, latitude, longitude);
+    if (span) {
+        noticePanel.clear('sky-window');
+    } else {
+        const { label } = SKY_WINDOWS.find(part => part.name === name);
+        noticePanel.set('sky-window', 'info', `${label}: not on this day`, [
+            `The sun doesn't get there on ${new Date(skyClock.time).toLocaleDateString()} at ${latitude}°, ${longitude}°`
+        ]);
+    }
+    return span;
+}
+
+const skyTimeline = createSkyTimeline({
+    rates: SKY_RATES,
+    windows: SKY_WINDOWS,
+    onSeek: time => moveSkyClock(() => skyClock.seek(time)),
+    onPlay: playing => moveSkyClock(() => { skyClock.playing = playing; }),
+    onRate: rate => settings.set('skyTimeScale', rate),
+    onJump: name => {
+        const span = timelineWindow(name);
+        if (span) moveSkyClock(() => skyClock.seek(span.at));
+    },
+    onLoop: name => moveSkyClock(() => skyClock.setLoop(name ? timelineWindow(name) : null)),
+    onNow: () => moveSkyClock(() => {
+        skyClock.seek(Date.now());
+        skyClock.playing = true;
+    })
+});
+
+// Show the sky clock on the timeline (every frame)
+function updateSkyTimeline() {
+    const time = skyClock.time;
+    if (!timelineDay || time < timelineDay.start || time >= timelineDay.end) {
+        timelineDay = skyDay(time, settings.get('observerLat'), settings.get('observerLon'));
+    }
+    skyTimeline.update({
+        time,
+        playing: skyClock.playing,
+        rate: settings.get('skyTimeScale'),
+        loop: skyClock.loop,
+        day: timelineDay
+    });
+}
+
 // --- Day/Night Cycle Update Function ---
+// Sunset glow (0..1) with the sun at `altitude` degrees: from the end of nautical twilight until
+// the sun is well up
+function twilightGlow(altitude) {
+    return THREE.MathUtils.smoothstep(altitude, -12, -2) * (1 - THREE.MathUtils.smoothstep(altitude, 3, 20));
+}
+
+// Direction (unit vector; north -Z, east +X, up +Y) of altitude/azimuth `position` (astronomy.js)
+function skyDirection(position, target) {
+    const { altitude, azimuth } = position;
+    return target.set(Math.cos(altitude) * Math.sin(azimuth), Math.sin(altitude), -Math.cos(altitude) * Math.cos(azimuth));
+}
+
+const sunDirection = new THREE.Vector3();
+const moonDirection = new THREE.Vector3();
+
+// Put the sun, moon and stars where they are in the real sky at the sky clock's time, and light
+// the scene to match
 function updateDayNightCycle() {
-    // Calculate sun and moon positions based on time of day
-    // timeOfDay: 0 = midnight, 0.25 = sunrise, 0.5 = noon, 0.75 = sunset, 1.0 = midnight
-    
+    const latitude = settings.get('observerLat');
+    const longitude = settings.get('observerLon');
+    sky.date.setTime(skyClock.time);
+
+    const sun = sunPosition(sky.date, latitude, longitude);
+    const moon = moonPosition(sky.date, latitude, longitude);
+    const sunAltitude = sun.altitude * 180 / Math.PI;
+    sky.sunAltitude = sun.altitude;
+    // Full daylight once the sun is 30° up, none after civil twilight
+    sky.daylight = THREE.MathUtils.smoothstep(Math.sin(sun.altitude), -0.1, 0.5);
+    sky.glow = twilightGlow(sunAltitude);
+    skyDirection(sun, sunDirection);
+    skyDirection(moon, moonDirection);
+
     const celestialDistance = SKY_RADIUS * 0.85;
     
-    // Sun angle: rises at 0.25, peaks at 0.5, sets at 0.75
-    // Map timeOfDay to sun angle: 0.25 -> -90°, 0.5 -> 0°, 0.75 -> 90°
-    const sunAngle = (timeOfDay - 0.5) * Math.PI * 2; // Full rotation
-    const sunY = Math.sin(sunAngle) * celestialDistance;
-    const sunZ = Math.cos(sunAngle) * celestialDistance;
-    
-    // Moon is opposite to the sun
-    const moonAngle = sunAngle + Math.PI;
-    const moonY = Math.sin(moonAngle) * celestialDistance;
-    const moonZ = Math.cos(moonAngle) * celestialDistance;
-    
-    // Update sun position and visibility
+    // Sun: shown while any of its (enlarged) disc is above the horizon
     if (celestialObjects.sun) {
-        celestialObjects.sun.position.set(0, sunY, sunZ);
-        // Sun is visible during day AND above horizon
-        const sunVisible = (timeOfDay > 0.15 && timeOfDay < 0.85) && sunY > 0;
-        celestialObjects.sun.visible = sunVisible;
-        celestialObjects.sun.material.opacity = sunVisible ? 1.0 : 0.0;
+        celestialObjects.sun.position.copy(sunDirection).multiplyScalar(celestialDistance);
+        celestialObjects.sun.visible = sun.altitude > -0.04;
     }
     
-    // Update moon position and visibility
+    // Moon: up by day too, paler; lit from where the sun is as seen from the moon
     if (celestialObjects.moon) {
-        celestialObjects.moon.position.set(0, moonY, moonZ);
-        // Moon is visible during night AND above horizon
-        const moonVisible = (timeOfDay < 0.15 || timeOfDay > 0.85) && moonY > 0;
-        celestialObjects.moon.visible = moonVisible;
-        celestialObjects.moon.material.opacity = moonVisible ? 1.0 : 0.0;
+        celestialObjects.moon.position.copy(moonDirection).multiplyScalar(celestialDistance);
+        celestialObjects.moon.visible = moon.altitude > -0.04;
+        const uniforms = celestialObjects.moon.material.uniforms;
+        uniforms.sunDirection.value.copy(sunDirection).multiplyScalar(SUN_DISTANCE)
+            .addScaledVector(moonDirection, -moon.distance).normalize();
+        uniforms.opacity.value = 1 - sky.daylight * 0.5;
+        uniforms.night.value = 1 - sky.daylight;
     }
     
     // Update sun light
     if (celestialObjects.sunLight) {
-        celestialObjects.sunLight.position.set(0, sunY, sunZ);
-        // Sun light intensity peaks at noon
-        const dayPhase = Math.max(0, Math.sin((timeOfDay - 0.25) * Math.PI * 2));
-        celestialObjects.sunLight.intensity = dayPhase * 1.5;
+        celestialObjects.sunLight.position.copy(sunDirection).multiplyScalar(celestialDistance);
+        celestialObjects.sunLight.intensity = sky.daylight * 1.5 * weather.current.sunlight;
     }
     
-    // Update moon light
+    // Moonlight: by night, as bright as the moon is full and high
     if (celestialObjects.moonLight) {
-        celestialObjects.moonLight.position.set(0, moonY, moonZ);
-        // Moon light is visible at night
-        const nightPhase = 1.0 - Math.max(0, Math.sin((timeOfDay - 0.25) * Math.PI * 2));
-        celestialObjects.moonLight.intensity = nightPhase * 0.3;
+        celestialObjects.moonLight.position.copy(moonDirection).multiplyScalar(celestialDistance);
+        const moonUp = THREE.MathUtils.smoothstep(Math.sin(moon.altitude), 0, 0.3);
+        celestialObjects.moonLight.intensity = (1 - sky.daylight) * moonUp * moonIllumination(sky.date).fraction * 0.3;
     }
     
-    // Update star visibility - fade out during day
-    const starOpacity = 1.0 - Math.max(0, Math.sin((timeOfDay - 0.25) * Math.PI * 2));
-    celestialObjects.stars.forEach(star => {
-        star.material.opacity = starOpacity * 0.9;
-    });
+    // Stars turn with the sidereal time; they come out, brightest first, as twilight deepens, and
+    // cloud hides the faint ones before the rest
+    const starLimit = limitingMagnitude(sun.altitude) - 3 * weather.current.gloom;
+    celestialObjects.stars.update(localSiderealTime(sky.date, longitude), latitude, starLimit, 0.9 * (1 - weather.current.gloom));
     
     // Update sky shader uniforms
-    skyMaterial.uniforms.timeOfDay.value = timeOfDay;
-    skyMaterial.uniforms.sunDirection.value.set(0, sunY, sunZ).normalize();
+    skyMaterial.uniforms.sunAltitude.value = sky.sunAltitude;
+    skyMaterial.uniforms.sunDirection.value.copy(sunDirection);
+    skyMaterial.uniforms.gloom.value = weather.current.gloom;
+    skyMaterial.uniforms.flash.value = weather.flash;
     
     // Update scene background color and fog based on time of day
     const nightColor = new THREE.Color(0x02001A);
@@ -1265,8 +2141,8 @@ function updateDayNightCycle() {
     const dayFogColor = new THREE.Color(0xb0d4f1);
     const sunsetFogColor = new THREE.Color(0xffa070);
     
-    const dayFactor = Math.max(0, Math.sin((timeOfDay - 0.25) * Math.PI * 2));
-    const sunsetFactor = (Math.sin((timeOfDay - 0.2) * Math.PI * 4) + 1) * 0.5 * (1 - dayFactor);
+    const dayFactor = sky.daylight;
+    const sunsetFactor = sky.glow;
     
     const currentColor = nightColor.clone().lerp(dayColor, dayFactor).lerp(sunsetColor, sunsetFactor * 0.3);
     scene.background.copy(currentColor);
@@ -1274,6 +2150,11 @@ function updateDayNightCycle() {
     // Update fog color to match atmospheric haze
     const currentFogColor = nightFogColor.clone().lerp(dayFogColor, dayFactor).lerp(sunsetFogColor, sunsetFactor * 0.5);
     scene.fog.color.copy(currentFogColor);
+    // Cloud cover greys the haze (and the background behind it) too
+    for (const color of [scene.fog.color, scene.background]) {
+        const grey = color.r * 0.3 + color.g * 0.59 + color.b * 0.11;
+        color.lerp(weatherGrey.setScalar(grey * (1 - 0.3 * weather.current.gloom)), weather.current.gloom);
+    }
     
     // Update ambient light based on time of day
     // Night: dim blue ambient, Day: bright white ambient, Sunset: warm orange ambient
@@ -1285,96 +2166,111 @@ function updateDayNightCycle() {
     ambientLight.color.copy(currentAmbientColor);
     
     // Ambient intensity: low at night (0.3), high during day (1.2)
-    ambientLight.intensity = 0.3 + (dayFactor * 0.9);
+    ambientLight.intensity = (0.3 + (dayFactor * 0.9)) * weather.current.ambient + weather.flash * 2.5;
 }
 
-// --- Wind System Update ---
-function updateWind(dt) {
-    windChangeTimer += dt;
-    
-    // Gradually change wind direction and strength
-    if (windChangeTimer > WIND_CHANGE_INTERVAL) {
-        windChangeTimer = 0;
-        // New wind direction (gradual shift, not complete reversal)
-        windDirection += (Math.random() - 0.5) * Math.PI * 0.5; // ±45 degree shift
-        windStrength = 0.5 + Math.random() * 1.5; // 0.5-2.0
-        
-        if (DEBUG_CONSOLE) {
-            console.log(`💨 Wind changed: ${(windDirection * 180 / Math.PI).toFixed(0)}° @ ${windStrength.toFixed(1)} strength`);
-        }
+// Draw the weather around the camera and close the fog in to its visibility (and further
+// inside a cloud). `dt` is the simulated time since the last frame.
+const weatherGrey = new THREE.Color();
+const cloudLight = new THREE.Color();
+function updateWeather(camWorldPos, dt) {
+    const current = weather.current;
+    const dayFactor = sky.daylight;
+    // Cloud tops: white by day, a faint grey by night, white in a lightning flash
+    cloudLight.setScalar(0.12 + 0.88 * dayFactor).lerp(ambientLight.color, 0.3);
+    cloudLight.addScalar(weather.flash * 0.8);
+    // Clouds, and the rain and snow falling from them, move with the wind at the cloud base
+    const wind = meanWindAt(simState.wind, Math.min(current.cumulusBase, current.stratusBase));
+    const inCloud = weatherView.update(camera, camWorldPos, window.innerHeight, current, simState.time, wind, cloudLight, dt);
+
+    const fogFar = settings.get('fogFar') * current.visibility;
+    const fogNear = Math.min(settings.get('fogNear') * current.visibility * (1 - current.haze), fogFar);
+    scene.fog.near = THREE.MathUtils.lerp(fogNear, 0, inCloud);
+    scene.fog.far = THREE.MathUtils.lerp(fogFar, CLOUD_VISIBILITY, inCloud);
+
+    windsock.update(windAt(simState.wind, windsock.height, simState.time, windsockPosition.x, windsockPosition.z), simState.time, dt);
+}
+
+// --- Simulation Step ---
+// Advances everything that lives in simulated time by one fixed step of `dt` seconds.
+// The simulation clock calls this zero or more times per rendered frame, so pausing
+// or scaling time affects the sky, the wind and the planes alike.
+function stepSimulation(dt, camWorldPos) {
+    // --- Sky clock ---
+    skyClock.step(dt, settings.get('skyTimeScale'));
+    weather.step(dt);
+    setWindWeather(simState, weather.current);
+
+    // Planes are spawned and recycled around the viewer
+    simState.observer.x = camWorldPos.x;
+    simState.observer.y = camWorldPos.y;
+    simState.observer.z = camWorldPos.z;
+
+    planes.forEach(resetPlaneInterpolation);
+    if (trafficSource) {
+        trafficSource.update(dt);
+        syncTraffic(simState, trafficSource.aircraft);
     }
+    step(simState, dt);
 }
 
 // --- Animation Loop ---
 function animate(time) {
     requestAnimationFrame(animate);
-    const dt = 1 / 60; // Assuming 60fps for simple physics/timing
+    if (lightEditor.active) return;
+    // Number of fixed simulation steps owed this frame (0 while paused)
+    const steps = simClock.tick(time);
+    // Real time since the last frame: the camera keeps moving even while the simulation is paused
+    const frameDt = simClock.frameDelta;
 
-    // --- Day/Night Cycle Update ---
-    if (nightModeOnly) {
-        timeOfDay = 0; // Keep it at night
-    } else {
-        timeOfDay = (timeOfDay + DAY_CYCLE_SPEED * dt) % 1.0;
-    }
-    updateDayNightCycle();
-    
-    // --- Wind System Update ---
-    updateWind(dt);
-
-    // --- Camera WASD movement (move the entire yawObject so camera moves with view direction) ---
-    const moveSpeed = movement.speed * DEBUG_CAMERA_SPEED_MULT * dt; // Apply debug speed multiplier
+    // --- Camera WASD movement (the ground observer walks, the free-fly camera flies) ---
     if (movement.forward || movement.backward || movement.left || movement.right || movement.up || movement.down) {
-        // Get the forward direction from the yawObject (local Z direction after yaw rotation)
-        const forward = new THREE.Vector3(0, 0, -1);
-        forward.applyQuaternion(yawObject.quaternion);
-        forward.y = 0; // ignore vertical component for horizontal movement
-        forward.normalize();
-
-        // Right vector (perpendicular to forward in horizontal plane)
-        const right = new THREE.Vector3();
-        right.crossVectors(forward, new THREE.Vector3(0, 1, 0)).normalize();
-
-        const moveDir = new THREE.Vector3();
-        if (movement.forward) moveDir.add(forward);
-        if (movement.backward) moveDir.sub(forward);
-        if (movement.left) moveDir.sub(right);
-        if (movement.right) moveDir.add(right);
-        if (movement.up) moveDir.y += 1;
-        if (movement.down) moveDir.y -= 1;
-
-        if (moveDir.lengthSq() > 0) {
-            moveDir.normalize().multiplyScalar(moveSpeed);
-            yawObject.position.add(moveDir);
-        }
+        cameraController.move(movement, movement.speed * settings.get('cameraSpeedMult') * frameDt); // Apply debug speed multiplier
     }
 
-    // Keep the camera's Y position slightly above ground (2.0 units) so it doesn't clip below terrain
-    if (yawObject.position.y < 2.0) yawObject.position.y = 2.0;
+    // The simulation spawns and despawns around where the camera was last frame
+    const camWorldPos = camera.position.clone();
 
-    // Prevent pitch and roll: keep camera local rotations at zero and allow only yaw on yawObject
-    camera.rotation.x = 0;
-    camera.rotation.z = 0;
-    yawObject.rotation.z = 0; // prevent roll
+    // --- Fixed-step simulation ---
+    for (let i = 0; i < steps; i++) {
+        stepSimulation(simClock.step, camWorldPos);
+    }
+    if (trafficSource) {
+        syncTrafficViews();
+        updateTrafficUI();
+    }
+    updateDayNightCycle();
+    updateSkyTimeline();
+
+    // Interpolate every plane to this frame first: the chase and orbit cameras follow one
+    planes.forEach(plane => syncPlaneMesh(plane, simClock.alpha));
+    updateSelection(camWorldPos);
+    cameraController.setTarget(selectedPlane ? selectedPlane.mesh : null);
+    if (CameraController.needsTarget(cameraController.mode) && !selectedPlane) {
+        cameraController.setMode('ground'); // the followed plane is gone
+        updateCameraControlsUI();
+    }
+    cameraController.update(frameDt);
+    camWorldPos.copy(camera.position);
 
-    // Keep the sky dome centered on the camera's world position so it appears infinite
-    const camWorldPos = new THREE.Vector3();
-    camera.getWorldPosition(camWorldPos);
+    // Keep the sky dome centered on the active camera so it appears infinite
     if (skyMesh) skyMesh.position.copy(camWorldPos);
     if (skyObjects) skyObjects.position.copy(camWorldPos);
 
-    // Stream terrain chunks as you move across chunk boundaries
-    if (terrainChunks) terrainChunks.update(yawObject.position);
+    // Stream terrain chunks as the active camera crosses chunk boundaries
+    if (terrainChunks) terrainChunks.update(camWorldPos);
 
     // Prepare frustum once per frame for culling
-    camera.updateMatrixWorld();
     const frustum = new THREE.Frustum();
+    const planeSphere = new THREE.Sphere();
     const projScreenMatrix = new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
     frustum.setFromProjectionMatrix(projScreenMatrix);
 
     // Find nearest plane for debug HUD
     let nearestPlane = null;
     let nearestDist = Infinity;
-    if (DEBUG_HUD) {
+    const showHUD = settings.get('debugHud');
+    if (showHUD) {
         if (planes.length === 0) {
             if (debugHUD) {
                 debugHUD.innerHTML = `
@@ -1395,307 +2291,68 @@ Check console for errors.
         }
     }
 
-    planes.forEach(plane => {
-        // Frustum culling: skip rendering planes outside camera view (but still update physics)
-        const planeBox = new THREE.Box3().setFromObject(plane.mesh);
-        plane.mesh.visible = frustum.intersectsBox(planeBox);
-        
-        // Vertical movement and altitude management (using AGL for clarity)
-        const altitude = yToAGL(plane.mesh.position.y); // Height above ground level
-        const maxClimbRate = plane.maxClimbRate || 1.2;
-        const maxDescentRate = plane.maxDescentRate || 0.8;
-        const climbPerformance = plane.climbPerformance || 1;
-
-        // Initialize waypoint if not set
-        if (!plane.waypoint) {
-            plane.waypoint = generateWaypoint(plane.mesh.position);
-        }
-
-        // Update waypoint periodically (wander to new locations)
-        plane.waypointTimer = (plane.waypointTimer || 0) + dt;
-        if (plane.waypointTimer > (plane.waypointInterval || 30)) {
-            plane.waypointTimer = 0;
-            plane.waypointInterval = 30 + Math.random() * 40; // 30-70 seconds
-            plane.waypoint = generateWaypoint(plane.mesh.position);
-            if (DEBUG_CONSOLE) {
-                console.log(`🎯 New waypoint: (${plane.waypoint.x.toFixed(0)}, ${plane.waypoint.y.toFixed(0)}, ${plane.waypoint.z.toFixed(0)})`);
-            }
-        }
-
-        // --- Waypoint Navigation: 3D target-seeking with CURVED path interpolation ---
-        // Initialize waypoint system if needed
-        if (!plane.smoothWaypoint) {
-            plane.smoothWaypoint = plane.waypoint.clone();
-            plane.targetWaypoint = plane.waypoint.clone(); // The "next" waypoint we're blending toward
-            plane.waypointBlendFactor = 1.0; // 0 = old waypoint, 1 = fully at target waypoint
-            plane.waypointControlPoint = null; // Control point for curved path
-        }
-        
-        // Calculate vector to current smooth waypoint (what we're navigating to right now)
-        const toWaypoint = new THREE.Vector3().subVectors(plane.smoothWaypoint, plane.mesh.position);
-        const waypointDistance = toWaypoint.length();
-        
-        // If we're close to the smooth waypoint, generate a new target and start blending
-        if (waypointDistance < 200 && plane.waypointBlendFactor >= 0.99) {
-            const newWaypoint = generateWaypoint(plane.mesh.position);
-            
-            // Start a smooth blend from current smoothWaypoint to new target
-            plane.waypoint.copy(plane.smoothWaypoint); // Old waypoint = where we are now
-            plane.targetWaypoint = newWaypoint; // New target
-            plane.waypointBlendFactor = 0.0; // Start blending from 0 to 1
-            
-            // Generate a control point for a curved path (not direct route)
-            // Create a point offset perpendicular to the direct path
-            const directPath = new THREE.Vector3().subVectors(newWaypoint, plane.smoothWaypoint);
-            const pathDistance = directPath.length();
-            
-            // Create a perpendicular vector for the curve offset
-            const perpendicular = new THREE.Vector3(-directPath.z, 0, directPath.x).normalize();
-            
-            // Randomly curve left or right with varying intensity
-            const curveDirection = Math.random() < 0.5 ? 1 : -1;
-            const curveIntensity = 0.3 + Math.random() * 0.4; // 30-70% offset from direct path
-            
-            // Control point is at midpoint plus perpendicular offset
-            const midpoint = new THREE.Vector3().addVectors(plane.smoothWaypoint, directPath.multiplyScalar(0.5));
-            plane.waypointControlPoint = midpoint.add(perpendicular.multiplyScalar(pathDistance * curveIntensity * curveDirection));
-            
-            // Keep control point altitude in safe zone
-            const controlAltitude = yToAGL(plane.waypointControlPoint.y);
-            if (controlAltitude < SAFE_ZONE_MIN) {
-                plane.waypointControlPoint.y = aglToY(SAFE_ZONE_MIN + 50);
-            } else if (controlAltitude > SAFE_ZONE_MAX) {
-                plane.waypointControlPoint.y = aglToY(SAFE_ZONE_MAX - 50);
-            }
-            
-            if (DEBUG_CONSOLE) console.log(`✅ New curved path: curve ${curveDirection > 0 ? 'right' : 'left'}, intensity ${(curveIntensity * 100).toFixed(0)}%`);
-        }
-        
-        // Gradually blend using quadratic Bezier curve (old -> control -> target)
-        if (plane.waypointBlendFactor < 1.0) {
-            // Use ease-out cubic interpolation for ultra-smooth transitions
-            plane.waypointBlendFactor += 0.003; // Very slow blend rate for maximum smoothness
-            plane.waypointBlendFactor = Math.min(1.0, plane.waypointBlendFactor);
-            
-            // Ease-out cubic: starts fast, ends slow
-            const t = plane.waypointBlendFactor;
-            const eased = 1 - Math.pow(1 - t, 3);
-            
-            // Quadratic Bezier curve: B(t) = (1-t)²P0 + 2(1-t)t*P1 + t²P2
-            // P0 = old waypoint, P1 = control point, P2 = target waypoint
-            const oneMinusT = 1 - eased;
-            const bezier = new THREE.Vector3();
-            
-            bezier.addScaledVector(plane.waypoint, oneMinusT * oneMinusT);
-            bezier.addScaledVector(plane.waypointControlPoint, 2 * oneMinusT * eased);
-            bezier.addScaledVector(plane.targetWaypoint, eased * eased);
-            
-            plane.smoothWaypoint.copy(bezier);
-        }
-        
-        // Calculate distances to floor and ceiling reference points
-        const floorDist = altitude - MIN_HEIGHT_AGL;
-        const ceilingDist = MAX_HEIGHT_AGL - altitude;
-        const safeZoneMid = SAFE_ZONE_MIN + (SAFE_ZONE_MAX - SAFE_ZONE_MIN) * 0.5;
-        
-        // Ensure smooth waypoint altitude stays in safe zone (adjust if needed)
-        const smoothWaypointAltitude = yToAGL(plane.smoothWaypoint.y);
-        if (smoothWaypointAltitude < SAFE_ZONE_MIN) {
-            plane.smoothWaypoint.y = aglToY(SAFE_ZONE_MIN + 20);
-        } else if (smoothWaypointAltitude > SAFE_ZONE_MAX) {
-            plane.smoothWaypoint.y = aglToY(SAFE_ZONE_MAX - 20);
-        }
-        
-        // Calculate desired vertical speed toward SMOOTH waypoint (not abrupt waypoint)
-        const altitudeError = yToAGL(plane.smoothWaypoint.y) - altitude;
-        let desiredClimb = altitudeError * 0.06 * climbPerformance; // Even gentler proportional control
-        
-        // Danger zone avoidance (wide 150m zones) - override waypoint if needed
-        if (floorDist < FLOOR_AVOIDANCE_DIST) {
-            const urgency = 1.0 - (floorDist / FLOOR_AVOIDANCE_DIST);
-            const avoidancePush = maxClimbRate * urgency * 0.6;
-            desiredClimb += avoidancePush;
-            
-            // If in deep danger, move waypoint to upper safe zone
-            if (floorDist < FLOOR_AVOIDANCE_DIST * 0.5 && waypointAltitude < safeZoneMid) {
-                plane.waypoint.y = aglToY(safeZoneMid + Math.random() * (SAFE_ZONE_MAX - safeZoneMid));
-                if (DEBUG_CONSOLE) console.log(`⚠️ FLOOR DANGER (${altitude.toFixed(0)}m): Waypoint moved up`);
-            }
-        }
-        else if (ceilingDist < CEILING_AVOIDANCE_DIST) {
-            const urgency = 1.0 - (ceilingDist / CEILING_AVOIDANCE_DIST);
-            const avoidancePush = maxDescentRate * urgency * 0.6;
-            desiredClimb -= avoidancePush;
-            
-            // If in deep danger, move waypoint to lower safe zone
-            if (ceilingDist < CEILING_AVOIDANCE_DIST * 0.5 && waypointAltitude > safeZoneMid) {
-                plane.waypoint.y = aglToY(SAFE_ZONE_MIN + Math.random() * (safeZoneMid - SAFE_ZONE_MIN));
-                if (DEBUG_CONSOLE) console.log(`⚠️ CEILING DANGER (${altitude.toFixed(0)}m): Waypoint moved down`);
-            }
-        }
-        
-        // Calculate horizontal heading toward SMOOTH waypoint for ultra-smooth turns
-        const dx = plane.smoothWaypoint.x - plane.mesh.position.x;
-        const dz = plane.smoothWaypoint.z - plane.mesh.position.z;
-        plane.targetHeading = Math.atan2(dx, dz);
-        
-        // STEP 4: Clamp to plane performance limits
-        desiredClimb = THREE.MathUtils.clamp(desiredClimb, -maxDescentRate, maxClimbRate);
-        
-        // STEP 5: Apply smoothly with lerp
-        plane.vSpeed = THREE.MathUtils.lerp(plane.vSpeed || 0, desiredClimb, 0.2);
-        
-        // Store for debugging
-        plane.altitudeError = altitudeError;
-        plane.lastDesiredClimb = desiredClimb;
-        plane.floorDist = floorDist;
-        plane.ceilingDist = ceilingDist;
-        plane.inDangerZone = (floorDist < FLOOR_AVOIDANCE_DIST || ceilingDist < CEILING_AVOIDANCE_DIST);
-
-        plane.mesh.position.y += plane.vSpeed * dt;
+    updateWeather(camWorldPos, steps * simClock.step);
 
-        // No hard caps - let target-seeking and danger zones handle everything naturally
-        // Update properties after vertical change
-        updatePlaneProperties(plane);
+    // Calculate light multiplier based on time of day
+    // Lights are brightest at night (1.0) and dimmest during day (0.2)
+    const dayPhase = sky.daylight;
+    const lightMultiplier = 1.0 - (dayPhase * 0.8); // Night: 1.0, Day: 0.2
 
-        // --- Realistic Plane Physics ---
-        // Heading is now determined by waypoint (calculated above)
-        
-        // Smooth heading change: interpolate towards target with weighted momentum
-        let headingDiff = plane.targetHeading - plane.heading;
-        // Wrap difference to [-π, π]
-        while (headingDiff > Math.PI) headingDiff -= Math.PI * 2;
-        while (headingDiff < -Math.PI) headingDiff += Math.PI * 2;
-        
-        // Weighted yaw adjustment with momentum (dramatic changes over long periods)
-        if (!plane.yawVelocity) plane.yawVelocity = 0;
-        
-        // Much more gradual acceleration for dramatic turns
-        const yawAcceleration = headingDiff * 0.02; // Reduced from 0.06 - slower response to heading changes
-        plane.yawVelocity += yawAcceleration;
-        plane.yawVelocity *= 0.97; // Increased damping from 0.94 - maintains momentum longer
-        
-        // Limit yaw change rate for ultra-smooth turning
-        const maxYawChange = 0.006; // Reduced from 0.012 - slower maximum turn rate
-        plane.yawVelocity = THREE.MathUtils.clamp(plane.yawVelocity, -maxYawChange, maxYawChange);
-        
-        plane.heading += plane.yawVelocity;
-
-        // Banking/roll effect: bank proportionally into turns based on yaw velocity
-        // More dramatic roll for dramatic yaw changes, responding over time
-        const targetRoll = THREE.MathUtils.clamp(-plane.yawVelocity * 40, -Math.PI / 4, Math.PI / 4); // Increased multiplier from 25 to 40
-        
-        // Smooth roll transition - takes time to bank into and out of turns
-        if (!plane.rollVelocity) plane.rollVelocity = 0;
-        const rollError = targetRoll - plane.roll;
-        const rollAcceleration = rollError * 0.015; // Gradual roll acceleration
-        plane.rollVelocity += rollAcceleration;
-        plane.rollVelocity *= 0.93; // Damping for smooth roll
-        
-        // Limit roll change rate
-        const maxRollChange = 0.008;
-        plane.rollVelocity = THREE.MathUtils.clamp(plane.rollVelocity, -maxRollChange, maxRollChange);
-        
-        plane.roll += plane.rollVelocity;
-        plane.roll = Math.max(-Math.PI / 3.5, Math.min(Math.PI / 3.5, plane.roll)); // clamp roll to ±51° (more dramatic)
-
-        // Dynamic pitch: respond to vertical speed in a simple, realistic way
-        // Pitch angle should reflect the climb/descent rate
-        // Note: In Three.js, rotation.x is NEGATIVE for nose up, POSITIVE for nose down
-        // Use gentler pitch angles - planes can climb/descend gradually over time
-        const targetPitch = THREE.MathUtils.clamp(
-            -(plane.vSpeed || 0) * 0.25, // Even more reduced multiplier for very gentle pitch
-            -Math.PI / 12,  // Max climb: -15 degrees (nose up) - more realistic
-            Math.PI / 12    // Max dive: +15 degrees (nose down) - more realistic
-        );
-        
-        // Very smooth, weighted gradual pitch changes
-        // Use momentum-based smoothing - pitch changes slowly with weight
-        if (!plane.pitchVelocity) plane.pitchVelocity = 0;
-        
-        const pitchError = targetPitch - plane.pitch;
-        const pitchAcceleration = pitchError * 0.008; // Even more gentle acceleration (was 0.015)
-        plane.pitchVelocity += pitchAcceleration;
-        plane.pitchVelocity *= 0.95; // Increased damping for more gradual changes (was 0.92)
-        
-        // Limit pitch change rate for ultra-smooth transitions
-        const maxPitchChange = 0.005; // Reduced max change for smoother transitions (was 0.008)
-        plane.pitchVelocity = THREE.MathUtils.clamp(plane.pitchVelocity, -maxPitchChange, maxPitchChange);
-        
-        plane.pitch += plane.pitchVelocity;
-        plane.pitch = Math.max(-Math.PI / 9, Math.min(Math.PI / 9, plane.pitch)); // safety clamp to ±20°
-
-        // Update plane orientation (heading, pitch, roll)
-        plane.mesh.rotation.order = 'YXZ'; // Euler order: yaw, pitch, roll
-        plane.mesh.rotation.y = plane.heading;   // yaw
-        plane.mesh.rotation.x = plane.pitch;     // pitch
-        plane.mesh.rotation.z = plane.roll;      // roll (banking)
-
-        // Move plane forward in its local Z direction (based on speed)
-        plane.mesh.translateZ(plane.speed);
-        
-        // --- Apply Wind Effects ---
-        // 1. Global wind drift (constant push in wind direction)
-        const windPushX = Math.cos(windDirection) * windStrength * dt * 0.3;
-        const windPushZ = Math.sin(windDirection) * windStrength * dt * 0.3;
-        plane.mesh.position.x += windPushX;
-        plane.mesh.position.z += windPushZ;
-        
-        // 2. Turbulence (random small movements for realism)
-        plane.turbulenceTimer += dt;
-        if (plane.turbulenceTimer > TURBULENCE_FREQUENCY) {
-            plane.turbulenceTimer = 0;
-            
-            // Generate random turbulence offset (increased strength)
-            const turbStrength = windStrength * 0.4; // Increased from 0.15 to 0.4
-            plane.turbulenceOffset.set(
-                (Math.random() - 0.5) * turbStrength,
-                (Math.random() - 0.5) * turbStrength * 0.6, // Increased vertical turbulence
-                (Math.random() - 0.5) * turbStrength
-            );
-        }
-        
-        // Apply turbulence with smooth interpolation
-        plane.mesh.position.x += plane.turbulenceOffset.x * dt * 3;
-        plane.mesh.position.y += plane.turbulenceOffset.y * dt * 3;
-        plane.mesh.position.z += plane.turbulenceOffset.z * dt * 3;
-        
-        // Enhanced roll wobble from turbulence (multiple frequencies for realism)
-        const turbulenceRoll = Math.sin(time * 0.5 + plane.lightTimer) * windStrength * 0.04 +
-                              Math.sin(time * 1.2 + plane.lightTimer * 0.7) * windStrength * 0.025;
-        plane.roll += turbulenceRoll * dt;
-        
-        // Add pitch wobble from turbulence
-        const turbulencePitch = Math.sin(time * 0.8 + plane.lightTimer * 1.3) * windStrength * 0.02 +
-                               Math.sin(time * 1.5 + plane.lightTimer * 0.5) * windStrength * 0.015;
-        plane.pitch += turbulencePitch * dt;
-        
-        // Add subtle yaw wobble (wind buffeting)
-        const turbulenceYaw = Math.sin(time * 0.6 + plane.lightTimer * 0.9) * windStrength * 0.03;
-        plane.heading += turbulenceYaw * dt;
-
-        // 2. Despawn/respawn: if plane is outside the despawn bounding box around the camera, respawn it
-        const despawnHalf = DESPAWN_BOX_SIZE / 2;
-        if (Math.abs(plane.mesh.position.x - camWorldPos.x) > despawnHalf ||
-            Math.abs(plane.mesh.position.z - camWorldPos.z) > despawnHalf) {
-            respawnPlane(plane, camWorldPos);
-            return; // continue to next plane
-        }
+    if (airportView) airportView.update(camera, window.innerHeight, simState.time, lightMultiplier);
+    if (settings.get('debugSeparation')) {
+        const planesById = new Map(planes.map(plane => [plane.state.id, plane]));
+        separationOverlay.update(true, simState.conflicts, simState.planes, (id) => {
+            const plane = planesById.get(id);
+            return plane ? plane.mesh : null;
+        });
+    } else {
+        separationOverlay.update(false);
+    }
 
-        // 3. Navigation Lights Flashing
-        plane.lightTimer += dt;
-        // Calculate light multiplier based on time of day
-        // Lights are brightest at night (1.0) and dimmest during day (0.2)
-        const dayPhase = Math.max(0, Math.sin((timeOfDay - 0.25) * Math.PI * 2));
-        const lightMultiplier = 1.0 - (dayPhase * 0.8); // Night: 1.0, Day: 0.2
-        flashNavigationLights(plane, plane.lightTimer, lightMultiplier);
+    // Level of detail by size on screen: the largest planes (and the selected one) get their full
+    // model, up to MAX_FULL_DETAIL of them
+    planeLod.begin(camera, window.innerHeight);
+    lightGlow.begin(camera, window.innerHeight);
+    const debugLights = settings.get('debugLights');
+    const levels = planes.map((plane) => {
+        plane.mesh.updateMatrixWorld();
+        const pixels = planeLod.pixelsAcross(plane.modelName, plane.mesh.scale.x, camWorldPos.distanceTo(plane.mesh.position));
+        return { plane, pixels, level: plane === selectedPlane ? 'full' : planeLod.levelFor(pixels, plane.detail) };
     });
+    levels.filter(entry => entry.level === 'full')
+        .sort((a, b) => (b.plane === selectedPlane) - (a.plane === selectedPlane) || b.pixels - a.pixels)
+        .slice(MAX_FULL_DETAIL)
+        .forEach((entry) => { entry.level = 'instanced'; });
+
+    const night = dayPhase < NIGHT_DAY_PHASE;
+    for (const { plane, level } of levels) {
+        setPlaneDetail(plane, level);
+
+        // Frustum culling: skip rendering planes outside camera view (physics runs in stepSimulation)
+        planeSphere.copy(planeLod.boundingSphere(plane.modelName)).applyMatrix4(plane.mesh.matrixWorld);
+        plane.mesh.visible = frustum.intersectsSphere(planeSphere);
+        if (!plane.mesh.visible) continue;
+        updateExteriorLights(plane, plane.state.lightTimer, night, camWorldPos, debugLights);
+        addPlaneLights(plane, camWorldPos, debugLights);
+        if (level === 'instanced') planeLod.addInstanced(plane.modelName, plane.mesh.matrixWorld);
+        else if (level === 'impostor') planeLod.addImpostor(plane.modelName, plane.mesh.matrixWorld, camWorldPos);
+    }
+    planeLod.end(0.25 + dayPhase * 0.75);
+    lightGlow.end();
+    assignRealLights(debugLights);
+
+    // Trails behind every plane, on screen or not, at the time the meshes are interpolated to
+    const trailTime = simState.time - (1 - simClock.alpha) * simClock.step;
+    planes.forEach(plane => updatePlaneTrails(plane, trailTime));
+    const trailVisibility = trailLighting();
+    trails.update(trailTime, trailColor, trailVisibility);
 
     // Update debug HUD with nearest plane info
-    if (DEBUG_HUD && debugHUD && nearestPlane) {
-        const p = nearestPlane;
-        const altitude = yToAGL(p.mesh.position.y);
-        const floorDist = altitude - MIN_HEIGHT_AGL;
+    if (showHUD && debugHUD && nearestPlane) {
+        const p = nearestPlane.state;
+        const altitude = planeAGL(p);
+        // Wandering planes measure the floor against the terrain ahead too (see updateVerticalSpeed)
+        const floorDist = p.floorDist ?? altitude - MIN_HEIGHT_AGL;
         const ceilingDist = MAX_HEIGHT_AGL - altitude;
         
         // Determine flight zone
@@ -1718,17 +2375,35 @@ Check console for errors.
             }
         }
         
+        // Airport planes are meant to be low while taking off and landing
+        const phase = flightPhaseLabel(p);
+        if (phase && p.phase !== 'enroute') {
+            zone = phase;
+            zoneColor = '#0ff';
+        }
+
         debugHUD.style.color = zoneColor;
         
-        const waypointDist = p.waypoint ? p.mesh.position.distanceTo(p.waypoint) : 0;
-        const waypointAlt = p.waypoint ? yToAGL(p.waypoint.y) : 0;
-        const smoothWaypointDist = p.smoothWaypoint ? p.mesh.position.distanceTo(p.smoothWaypoint) : 0;
-        const smoothWaypointAlt = p.smoothWaypoint ? yToAGL(p.smoothWaypoint.y) : 0;
+        const planePos = new THREE.Vector3().copy(p.position);
+        const waypointDist = p.waypoint ? planePos.distanceTo(p.waypoint) : 0;
+        const waypointAlt = p.waypoint ? yToAGL(p.waypoint.y, terrain.heightAt(p.waypoint.x, p.waypoint.z)) : 0;
+        const smoothWaypointDist = p.smoothWaypoint ? planePos.distanceTo(p.smoothWaypoint) : 0;
+        const smoothWaypointAlt = p.smoothWaypoint ? yToAGL(p.smoothWaypoint.y, terrain.heightAt(p.smoothWaypoint.x, p.smoothWaypoint.z)) : 0;
+        const terrainStats = terrainChunks.stats();
+        const lodStats = planeLod.stats();
+        const resolving = simState.conflicts.filter(c => c.level !== 'traffic').length;
+        const advisory = advisoryLabel(p);
+        const surfaceWind = meanWindAt(simState.wind, SURFACE_HEIGHT);
+        const gusts = Math.hypot(surfaceWind.x, surfaceWind.z) * (1 + gustiness(simState.wind, SURFACE_HEIGHT));
+        const latitude = settings.get('observerLat'), longitude = settings.get('observerLon');
+        const sunToday = sunTimes(sky.date, latitude, longitude);
+        const moonPhase = moonIllumination(sky.date);
         
         debugHUD.innerHTML = `
 <b>🛩️  NEAREST PLANE (${nearestDist.toFixed(0)}m away)</b>
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-<b>Zone:</b> ${zone}
+${p.external ? `<b>Traffic:</b> ${p.callsign || '—'} (${p.trafficId}) ${p.icaoType || ''}\n` : ''}<b>Zone:</b> ${zone}
+<b>Exterior lights:</b> ${Object.entries(exteriorLights(p, night)).filter(([, on]) => on).map(([set]) => set).join(', ') || 'off'}
 
 <b>Altitude:</b> ${altitude.toFixed(0)}m AGL
 <b>Target WP:</b> ${waypointDist.toFixed(0)}m @ ${waypointAlt.toFixed(0)}m
@@ -1740,7 +2415,21 @@ Check console for errors.
 
 <b>vSpeed:</b> ${(p.vSpeed || 0).toFixed(2)} m/s ${p.vSpeed > 0.5 ? '⬆️' : p.vSpeed < -0.5 ? '⬇️' : '→'}
 <b>Pitch:</b> ${((p.pitch || 0) * 180 / Math.PI).toFixed(1)}° | <b>Roll:</b> ${((p.roll || 0) * 180 / Math.PI).toFixed(1)}°
-<b>Speed:</b> ${(p.speed || 0).toFixed(1)} u/f | <b>Heading:</b> ${((p.heading || 0) * 180 / Math.PI).toFixed(0)}°
+<b>Speed:</b> ${(p.speed || 0).toFixed(1)} m/s | <b>Heading:</b> ${((p.heading || 0) * 180 / Math.PI).toFixed(0)}°
+${p.wind ? `<b>Wind:</b> ${formatWind(p.wind)} (${windLayer(altitude).label.toLowerCase()}) | <b>Crab:</b> ${formatCrab(p)}
+<b>Turbulence:</b> ${turbulenceLabel(p.turbulence)} (${p.turbulence.toFixed(2)})
+` : ''}
+<b>Conflicts:</b> ${simState.conflicts.length}${resolving ? ` (${resolving} resolving)` : ''}${advisory ? `\n<b>Advisory:</b> ${advisory}` : ''}
+
+<b>Planes:</b> ${planes.length} (${planes.filter(plane => plane.detail === 'full').length} full, ${lodStats.instanced} instanced, ${lodStats.impostors} impostors)
+<b>Weather:</b> ${weather.label}${weather.changing ? ` (changing, ${(weather.progress * 100).toFixed(0)}%)` : ''}
+<b>Surface wind:</b> ${formatWind(surfaceWind)}, gusts ${gusts.toFixed(1)} m/s
+<b>Sky:</b> ${sky.date.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}, ${twilight(sky.sunAltitude).label}
+<b>Sun:</b> ${formatSkyPosition(sunPosition(sky.date, latitude, longitude))} | rises ${formatClock(sunToday.sunrise)}, sets ${formatClock(sunToday.sunset)}
+<b>Moon:</b> ${formatSkyPosition(moonPosition(sky.date, latitude, longitude))} | ${moonPhase.label} (${(moonPhase.fraction * 100).toFixed(0)}% lit)
+<b>Lights:</b> ${lightGlow.count} lit, ${realLights.filter(light => light.intensity > 0).length}/${REAL_LIGHT_BUDGET} casting light
+
+<b>Terrain:</b> ${terrainStats.loaded} chunks (LOD ${terrainStats.levels.join('/')})${terrainStats.pending ? `, ${terrainStats.pending} building` : ''}
         `.trim();
     }
 
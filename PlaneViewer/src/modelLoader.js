@@ -0,0 +1,210 @@
+// Loads and caches aircraft models (glTF / GLB) for the viewer.
+// - One download per file: planes asking for a model that's already on its way share the request.
+// - Byte-level progress across all downloads in flight (onProgress), for the loading screen.
+// - Network errors and 5xx/408/429 responses are retried with a growing delay; other failures
+//   (404, a file that isn't a model) are not.
+// - Draco and Meshopt compressed geometry and KTX2 textures, decoded with files served from
+//   /decoders/ (copied there from three by scripts/copy-decoders.js).
+// - Each model counts its users (acquire/release); models nobody uses are kept for a while in
+//   case they come back, and beyond IDLE_CACHE_SIZE the least recently used are disposed.
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+
+const DECODER_PATH = '/decoders/';
+const MAX_RETRIES = 3;       // attempts after the first
+const RETRY_DELAY = 1000;    // ms before the first retry, doubled for each one after it
+const IDLE_CACHE_SIZE = 4;   // unused models kept in memory
+const RETRY_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+// A failed download; `retryable` if trying again might work
+class DownloadError extends Error {
+    constructor(message, retryable) {
+        super(message);
+        this.retryable = retryable;
+    }
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Free the GPU side of a model: geometries, materials and their textures
+function disposeModel(root) {
+    root.traverse((node) => {
+        if (!node.isMesh) return;
+        node.geometry.dispose();
+        const materials = Array.isArray(node.material) ? node.material : [node.material];
+        for (const material of materials) {
+            for (const value of Object.values(material)) {
+                if (value && value.isTexture) value.dispose();
+            }
+            material.dispose();
+        }
+    });
+}
+
+export class ModelLoader {
+    // `renderer` tells the KTX2 transcoder which compressed texture formats the GPU takes
+    constructor(renderer) {
+        const draco = new DRACOLoader().setDecoderPath(`${DECODER_PATH}draco/`);
+        const ktx2 = new KTX2Loader().setTranscoderPath(`${DECODER_PATH}basis/`).detectSupport(renderer);
+        this.gltfLoader = new GLTFLoader()
+            .setDRACOLoader(draco)
+            .setKTX2Loader(ktx2)
+            .setMeshoptDecoder(MeshoptDecoder);
+
+        this.models = new Map();    // key -> { promise, scene, users, pinned, lastUsed }
+        this.downloads = new Map(); // url -> { loaded, total } for downloads in flight
+        this.finished = { loaded: 0, files: 0 }; // downloads done since the loader was last idle
+        this.listeners = [];
+    }
+
+    // Resolves to a copy of model `key` (fetched from `url`, by default the key itself) and counts
+    // one more user; call release(key) when it's no longer shown. Copies share geometry and materials.
+    async acquire(key, url = key) {
+        let model = this.models.get(key);
+        if (!model) {
+            model = { promise: null, scene: null, users: 0, pinned: false, lastUsed: 0 };
+            model.promise = this.fetchModel(url).then((gltf) => {
+                model.scene = gltf.scene;
+                return gltf.scene;
+            });
+            this.models.set(key, model);
+            // Forget failures so a later request tries again
+            model.promise.catch(() => {
+                if (this.models.get(key) === model) this.models.delete(key);
+            });
+        }
+        model.users++;
+        try {
+            return (await model.promise).clone();
+        } catch (err) {
+            model.users--;
+            throw err;
+        }
+    }
+
+    // One user of model `key` is done with it
+    release(key) {
+        const model = this.models.get(key);
+        if (!model || model.users === 0) return;
+        model.users--;
+        model.lastUsed = performance.now();
+        if (model.users === 0) this.evictIdle();
+    }
+
+    // Add an already parsed model (e.g. from a dropped file). It can't be fetched again, so it's
+    // never evicted.
+    add(key, scene) {
+        this.models.set(key, { promise: Promise.resolve(scene), scene, users: 0, pinned: true, lastUsed: 0 });
+    }
+
+    // Parse a .glb (ArrayBuffer) or .gltf (text) with the same decoders as downloaded models
+    parse(data, path = '') {
+        return this.gltfLoader.parseAsync(data, path);
+    }
+
+    // fn({ loaded, total, sized, pending, done }) runs as downloads progress: bytes so far and
+    // expected (`sized` is false while a server hasn't said how big its file is), and how many
+    // files are in flight and finished since the loader was last idle
+    onProgress(fn) {
+        this.listeners.push(fn);
+    }
+
+    emitProgress() {
+        let loaded = this.finished.loaded;
+        let total = this.finished.loaded;
+        let sized = true;
+        for (const download of this.downloads.values()) {
+            loaded += download.loaded;
+            total += Math.max(download.total, download.loaded);
+            if (!download.total) sized = false;
+        }
+        const progress = { loaded, total, sized, pending: this.downloads.size, done: this.finished.files };
+        for (const fn of this.listeners) fn(progress);
+    }
+
+    // Dispose the least recently used idle models beyond IDLE_CACHE_SIZE
+    evictIdle() {
+        const idle = [...this.models.entries()]
+            .filter(([, model]) => model.users === 0 && !model.pinned && model.scene)
+            .sort((a, b) => b[1].lastUsed - a[1].lastUsed);
+        for (const [key, model] of idle.slice(IDLE_CACHE_SIZE)) {
+            this.models.delete(key);
+            disposeModel(model.scene);
+        }
+    }
+
+    // Download (with retries) and parse one file
+    async fetchModel(url) {
+        const path = THREE.LoaderUtils.extractUrlBase(url);
+        for (let attempt = 0; ; attempt++) {
+            let data;
+            try {
+                data = await this.download(url);
+            } catch (err) {
+                if (!err.retryable || attempt >= MAX_RETRIES) throw err;
+                const delay = RETRY_DELAY * 2 ** attempt;
+                console.warn(`⚠️ ${url}: ${err.message}; retrying in ${delay / 1000}s`);
+                await wait(delay);
+                continue;
+            }
+            return this.parse(data, path);
+        }
+    }
+
+    // Fetch `url` into an ArrayBuffer, reporting progress as it streams in
+    async download(url) {
+        const progress = { loaded: 0, total: 0 };
+        this.downloads.set(url, progress);
+        this.emitProgress();
+        try {
+            let response;
+            try {
+                response = await fetch(url);
+            } catch (err) {
+                throw new DownloadError(err.message, true);
+            }
+            if (!response.ok) {
+                throw new DownloadError(`HTTP ${response.status} ${response.statusText}`.trim(), RETRY_STATUS.has(response.status));
+            }
+            // Content-Length is the compressed size when the server gzips; `loaded` can pass it
+            progress.total = Number(response.headers.get('Content-Length')) || 0;
+
+            const chunks = [];
+            try {
+                if (response.body) {
+                    const reader = response.body.getReader();
+                    for (;;) {
+                        const { done, value } = await reader.read();
+                        if (done) break;
+                        chunks.push(value);
+                        progress.loaded += value.byteLength;
+                        this.emitProgress();
+                    }
+                } else {
+                    chunks.push(new Uint8Array(await response.arrayBuffer()));
+                    progress.loaded = chunks[0].byteLength;
+                }
+            } catch (err) {
+                throw new DownloadError(err.message, true); // connection dropped mid-file
+            }
+
+            const data = new Uint8Array(progress.loaded);
+            let offset = 0;
+            for (const chunk of chunks) {
+                data.set(chunk, offset);
+                offset += chunk.byteLength;
+            }
+            this.finished.loaded += data.byteLength;
+            this.finished.files++;
+            return data.buffer;
+        } finally {
+            this.downloads.delete(url);
+            this.emitProgress();
+            if (this.downloads.size === 0) this.finished = { loaded: 0, files: 0 };
+        }
+    }
+}
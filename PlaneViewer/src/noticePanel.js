@@ -0,0 +1,62 @@
+// Notice box at the top of the screen for problems the user should know about (e.g. aircraft
+// models that failed to load) and results of their own actions (imported models).
+// Each caller owns a section by key and replaces or clears it; the box hides when it's empty.
+
+// Builds the (hidden) panel and adds it to the page
+export function createNoticePanel() {
+    const panel = document.createElement('div');
+    panel.id = 'notice-panel';
+    panel.hidden = true;
+
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'notice-close';
+    closeBtn.textContent = '✕';
+    closeBtn.title = 'Dismiss';
+    const body = document.createElement('div');
+    panel.append(closeBtn, body);
+    document.body.appendChild(panel);
+
+    const sections = new Map(); // key -> { kind, title, lines }
+
+    function render() {
+        body.replaceChildren();
+        for (const { kind, title, lines } of sections.values()) {
+            const section = document.createElement('div');
+            section.className = `notice-section ${kind}`;
+            const heading = document.createElement('div');
+            heading.className = 'notice-title';
+            heading.textContent = title;
+            section.appendChild(heading);
+            if (lines.length) {
+                const list = document.createElement('ul');
+                for (const line of lines) {
+                    const item = document.createElement('li');
+                    item.textContent = line;
+                    list.appendChild(item);
+                }
+                section.appendChild(list);
+            }
+            body.appendChild(section);
+        }
+        panel.hidden = sections.size === 0;
+    }
+
+    closeBtn.addEventListener('click', () => {
+        sections.clear();
+        render();
+    });
+
+    return {
+        element: panel,
+
+        // Show (or replace) section `key`. `kind` is 'warning' or 'info'; `lines` are list items.
+        set(key, kind, title, lines = []) {
+            sections.set(key, { kind, title, lines });
+            render();
+        },
+
+        clear(key) {
+            if (sections.delete(key)) render();
+        }
+    };
+}
@@ -0,0 +1,61 @@
+// Info card for the selected plane: a title, a close button and label/value rows.
+// main.js decides what goes in it and calls update() every frame while a plane is selected.
+
+// Builds the (hidden) card and adds it to the page
+export function createPlaneInfoCard({ onClose = null } = {}) {
+    const card = document.createElement('div');
+    card.id = 'plane-card';
+    card.hidden = true;
+
+    const header = document.createElement('div');
+    header.className = 'plane-card-header';
+    const title = document.createElement('span');
+    title.className = 'plane-card-title';
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'plane-card-close';
+    closeBtn.textContent = '✕';
+    closeBtn.title = 'Deselect';
+    closeBtn.addEventListener('click', () => {
+        if (onClose) onClose();
+    });
+    header.append(title, closeBtn);
+
+    const body = document.createElement('dl');
+    body.className = 'plane-card-rows';
+    card.append(header, body);
+    document.body.appendChild(card);
+
+    const rows = new Map(); // label -> <dd>
+
+    return {
+        element: card,
+
+        // Show the card with `heading` and `fields` = [[label, value], ...]
+        update(heading, fields) {
+            card.hidden = false;
+            if (title.textContent !== heading) title.textContent = heading;
+
+            // Rebuild only when the set of rows changes; otherwise just refresh the values
+            const labels = fields.map(([label]) => label);
+            if (labels.length !== rows.size || labels.some(label => !rows.has(label))) {
+                body.replaceChildren();
+                rows.clear();
+                for (const label of labels) {
+                    const dt = document.createElement('dt');
+                    dt.textContent = label;
+                    const dd = document.createElement('dd');
+                    body.append(dt, dd);
+                    rows.set(label, dd);
+                }
+            }
+            for (const [label, value] of fields) {
+                const dd = rows.get(label);
+                if (dd.textContent !== value) dd.textContent = value;
+            }
+        },
+
+        hide() {
+            card.hidden = true;
+        }
+    };
+}
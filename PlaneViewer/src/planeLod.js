@@ -0,0 +1,316 @@
+// Level of detail for the fleet, so the sky can hold hundreds of planes:
+// - 'full'      the plane's own model clone with its lights (main.js), for the few nearest
+// - 'instanced' one InstancedMesh per part of each model, shared by all its mid-range planes
+// - 'impostor'  a camera-facing quad per far plane showing the model pre-rendered from the
+//               nearest of a ring of viewpoints (one texture atlas per model), one draw per model
+// Each frame main.js picks a level per plane (levelFor), then begin(), add...() and end().
+// Only the drawing changes: the simulation never knows which level a plane is shown at.
+
+import * as THREE from 'three';
+
+// Projected size (pixels across the model) a plane must reach to move up a level; to move back
+// down it has to shrink LEVEL_HYSTERESIS below that, so planes at a boundary don't flicker
+const FULL_DETAIL_PIXELS = 60;
+const IMPOSTOR_PIXELS = 16;
+const LEVEL_HYSTERESIS = 0.2;
+
+// Impostor atlas: IMPOSTOR_AZIMUTHS views around the model at each of IMPOSTOR_ELEVATIONS
+// (degrees; negative = from below, where the ground observer mostly sees planes from)
+const IMPOSTOR_AZIMUTHS = 8;
+const IMPOSTOR_ELEVATIONS = [-50, -15, 20];
+const IMPOSTOR_CELL = 128; // pixels per view
+const IMPOSTOR_FILL = 0.9; // share of the cell the model's bounding sphere fills
+
+const _inverse = new THREE.Matrix4();
+const _matrix = new THREE.Matrix4();
+const _position = new THREE.Vector3();
+const _centre = new THREE.Vector3();
+const _local = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+
+function createImpostorMaterial(atlas) {
+    const material = new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.merge([THREE.UniformsLib.fog, {
+            atlas: { value: null },
+            grid: { value: new THREE.Vector2(IMPOSTOR_AZIMUTHS, IMPOSTOR_ELEVATIONS.length) },
+            brightness: { value: 1 }
+        }]),
+        vertexShader: `
+            #include <common>
+            #include <fog_pars_vertex>
+            attribute float cell;
+            uniform vec2 grid;
+            varying vec2 vUv;
+            void main() {
+                // Billboard: the quad stays square to the screen, sized by the instance scale
+                vec4 mvPosition = modelViewMatrix * instanceMatrix * vec4(0.0, 0.0, 0.0, 1.0);
+                mvPosition.xy += position.xy * length(instanceMatrix[0].xyz);
+                gl_Position = projectionMatrix * mvPosition;
+                vUv = (vec2(mod(cell, grid.x), floor(cell / grid.x)) + uv) / grid;
+                #include <fog_vertex>
+            }
+        `,
+        fragmentShader: `
+            #include <common>
+            #include <fog_pars_fragment>
+            uniform sampler2D atlas;
+            uniform float brightness;
+            varying vec2 vUv;
+            void main() {
+                vec4 color = texture2D(atlas, vUv);
+                if (color.a < 0.5) discard;
+                gl_FragColor = vec4(color.rgb * brightness, 1.0);
+                #include <tonemapping_fragment>
+                #include <colorspace_fragment>
+                #include <fog_fragment>
+            }
+        `,
+        fog: true
+    });
+    material.uniforms.atlas.value = atlas; // set after the merge, which would copy the texture
+    return material;
+}
+
+// Pre-render `model` from every impostor viewpoint into one texture
+function renderImpostorAtlas(renderer, model, sphere) {
+    const columns = IMPOSTOR_AZIMUTHS;
+    const rows = IMPOSTOR_ELEVATIONS.length;
+    const target = new THREE.WebGLRenderTarget(columns * IMPOSTOR_CELL, rows * IMPOSTOR_CELL, {
+        colorSpace: THREE.SRGBColorSpace,
+        generateMipmaps: true,
+        minFilter: THREE.LinearMipmapLinearFilter
+    });
+
+    const scene = new THREE.Scene();
+    scene.add(new THREE.HemisphereLight(0xffffff, 0x505050, 2));
+    const sun = new THREE.DirectionalLight(0xffffff, 2);
+    sun.position.set(0.5, 1, 0.3);
+    scene.add(sun);
+    scene.add(model.clone());
+    const half = sphere.radius / IMPOSTOR_FILL;
+    const camera = new THREE.OrthographicCamera(-half, half, half, -half, sphere.radius, sphere.radius * 4);
+
+    const previousTarget = renderer.getRenderTarget();
+    const previousClearColor = renderer.getClearColor(new THREE.Color());
+    const previousClearAlpha = renderer.getClearAlpha();
+    const previousAutoClear = renderer.autoClear;
+    renderer.setRenderTarget(target);
+    renderer.setClearColor(0x000000, 0);
+    renderer.clear();
+    renderer.autoClear = false;
+    for (let row = 0; row < rows; row++) {
+        const elevation = THREE.MathUtils.degToRad(IMPOSTOR_ELEVATIONS[row]);
+        for (let column = 0; column < columns; column++) {
+            const azimuth = column / columns * Math.PI * 2;
+            camera.position.set(
+                Math.sin(azimuth) * Math.cos(elevation),
+                Math.sin(elevation),
+                Math.cos(azimuth) * Math.cos(elevation)
+            ).multiplyScalar(sphere.radius * 2).add(sphere.center);
+            camera.lookAt(sphere.center);
+            target.viewport.set(column * IMPOSTOR_CELL, row * IMPOSTOR_CELL, IMPOSTOR_CELL, IMPOSTOR_CELL);
+            renderer.setRenderTarget(target); // picks up the new viewport
+            renderer.render(scene, camera);
+        }
+    }
+    renderer.autoClear = previousAutoClear;
+    renderer.setClearColor(previousClearColor, previousClearAlpha);
+    renderer.setRenderTarget(previousTarget);
+    return target;
+}
+
+export class PlaneLod {
+    constructor(scene, renderer) {
+        this.scene = scene;
+        this.renderer = renderer;
+        this.batches = new Map(); // model name -> everything drawn for that model (see retain)
+        this.pixelScale = 500;    // pixels per metre at 1 m, for the current viewport
+        this.quad = new THREE.PlaneGeometry(1, 1);
+    }
+
+    // A plane of model `name` joined the fleet. `model` is its normalized model (scale 1); the
+    // first one of each model is measured, split into instanced parts and rendered into the atlas.
+    retain(name, model) {
+        let batch = this.batches.get(name);
+        if (!batch) {
+            model.updateMatrixWorld(true);
+            _inverse.copy(model.matrixWorld).invert();
+            const parts = [];
+            model.traverse((node) => {
+                if (!node.isMesh) return;
+                parts.push({
+                    geometry: node.geometry,
+                    material: node.material,
+                    local: new THREE.Matrix4().multiplyMatrices(_inverse, node.matrixWorld),
+                    mesh: null
+                });
+            });
+            const sphere = new THREE.Box3().setFromObject(model).applyMatrix4(_inverse).getBoundingSphere(new THREE.Sphere());
+            if (sphere.isEmpty() || sphere.radius <= 0) sphere.set(new THREE.Vector3(), 1);
+            const atlas = renderImpostorAtlas(this.renderer, model, sphere);
+            batch = {
+                users: 0,
+                sphere,
+                parts,
+                capacity: 0,   // instances each part's (and the impostor's) buffers can hold
+                instanced: 0,  // instanced planes this frame
+                impostors: 0,  // impostor planes this frame
+                atlas,
+                impostorMaterial: createImpostorMaterial(atlas.texture),
+                impostorGeometry: this.quad.clone(),
+                impostorMesh: null
+            };
+            this.batches.set(name, batch);
+        }
+        batch.users++;
+    }
+
+    // A plane of model `name` left; the model's batches go with its last plane
+    release(name) {
+        const batch = this.batches.get(name);
+        if (!batch || --batch.users > 0) return;
+        this.batches.delete(name);
+        for (const part of batch.parts) {
+            if (part.mesh) {
+                this.scene.remove(part.mesh);
+                part.mesh.dispose();
+            }
+        }
+        if (batch.impostorMesh) {
+            this.scene.remove(batch.impostorMesh);
+            batch.impostorMesh.dispose();
+        }
+        batch.impostorGeometry.dispose();
+        batch.impostorMaterial.dispose();
+        batch.atlas.dispose();
+    }
+
+    // Bounding sphere of model `name` in its own units (null until a plane of it has joined)
+    boundingSphere(name) {
+        const batch = this.batches.get(name);
+        return batch ? batch.sphere : null;
+    }
+
+    // Pixels across the screen for a plane of model `name` drawn at `scale`, `distance` away
+    pixelsAcross(name, scale, distance) {
+        const batch = this.batches.get(name);
+        if (!batch) return 0;
+        return batch.sphere.radius * 2 * scale * this.pixelScale / Math.max(distance, 1e-3);
+    }
+
+    // Level for a plane `pixels` across, currently shown at `current` (null when new)
+    levelFor(pixels, current) {
+        const keep = 1 - LEVEL_HYSTERESIS;
+        if (pixels >= FULL_DETAIL_PIXELS * (current === 'full' ? keep : 1)) return 'full';
+        if (pixels >= IMPOSTOR_PIXELS * (current === 'full' || current === 'instanced' ? keep : 1)) return 'instanced';
+        return 'impostor';
+    }
+
+    // Start a frame
+    begin(camera, viewportHeight) {
+        this.pixelScale = viewportHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+        for (const batch of this.batches.values()) {
+            batch.instanced = 0;
+            batch.impostors = 0;
+        }
+    }
+
+    // Grow a model's instance buffers to hold at least `count` planes
+    reserve(batch, count) {
+        if (count <= batch.capacity) return;
+        batch.capacity = Math.max(count, batch.capacity * 2, 16);
+        for (const part of batch.parts) {
+            const mesh = new THREE.InstancedMesh(part.geometry, part.material, batch.capacity);
+            mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+            mesh.frustumCulled = false; // planes are culled one by one in main.js
+            if (part.mesh) {
+                mesh.instanceMatrix.array.set(part.mesh.instanceMatrix.array);
+                this.scene.remove(part.mesh);
+                part.mesh.dispose();
+            }
+            part.mesh = mesh;
+            this.scene.add(mesh);
+        }
+
+        const cells = new THREE.InstancedBufferAttribute(new Float32Array(batch.capacity), 1).setUsage(THREE.DynamicDrawUsage);
+        const previousCells = batch.impostorGeometry.getAttribute('cell');
+        if (previousCells) cells.array.set(previousCells.array);
+        batch.impostorGeometry.setAttribute('cell', cells);
+        const impostorMesh = new THREE.InstancedMesh(batch.impostorGeometry, batch.impostorMaterial, batch.capacity);
+        impostorMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        impostorMesh.frustumCulled = false;
+        if (batch.impostorMesh) {
+            impostorMesh.instanceMatrix.array.set(batch.impostorMesh.instanceMatrix.array);
+            this.scene.remove(batch.impostorMesh);
+            batch.impostorMesh.dispose();
+        }
+        batch.impostorMesh = impostorMesh;
+        this.scene.add(impostorMesh);
+    }
+
+    // Draw a plane of model `name` at `matrixWorld` with the shared instanced parts
+    addInstanced(name, matrixWorld) {
+        const batch = this.batches.get(name);
+        if (!batch) return;
+        this.reserve(batch, Math.max(batch.instanced, batch.impostors) + 1);
+        for (const part of batch.parts) {
+            part.mesh.setMatrixAt(batch.instanced, _matrix.multiplyMatrices(matrixWorld, part.local));
+        }
+        batch.instanced++;
+    }
+
+    // Draw a plane of model `name` at `matrixWorld` as an impostor seen from `cameraPosition`
+    addImpostor(name, matrixWorld, cameraPosition) {
+        const batch = this.batches.get(name);
+        if (!batch) return;
+        this.reserve(batch, Math.max(batch.instanced, batch.impostors) + 1);
+        matrixWorld.decompose(_position, _quaternion, _scale);
+        _centre.copy(batch.sphere.center).applyMatrix4(matrixWorld);
+
+        // The view to show: the direction to the camera in the plane's own frame
+        _local.subVectors(cameraPosition, _centre).applyQuaternion(_quaternion.invert());
+        const azimuth = Math.atan2(_local.x, _local.z) / (Math.PI * 2) * IMPOSTOR_AZIMUTHS;
+        const column = ((Math.round(azimuth) % IMPOSTOR_AZIMUTHS) + IMPOSTOR_AZIMUTHS) % IMPOSTOR_AZIMUTHS;
+        const elevation = THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(_local.y / (_local.length() || 1), -1, 1)));
+        let row = 0;
+        IMPOSTOR_ELEVATIONS.forEach((e, i) => {
+            if (Math.abs(e - elevation) < Math.abs(IMPOSTOR_ELEVATIONS[row] - elevation)) row = i;
+        });
+
+        const size = batch.sphere.radius * 2 / IMPOSTOR_FILL * _scale.x;
+        batch.impostorMesh.setMatrixAt(batch.impostors, _matrix.makeScale(size, size, size).setPosition(_centre));
+        batch.impostorGeometry.getAttribute('cell').setX(batch.impostors, row * IMPOSTOR_AZIMUTHS + column);
+        batch.impostors++;
+    }
+
+    // Finish the frame; `brightness` (0..1) darkens the impostors' baked daylight at night
+    end(brightness) {
+        for (const batch of this.batches.values()) {
+            for (const part of batch.parts) {
+                if (!part.mesh) continue;
+                part.mesh.count = batch.instanced;
+                part.mesh.visible = batch.instanced > 0;
+                part.mesh.instanceMatrix.needsUpdate = true;
+            }
+            if (batch.impostorMesh) {
+                batch.impostorMesh.count = batch.impostors;
+                batch.impostorMesh.visible = batch.impostors > 0;
+                batch.impostorMesh.instanceMatrix.needsUpdate = true;
+                batch.impostorGeometry.getAttribute('cell').needsUpdate = true;
+                batch.impostorMaterial.uniforms.brightness.value = brightness;
+            }
+        }
+    }
+
+    // Planes drawn at each level this frame (for the debug HUD)
+    stats() {
+        let instanced = 0;
+        let impostors = 0;
+        for (const batch of this.batches.values()) {
+            instanced += batch.instanced;
+            impostors += batch.impostors;
+        }
+        return { instanced, impostors };
+    }
+}
@@ -0,0 +1,147 @@
+// Aircraft models available to the viewer, the fleet manifest format (public/models.json),
+// plus mapping from real-world ICAO aircraft type designators (as reported by ADS-B receivers)
+// to the closest model we have. Plain data: the simulation and Node scripts use it too.
+
+// Built-in plane models (GLB files served from /); the manifest normally lists the same files
+export const PLANE_MODELS = [
+    'B200_AFRC_AIR_0824.glb',
+    'C130_WFF_AIR_0824.glb',
+    'C20A_AFRC_AIR_0824.glb',
+    'DC8_AFRC_AIR_0824.glb',
+    'ER2_AFRC_AIR_0824.glb',
+    'G3_JSC_AIR_0824.glb',
+    'G4_NOAA_AIR_0824.glb',
+    'HU25_LARC_AIR_0824.glb',
+    'P3_WFF_AIR_0824.glb',
+    'SIERRA_ARC_AIR_0824.glb',
+    'TWIN_OTTER_CIRPAS_AIR_0824.glb',
+    'WB57_JSC_AIR_0824.glb',
+    'WP3D_N42RF_NOAA_AIR_0824.glb'
+];
+
+// Axes a model's nose can point along in its own file (the viewer flies planes nose-first along +Z)
+export const FORWARD_AXES = ['+z', '-z', '+x', '-x'];
+
+// A fleet entry with every optional field filled in
+function fleetEntry({ file, name = file.replace(/\.(glb|gltf)$/i, ''), type = null, scale = 1, forward = '+z', weight = 1 }) {
+    return { file, name, type, scale, forward, weight };
+}
+
+// The built-in fleet: every PLANE_MODELS entry, equally likely (used when there is no manifest)
+export function defaultFleet() {
+    return PLANE_MODELS.map(file => fleetEntry({ file }));
+}
+
+// Parse a model manifest (public/models.json):
+//   { "models": [{ "file": "ER2_AFRC_AIR_0824.glb", "name": "ER-2", "type": "U2",
+//                  "scale": 1, "forward": "+z", "weight": 1 }, ...] }
+// Only `file` is required; `type` is an ICAO type designator (it picks the performance profile of
+// models without their own), `scale` corrects the model's units, `forward` is the axis its nose
+// points along and `weight` how often it spawns relative to the others (0 = only for traffic).
+// Returns { models, errors }: the usable entries plus a message for each entry that was skipped.
+export function parseModelManifest(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    const list = Array.isArray(data) ? data : data && data.models;
+    if (!Array.isArray(list)) throw new Error('expected a "models" array');
+
+    const models = [];
+    const errors = [];
+    const seen = new Set();
+    list.forEach((raw, index) => {
+        const label = raw && typeof raw.file === 'string' ? raw.file : `entry ${index + 1}`;
+        const problem = !raw || typeof raw !== 'object' ? 'not an object'
+            : typeof raw.file !== 'string' || !/\.(glb|gltf)$/i.test(raw.file) ? '"file" must name a .glb or .gltf file'
+            : seen.has(raw.file) ? 'listed twice'
+            : raw.name !== undefined && typeof raw.name !== 'string' ? '"name" must be a string'
+            : raw.type !== undefined && raw.type !== null && typeof raw.type !== 'string' ? '"type" must be a string'
+            : raw.scale !== undefined && !(Number.isFinite(raw.scale) && raw.scale > 0) ? '"scale" must be a positive number'
+            : raw.forward !== undefined && !FORWARD_AXES.includes(raw.forward) ? `"forward" must be one of ${FORWARD_AXES.join(', ')}`
+            : raw.weight !== undefined && !(Number.isFinite(raw.weight) && raw.weight >= 0) ? '"weight" must be a number ≥ 0'
+            : null;
+        if (problem) {
+            errors.push(`${label}: ${problem}`);
+            return;
+        }
+        seen.add(raw.file);
+        models.push(fleetEntry({ ...raw, type: raw.type ? raw.type.trim().toUpperCase() : null }));
+    });
+    return { models, errors };
+}
+
+// Weighted pick of a fleet entry's file; `random` is a number in [0, 1)
+export function pickModel(fleet, random) {
+    const total = fleet.reduce((sum, entry) => sum + entry.weight, 0);
+    if (total <= 0) return fleet.length ? fleet[0].file : DEFAULT_MODEL;
+    let remaining = random * total;
+    for (const entry of fleet) {
+        remaining -= entry.weight;
+        if (remaining < 0) return entry.file;
+    }
+    return fleet[fleet.length - 1].file;
+}
+
+// Exact ICAO type designators for the aircraft our models actually are
+const EXACT_TYPES = {
+    BE20: 'B200_AFRC_AIR_0824.glb',
+    C130: 'C130_WFF_AIR_0824.glb',
+    C30J: 'C130_WFF_AIR_0824.glb',
+    DC86: 'DC8_AFRC_AIR_0824.glb',
+    DC87: 'DC8_AFRC_AIR_0824.glb',
+    U2: 'ER2_AFRC_AIR_0824.glb',
+    GLF3: 'G3_JSC_AIR_0824.glb',
+    GLF4: 'G4_NOAA_AIR_0824.glb',
+    FA20: 'HU25_LARC_AIR_0824.glb',
+    P3: 'P3_WFF_AIR_0824.glb',
+    DHC6: 'TWIN_OTTER_CIRPAS_AIR_0824.glb',
+    B57: 'WB57_JSC_AIR_0824.glb'
+};
+
+// Families of other types, matched by designator prefix/pattern, mapped to the nearest look-alike
+const TYPE_FAMILIES = [
+    // Airliners (narrow and wide body) -> the only airliner we have
+    { pattern: /^(A3\d\d|A2\d|B7\d\d|B7\d|MD\d\d|DC\d|E1\d\d|E7\d|CRJ\d|BCS\d|A3\d)/, model: 'DC8_AFRC_AIR_0824.glb' },
+    // Large four-engine turboprops / military transports
+    { pattern: /^(L10|A400|C160|P8|E3|E6)/, model: 'C130_WFF_AIR_0824.glb' },
+    // Gulfstream II -> the C-20A, a Gulfstream III (its stretched successor)
+    { pattern: /^GLF2/, model: 'C20A_AFRC_AIR_0824.glb' },
+    // Large business jets
+    { pattern: /^(GLF\d|GLEX|GL\dT|CL\d\d|F900|FA7X|FA8X)/, model: 'G4_NOAA_AIR_0824.glb' },
+    // Small and mid-size business jets
+    { pattern: /^(FA\d|LJ\d|C25|C5\d|C6\d|C7\d|E50P|E55P|H25|HDJT|PC24)/, model: 'HU25_LARC_AIR_0824.glb' },
+    // Regional and utility turboprops
+    { pattern: /^(DH8|DHC|AT\d|SF34|E120|JS\d|C208|PC12|KODI|B190)/, model: 'TWIN_OTTER_CIRPAS_AIR_0824.glb' },
+    // Light twins
+    { pattern: /^(BE\d|B350|PA3\d|PA44|C3\d\d|C4\d\d|P68|DA42|DA62)/, model: 'B200_AFRC_AIR_0824.glb' },
+    // Light singles and small UAVs -> the small SIERRA UAS is the closest in size
+    { pattern: /^(C1\d\d|C2\d\d|PA\d|SR2|M20|DA4|DR40|TB\d|P28)/, model: 'SIERRA_ARC_AIR_0824.glb' },
+    // Fast military jets
+    { pattern: /^(F\d\d|F\d|T38|T6|A10|EUFI|HAWK)/, model: 'WB57_JSC_AIR_0824.glb' }
+];
+
+// ADS-B emitter category (A1..A7, B1..B7) fallback when the type is unknown
+const CATEGORY_MODELS = {
+    A1: 'SIERRA_ARC_AIR_0824.glb',       // light (< 15,500 lb)
+    A2: 'B200_AFRC_AIR_0824.glb',        // small
+    A3: 'DC8_AFRC_AIR_0824.glb',         // large
+    A4: 'DC8_AFRC_AIR_0824.glb',         // high-vortex large (B757)
+    A5: 'DC8_AFRC_AIR_0824.glb',         // heavy
+    A6: 'WB57_JSC_AIR_0824.glb',         // high performance
+    A7: 'SIERRA_ARC_AIR_0824.glb',       // rotorcraft
+    B1: 'ER2_AFRC_AIR_0824.glb',         // glider (long wings)
+    B6: 'SIERRA_ARC_AIR_0824.glb'        // UAV
+};
+
+const DEFAULT_MODEL = 'G4_NOAA_AIR_0824.glb';
+
+// Closest model for an ICAO type designator (e.g. 'B738') and/or ADS-B category (e.g. 'A3').
+// Always returns an entry of PLANE_MODELS.
+export function modelForAircraftType(icaoType, category) {
+    const type = String(icaoType || '').trim().toUpperCase();
+    if (type) {
+        if (EXACT_TYPES[type]) return EXACT_TYPES[type];
+        const family = TYPE_FAMILIES.find(f => f.pattern.test(type));
+        if (family) return family.model;
+    }
+    const cat = String(category || '').trim().toUpperCase();
+    return CATEGORY_MODELS[cat] || DEFAULT_MODEL;
+}
@@ -0,0 +1,40 @@
+// Seedable pseudo-random numbers so a scene can be reproduced from its seed.
+// Every subsystem draws from its own stream (derived from the scene seed plus a label),
+// so e.g. drawing the grass texture never shifts the numbers the fleet gets.
+// Streams keep their position in a plain `rngState` field, which lets simulation state
+// stay plain data.
+
+// FNV-1a hash of a string to an unsigned 32-bit seed
+export function hashSeed(text) {
+    let hash = 0x811c9dc5;
+    const str = String(text);
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Seed for a named sub-stream of a scene seed (e.g. deriveSeed(seed, 'stars'))
+export function deriveSeed(seed, label) {
+    return hashSeed(`${seed}:${label}`);
+}
+
+// Advance `holder.rngState` (mulberry32) and return a number in [0, 1)
+export function nextRandom(holder) {
+    let t = (holder.rngState = (holder.rngState + 0x6D2B79F5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Math.random-style function for one stream
+export function createRandom(seed) {
+    const holder = { rngState: seed >>> 0 };
+    return () => nextRandom(holder);
+}
+
+// Short human-friendly seed for sessions started without one
+export function generateSeed() {
+    return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
@@ -0,0 +1,81 @@
+// Debug overlay for traffic separation: a line between the two planes of every predicted conflict
+// (amber for traffic, red once it needs resolving) and a ring showing the protected horizontal
+// radius around each plane with a resolution advisory. Reads state.conflicts from simulation.js.
+
+import * as THREE from 'three';
+import { SEPARATION_HORIZONTAL } from './simulation.js';
+
+const RING_SEGMENTS = 32;
+const COLORS = {
+    traffic: new THREE.Color(0xffaa00),
+    resolution: new THREE.Color(0xff3030),
+    loss: new THREE.Color(0xff3030),
+    advisory: new THREE.Color(0x30c0ff)
+};
+
+export class SeparationOverlay {
+    constructor(scene) {
+        this.capacity = 0; // line segments the buffers can hold
+        this.geometry = new THREE.BufferGeometry();
+        const material = new THREE.LineBasicMaterial({
+            vertexColors: true,
+            depthTest: false,   // visible through terrain and other planes
+            transparent: true,
+            opacity: 0.9,
+            fog: false
+        });
+        this.lines = new THREE.LineSegments(this.geometry, material);
+        this.lines.frustumCulled = false;
+        this.lines.renderOrder = 10;
+        this.lines.visible = false;
+        scene.add(this.lines);
+    }
+
+    // Grow the buffers to at least `segments` line segments
+    reserve(segments) {
+        if (segments <= this.capacity) return;
+        this.capacity = Math.max(segments, this.capacity * 2, 64);
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.capacity * 6), 3).setUsage(THREE.DynamicDrawUsage));
+        this.geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(this.capacity * 6), 3).setUsage(THREE.DynamicDrawUsage));
+    }
+
+    // Redraw from `conflicts` (state.conflicts). `meshFor(id)` returns the interpolated mesh of
+    // simulation plane `id`, or null if it has none yet; `planes` are the simulation planes.
+    update(visible, conflicts, planes, meshFor) {
+        this.lines.visible = visible;
+        if (!visible) return;
+
+        const advised = planes.filter(plane => plane.advisory && meshFor(plane.id));
+        this.reserve(conflicts.length + advised.length * RING_SEGMENTS);
+        const positions = this.geometry.attributes.position;
+        const colors = this.geometry.attributes.color;
+        let n = 0; // vertices written
+        const vertex = (x, y, z, color) => {
+            positions.setXYZ(n, x, y, z);
+            colors.setXYZ(n, color.r, color.g, color.b);
+            n++;
+        };
+
+        for (const conflict of conflicts) {
+            const a = meshFor(conflict.a);
+            const b = meshFor(conflict.b);
+            if (!a || !b) continue;
+            const color = COLORS[conflict.level];
+            vertex(a.position.x, a.position.y, a.position.z, color);
+            vertex(b.position.x, b.position.y, b.position.z, color);
+        }
+        for (const plane of advised) {
+            const { x, y, z } = meshFor(plane.id).position;
+            for (let i = 0; i < RING_SEGMENTS; i++) {
+                const a0 = i / RING_SEGMENTS * Math.PI * 2;
+                const a1 = (i + 1) / RING_SEGMENTS * Math.PI * 2;
+                vertex(x + Math.cos(a0) * SEPARATION_HORIZONTAL, y, z + Math.sin(a0) * SEPARATION_HORIZONTAL, COLORS.advisory);
+                vertex(x + Math.cos(a1) * SEPARATION_HORIZONTAL, y, z + Math.sin(a1) * SEPARATION_HORIZONTAL, COLORS.advisory);
+            }
+        }
+
+        this.geometry.setDrawRange(0, n);
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+    }
+}
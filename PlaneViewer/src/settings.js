@@ -0,0 +1,151 @@
+// Runtime settings: the values we tweak every day, editable live from the settings panel.
+// Precedence: URL query parameter > localStorage > default. Values changed in the panel are
+// saved to localStorage; URL overrides only last for the session unless edited.
+
+const STORAGE_KEY = 'planeviewer.settings';
+
+// Each entry becomes one row in the settings panel and one `?key=value` URL parameter
+export const SETTINGS_SCHEMA = [
+    { key: 'maxPlanes', label: 'Planes', type: 'number', min: 0, max: 500, step: 1, default: 10 },
+    { key: 'planeSpeedMult', label: 'Plane speed ×', type: 'number', min: 0.25, max: 10, step: 0.25, default: 3 },
+    { key: 'cameraSpeedMult', label: 'Camera speed ×', type: 'number', min: 0.5, max: 20, step: 0.5, default: 4 },
+    // Moment the sky starts at (e.g. 2024-06-21T21:00, the browser's time zone unless one is given;
+    // blank: now), and how many times faster than simulated time the sky clock runs
+    { key: 'skyTime', label: 'Sky date/time (blank = now)', type: 'string', default: '' },
+    { key: 'skyTimeScale', label: 'Sky time ×', type: 'number', min: 0, max: 3600, step: 1, default: 1 },
+    { key: 'constellations', label: 'Constellation lines', type: 'boolean', default: false },
+    { key: 'fogNear', label: 'Fog start (m)', type: 'number', min: 0, max: 20000, step: 50, default: 500 },
+    { key: 'fogFar', label: 'Fog end (m)', type: 'number', min: 100, max: 30000, step: 50, default: 1200 },
+    { key: 'planeBaseScale', label: 'Plane scale', type: 'number', min: 5, max: 120, step: 1, default: 40 },
+    // Far chunks drop to coarser levels of detail; raise Fog end too to actually see them
+    { key: 'chunkRadius', label: 'Terrain radius (chunks)', type: 'number', min: 1, max: 12, step: 1, default: 1 },
+    // Preset (weather.js); changes cross-fade. Its humidity decides the contrails too.
+    { key: 'weather', label: 'Weather', type: 'string', options: ['clear', 'scattered', 'overcast', 'rain', 'snow', 'thunderstorm', 'fog'], default: 'clear' },
+    // Contrails form above the altitude when the air is at least that humid, and last longer the
+    // more humid it is; exhaust trails are a faint haze behind the planes below it
+    { key: 'trails', label: 'Contrails', type: 'boolean', default: true },
+    { key: 'contrailAltitude', label: 'Contrail altitude (m AGL)', type: 'number', min: 0, max: 800, step: 10, default: 450 },
+    { key: 'contrailHumidity', label: 'Contrail humidity', type: 'number', min: 0, max: 1, step: 0.05, default: 0.4 },
+    { key: 'exhaustTrails', label: 'Exhaust trails', type: 'boolean', default: false },
+    // Airport near the start position; `reload` settings only take effect when the page is reloaded
+    { key: 'airport', label: 'Airport', type: 'boolean', default: true, reload: true },
+    { key: 'airportBearing', label: 'Airport bearing (°)', type: 'number', min: 0, max: 355, step: 5, default: 45, reload: true },
+    { key: 'airportDistance', label: 'Airport distance (m)', type: 'number', min: 0, max: 5000, step: 100, default: 1200, reload: true },
+    { key: 'runway', label: 'Runway (0 = best fit)', type: 'number', min: 0, max: 36, step: 1, default: 0, reload: true },
+    { key: 'airportPlanes', label: 'Airport planes', type: 'number', min: 0, max: 8, step: 1, default: 3 },
+    // Climb/descend/turn advisories between planes on a collision course
+    { key: 'separation', label: 'Traffic separation', type: 'boolean', default: true },
+    { key: 'mouseSensitivity', label: 'Mouse sensitivity', type: 'number', min: 0.0005, max: 0.006, step: 0.0001, default: 0.0022 },
+    // Real-world observer position that replayed/live traffic is placed around and whose sky is drawn (default: NASA Armstrong, Edwards CA)
+    { key: 'observerLat', label: 'Observer latitude', type: 'number', input: 'number', min: -90, max: 90, step: 0.0001, default: 34.9240 },
+    { key: 'observerLon', label: 'Observer longitude', type: 'number', input: 'number', min: -180, max: 180, step: 0.0001, default: -117.8912 },
+    { key: 'observerElevation', label: 'Observer elevation (m)', type: 'number', input: 'number', min: -500, max: 9000, step: 1, default: 702 },
+    { key: 'trafficScale', label: 'Traffic distance scale', type: 'number', min: 0.01, max: 1, step: 0.01, default: 0.1 },
+    // WebSocket relay for 📡 Go live (scripts/traffic-relay.js or scripts/traffic-standin.js)
+    { key: 'liveTrafficUrl', label: 'Live traffic URL', type: 'string', default: 'ws://localhost:30008' },
+    { key: 'debugHud', label: 'Debug HUD', type: 'boolean', default: false },
+    { key: 'debugLights', label: 'Debug lights', type: 'boolean', default: false },
+    { key: 'debugSeparation', label: 'Debug separation', type: 'boolean', default: false }
+];
+
+const SCHEMA_BY_KEY = new Map(SETTINGS_SCHEMA.map(def => [def.key, def]));
+
+// Coerce a raw value (string from the URL, anything from storage) to the setting's type and range.
+// Returns undefined when the value can't be used.
+function coerce(def, raw) {
+    if (def.type === 'boolean') {
+        if (typeof raw === 'boolean') return raw;
+        const text = String(raw).toLowerCase();
+        if (['1', 'true', 'on', 'yes', ''].includes(text)) return true;
+        if (['0', 'false', 'off', 'no'].includes(text)) return false;
+        return undefined;
+    }
+    if (def.type === 'string') {
+        if (raw === null || raw === undefined) return undefined;
+        const text = String(raw).trim();
+        return def.options && !def.options.includes(text) ? undefined : text;
+    }
+    const num = Number(raw);
+    if (raw === null || raw === '' || !Number.isFinite(num)) return undefined;
+    return Math.max(def.min, Math.min(def.max, num));
+}
+
+export class Settings {
+    constructor({ storage = globalThis.localStorage, search = globalThis.location ? globalThis.location.search : '' } = {}) {
+        this.storage = storage || null;
+        this.values = {};
+        this.saved = {};               // what localStorage holds (URL overrides are never written back)
+        this.urlOverrides = new Set(); // keys currently set by the URL
+        this.listeners = [];
+
+        for (const def of SETTINGS_SCHEMA) this.values[def.key] = def.default;
+
+        // Saved values
+        let saved = {};
+        try {
+            saved = JSON.parse((this.storage && this.storage.getItem(STORAGE_KEY)) || '{}') || {};
+        } catch (err) {
+            console.warn('Ignoring unreadable saved settings:', err);
+        }
+        for (const [key, raw] of Object.entries(saved)) {
+            const def = SCHEMA_BY_KEY.get(key);
+            const value = def && coerce(def, raw);
+            if (value !== undefined) this.values[key] = this.saved[key] = value;
+        }
+
+        // URL overrides
+        const params = new URLSearchParams(search);
+        for (const def of SETTINGS_SCHEMA) {
+            if (!params.has(def.key)) continue;
+            const value = coerce(def, params.get(def.key));
+            if (value !== undefined) {
+                this.values[def.key] = value;
+                this.urlOverrides.add(def.key);
+            }
+        }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    // Update one setting, persist it and notify listeners. Returns the stored (coerced) value.
+    set(key, raw) {
+        const def = SCHEMA_BY_KEY.get(key);
+        if (!def) throw new Error(`Unknown setting: ${key}`);
+        const value = coerce(def, raw);
+        if (value === undefined || value === this.values[key]) return this.values[key];
+
+        this.values[key] = this.saved[key] = value;
+        this.urlOverrides.delete(key);
+        this.save();
+        this.listeners.forEach(fn => fn(key, value));
+        return value;
+    }
+
+    // Restore every setting to its default (and clear saved values)
+    reset() {
+        // URL overrides end here too; those already at their default don't change below, so tell
+        // the listeners about them separately
+        const atDefault = [...this.urlOverrides].filter(key => this.values[key] === SCHEMA_BY_KEY.get(key).default);
+        this.urlOverrides.clear();
+        for (const def of SETTINGS_SCHEMA) this.set(def.key, def.default);
+        atDefault.forEach(key => this.listeners.forEach(fn => fn(key, this.values[key])));
+        this.saved = {};
+        if (this.storage) this.storage.removeItem(STORAGE_KEY);
+    }
+
+    // Register fn(key, value), called after any setting changes
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.saved));
+        } catch (err) {
+            console.warn('Failed to save settings:', err);
+        }
+    }
+}
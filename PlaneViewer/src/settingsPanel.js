@@ -0,0 +1,107 @@
+// Settings panel: a toggle button plus one row per SETTINGS_SCHEMA entry.
+// Edits go straight to the Settings store, which saves them and notifies listeners.
+
+import { SETTINGS_SCHEMA } from './settings.js';
+
+// Number of decimals needed to show a step size (0.0005 -> 4)
+function decimalsFor(step) {
+    const text = String(step);
+    return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
+// Builds the panel and inserts it (toggle first) right after `anchor`
+export function createSettingsPanel(settings, anchor) {
+    const toggle = document.createElement('button');
+    toggle.id = 'settings-toggle';
+    toggle.textContent = '⚙️ Settings';
+
+    const panel = document.createElement('div');
+    panel.id = 'settings-panel';
+    panel.hidden = true;
+
+    const inputs = new Map(); // key -> { input, readout, row }
+
+    for (const def of SETTINGS_SCHEMA) {
+        const row = document.createElement('label');
+        row.className = 'settings-row';
+        if (def.reload) row.classList.add('needs-reload');
+
+        const name = document.createElement('span');
+        name.className = 'settings-label';
+        name.textContent = def.label;
+        row.appendChild(name);
+
+        const input = document.createElement(def.options ? 'select' : 'input');
+        let readout = null;
+        if (def.options) {
+            for (const option of def.options) input.add(new Option(option, option));
+            input.addEventListener('change', () => settings.set(def.key, input.value));
+            row.appendChild(input);
+        } else if (def.type === 'boolean') {
+            input.type = 'checkbox';
+            input.addEventListener('change', () => settings.set(def.key, input.checked));
+            row.appendChild(input);
+        } else if (def.type === 'string') {
+            input.type = 'text';
+            input.spellcheck = false;
+            input.addEventListener('change', () => settings.set(def.key, input.value));
+            row.appendChild(input);
+        } else if (def.input === 'number') {
+            // Wide ranges with fine steps (coordinates) are typed rather than dragged
+            input.type = 'number';
+            input.min = def.min;
+            input.max = def.max;
+            input.step = def.step;
+            input.addEventListener('change', () => settings.set(def.key, input.value));
+            row.appendChild(input);
+        } else {
+            input.type = 'range';
+            input.min = def.min;
+            input.max = def.max;
+            input.step = def.step;
+            input.addEventListener('input', () => settings.set(def.key, input.value));
+            row.appendChild(input);
+
+            readout = document.createElement('span');
+            readout.className = 'settings-value';
+            row.appendChild(readout);
+        }
+
+        inputs.set(def.key, { def, input, readout, row });
+        panel.appendChild(row);
+    }
+
+    const resetBtn = document.createElement('button');
+    resetBtn.className = 'settings-reset';
+    resetBtn.textContent = 'Reset to defaults';
+    resetBtn.addEventListener('click', () => settings.reset());
+    panel.appendChild(resetBtn);
+
+    // Reflect the store's current value in a row
+    function refresh(key) {
+        const entry = inputs.get(key);
+        if (!entry) return;
+        const value = settings.get(key);
+        if (entry.def.type === 'boolean') {
+            entry.input.checked = value;
+        } else {
+            entry.input.value = value;
+            if (entry.readout) entry.readout.textContent = value.toFixed(decimalsFor(entry.def.step));
+        }
+        const fromUrl = settings.urlOverrides.has(key);
+        entry.row.classList.toggle('url-override', fromUrl);
+        entry.row.title = (fromUrl ? `Set by the URL (?${key}=...) for this session` : `?${key}=...`) +
+            (entry.def.reload ? ' (applies after a reload)' : '');
+    }
+
+    SETTINGS_SCHEMA.forEach(def => refresh(def.key));
+    settings.onChange(refresh);
+
+    toggle.addEventListener('click', () => {
+        panel.hidden = !panel.hidden;
+        toggle.classList.toggle('active', !panel.hidden);
+    });
+
+    anchor.after(toggle, panel);
+    return panel;
+}
@@ -0,0 +1,1734 @@
+// Headless plane simulation core.
+// Everything here works on plain data (numbers and {x, y, z} objects) and never touches
+// the DOM, the renderer or Three.js, so it can be stepped in Node as well as in the browser.
+// main.js owns the meshes and copies each plane's state onto them after stepping.
+// All randomness comes from seeded streams (see random.js), so the same seed and the same
+// sequence of steps always produce the same flights.
+
+import { deriveSeed, generateSeed, nextRandom } from './random.js';
+import {
+    RUNWAY_LENGTH, TAXIWAY_OFFSET, HOLD_SHORT_ACROSS, LINEUP_ALONG, EXITS, STAND_COUNT, GLIDE_SLOPE,
+    TOUCHDOWN_ALONG, FINAL_APPROACH_FIX, fromRunway, toRunway, glideSlopeHeight, standPosition
+} from './airport.js';
+import { SpatialGrid } from './spatialGrid.js';
+import { defaultFleet, pickModel } from './planeModels.js';
+import { profileForModel } from './aircraftProfiles.js';
+import { FIXED_TIMESTEP } from './clock.js';
+import { meanWindAt, windAt, turbulenceAt } from './wind.js';
+
+// Base ground height - the mean level the terrain undulates around (Y=0 in world space)
+export const GROUND_HEIGHT = 0;
+
+// --- Altitude Limits: ALL VALUES ARE HEIGHT ABOVE GROUND (AGL) ---
+// AGL is measured from the terrain under the point (state.terrain.heightAt), not from GROUND_HEIGHT
+export const MIN_HEIGHT_AGL = 50;   // Reference floor (meters AGL)
+export const MAX_HEIGHT_AGL = 800;  // Reference ceiling (meters AGL) - very high to give lots of room
+export const FLOOR_AVOIDANCE_DIST = 150;  // Wide danger zone - start pushing up when within this distance of floor
+export const CEILING_AVOIDANCE_DIST = 150; // Wide danger zone - start pushing down when within this distance of ceiling
+
+// Convert between AGL and absolute Y over ground at height `groundY`
+export const aglToY = (agl, groundY = GROUND_HEIGHT) => groundY + agl;
+export const yToAGL = (y, groundY = GROUND_HEIGHT) => y - groundY;
+
+// Define safe zone for all operations (well away from floor/ceiling limits)
+export const SAFE_ZONE_MIN = MIN_HEIGHT_AGL + FLOOR_AVOIDANCE_DIST + 50; // 250m (50 + 150 + 50)
+export const SAFE_ZONE_MAX = MAX_HEIGHT_AGL - CEILING_AVOIDANCE_DIST - 50; // 600m (800 - 150 - 50)
+
+// Floor avoidance also looks this many seconds ahead along the track, so planes start
+// climbing before a ridge rather than over it
+const TERRAIN_LOOKAHEAD = 25;
+
+// --- Aircraft performance (see aircraftProfiles.js) ---
+const PERFORMANCE_SPREAD = 0.08;  // individual airframes vary ±8% around their type's figures
+const CRUISE_REFERENCE = 7.5;     // cruise speed of one "speed unit" (see speedUnit below)
+const CLIMB_REFERENCE = 1.25;     // climb rate of an average climber (climbPerformance 1)
+const DESCENT_RATIO = 0.55;       // best descent rate as a fraction of the climb rate
+const SLOW_FLIGHT_RATIO = 0.6;    // fraction of cruise speed flown down at the floor
+const CEILING_CLIMB_MIN = 0.25;   // climb left at the service ceiling, so rising terrain can still be cleared
+const GRAVITY = 9.81;
+
+// --- Waypoint System ---
+const WAYPOINT_DISTANCE_MIN = 800;  // Minimum distance from plane to waypoint
+const WAYPOINT_DISTANCE_MAX = 1500; // Maximum distance from plane to waypoint
+
+// Spawn/despawn bounding boxes (sizes)
+export const DESPAWN_BOX_SIZE = 6000; // beyond this box around the observer planes will be respawned
+export const SPAWN_DISTANCE_MIN = 1200; // minimum distance from viewer to spawn (well beyond fog)
+export const SPAWN_DISTANCE_MAX = 1800; // maximum distance from viewer to spawn
+
+// Wind System Configuration (the field itself, by height, is in wind.js)
+const WIND_CHANGE_INTERVAL = 60; // Change wind every 60 seconds
+const WIND_EASE = 10;             // seconds for the wind to settle into a new range
+const MAX_CRAB = 30 * Math.PI / 180; // planes too slow for the wind give up some track rather than fly sideways
+const TURBULENCE_FREQUENCY = 0.3; // How often turbulence affects each plane
+
+// --- Airport traffic (see the flight phases section below) ---
+// Speeds are in the plane's speed unit (its base speed × the speed multiplier), so the whole
+// circuit speeds up with the multiplier; distances are in metres and fit the fixed runway.
+const TAXI_SPEED = 1.5;
+const TAXI_ACCEL = 0.3;               // speed units per second
+const ROTATE_SPEED = 3.6;
+const APPROACH_SPEED = 4.2;
+const TAKEOFF_ROLL_MIN = 350;         // metres to rotation speed for the best climber...
+const TAKEOFF_ROLL_MAX = 600;         // ...and for the worst
+const ROTATION_PITCH = 8 * Math.PI / 180;
+const ROTATION_RATE = 3 * Math.PI / 180;   // radians per second
+const CLIMB_ANGLE_MIN = 5 * Math.PI / 180;
+const CLIMB_ANGLE_MAX = 8 * Math.PI / 180;
+const MAX_CLIMB_ANGLE = 12 * Math.PI / 180; // when terrain ahead needs more
+const ANGLE_OF_ATTACK = 4 * Math.PI / 180;  // nose above the flight path while climbing/approaching
+const FLARE_HEIGHT = 6;               // metres above the runway
+const FLARE_PITCH = 5 * Math.PI / 180;
+const GROUND_TURN_RATE = 0.5;         // radians per second
+const ENROUTE_DISTANCE_MIN = 3000;    // metres flown between takeoff and asking to land
+const ENROUTE_DISTANCE_MAX = 8000;
+const AIRPORT_RANGE = 8000;           // airport planes farther than this head back
+const APPROACH_RETRY = 15;            // seconds between requests while another plane is landing
+const APPROACH_TIMEOUT = 900;         // seconds to get established on the approach before giving up
+const PARK_TIME_MIN = 20;
+const PARK_TIME_MAX = 90;
+const DEPARTURE_SPACING = 40;         // seconds after a liftoff before the next departure rolls
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const lerp = (a, b, t) => a + (b - a) * t;
+const wrapAngle = (a) => Math.atan2(Math.sin(a), Math.cos(a));
+const vec3 = (x = 0, y = 0, z = 0) => ({ x, y, z });
+const copyVec3 = (v) => ({ x: v.x, y: v.y, z: v.z });
+
+// Ground for simulations created without terrain
+const FLAT_TERRAIN = { heightAt: () => GROUND_HEIGHT };
+
+// Create an empty simulation state.
+// `observer` is the point planes spawn around and are recycled relative to (the camera in the viewer).
+// `seed` picks the random streams; planes get their own stream keyed by spawn order.
+// `terrain` is anything with heightAt(x, z) (see terrain.js); the ground is flat without one.
+// `airport` comes from createAirport (airport.js); up to `airportPlanes` planes fly its circuit.
+// `fleet` lists the models planes are picked from (see planeModels.js; the built-in list by default).
+export function createSimulation(options = {}) {
+    const seed = String(options.seed ?? generateSeed());
+    const state = {
+        seed,
+        rngState: deriveSeed(seed, 'wind'), // stream for global (non-plane) decisions
+        time: 0, // simulated seconds
+        observer: copyVec3(options.observer || vec3()),
+        terrain: options.terrain || FLAT_TERRAIN,
+        airport: options.airport || null,
+        fleet: options.fleet || defaultFleet(), // [{ file, type, weight, ... }]; the viewer adds imported models
+        wind: null,
+        config: {
+            speedMultiplier: options.speedMultiplier ?? 1, // Global plane speed multiplier (debug)
+            airportPlanes: options.airportPlanes ?? 0,     // How many planes fly the airport circuit
+            separation: options.separation ?? true,        // Resolution advisories between planes
+            debugConsole: options.debugConsole ?? false    // Log spawn/altitude events to console
+        },
+        nextPlaneId: 1,
+        planes: [],
+        conflicts: [],      // predicted separation conflicts, most urgent first (see updateSeparation)
+        separationTimer: 0,
+        guarded: [],        // pairs of planes the separation guard watches until the next scan
+        // The last conflict scan: the planes' mean search range (m), how many neighbours the grid
+        // offered them (a pair seen from both planes counts twice) and the pairs that got as far
+        // as the closest-approach maths
+        separationStats: { range: 0, visited: 0, checked: 0 }
+    };
+    state.wind = {
+        direction: nextRandom(state) * Math.PI * 2, // Global wind direction (radians)
+        strength: 0.5 + nextRandom(state) * 1.5,    // Wind strength (0.5-2.0)
+        min: 0.5, max: 2.0,                         // range new strengths are drawn from (setWindWeather)
+        turbulence: 0.2,                            // the weather's roughness, 0..1
+        convection: { cover: 0, base: 0, top: 0 },  // the cumulus layer (world Y), for turbulence in cloud
+        gustPhase: nextRandom(state) * 1000,        // seconds into the gust pattern (see wind.js)
+        changeTimer: 0
+    };
+    return state;
+}
+
+// Terrain height under a world X/Z point
+export function groundHeightAt(state, x, z) {
+    return state.terrain.heightAt(x, z);
+}
+
+// Height of a plane state above the terrain under it (as of its last step or sync)
+export function planeAGL(plane) {
+    return yToAGL(plane.position.y, plane.groundHeight);
+}
+
+// AGL of a point ({x, y, z}) over the terrain under it
+function pointAGL(state, point) {
+    return yToAGL(point.y, groundHeightAt(state, point.x, point.z));
+}
+
+// Put a point `agl` above the terrain under it
+function setPointAGL(state, point, agl) {
+    point.y = aglToY(agl, groundHeightAt(state, point.x, point.z));
+}
+
+// Random height (AGL) in the plane's preferred band, which always lies within the safe zone
+function cruiseAltitude(plane) {
+    const [low, high] = plane.altitudes;
+    return clamp(low + nextRandom(plane) * (high - low), SAFE_ZONE_MIN, SAFE_ZONE_MAX);
+}
+
+// Compute a spawn altitude in the plane's preferred band
+function computeSpawnAltitude(plane) {
+    return aglToY(cruiseAltitude(plane), plane.groundHeight); // Convert to absolute Y position
+}
+
+// Generate a waypoint far from the plane's current position, in its preferred altitude band
+function generateWaypoint(state, plane) {
+    const distance = WAYPOINT_DISTANCE_MIN + nextRandom(plane) * (WAYPOINT_DISTANCE_MAX - WAYPOINT_DISTANCE_MIN);
+    const angle = nextRandom(plane) * Math.PI * 2; // Random horizontal direction
+    const altitude = cruiseAltitude(plane);
+
+    const waypoint = vec3(
+        plane.position.x + Math.cos(angle) * distance,
+        0,
+        plane.position.z + Math.sin(angle) * distance
+    );
+    setPointAGL(state, waypoint, altitude);
+    return waypoint;
+}
+
+// Put the plane at random spots from `place()` until one is clear of the other planes (see
+// trafficClearance), or at the clearest of SPAWN_ATTEMPTS of them
+function placeClearOfTraffic(state, plane, place) {
+    let best = null;
+    for (let attempt = 0; attempt < SPAWN_ATTEMPTS; attempt++) {
+        place();
+        const clearance = trafficClearance(state, plane);
+        if (clearance >= 1) return;
+        if (!best || clearance > best.clearance) {
+            best = { clearance, position: copyVec3(plane.position), groundHeight: plane.groundHeight };
+        }
+    }
+    Object.assign(plane.position, best.position);
+    plane.groundHeight = best.groundHeight;
+}
+
+// Pick a spawn point on a ring around `center` (not on visible borders), clear of other planes
+function placeAroundCenter(state, plane, center) {
+    placeClearOfTraffic(state, plane, () => {
+        const spawnDistance = SPAWN_DISTANCE_MIN + nextRandom(plane) * (SPAWN_DISTANCE_MAX - SPAWN_DISTANCE_MIN);
+        const spawnAngle = nextRandom(plane) * Math.PI * 2; // random direction
+
+        plane.position.x = center.x + Math.cos(spawnAngle) * spawnDistance;
+        plane.position.z = center.z + Math.sin(spawnAngle) * spawnDistance;
+        plane.groundHeight = groundHeightAt(state, plane.position.x, plane.position.z);
+        plane.position.y = computeSpawnAltitude(plane);
+    });
+}
+
+// Create a new plane around `center` (defaults to the observer) and add it to the simulation.
+// `model` is a fleet entry's file; without one the plane's random stream picks from state.fleet.
+export function spawnPlane(state, center = state.observer, model = null) {
+    const id = state.nextPlaneId++;
+    const rng = { rngState: deriveSeed(state.seed, `plane:${id}`) };
+
+    // Performance comes from the aircraft type, varied a little per airframe
+    const planeModel = model || pickModel(state.fleet, nextRandom(rng));
+    const entry = state.fleet.find(e => e.file === planeModel);
+    const profile = profileForModel(planeModel, entry ? entry.type : null);
+    const spread = () => 1 + (nextRandom(rng) * 2 - 1) * PERFORMANCE_SPREAD;
+    const cruiseSpeed = profile.cruiseSpeed * spread();
+    const baseMaxClimbRate = profile.climbRate * spread();
+    const baseMaxDescentRate = baseMaxClimbRate * DESCENT_RATIO;
+
+    // Spawn with level or slight climb to avoid immediate nosedive
+    const initialVSpeed = clamp(
+        nextRandom(rng) * baseMaxClimbRate * 0.5, // 0 to 50% of max climb (never negative at spawn)
+        0,
+        baseMaxClimbRate
+    );
+
+    const initialHeading = nextRandom(rng) * Math.PI * 2;
+    const initialWaypointInterval = 30 + nextRandom(rng) * 40; // Time before first waypoint change (30-70s)
+    const turbulenceTimer = nextRandom(rng) * 10; // Random start for turbulence
+    const lightTimer = nextRandom(rng) * 50; // Random start time for flashing (also phases turbulence wobble)
+
+    const plane = {
+        id,
+        rngState: rng.rngState, // this plane's random stream
+        spawnCount: 1, // bumped on every respawn so views know the plane teleported
+        position: vec3(),
+        groundHeight: GROUND_HEIGHT, // terrain height under the plane
+        speed: 0,
+
+        // Performance (see aircraftProfiles.js)
+        model: planeModel,
+        baseSpeed: cruiseSpeed / CRUISE_REFERENCE, // speed unit: the airport circuit's speeds scale with it
+        climbPerformance: baseMaxClimbRate / CLIMB_REFERENCE,
+        maxClimbRate: baseMaxClimbRate,
+        maxDescentRate: baseMaxDescentRate,
+        ceiling: profile.ceiling,
+        altitudes: [...profile.altitudes],
+        turnRate: profile.turnRate * Math.PI / 180, // radians per second
+        maxBank: profile.maxBank * Math.PI / 180,
+
+        // vertical speed in units per second (positive = ascending)
+        vSpeed: initialVSpeed,
+
+        // Orientation and momentum
+        heading: initialHeading,               // yaw angle in radians
+        pitch: 0,                              // start level; physics will adjust smoothly
+        roll: 0,                               // roll/bank angle (changes during turns)
+        yawVelocity: 0,
+        rollVelocity: 0,
+        pitchVelocity: 0,
+        targetHeading: 0,
+
+        // Waypoint navigation
+        waypoint: null,
+        waypointTimer: 0,
+        waypointInterval: initialWaypointInterval,
+        smoothWaypoint: null,
+        targetWaypoint: null,
+        waypointControlPoint: null,
+        waypointBlendFactor: 1.0,
+
+        // Wind effects (see applyWind)
+        wind: null,               // the wind at the plane, { x, z } m/s
+        track: initialHeading,    // direction of travel over the ground (heading less the crab)
+        groundSpeed: 0,
+        turbulence: 0,            // how rough the air is here (wind.js turbulenceAt)
+        turbulenceTimer,
+        turbulenceOffset: vec3(), // Current turbulence displacement
+        lightTimer,
+
+        // Airport circuit (see the flight phases section); null for planes that just wander
+        phase: null,
+        phaseTime: 0,
+        stand: null,
+
+        // Resolution advisory from the separation system, or null
+        advisory: null,
+
+        // Diagnostics (filled in every step)
+        altitudeError: 0,
+        lastDesiredClimb: 0,
+        floorDist: 0,
+        ceilingDist: 0,
+        inDangerZone: false
+    };
+
+    if (wantsAirportPlane(state)) {
+        startAirportPlane(state, plane);
+    } else {
+        placeAroundCenter(state, plane, center);
+        plane.waypoint = generateWaypoint(state, plane);
+        updatePlaneSpeed(state, plane);
+    }
+
+    if (state.config.debugConsole) {
+        console.log('🛫 Creating plane:', {
+            model: profile.name,
+            initialVSpeed: initialVSpeed.toFixed(2),
+            maxClimb: baseMaxClimbRate.toFixed(2),
+            maxDescent: baseMaxDescentRate.toFixed(2)
+        });
+    }
+
+    state.planes.push(plane);
+    return plane;
+}
+
+// Take a plane out of the simulation
+export function removePlane(state, plane) {
+    const index = state.planes.indexOf(plane);
+    if (index !== -1) state.planes.splice(index, 1);
+}
+
+// Teleport a plane back onto the spawn ring around `center`
+// (or, while the airport is short of planes, to the start of an approach)
+export function respawnPlane(state, plane, center = state.observer) {
+    if (plane.phase || wantsAirportPlane(state)) {
+        enterAsArrival(state, plane);
+        plane.spawnCount++;
+        return;
+    }
+    placeAroundCenter(state, plane, center);
+
+    const maxClimbRate = plane.maxClimbRate || 1.2;
+
+    // Respawn with level or slight climb to avoid nosedive
+    plane.vSpeed = clamp(
+        nextRandom(plane) * maxClimbRate * 0.5, // 0 to 50% of max climb
+        0,
+        maxClimbRate
+    );
+    plane.lightTimer = nextRandom(plane) * 50;
+
+    // Generate new waypoint for respawned plane and restart the curved-path blend from it
+    plane.waypoint = generateWaypoint(state, plane);
+    plane.smoothWaypoint = null;
+    plane.waypointTimer = 0;
+
+    if (state.config.debugConsole) {
+        console.log('🔄 Respawning plane at:', {
+            altitude: plane.position.y.toFixed(1),
+            vSpeed: plane.vSpeed.toFixed(2),
+            waypoint: `(${plane.waypoint.x.toFixed(0)}, ${plane.waypoint.y.toFixed(0)}, ${plane.waypoint.z.toFixed(0)})`
+        });
+    }
+
+    // Reset physics on respawn
+    plane.heading = nextRandom(plane) * Math.PI * 2;
+    plane.pitch = 0; // start level on respawn; physics will introduce attitude gradually
+    plane.roll = 0;
+    plane.yawVelocity = 0;
+    plane.rollVelocity = 0;
+    plane.pitchVelocity = 0;
+    plane.track = plane.heading;
+    plane.advisory = null;
+    plane.spawnCount++;
+
+    updatePlaneSpeed(state, plane);
+}
+
+// 0 at the floor, 1 at the ceiling
+export function heightRatio(plane) {
+    return (planeAGL(plane) - MIN_HEIGHT_AGL) / (MAX_HEIGHT_AGL - MIN_HEIGHT_AGL);
+}
+
+// En-route speed: the plane's cruise speed at the top of its altitude band, slower lower down
+function cruiseSpeed(state, plane) {
+    const height = clamp((planeAGL(plane) - MIN_HEIGHT_AGL) / (plane.altitudes[1] - MIN_HEIGHT_AGL), 0, 1);
+    return CRUISE_REFERENCE * lerp(SLOW_FLIGHT_RATIO, 1, height) * speedUnit(state, plane); // units per second
+}
+
+function updatePlaneSpeed(state, plane) {
+    plane.speed = cruiseSpeed(state, plane);
+}
+
+// --- Wind System Update ---
+function updateWind(state, dt) {
+    const wind = state.wind;
+    wind.changeTimer += dt;
+
+    // Gradually change wind direction and strength
+    if (wind.changeTimer > WIND_CHANGE_INTERVAL) {
+        wind.changeTimer = 0;
+        // New wind direction (gradual shift, not complete reversal)
+        wind.direction += (nextRandom(state) - 0.5) * Math.PI * 0.5; // ±45 degree shift
+        wind.strength = wind.min + nextRandom(state) * (wind.max - wind.min);
+
+        if (state.config.debugConsole) {
+            console.log(`💨 Wind changed: ${(wind.direction * 180 / Math.PI).toFixed(0)}° @ ${wind.strength.toFixed(1)} strength`);
+        }
+    }
+
+    // Outside its range (the weather changed): ease into it
+    const settled = clamp(wind.strength, wind.min, wind.max);
+    wind.strength += (settled - wind.strength) * Math.min(1, dt / WIND_EASE);
+}
+
+// Follow the weather (Weather.current, see weather.js): the wind strength eases into its range,
+// and its turbulence and cumulus layer set how rough the air is
+export function setWindWeather(state, weather) {
+    const wind = state.wind;
+    wind.min = weather.windMin;
+    wind.max = Math.max(weather.windMin, weather.windMax);
+    wind.turbulence = weather.turbulence;
+    wind.convection.cover = weather.cumulusCover;
+    wind.convection.base = GROUND_HEIGHT + weather.cumulusBase;
+    wind.convection.top = GROUND_HEIGHT + weather.cumulusTop;
+}
+
+// Heading to fly for `track` over the ground: into the mean wind at the plane's height by
+// the crab angle that cancels the crosswind
+function headingForTrack(state, plane, track) {
+    const wind = meanWindAt(state.wind, planeAGL(plane));
+    const crosswind = wind.x * Math.cos(track) - wind.z * Math.sin(track); // blowing to the right of the track
+    const airspeed = Math.max(plane.speed, 0.1);
+    return track - Math.asin(clamp(crosswind / airspeed, -Math.sin(MAX_CRAB), Math.sin(MAX_CRAB)));
+}
+
+// Angle of the nose off the track (radians, positive with the nose left of it): the crab
+// into a crosswind
+export function crabAngle(plane) {
+    return plane.track === undefined ? 0 : wrapAngle(plane.heading - plane.track);
+}
+
+// Waypoint wandering along curved (quadratic Bezier) paths
+function updateNavigation(state, plane, dt) {
+    // Initialize waypoint if not set
+    if (!plane.waypoint) {
+        plane.waypoint = generateWaypoint(state, plane);
+    }
+
+    // Update waypoint periodically (wander to new locations)
+    plane.waypointTimer += dt;
+    if (plane.waypointTimer > plane.waypointInterval) {
+        plane.waypointTimer = 0;
+        plane.waypointInterval = 30 + nextRandom(plane) * 40; // 30-70 seconds
+        plane.waypoint = generateWaypoint(state, plane);
+        if (state.config.debugConsole) {
+            console.log(`🎯 New waypoint: (${plane.waypoint.x.toFixed(0)}, ${plane.waypoint.y.toFixed(0)}, ${plane.waypoint.z.toFixed(0)})`);
+        }
+    }
+
+    // Initialize waypoint system if needed
+    if (!plane.smoothWaypoint) {
+        plane.smoothWaypoint = copyVec3(plane.waypoint);
+        plane.targetWaypoint = copyVec3(plane.waypoint); // The "next" waypoint we're blending toward
+        plane.waypointBlendFactor = 1.0; // 0 = old waypoint, 1 = fully at target waypoint
+        plane.waypointControlPoint = null; // Control point for curved path
+    }
+
+    // Distance to current smooth waypoint (what we're navigating to right now)
+    const toX = plane.smoothWaypoint.x - plane.position.x;
+    const toY = plane.smoothWaypoint.y - plane.position.y;
+    const toZ = plane.smoothWaypoint.z - plane.position.z;
+    const waypointDistance = Math.hypot(toX, toY, toZ);
+
+    // If we're close to the smooth waypoint, generate a new target and start blending
+    if (waypointDistance < 200 && plane.waypointBlendFactor >= 0.99) {
+        const newWaypoint = generateWaypoint(state, plane);
+
+        // Start a smooth blend from current smoothWaypoint to new target
+        plane.waypoint = copyVec3(plane.smoothWaypoint); // Old waypoint = where we are now
+        plane.targetWaypoint = newWaypoint; // New target
+        plane.waypointBlendFactor = 0.0; // Start blending from 0 to 1
+
+        // Generate a control point for a curved path (not direct route):
+        // a point offset perpendicular to the direct path
+        const pathX = newWaypoint.x - plane.smoothWaypoint.x;
+        const pathY = newWaypoint.y - plane.smoothWaypoint.y;
+        const pathZ = newWaypoint.z - plane.smoothWaypoint.z;
+        const pathDistance = Math.hypot(pathX, pathY, pathZ);
+        const perpLength = Math.hypot(pathX, pathZ) || 1;
+        const perpX = -pathZ / perpLength;
+        const perpZ = pathX / perpLength;
+
+        // Randomly curve left or right with varying intensity
+        const curveDirection = nextRandom(plane) < 0.5 ? 1 : -1;
+        const curveIntensity = 0.3 + nextRandom(plane) * 0.4; // 30-70% offset from direct path
+        const offset = pathDistance * curveIntensity * curveDirection;
+
+        // Control point is at midpoint plus perpendicular offset
+        plane.waypointControlPoint = vec3(
+            plane.smoothWaypoint.x + pathX * 0.5 + perpX * offset,
+            plane.smoothWaypoint.y + pathY * 0.5,
+            plane.smoothWaypoint.z + pathZ * 0.5 + perpZ * offset
+        );
+
+        // Keep control point altitude in safe zone
+        const controlAltitude = pointAGL(state, plane.waypointControlPoint);
+        if (controlAltitude < SAFE_ZONE_MIN) {
+            setPointAGL(state, plane.waypointControlPoint, SAFE_ZONE_MIN + 50);
+        } else if (controlAltitude > SAFE_ZONE_MAX) {
+            setPointAGL(state, plane.waypointControlPoint, SAFE_ZONE_MAX - 50);
+        }
+
+        if (state.config.debugConsole) console.log(`✅ New curved path: curve ${curveDirection > 0 ? 'right' : 'left'}, intensity ${(curveIntensity * 100).toFixed(0)}%`);
+    }
+
+    // Gradually blend using quadratic Bezier curve (old -> control -> target)
+    if (plane.waypointBlendFactor < 1.0) {
+        plane.waypointBlendFactor = Math.min(1.0, plane.waypointBlendFactor + 0.003); // Very slow blend rate for maximum smoothness
+
+        // Ease-out cubic: starts fast, ends slow
+        const t = plane.waypointBlendFactor;
+        const eased = 1 - Math.pow(1 - t, 3);
+
+        // Quadratic Bezier curve: B(t) = (1-t)²P0 + 2(1-t)t*P1 + t²P2
+        // P0 = old waypoint, P1 = control point, P2 = target waypoint
+        const a = (1 - eased) * (1 - eased);
+        const b = 2 * (1 - eased) * eased;
+        const c = eased * eased;
+        const p0 = plane.waypoint, p1 = plane.waypointControlPoint, p2 = plane.targetWaypoint;
+        plane.smoothWaypoint.x = p0.x * a + p1.x * b + p2.x * c;
+        plane.smoothWaypoint.y = p0.y * a + p1.y * b + p2.y * c;
+        plane.smoothWaypoint.z = p0.z * a + p1.z * b + p2.z * c;
+    }
+
+    // Ensure smooth waypoint altitude stays in safe zone (adjust if needed)
+    const smoothWaypointAltitude = pointAGL(state, plane.smoothWaypoint);
+    if (smoothWaypointAltitude < SAFE_ZONE_MIN) {
+        setPointAGL(state, plane.smoothWaypoint, SAFE_ZONE_MIN + 20);
+    } else if (smoothWaypointAltitude > SAFE_ZONE_MAX) {
+        setPointAGL(state, plane.smoothWaypoint, SAFE_ZONE_MAX - 20);
+    }
+
+    // Horizontal track toward SMOOTH waypoint for ultra-smooth turns (unless told to turn away from traffic),
+    // flown crabbed into the wind
+    let track = Math.atan2(plane.smoothWaypoint.x - plane.position.x, plane.smoothWaypoint.z - plane.position.z);
+    if (plane.advisory && plane.advisory.heading !== null) track = plane.advisory.heading;
+    plane.targetHeading = headingForTrack(state, plane, track);
+}
+
+// Vertical speed toward the smooth waypoint plus floor/ceiling danger-zone avoidance.
+// Planes hold height above the terrain, so they rise over hills and sink into valleys.
+function updateVerticalSpeed(state, plane) {
+    const altitude = planeAGL(plane); // Height above ground level
+    // Climb performance fades above the preferred band, down to CEILING_CLIMB_MIN at the service ceiling
+    const thinAir = clamp((altitude - plane.altitudes[1]) / (plane.ceiling - plane.altitudes[1]), 0, 1);
+    const maxClimbRate = (plane.maxClimbRate || 1.2) * lerp(1, CEILING_CLIMB_MIN, thinAir);
+    const maxDescentRate = plane.maxDescentRate || 0.8;
+    const climbPerformance = plane.climbPerformance || 1;
+
+    // Calculate distances to floor and ceiling reference points.
+    // The floor is the higher of the ground below and the ground TERRAIN_LOOKAHEAD seconds ahead.
+    const ahead = plane.speed * TERRAIN_LOOKAHEAD;
+    const groundAhead = groundHeightAt(state,
+        plane.position.x + Math.sin(plane.heading) * ahead,
+        plane.position.z + Math.cos(plane.heading) * ahead);
+    const floorDist = yToAGL(plane.position.y, Math.max(plane.groundHeight, groundAhead)) - MIN_HEIGHT_AGL;
+    const ceilingDist = MAX_HEIGHT_AGL - altitude;
+    const safeZoneMid = SAFE_ZONE_MIN + (SAFE_ZONE_MAX - SAFE_ZONE_MIN) * 0.5;
+    const waypointAltitude = pointAGL(state, plane.waypoint);
+
+    // Calculate desired vertical speed toward SMOOTH waypoint's height above ground (not abrupt waypoint)
+    const altitudeError = pointAGL(state, plane.smoothWaypoint) - altitude;
+    let desiredClimb = altitudeError * 0.06 * climbPerformance; // Even gentler proportional control
+
+    // Danger zone avoidance (wide 150m zones) - override waypoint if needed
+    if (floorDist < FLOOR_AVOIDANCE_DIST) {
+        const urgency = 1.0 - (floorDist / FLOOR_AVOIDANCE_DIST);
+        desiredClimb += maxClimbRate * urgency * 0.6;
+
+        // If in deep danger, move waypoint to upper safe zone
+        if (floorDist < FLOOR_AVOIDANCE_DIST * 0.5 && waypointAltitude < safeZoneMid) {
+            setPointAGL(state, plane.waypoint, safeZoneMid + nextRandom(plane) * (SAFE_ZONE_MAX - safeZoneMid));
+            if (state.config.debugConsole) console.log(`⚠️ FLOOR DANGER (${altitude.toFixed(0)}m): Waypoint moved up`);
+        }
+    }
+    else if (ceilingDist < CEILING_AVOIDANCE_DIST) {
+        const urgency = 1.0 - (ceilingDist / CEILING_AVOIDANCE_DIST);
+        desiredClimb -= maxDescentRate * urgency * 0.6;
+
+        // If in deep danger, move waypoint to lower safe zone
+        if (ceilingDist < CEILING_AVOIDANCE_DIST * 0.5 && waypointAltitude > safeZoneMid) {
+            setPointAGL(state, plane.waypoint, SAFE_ZONE_MIN + nextRandom(plane) * (safeZoneMid - SAFE_ZONE_MIN));
+            if (state.config.debugConsole) console.log(`⚠️ CEILING DANGER (${altitude.toFixed(0)}m): Waypoint moved down`);
+        }
+    }
+
+    // A resolution advisory takes over at full rate, but never pushes deeper into a danger zone
+    const advisory = plane.advisory;
+    if (advisory && advisory.climb > 0 && ceilingDist > CEILING_AVOIDANCE_DIST * 0.5) desiredClimb = maxClimbRate;
+    else if (advisory && advisory.climb < 0 && floorDist > FLOOR_AVOIDANCE_DIST * 0.5) desiredClimb = -maxDescentRate;
+
+    // Clamp to plane performance limits, then apply smoothly
+    desiredClimb = clamp(desiredClimb, -maxDescentRate, maxClimbRate);
+    plane.vSpeed = lerp(plane.vSpeed, desiredClimb, 0.2);
+
+    // Store for debugging
+    plane.altitudeError = altitudeError;
+    plane.lastDesiredClimb = desiredClimb;
+    plane.floorDist = floorDist;
+    plane.ceilingDist = ceilingDist;
+    plane.inDangerZone = (floorDist < FLOOR_AVOIDANCE_DIST || ceilingDist < CEILING_AVOIDANCE_DIST);
+}
+
+// Yaw/roll/pitch momentum. The gains are tuned per fixed step, so this must run at the fixed rate.
+// Wandering planes pitch with their vertical speed; airport phases pass the attitude they want.
+function updateAttitude(plane, targetPitch = clamp(-plane.vSpeed * 0.25, -Math.PI / 12, Math.PI / 12)) {
+    // Smooth heading change: interpolate towards target with weighted momentum
+    let headingDiff = plane.targetHeading - plane.heading;
+    // Wrap difference to [-π, π]
+    while (headingDiff > Math.PI) headingDiff -= Math.PI * 2;
+    while (headingDiff < -Math.PI) headingDiff += Math.PI * 2;
+
+    // Much more gradual acceleration for dramatic turns, damping maintains momentum longer
+    plane.yawVelocity += headingDiff * 0.02;
+    plane.yawVelocity *= 0.97;
+
+    // Turn no faster than the type's turn rate, or than its bank limit allows at this speed
+    const maxBank = plane.maxBank || Math.PI / 4;
+    const speed = Math.max(plane.speed, 1);
+    const maxTurnRate = Math.min(plane.turnRate || 0.36, GRAVITY * Math.tan(maxBank) / speed);
+    const maxYawChange = maxTurnRate * FIXED_TIMESTEP;
+    plane.yawVelocity = clamp(plane.yawVelocity, -maxYawChange, maxYawChange);
+    plane.heading += plane.yawVelocity;
+
+    // Banking/roll effect: the bank of a coordinated turn at this rate and speed
+    const turnRate = plane.yawVelocity / FIXED_TIMESTEP;
+    const targetRoll = clamp(-Math.atan(speed * turnRate / GRAVITY), -maxBank, maxBank);
+
+    // Smooth roll transition - takes time to bank into and out of turns
+    plane.rollVelocity += (targetRoll - plane.roll) * 0.015; // Gradual roll acceleration
+    plane.rollVelocity *= 0.93; // Damping for smooth roll
+    const maxRollChange = 0.008;
+    plane.rollVelocity = clamp(plane.rollVelocity, -maxRollChange, maxRollChange);
+    plane.roll = clamp(plane.roll + plane.rollVelocity, -maxBank - 0.1, maxBank + 0.1); // bank limit, plus room for turbulence
+
+    // Pitch toward targetPitch (by default it responds to vertical speed, within ±15°)
+    // Note: pitch is NEGATIVE for nose up, POSITIVE for nose down (Three.js rotation.x convention)
+
+    // Momentum-based smoothing - pitch changes slowly with weight
+    plane.pitchVelocity += (targetPitch - plane.pitch) * 0.008;
+    plane.pitchVelocity *= 0.95;
+    const maxPitchChange = 0.005;
+    plane.pitchVelocity = clamp(plane.pitchVelocity, -maxPitchChange, maxPitchChange);
+    plane.pitch = clamp(plane.pitch + plane.pitchVelocity, -Math.PI / 9, Math.PI / 9); // safety clamp to ±20°
+}
+
+// The air mass carries the plane along (it flies its heading through the air, so over the
+// ground it moves along its track), and its turbulence shakes it
+function applyWind(state, plane, dt) {
+    const height = planeAGL(plane);
+    const wind = windAt(state.wind, height, state.time, plane.position.x, plane.position.z);
+    plane.position.x += wind.x * dt;
+    plane.position.z += wind.z * dt;
+    plane.wind = wind;
+
+    // Track and speed over the ground: airspeed along the nose plus the wind
+    const groundX = Math.sin(plane.heading) * plane.speed + wind.x;
+    const groundZ = Math.cos(plane.heading) * plane.speed + wind.z;
+    plane.track = Math.atan2(groundX, groundZ);
+    plane.groundSpeed = Math.hypot(groundX, groundZ);
+
+    // Turbulence (random small movements), by the layer the plane is in and the weather
+    const strength = turbulenceAt(state.wind, height, plane.position.y);
+    plane.turbulence = strength;
+    plane.turbulenceTimer += dt;
+    if (plane.turbulenceTimer > TURBULENCE_FREQUENCY) {
+        plane.turbulenceTimer = 0;
+        const turbStrength = strength * 0.4;
+        plane.turbulenceOffset.x = (nextRandom(plane) - 0.5) * turbStrength;
+        plane.turbulenceOffset.y = (nextRandom(plane) - 0.5) * turbStrength * 0.6;
+        plane.turbulenceOffset.z = (nextRandom(plane) - 0.5) * turbStrength;
+    }
+    plane.position.x += plane.turbulenceOffset.x * dt * 3;
+    plane.position.y += plane.turbulenceOffset.y * dt * 3;
+    plane.position.z += plane.turbulenceOffset.z * dt * 3;
+
+    // Roll, pitch and yaw wobble from turbulence (multiple frequencies for realism)
+    const t = state.time;
+    const phase = plane.lightTimer;
+    plane.roll += (Math.sin(t * 0.5 + phase) * strength * 0.04 +
+                   Math.sin(t * 1.2 + phase * 0.7) * strength * 0.025) * dt;
+    plane.pitch += (Math.sin(t * 0.8 + phase * 1.3) * strength * 0.02 +
+                    Math.sin(t * 1.5 + phase * 0.5) * strength * 0.015) * dt;
+    plane.heading += Math.sin(t * 0.6 + phase * 0.9) * strength * 0.03 * dt;
+}
+
+// Advance one plane by one fixed step
+export function stepPlane(state, plane, dt) {
+    if (plane.phase && plane.phase !== 'enroute') {
+        stepFlightPhase(state, plane, dt);
+        plane.lightTimer += dt;
+        return;
+    }
+
+    updateNavigation(state, plane, dt);
+    updateVerticalSpeed(state, plane);
+
+    plane.position.y += plane.vSpeed * dt;
+    updatePlaneSpeed(state, plane);
+
+    updateAttitude(plane);
+
+    // Move forward along the nose direction (yaw then pitch; roll doesn't change the nose)
+    const cosPitch = Math.cos(plane.pitch);
+    const distance = plane.speed * dt;
+    plane.position.x += Math.sin(plane.heading) * cosPitch * distance;
+    plane.position.y += -Math.sin(plane.pitch) * distance;
+    plane.position.z += Math.cos(plane.heading) * cosPitch * distance;
+
+    applyWind(state, plane, dt);
+    plane.groundHeight = groundHeightAt(state, plane.position.x, plane.position.z);
+
+    // Airport planes between flights stay around the airport instead of being recycled
+    if (plane.phase === 'enroute') {
+        updateEnroute(state, plane, dt);
+        plane.lightTimer += dt;
+        return;
+    }
+
+    // Despawn/respawn: if plane is outside the despawn bounding box around the observer, respawn it
+    const despawnHalf = DESPAWN_BOX_SIZE / 2;
+    if (Math.abs(plane.position.x - state.observer.x) > despawnHalf ||
+        Math.abs(plane.position.z - state.observer.z) > despawnHalf) {
+        respawnPlane(state, plane);
+        return;
+    }
+
+    plane.lightTimer += dt;
+}
+
+// --- Airport traffic: flight phases ---
+// Planes assigned to the airport (up to config.airportPlanes of them) fly a circuit instead of
+// wandering forever: parked -> taxi -> lineup (hold short, then line up) -> takeoff roll -> rotate
+// -> climb -> enroute (ordinary wandering, kept near the airport) -> approach (to the final
+// approach fix, then down the glide slope) -> flare -> touchdown -> rollout -> taxi -> parked.
+// One plane at a time may be on approach, and departures only roll when the runway is free.
+
+export const FLIGHT_PHASES = {
+    parked: '🅿️ Parked',
+    taxi: '🚕 Taxiing',
+    lineup: '⏸️ Lining up',
+    takeoff: '🛫 Takeoff roll',
+    rotate: '🛫 Rotation',
+    climb: '📈 Climb-out',
+    enroute: '✈️ En route',
+    approach: '🛬 Approach',
+    flare: '🛬 Flare',
+    touchdown: '🛬 Touchdown',
+    rollout: '🛬 Rollout'
+};
+
+// What an airport plane is doing, for display (null for wandering planes)
+export function flightPhaseLabel(plane) {
+    if (!plane.phase) return null;
+    if (plane.phase === 'lineup' && !plane.cleared) return '⏸️ Holding short';
+    if (plane.phase === 'approach') return plane.established ? '🛬 Approach (glide slope)' : '🛬 Approach (to final fix)';
+    return FLIGHT_PHASES[plane.phase];
+}
+
+// Speed unit of a plane (m/s): its base speed times the global multiplier
+const speedUnit = (state, plane) => (plane.baseSpeed || 1) * state.config.speedMultiplier;
+
+function countAirportPlanes(state) {
+    return state.planes.filter(plane => plane.phase).length;
+}
+
+// Should a plane that is (re)spawning join the airport circuit?
+function wantsAirportPlane(state) {
+    return Boolean(state.airport) && countAirportPlanes(state) < state.config.airportPlanes;
+}
+
+function setPhase(plane, phase) {
+    plane.phase = phase;
+    plane.phaseTime = 0;
+}
+
+// Level the plane and stop all rotation (after a teleport); it's going where it points
+function resetAttitude(plane) {
+    plane.track = plane.heading;
+    plane.pitch = 0;
+    plane.roll = 0;
+    plane.yawVelocity = 0;
+    plane.rollVelocity = 0;
+    plane.pitchVelocity = 0;
+}
+
+function freeStand(state) {
+    for (let stand = 0; stand < STAND_COUNT; stand++) {
+        if (!state.planes.some(plane => plane.stand === stand)) return stand;
+    }
+    return null;
+}
+
+// New airport plane: parked at a stand (if one is free) or inbound for an approach
+function startAirportPlane(state, plane) {
+    const stand = freeStand(state);
+    if (stand !== null && nextRandom(plane) < 0.5) parkAtStand(state, plane, stand);
+    else enterAsArrival(state, plane);
+}
+
+function parkAtStand(state, plane, stand) {
+    const { along, across } = standPosition(stand);
+    const { x, z } = fromRunway(state.airport, along, across);
+    plane.position.x = x;
+    plane.position.z = z;
+    plane.groundHeight = groundHeightAt(state, x, z);
+    plane.position.y = plane.groundHeight;
+    plane.heading = state.airport.heading - Math.PI / 2; // nose away from the runway
+    plane.speed = 0;
+    plane.vSpeed = 0;
+    resetAttitude(plane);
+    plane.stand = stand;
+    plane.parkTime = PARK_TIME_MIN + nextRandom(plane) * (PARK_TIME_MAX - PARK_TIME_MIN);
+    setPhase(plane, 'parked');
+}
+
+// Put the plane well out on the approach side, in the air (clear of other planes) and heading
+// for the final approach fix
+function enterAsArrival(state, plane) {
+    const airport = state.airport;
+    placeClearOfTraffic(state, plane, () => {
+        const along = -FINAL_APPROACH_FIX - 1500 - nextRandom(plane) * 2500;
+        const across = (nextRandom(plane) - 0.5) * 5000;
+        const { x, z } = fromRunway(airport, along, across);
+        plane.position.x = x;
+        plane.position.z = z;
+        plane.groundHeight = groundHeightAt(state, x, z);
+        plane.position.y = aglToY(SAFE_ZONE_MIN + nextRandom(plane) * 200, plane.groundHeight);
+    });
+    const fix = fromRunway(airport, -FINAL_APPROACH_FIX, 0);
+    plane.heading = Math.atan2(fix.x - plane.position.x, fix.z - plane.position.z);
+    plane.vSpeed = 0;
+    resetAttitude(plane);
+    plane.advisory = null;
+    plane.stand = null;
+    setPhase(plane, 'enroute');
+    plane.enrouteLeft = 0; // ask for the approach straight away
+    plane.approachRetry = 0;
+    plane.waypoint = generateWaypoint(state, plane);
+    plane.smoothWaypoint = null;
+    plane.waypointTimer = 0;
+    updatePlaneSpeed(state, plane);
+}
+
+// Back to ordinary wandering after a climb-out (and out of the circuit if there are too many)
+function enterEnroute(state, plane) {
+    if (countAirportPlanes(state) > state.config.airportPlanes) {
+        plane.phase = null;
+    } else {
+        setPhase(plane, 'enroute');
+        plane.enrouteLeft = ENROUTE_DISTANCE_MIN + nextRandom(plane) * (ENROUTE_DISTANCE_MAX - ENROUTE_DISTANCE_MIN);
+        plane.approachRetry = 0;
+    }
+    plane.waypoint = generateWaypoint(state, plane);
+    plane.smoothWaypoint = null;
+    plane.waypointTimer = 0;
+}
+
+// En-route bookkeeping (the wandering itself is done by stepPlane): once the plane has flown
+// far enough, or strayed too far, it asks for the approach until it gets it
+function updateEnroute(state, plane, dt) {
+    const airport = state.airport;
+    plane.enrouteLeft -= plane.speed * dt;
+    if (Math.hypot(plane.position.x - airport.x, plane.position.z - airport.z) > AIRPORT_RANGE) plane.enrouteLeft = 0;
+    if (plane.enrouteLeft > 0) return;
+
+    plane.approachRetry -= dt;
+    if (plane.approachRetry > 0) return;
+    if (countAirportPlanes(state) > state.config.airportPlanes) {
+        plane.phase = null; // left the circuit; wanders (and gets recycled) like any other plane
+        return;
+    }
+    const busy = state.planes.some(other => other !== plane &&
+        ['approach', 'flare', 'touchdown', 'rollout'].includes(other.phase));
+    if (busy) {
+        plane.approachRetry = APPROACH_RETRY;
+        return;
+    }
+    setPhase(plane, 'approach');
+    plane.established = false;
+    plane.turnedIn = false;
+    if (state.config.debugConsole) console.log(`🛬 Plane ${plane.id} cleared for the approach`);
+}
+
+// Metres of takeoff roll to rotation speed (better climbers need less runway)
+function takeoffRoll(plane) {
+    const performance = clamp(((plane.climbPerformance || 1) - 0.8) / 0.6, 0, 1);
+    return lerp(TAKEOFF_ROLL_MAX, TAKEOFF_ROLL_MIN, performance);
+}
+
+// Seconds from being cleared onto the runway until the plane is off the far end of it
+function departureDuration(state, plane) {
+    const rotateSpeed = ROTATE_SPEED * speedUnit(state, plane);
+    const roll = takeoffRoll(plane);
+    return 30 + (2 * roll + (RUNWAY_LENGTH - roll)) / rotateSpeed;
+}
+
+// Seconds until an approaching plane reaches the touchdown point
+function approachETA(state, plane) {
+    const airport = state.airport;
+    const { along } = toRunway(airport, plane.position.x, plane.position.z);
+    if (plane.established) return (TOUCHDOWN_ALONG - along) / Math.max(plane.speed, 0.1);
+    const fix = fromRunway(airport, -FINAL_APPROACH_FIX, 0);
+    const toFix = Math.hypot(fix.x - plane.position.x, fix.z - plane.position.z);
+    return (toFix + FINAL_APPROACH_FIX + TOUCHDOWN_ALONG) / Math.max(plane.speed, 0.1);
+}
+
+// Can `plane` (holding short) take the runway now?
+function runwayClearForDeparture(state, plane) {
+    const needed = departureDuration(state, plane);
+    return !state.planes.some(other => {
+        if (other === plane || !other.phase) return false;
+        switch (other.phase) {
+            case 'takeoff':
+            case 'rotate':
+            case 'flare':
+            case 'touchdown':
+            case 'rollout':
+                return true;
+            case 'lineup': return other.cleared;
+            case 'climb': return other.phaseTime < DEPARTURE_SPACING;
+            case 'approach': return approachETA(state, other) < needed;
+            default: return false;
+        }
+    });
+}
+
+// Is something other than `plane` on the runway (for a plane on short final)?
+function runwayOccupied(state, plane) {
+    return state.planes.some(other => other !== plane &&
+        (['takeoff', 'rotate', 'touchdown', 'rollout'].includes(other.phase) || (other.phase === 'lineup' && other.cleared)));
+}
+
+// Heading toward the runway centreline `lead` metres ahead of the plane
+function centrelineHeading(state, plane, lead) {
+    const { along } = toRunway(state.airport, plane.position.x, plane.position.z);
+    const target = fromRunway(state.airport, along + lead, 0);
+    return Math.atan2(target.x - plane.position.x, target.z - plane.position.z);
+}
+
+function changeSpeed(plane, target, rate, dt) {
+    plane.speed += clamp(target - plane.speed, -rate * dt, rate * dt);
+}
+
+// On the ground: turn toward `targetHeading` at a limited rate, wings and nose level
+function steerOnGround(plane, targetHeading, dt) {
+    const maxTurn = GROUND_TURN_RATE * dt;
+    plane.heading += clamp(wrapAngle(targetHeading - plane.heading), -maxTurn, maxTurn);
+    plane.roll += (0 - plane.roll) * Math.min(1, dt * 3);
+    plane.yawVelocity = 0;
+    plane.rollVelocity = 0;
+    plane.pitchVelocity = 0;
+}
+
+function moveOnGround(state, plane, dt) {
+    plane.position.x += Math.sin(plane.heading) * plane.speed * dt;
+    plane.position.z += Math.cos(plane.heading) * plane.speed * dt;
+    plane.groundHeight = groundHeightAt(state, plane.position.x, plane.position.z);
+    plane.position.y = plane.groundHeight;
+    plane.vSpeed = 0;
+    plane.wind = null;
+    plane.track = plane.heading;
+    plane.groundSpeed = plane.speed;
+}
+
+// In the air: along the heading at `speed`, up/down at `vSpeed` (pitch is only the attitude).
+// The wind comes on top (applyWind) except in the flare.
+function moveInAir(state, plane, dt) {
+    plane.position.x += Math.sin(plane.heading) * plane.speed * dt;
+    plane.position.z += Math.cos(plane.heading) * plane.speed * dt;
+    plane.position.y += plane.vSpeed * dt;
+    plane.groundHeight = groundHeightAt(state, plane.position.x, plane.position.z);
+    plane.wind = null;
+    plane.track = plane.heading;
+    plane.groundSpeed = plane.speed;
+}
+
+// Nose attitude for the current flight path plus some angle of attack (negative = nose up)
+const flightPathPitch = (plane, angleOfAttack) => -(Math.atan2(plane.vSpeed, Math.max(plane.speed, 0.1)) + angleOfAttack);
+
+// Taxi route through runway-frame points ({ along, across }), ending at `destination` ('runway' or 'stand')
+function startTaxi(state, plane, points, destination) {
+    plane.route = points.map(({ along, across }) => fromRunway(state.airport, along, across));
+    plane.routeIndex = 0;
+    plane.taxiTo = destination;
+    setPhase(plane, 'taxi');
+}
+
+// Follow plane.route at taxi speed; returns true once stopped at its last point
+function followRoute(state, plane, dt) {
+    const unit = speedUnit(state, plane);
+    const last = plane.route.length - 1;
+    let point = plane.route[plane.routeIndex];
+    let distance = Math.hypot(point.x - plane.position.x, point.z - plane.position.z);
+    if (plane.routeIndex < last && distance < Math.max(6, plane.speed * 2)) {
+        point = plane.route[++plane.routeIndex];
+        distance = Math.hypot(point.x - plane.position.x, point.z - plane.position.z);
+    }
+    if (plane.routeIndex === last && distance < 2) {
+        plane.speed = 0;
+        return true;
+    }
+
+    const targetHeading = Math.atan2(point.x - plane.position.x, point.z - plane.position.z);
+    let targetSpeed = TAXI_SPEED * unit;
+    if (Math.abs(wrapAngle(targetHeading - plane.heading)) > Math.PI / 3) targetSpeed *= 0.4; // sharp turn
+    if (plane.routeIndex === last) targetSpeed = Math.min(targetSpeed, Math.max(0.1 * unit, distance * 0.15));
+    changeSpeed(plane, targetSpeed, TAXI_ACCEL * unit, dt);
+    steerOnGround(plane, targetHeading, dt);
+    moveOnGround(state, plane, dt);
+    return false;
+}
+
+function stepParked(state, plane) {
+    plane.speed = 0;
+    if (plane.phaseTime < plane.parkTime) return;
+    const stand = standPosition(plane.stand);
+    plane.stand = null;
+    startTaxi(state, plane, [
+        { along: stand.along, across: TAXIWAY_OFFSET },
+        { along: LINEUP_ALONG, across: TAXIWAY_OFFSET },
+        { along: LINEUP_ALONG, across: HOLD_SHORT_ACROSS }
+    ], 'runway');
+}
+
+function stepTaxi(state, plane, dt) {
+    if (!followRoute(state, plane, dt)) return;
+    if (plane.taxiTo === 'runway') {
+        setPhase(plane, 'lineup');
+        plane.cleared = false;
+    } else {
+        plane.parkTime = PARK_TIME_MIN + nextRandom(plane) * (PARK_TIME_MAX - PARK_TIME_MIN);
+        setPhase(plane, 'parked');
+    }
+}
+
+// Hold short until the runway is free, then line up on the centreline and stop
+function stepLineup(state, plane, dt) {
+    if (!plane.cleared) {
+        plane.speed = 0;
+        if (plane.phaseTime < 3 || !runwayClearForDeparture(state, plane)) return;
+        plane.cleared = true;
+        plane.route = [
+            fromRunway(state.airport, LINEUP_ALONG, 12),
+            fromRunway(state.airport, LINEUP_ALONG + 45, 0)
+        ];
+        plane.routeIndex = 0;
+        if (state.config.debugConsole) console.log(`🛫 Plane ${plane.id} cleared for takeoff`);
+    }
+    if (followRoute(state, plane, dt)) setPhase(plane, 'takeoff');
+}
+
+// Accelerate down the runway to rotation speed (also used while rotating)
+function rollDownRunway(state, plane, dt) {
+    const rotateSpeed = ROTATE_SPEED * speedUnit(state, plane);
+    const accel = rotateSpeed * rotateSpeed / (2 * takeoffRoll(plane));
+    plane.speed += accel * dt;
+    steerOnGround(plane, centrelineHeading(state, plane, Math.max(60, plane.speed * 4)), dt);
+    moveOnGround(state, plane, dt);
+    return rotateSpeed;
+}
+
+function stepTakeoff(state, plane, dt) {
+    plane.pitch = 0;
+    if (plane.speed >= rollDownRunway(state, plane, dt)) setPhase(plane, 'rotate');
+}
+
+// Raise the nose; the plane lifts off most of the way to the rotation attitude
+function stepRotate(state, plane, dt) {
+    rollDownRunway(state, plane, dt);
+    plane.pitch = Math.max(-ROTATION_PITCH, plane.pitch - ROTATION_RATE * dt);
+    if (plane.pitch <= -ROTATION_PITCH * 0.8) setPhase(plane, 'climb');
+}
+
+// Climb straight out along the runway heading, steeper if the terrain ahead needs it
+function stepClimb(state, plane, dt) {
+    const unit = speedUnit(state, plane);
+    changeSpeed(plane, Math.max(ROTATE_SPEED * 1.15 * unit, cruiseSpeed(state, plane)), 0.2 * unit, dt);
+
+    const performance = clamp(((plane.climbPerformance || 1) - 0.8) / 0.6, 0, 1);
+    let climbAngle = lerp(CLIMB_ANGLE_MIN, CLIMB_ANGLE_MAX, performance);
+    const ahead = plane.speed * TERRAIN_LOOKAHEAD;
+    const groundAhead = groundHeightAt(state,
+        plane.position.x + Math.sin(plane.heading) * ahead,
+        plane.position.z + Math.cos(plane.heading) * ahead);
+    const needed = Math.atan2(aglToY(MIN_HEIGHT_AGL, groundAhead) - plane.position.y, ahead);
+    climbAngle = clamp(needed, climbAngle, MAX_CLIMB_ANGLE);
+    plane.vSpeed = lerp(plane.vSpeed, plane.speed * Math.tan(climbAngle), 0.05);
+
+    plane.targetHeading = headingForTrack(state, plane, centrelineHeading(state, plane, Math.max(300, plane.speed * 20)));
+    updateAttitude(plane, flightPathPitch(plane, ANGLE_OF_ATTACK));
+    moveInAir(state, plane, dt);
+    applyWind(state, plane, dt);
+    if (planeAGL(plane) >= SAFE_ZONE_MIN) enterEnroute(state, plane);
+}
+
+// Missed approach: climb out again and come back for another try
+function goAround(state, plane, reason) {
+    setPhase(plane, 'climb');
+    if (state.config.debugConsole) console.log(`🔁 Plane ${plane.id} going around: ${reason}`);
+}
+
+// Onto the extended centreline outside the final approach fix, then down the glide slope
+function stepApproach(state, plane, dt) {
+    const airport = state.airport;
+    const unit = speedUnit(state, plane);
+    const { along, across } = toRunway(airport, plane.position.x, plane.position.z);
+    changeSpeed(plane, APPROACH_SPEED * (plane.turnedIn ? 1 : 1.5) * unit, 0.1 * unit, dt);
+
+    let target;
+    let targetY;
+    if (!plane.established) {
+        // Planes still inside the fix first fly out to one side of the extended centreline, then
+        // turn in to intercept it and hold the fix's height until they meet the glide slope
+        if (!plane.turnedIn && along < -FINAL_APPROACH_FIX - 800) plane.turnedIn = true;
+        target = plane.turnedIn
+            ? fromRunway(airport, Math.max(along, -FINAL_APPROACH_FIX - 800) + Math.max(250, plane.speed * 20), 0)
+            : fromRunway(airport, -FINAL_APPROACH_FIX - 1500, across < 0 ? -1500 : 1500);
+        targetY = airport.elevation + glideSlopeHeight(-FINAL_APPROACH_FIX);
+        const inbound = Math.abs(wrapAngle(plane.track - airport.heading)) < Math.PI / 6;
+        const onGlideSlope = Math.abs(plane.position.y - airport.elevation - glideSlopeHeight(along)) < 40;
+        if (plane.turnedIn && inbound && Math.abs(across) < 60 && onGlideSlope) {
+            plane.established = true;
+        } else if (plane.phaseTime > APPROACH_TIMEOUT || (plane.turnedIn && along > -1500)) {
+            goAround(state, plane, 'not established on the approach');
+            return;
+        }
+    }
+    if (plane.established) {
+        target = fromRunway(airport, along + Math.max(250, plane.speed * 20), 0);
+        targetY = airport.elevation + glideSlopeHeight(along);
+        if (along > -800) {
+            if (plane.position.y - targetY > 40) return goAround(state, plane, 'too high');
+            if (Math.abs(across) > 50) return goAround(state, plane, 'not lined up');
+            if (runwayOccupied(state, plane)) return goAround(state, plane, 'runway occupied');
+        }
+        if (along > 0 && plane.position.y - airport.elevation <= FLARE_HEIGHT) {
+            setPhase(plane, 'flare');
+            plane.flareSink = Math.max(-plane.vSpeed, 0.05 * unit);
+            return;
+        }
+    }
+
+    // Stay clear of the hills until over the airport's flattened ground
+    if (along < -300) targetY = Math.max(targetY, aglToY(MIN_HEIGHT_AGL, plane.groundHeight));
+
+    const glideSink = plane.established ? plane.speed * Math.tan(GLIDE_SLOPE) : 0;
+    const desired = -glideSink + (targetY - plane.position.y) * plane.speed / 250;
+    plane.vSpeed = lerp(plane.vSpeed, clamp(desired, -plane.speed * Math.tan(7 * Math.PI / 180), plane.speed * Math.tan(5 * Math.PI / 180)), 0.05);
+
+    plane.targetHeading = headingForTrack(state, plane, Math.atan2(target.x - plane.position.x, target.z - plane.position.z));
+    updateAttitude(plane, flightPathPitch(plane, ANGLE_OF_ATTACK));
+    moveInAir(state, plane, dt);
+    applyWind(state, plane, dt);
+}
+
+// Raise the nose and bleed off the sink rate until the wheels touch. Close to the runway the
+// wind is ignored, so the plane kicks out its crab and lands straight along the centreline.
+function stepFlare(state, plane, dt) {
+    const unit = speedUnit(state, plane);
+    changeSpeed(plane, APPROACH_SPEED * 0.9 * unit, 0.15 * unit, dt);
+    const height = plane.position.y - plane.groundHeight;
+    plane.vSpeed = -Math.max(height * plane.flareSink / FLARE_HEIGHT, plane.flareSink * 0.35);
+
+    plane.targetHeading = centrelineHeading(state, plane, Math.max(150, plane.speed * 10));
+    updateAttitude(plane, -FLARE_PITCH);
+    moveInAir(state, plane, dt);
+
+    if (plane.position.y <= plane.groundHeight) {
+        plane.position.y = plane.groundHeight;
+        plane.vSpeed = 0;
+        setPhase(plane, 'touchdown');
+    } else if (toRunway(state.airport, plane.position.x, plane.position.z).along > EXITS[0] - 300) {
+        goAround(state, plane, 'floated too far');
+    }
+}
+
+// Main wheels down: lower the nose onto the runway
+function stepTouchdown(state, plane, dt) {
+    changeSpeed(plane, 0, 0.1 * speedUnit(state, plane), dt);
+    plane.pitch += (0 - plane.pitch) * Math.min(1, dt / 0.8);
+    steerOnGround(plane, centrelineHeading(state, plane, Math.max(60, plane.speed * 4)), dt);
+    moveOnGround(state, plane, dt);
+    if (plane.phaseTime > 2 && Math.abs(plane.pitch) < 0.01) {
+        const { along } = toRunway(state.airport, plane.position.x, plane.position.z);
+        plane.exit = EXITS.find(exit => exit - along >= 300) ?? EXITS[EXITS.length - 1];
+        setPhase(plane, 'rollout');
+    }
+}
+
+// Brake to taxi speed by the chosen exit, then taxi to a free stand
+function stepRollout(state, plane, dt) {
+    const unit = speedUnit(state, plane);
+    const taxiSpeed = TAXI_SPEED * unit;
+    const { along } = toRunway(state.airport, plane.position.x, plane.position.z);
+    const room = Math.max(20, plane.exit - 30 - along);
+    const decel = Math.max(0.03 * unit, (plane.speed * plane.speed - taxiSpeed * taxiSpeed) / (2 * room));
+    plane.speed = Math.max(taxiSpeed, plane.speed - decel * dt);
+    plane.pitch = 0;
+    steerOnGround(plane, centrelineHeading(state, plane, Math.max(60, plane.speed * 4)), dt);
+    moveOnGround(state, plane, dt);
+
+    if (along < plane.exit - 30) return;
+    plane.stand = freeStand(state) ?? 0;
+    const stand = standPosition(plane.stand);
+    startTaxi(state, plane, [
+        { along: plane.exit, across: HOLD_SHORT_ACROSS },
+        { along: plane.exit, across: TAXIWAY_OFFSET },
+        { along: stand.along, across: TAXIWAY_OFFSET },
+        stand
+    ], 'stand');
+}
+
+// Advance an airport plane that isn't en route by one fixed step
+function stepFlightPhase(state, plane, dt) {
+    plane.phaseTime += dt;
+    switch (plane.phase) {
+        case 'parked': stepParked(state, plane); break;
+        case 'taxi': stepTaxi(state, plane, dt); break;
+        case 'lineup': stepLineup(state, plane, dt); break;
+        case 'takeoff': stepTakeoff(state, plane, dt); break;
+        case 'rotate': stepRotate(state, plane, dt); break;
+        case 'climb': stepClimb(state, plane, dt); break;
+        case 'approach': stepApproach(state, plane, dt); break;
+        case 'flare': stepFlare(state, plane, dt); break;
+        case 'touchdown': stepTouchdown(state, plane, dt); break;
+        case 'rollout': stepRollout(state, plane, dt); break;
+    }
+}
+
+// --- Traffic separation (TCAS-like) ---
+// Every SEPARATION_INTERVAL the airborne planes go into a spatial grid, each plane looks for
+// intruders within its search range (surveil), and each pair within range that could close the
+// gap in time is projected along its current track to the closest point of approach (CPA). A pair that will
+// come within SEPARATION_HORIZONTAL and SEPARATION_VERTICAL of each other is a conflict: within
+// TRAFFIC_LOOKAHEAD it's only flagged (a traffic advisory); once it's as close as the pair needs
+// to climb and descend clear (resolutionTime, and never later than RESOLUTION_LOOKAHEAD) each
+// wandering plane of the pair gets a resolution advisory. Like TCAS the senses are coordinated
+// and never have the planes cross (the upper plane climbs, the lower one descends); a plane that
+// can't climb or descend without entering the floor/ceiling danger zone, or can't get clear in
+// time that way, turns away as well. Advisories steer through plane.advisory, which
+// updateNavigation (targetHeading) and updateVerticalSpeed (desiredClimb) obey until it expires.
+// Should they still fall short, the guard (guardSeparation) keeps two planes that both follow
+// advisories out of each other's protected zone. Planes taking off, landing or driven by a
+// traffic source are only intruders: the other plane does all the avoiding.
+
+export const SEPARATION_HORIZONTAL = 300; // metres
+export const SEPARATION_VERTICAL = 60;    // metres
+const TRAFFIC_LOOKAHEAD = 50;             // seconds to CPA for a traffic advisory
+const RESOLUTION_LOOKAHEAD = 35;          // seconds to CPA for a resolution advisory, at the latest
+const RESOLUTION_RESPONSE = 5;            // seconds for a plane to settle into an advisory's climb or descent
+const RESOLUTION_MARGIN = 20;             // metres beyond SEPARATION_VERTICAL an advisory aims for
+const RESOLUTION_TURN = 35 * Math.PI / 180; // heading change of a turn advisory
+const ADVISORY_HOLD = 8;                  // seconds an advisory lasts after its conflict was last seen
+const SEPARATION_INTERVAL = 0.25;         // seconds between conflict scans
+const GUARD_TIME = 3;                     // seconds ahead the guard starts easing two planes apart
+const GUARD_BUFFER = 1;                   // metres beyond SEPARATION_VERTICAL the guard holds them at
+const SPAWN_ATTEMPTS = 50;                // spawn points tried for one clear of other planes
+// Like TCAS's surveillance limit: in crowded sky a plane watches about this many others (surveil)
+const SURVEILLANCE_CAPACITY = 30;
+
+// Phases in which a plane is airborne but busy with the airport (not told to manoeuvre)
+const FLYING_PHASES = ['climb', 'approach', 'flare'];
+
+// How clear a plane just (re)placed at a spawn point is of the other airborne planes: 1 or more
+// when it's at least twice the minima from each (outside their protected zones, with room for
+// an advisory to work), less the deeper it is inside that
+function trafficClearance(state, plane) {
+    let clearance = Infinity;
+    for (const other of state.planes) {
+        if (other === plane || !separationParticipant(other)) continue;
+        const horizontal = Math.hypot(other.position.x - plane.position.x, other.position.z - plane.position.z);
+        const vertical = Math.abs(other.position.y - plane.position.y);
+        clearance = Math.min(clearance, Math.max(horizontal / SEPARATION_HORIZONTAL, vertical / SEPARATION_VERTICAL) / 2);
+    }
+    return clearance;
+}
+
+// Is the plane in the air and so part of the separation picture?
+function separationParticipant(plane) {
+    return !plane.phase || plane.phase === 'enroute' || FLYING_PHASES.includes(plane.phase);
+}
+
+// Can the plane follow advisories? (wandering planes, including airport planes en route)
+export function followsAdvisories(plane) {
+    return !plane.external && (!plane.phase || plane.phase === 'enroute');
+}
+
+// Current velocity over the ground (m/s), with the wind the plane last felt. Wandering planes
+// also move along their pitched nose (see stepPlane); airport phases and traffic planes move
+// with vSpeed alone.
+function trackVelocity(plane) {
+    const pitched = followsAdvisories(plane);
+    const horizontal = plane.speed * (pitched ? Math.cos(plane.pitch) : 1);
+    const wind = plane.wind && !plane.external ? plane.wind : { x: 0, z: 0 };
+    return {
+        x: Math.sin(plane.heading) * horizontal + wind.x,
+        y: plane.vSpeed - (pitched ? Math.sin(plane.pitch) * plane.speed : 0),
+        z: Math.cos(plane.heading) * horizontal + wind.z
+    };
+}
+
+// Times (from now, seconds) during which `offset + rate * t` stays within ±limit: [from, to] or null
+function withinInterval(offset, rate, limit) {
+    if (Math.abs(rate) < 1e-6) return Math.abs(offset) < limit ? [-Infinity, Infinity] : null;
+    const t1 = (-limit - offset) / rate;
+    const t2 = (limit - offset) / rate;
+    return [Math.min(t1, t2), Math.max(t1, t2)];
+}
+
+// Times (from now, seconds) during which the horizontal offset `r + v t` stays within
+// SEPARATION_HORIZONTAL: between the roots of |r + v t|² = H², as [from, to] or null
+function withinRange(rx, rz, vx, vz) {
+    const closing = vx * vx + vz * vz;
+    const along = rx * vx + rz * vz;
+    const range2 = rx * rx + rz * rz;
+    const limit2 = SEPARATION_HORIZONTAL * SEPARATION_HORIZONTAL;
+    if (closing < 1e-6) return range2 < limit2 ? [-Infinity, Infinity] : null;
+    const disc = along * along - closing * (range2 - limit2);
+    return disc < 0 ? null : [(-along - Math.sqrt(disc)) / closing, (-along + Math.sqrt(disc)) / closing];
+}
+
+// Is b above a? (as they are now, so advisories never have them cross; level pairs go by id)
+const isAbove = (b, a) => b.position.y > a.position.y || (b.position.y === a.position.y && b.id > a.id);
+
+// Vertical speed (m/s) a plane reaches following an advisory to climb (sense +1) or descend
+// (-1): its best rate plus what the nose adds, pitched with vSpeed as updateAttitude does
+function advisoryRate(plane, sense) {
+    const rate = sense > 0 ? plane.maxClimbRate || 1.2 : plane.maxDescentRate || 0.8;
+    return rate + plane.speed * Math.sin(Math.min(rate * 0.25, Math.PI / 12));
+}
+
+// Seconds `upper` and `lower`, from level, need to open the vertical minimum plus
+// RESOLUTION_MARGIN with coordinated advisories (0 if neither follows advisories)
+function resolutionTime(upper, lower) {
+    const rate = (followsAdvisories(upper) ? advisoryRate(upper, 1) : 0) +
+        (followsAdvisories(lower) ? advisoryRate(lower, -1) : 0);
+    return rate > 0 ? RESOLUTION_RESPONSE + (SEPARATION_VERTICAL + RESOLUTION_MARGIN) / rate : 0;
+}
+
+// Project two planes (with their velocities) along their tracks; returns the conflict or null.
+// Separation is lost while they are within both limits at once, so a plane climbing through the
+// other's level counts even if the closest horizontal approach is at a safe height.
+function predictConflict(a, va, b, vb) {
+    const rx = b.position.x - a.position.x;
+    const ry = b.position.y - a.position.y;
+    const rz = b.position.z - a.position.z;
+    const vx = vb.x - va.x;
+    const vy = vb.y - va.y;
+    const vz = vb.z - va.z;
+
+    const horizontalIn = withinRange(rx, rz, vx, vz);
+    const verticalIn = withinInterval(ry, vy, SEPARATION_VERTICAL);
+    if (!horizontalIn || !verticalIn) return null;
+    const from = Math.max(horizontalIn[0], verticalIn[0], 0);
+    const to = Math.min(horizontalIn[1], verticalIn[1], TRAFFIC_LOOKAHEAD);
+    if (from > to) return null;
+
+    // Closest point of approach, for display and for turning away
+    const closing = vx * vx + vz * vz;
+    const cpaTime = closing < 1e-6 ? 0 : clamp(-(rx * vx + rz * vz) / closing, 0, TRAFFIC_LOOKAHEAD);
+    const needed = isAbove(b, a) ? resolutionTime(b, a) : resolutionTime(a, b);
+    const level = from === 0 ? 'loss' : from <= Math.max(needed, RESOLUTION_LOOKAHEAD) ? 'resolution' : 'traffic';
+    return {
+        a: a.id,
+        b: b.id,
+        level,
+        time: from, // seconds until separation is lost
+        cpaTime,
+        horizontal: Math.hypot(rx + vx * cpaTime, rz + vz * cpaTime),
+        vertical: ry + vy * cpaTime // b above a at the CPA when positive
+    };
+}
+
+// Limits (m) of a plane's search range. At most: as far as two of the fastest planes (`fastest`,
+// m/s) flying head-on close in TRAFFIC_LOOKAHEAD, plus the horizontal minimum, so no conflict
+// within the look-ahead is missed. At least: the horizontal minimum plus what such a pair closes
+// between scans, so a loss of separation is always seen.
+function separationRanges(fastest) {
+    return {
+        min: SEPARATION_HORIZONTAL + 2 * fastest * SEPARATION_INTERVAL,
+        max: SEPARATION_HORIZONTAL + 2 * fastest * TRAFFIC_LOOKAHEAD
+    };
+}
+
+// The planes `plane` watches, from `grid`: it walks out ring by ring
+// until it has covered ranges.max or, in crowded sky, found SURVEILLANCE_CAPACITY planes in the
+// ground covered so far; its range is then out to the last of those. So each plane visits a
+// bounded number of others and a scan costs O(n) however busy the sky; conflicts farther out
+// are found as the planes close in. Returns { range, nearby: [{ plane, distance2 }], visited }.
+function surveil(grid, plane, ranges) {
+    const { x, z } = plane.position;
+    const nearby = [];
+    let visited = 0;
+    let range = ranges.max;
+    for (let ring = 0; ; ring++) {
+        grid.forEachInRing(x, z, ring, (other) => {
+            if (other === plane) return;
+            visited++;
+            const dx = other.position.x - x;
+            const dz = other.position.z - z;
+            nearby.push({ plane: other, distance2: dx * dx + dz * dz });
+        });
+        const covered = ring * grid.cellSize; // everything nearer than this has been seen
+        if (covered >= ranges.max) break;
+        if (ring > 0 && nearby.length >= SURVEILLANCE_CAPACITY) {
+            nearby.sort((p, q) => p.distance2 - q.distance2);
+            const last = Math.sqrt(nearby[SURVEILLANCE_CAPACITY - 1].distance2);
+            if (last <= covered) {
+                range = Math.max(last, ranges.min);
+                break;
+            }
+        }
+    }
+    const range2 = range * range;
+    return { range, nearby: nearby.filter(({ distance2 }) => distance2 <= range2), visited };
+}
+
+// Cheap rejection before predictConflict: can b get within both minima of a inside
+// TRAFFIC_LOOKAHEAD at their present closing speeds?
+function canClose(a, va, b, vb) {
+    const rx = b.position.x - a.position.x;
+    const rz = b.position.z - a.position.z;
+    const reach = SEPARATION_HORIZONTAL + Math.hypot(vb.x - va.x, vb.z - va.z) * TRAFFIC_LOOKAHEAD;
+    if (rx * rx + rz * rz > reach * reach) return false;
+    const climb = SEPARATION_VERTICAL + Math.abs(vb.y - va.y) * TRAFFIC_LOOKAHEAD;
+    return Math.abs(b.position.y - a.position.y) <= climb;
+}
+
+// Room to climb or descend at full rate without entering a danger zone
+const canClimb = plane => MAX_HEIGHT_AGL - planeAGL(plane) > CEILING_AVOIDANCE_DIST;
+const canDescend = plane => planeAGL(plane) - MIN_HEIGHT_AGL > FLOOR_AVOIDANCE_DIST;
+
+// Heading that turns `plane` away from where `intruder` will be at the CPA
+function turnAwayHeading(plane, intruder, velocity, cpaTime) {
+    const ox = intruder.position.x + velocity.x * cpaTime - plane.position.x;
+    const oz = intruder.position.z + velocity.z * cpaTime - plane.position.z;
+    // Positive when the intruder will be to the right; heading grows turning left
+    const side = Math.sin(plane.heading) * oz - Math.cos(plane.heading) * ox;
+    return plane.heading + (side > 0 ? RESOLUTION_TURN : -RESOLUTION_TURN);
+}
+
+// Can `plane` and its intruder open the vertical minimum (plus RESOLUTION_MARGIN) by climbing
+// or descending alone before separation would be lost? The intruder helps at its advisory rate
+// if it follows advisories, else it keeps its present vertical speed.
+function verticalEscape(plane, { intruder, sense, conflict }, velocities) {
+    const rate = advisoryRate(plane, sense) +
+        (followsAdvisories(intruder) ? advisoryRate(intruder, -sense) : -sense * velocities.get(intruder).y);
+    const gap = Math.abs(intruder.position.y - plane.position.y) +
+        rate * Math.max(conflict.time - RESOLUTION_RESPONSE, 0);
+    return gap >= SEPARATION_VERTICAL + RESOLUTION_MARGIN;
+}
+
+// Decide a plane's advisory from its threats (most urgent first, each { intruder, sense, conflict }
+// with sense +1 = climb, -1 = descend). It takes the most urgent threat's sense, and turns away
+// instead when that sense isn't available. It adds a turn away from a threat that needs the
+// opposite sense (so two threats can't squeeze it from above and below), or from the most urgent
+// one when climbing or descending alone won't get clear in time.
+function issueAdvisory(state, plane, threats, velocities) {
+    const primary = threats[0];
+    let climb = primary.sense;
+    let turnFrom = null;
+    if ((climb > 0 && !canClimb(plane)) || (climb < 0 && !canDescend(plane))) {
+        climb = 0;
+        turnFrom = primary;
+    } else {
+        turnFrom = threats.find(threat => threat.sense !== climb) ||
+            (verticalEscape(plane, primary, velocities) ? null : primary);
+    }
+    const heading = turnFrom
+        ? turnAwayHeading(plane, turnFrom.intruder, velocities.get(turnFrom.intruder), turnFrom.conflict.cpaTime)
+        : null;
+
+    const previous = plane.advisory;
+    const changed = !previous || previous.intruder !== primary.intruder.id || previous.climb !== climb ||
+        (previous.heading === null) !== (heading === null);
+    plane.advisory = {
+        intruder: primary.intruder.id,
+        climb,
+        // Keep a turn that's already under way rather than chasing the heading as the plane turns
+        heading: changed ? heading : previous.heading,
+        until: state.time + ADVISORY_HOLD
+    };
+    if (changed && state.config.debugConsole) {
+        const { conflict } = primary;
+        console.log(`🚨 Plane ${plane.id}: ${climb > 0 ? 'climb' : climb < 0 ? 'descend' : 'turn'}${climb && heading !== null ? ' and turn' : ''} (traffic: plane ${primary.intruder.id}, CPA ${conflict.horizontal.toFixed(0)}m/${Math.abs(conflict.vertical).toFixed(0)}m in ${conflict.cpaTime.toFixed(0)}s)`);
+    }
+}
+
+// Scan for conflicts (state.conflicts) and hand out advisories (plane.advisory)
+function updateSeparation(state, dt) {
+    state.separationTimer -= dt;
+    if (state.separationTimer > 0) return;
+    state.separationTimer = SEPARATION_INTERVAL;
+
+    const byId = new Map();
+    const velocities = new Map(); // plane -> track velocity
+    let fastest = 0;
+    let sumX = 0, sumZ = 0, sumXX = 0, sumZZ = 0;
+    for (const plane of state.planes) {
+        if (!separationParticipant(plane)) continue;
+        const velocity = trackVelocity(plane);
+        byId.set(plane.id, plane);
+        velocities.set(plane, velocity);
+        fastest = Math.max(fastest, Math.hypot(velocity.x, velocity.z));
+        sumX += plane.position.x;
+        sumZ += plane.position.z;
+        sumXX += plane.position.x * plane.position.x;
+        sumZZ += plane.position.z * plane.position.z;
+    }
+    const ranges = separationRanges(fastest);
+    // Cells a quarter of the range a plane typically searches, so the square rings it walks
+    // don't reach far past the circle it needs. That range is where SURVEILLANCE_CAPACITY planes
+    // fit at the planes' mean density, taking the area they're spread over from the spread of
+    // their positions (for planes evenly over a rectangle, its area).
+    const count = Math.max(byId.size, 1);
+    const spreadX = Math.sqrt(Math.max(sumXX / count - (sumX / count) ** 2, 0));
+    const spreadZ = Math.sqrt(Math.max(sumZZ / count - (sumZ / count) ** 2, 0));
+    const typical = Math.sqrt(SURVEILLANCE_CAPACITY * 12 * spreadX * spreadZ / (Math.PI * count));
+    const cell = clamp(typical, ranges.min, ranges.max) / 4;
+    const grid = new SpatialGrid(cell);
+    for (const plane of byId.values()) grid.insert(plane, plane.position.x, plane.position.z);
+
+    const watched = new Map(); // plane -> surveil()
+    let visited = 0;
+    let rangeSum = 0;
+    for (const plane of byId.values()) {
+        const watch = surveil(grid, plane, ranges);
+        watched.set(plane, watch);
+        visited += watch.visited;
+        rangeSum += watch.range;
+    }
+
+    // The guard watches every pair of advisory-following planes that could close to the
+    // horizontal minimum within GUARD_TIME of the next scan
+    const guardReach = SEPARATION_HORIZONTAL + 2 * fastest * (GUARD_TIME + SEPARATION_INTERVAL);
+    const guarded = [];
+    const conflicts = [];
+    let checked = 0;
+    for (const [a, { nearby }] of watched) {
+        const va = velocities.get(a);
+        for (const { plane: b, distance2 } of nearby) {
+            // Each pair once: the lower id checks it, unless only the higher one has it in range
+            const back = watched.get(b).range;
+            if (b.id < a.id && distance2 <= back * back) continue;
+            if (state.config.separation && distance2 <= guardReach * guardReach &&
+                followsAdvisories(a) && followsAdvisories(b)) guarded.push([a, b]);
+            const vb = velocities.get(b);
+            if (!canClose(a, va, b, vb)) continue;
+            checked++;
+            const conflict = predictConflict(a, va, b, vb);
+            if (conflict) conflicts.push(conflict);
+        }
+    }
+    state.separationStats = { range: byId.size ? rangeSum / byId.size : 0, visited, checked };
+    state.guarded = guarded;
+    // Most urgent first, so a plane in several conflicts gets its advisory from the nearest one
+    conflicts.sort((p, q) => p.time - q.time || p.a - q.a || p.b - q.b);
+    state.conflicts = conflicts;
+
+    // Coordinated senses: in each conflict whichever plane is higher climbs and the other
+    // descends; each plane then weighs all of its threats at once
+    if (state.config.separation) {
+        const threats = new Map(); // plane -> [{ intruder, sense, conflict }]
+        const addThreat = (plane, intruder, sense, conflict) => {
+            if (!followsAdvisories(plane)) return;
+            if (!threats.has(plane)) threats.set(plane, []);
+            threats.get(plane).push({ intruder, sense, conflict });
+        };
+        for (const conflict of conflicts) {
+            if (conflict.level === 'traffic') continue;
+            const a = byId.get(conflict.a);
+            const b = byId.get(conflict.b);
+            const bAbove = isAbove(b, a);
+            addThreat(a, b, bAbove ? -1 : 1, conflict);
+            addThreat(b, a, bAbove ? 1 : -1, conflict);
+        }
+        // Pairs already past their closest approach sort after the ones still closing in
+        const urgency = ({ conflict }) => (conflict.cpaTime > 0 ? conflict.time : TRAFFIC_LOOKAHEAD);
+        for (const [plane, planeThreats] of threats) {
+            planeThreats.sort((p, q) => urgency(p) - urgency(q));
+            issueAdvisory(state, plane, planeThreats, velocities);
+        }
+    }
+    for (const plane of state.planes) {
+        if (plane.advisory && (plane.advisory.until < state.time || !followsAdvisories(plane))) plane.advisory = null;
+    }
+}
+
+// Seconds until planes a and b come within the horizontal minimum at their present velocities
+// (0 if they already are, Infinity if they won't)
+function timeToRange(a, b) {
+    const va = trackVelocity(a);
+    const vb = trackVelocity(b);
+    const horizontalIn = withinRange(b.position.x - a.position.x, b.position.z - a.position.z, vb.x - va.x, vb.z - va.z);
+    return horizontalIn && horizontalIn[1] > 0 ? Math.max(horizontalIn[0], 0) : Infinity;
+}
+
+// The guard, run after every step: keeps each pair of advisory-following planes it watches
+// (state.guarded) out of each other's protected zone. When they are less than the vertical
+// minimum apart and would come within the horizontal one in under GUARD_TIME, it eases them
+// apart, the upper plane up and the lower one down (within the height band), so they are a
+// vertical minimum apart by the time they get there, and holds them there while they pass. With
+// the advisories doing their job it has nothing to do.
+function guardSeparation(state, dt) {
+    for (const [a, b] of state.guarded) {
+        if (!followsAdvisories(a) || !followsAdvisories(b)) continue;
+        const [lower, upper] = isAbove(b, a) ? [a, b] : [b, a];
+        const shortfall = SEPARATION_VERTICAL + GUARD_BUFFER - (upper.position.y - lower.position.y);
+        if (shortfall <= 0) continue;
+        const meetIn = timeToRange(a, b);
+        if (meetIn > GUARD_TIME) continue;
+        // A share of the shortfall for each step left, all of it once they're within range
+        const opening = shortfall * Math.min(dt / Math.max(meetIn, dt), 1);
+        const roomUp = Math.max(MAX_HEIGHT_AGL - 1 - planeAGL(upper), 0);
+        const roomDown = Math.max(planeAGL(lower) - MIN_HEIGHT_AGL - 1, 0);
+        const up = Math.min(Math.max(opening / 2, opening - roomDown), roomUp);
+        upper.position.y += up;
+        lower.position.y -= Math.min(opening - up, roomDown);
+    }
+}
+
+// What a plane's advisory tells it to do, for display (null without one)
+export function advisoryLabel(plane) {
+    const advisory = plane.advisory;
+    if (!advisory) return null;
+    const action = advisory.climb > 0 ? '⬆️ Climb'
+        : advisory.climb < 0 ? '⬇️ Descend'
+        : wrapAngle(advisory.heading - plane.heading) < 0 ? '↪️ Turn right' : '↩️ Turn left';
+    return `${action} (traffic #${advisory.intruder})`;
+}
+
+// --- Externally driven traffic (replayed or live ADS-B) ---
+// Traffic planes are ordinary plane states flagged `external`: step() leaves their flight to
+// the traffic source and syncTraffic() copies the source's poses onto them.
+
+// Add a plane for one aircraft of a traffic source (see traffic/replay.js for the pose fields)
+export function addTrafficPlane(state, aircraft) {
+    const rng = { rngState: deriveSeed(state.seed, `traffic:${aircraft.id}`) };
+    const plane = {
+        id: state.nextPlaneId++,
+        external: true,
+        trafficId: aircraft.id,
+        callsign: aircraft.callsign,
+        icaoType: aircraft.icaoType,
+        category: aircraft.category,
+        generation: aircraft.generation,
+        spawnCount: 1,
+        position: copyVec3(aircraft.position),
+        groundHeight: groundHeightAt(state, aircraft.position.x, aircraft.position.z),
+        speed: aircraft.speed,
+        vSpeed: aircraft.vSpeed,
+        heading: aircraft.heading,
+        pitch: aircraft.pitch,
+        roll: aircraft.roll,
+        onGround: !!aircraft.onGround,
+        waypoint: null,
+        lightTimer: nextRandom(rng) * 50 // random flash phase, stable per aircraft
+    };
+    state.planes.push(plane);
+    return plane;
+}
+
+// Make the traffic planes match `aircraft` (Map id -> pose): add newcomers, update the rest
+// and remove planes whose aircraft has gone. Random wanderers are left alone.
+export function syncTraffic(state, aircraft) {
+    const stale = new Map();
+    for (const plane of state.planes) {
+        if (plane.external) stale.set(plane.trafficId, plane);
+    }
+
+    for (const pose of aircraft.values()) {
+        const plane = stale.get(pose.id);
+        if (!plane) {
+            addTrafficPlane(state, pose);
+            continue;
+        }
+        stale.delete(pose.id);
+
+        // The source jumped (looped, re-projected): tell views not to interpolate across it
+        if (plane.generation !== pose.generation) {
+            plane.generation = pose.generation;
+            plane.spawnCount++;
+        }
+        plane.position.x = pose.position.x;
+        plane.position.y = pose.position.y;
+        plane.position.z = pose.position.z;
+        plane.groundHeight = groundHeightAt(state, plane.position.x, plane.position.z);
+        plane.speed = pose.speed;
+        plane.vSpeed = pose.vSpeed;
+        plane.heading = pose.heading;
+        plane.pitch = pose.pitch;
+        plane.roll = pose.roll;
+        plane.onGround = !!pose.onGround;
+        plane.callsign = pose.callsign || plane.callsign;
+        plane.icaoType = pose.icaoType || plane.icaoType;
+    }
+
+    for (const plane of stale.values()) removePlane(state, plane);
+}
+
+// Advance the whole simulation by `dt` seconds (one fixed step)
+export function step(state, dt) {
+    state.time += dt;
+    updateWind(state, dt);
+    updateSeparation(state, dt);
+    for (const plane of state.planes) {
+        if (plane.external) {
+            plane.lightTimer += dt; // flown by its traffic source
+            continue;
+        }
+        stepPlane(state, plane, dt);
+    }
+    guardSeparation(state, dt);
+}
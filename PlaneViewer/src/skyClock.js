@@ -0,0 +1,103 @@
+// The sky clock: the moment the sky shows (ms since 1970), which the sky timeline
+// (skyTimeline.js) drags, plays at a chosen rate and loops over a part of the day such as dusk.
+// Plain state and math, no three.js or DOM; main.js steps it with simulated time, so pausing the
+// simulation holds the sky too. Time may jump or run backwards: everything drawn from it is
+// worked out afresh each frame.
+
+import { sunCrossings, sunPosition, sunTimes, SUNRISE_ALTITUDE } from './astronomy.js';
+
+const HOUR_MS = 3600000;
+const DAY_SAMPLES = 96;     // sun altitudes per day for the timeline's shading (one every 15 min)
+
+// Playback rates the timeline offers (sky seconds per simulated second, i.e. settings.skyTimeScale)
+export const SKY_RATES = [
+    { rate: 1, label: '1×', title: 'Real time' },
+    { rate: 60, label: '60×', title: 'A minute a second' },
+    { rate: 600, label: '600×', title: 'Ten minutes a second' }
+];
+
+// Parts of the day to jump to or loop over. Most run between two sun altitudes (degrees), in the
+// morning when `rising`, else in the evening; the others are an hour either side of a moment
+// from astronomy.sunTimes. The jump lands on `at`: the start, or the moment itself.
+export const SKY_WINDOWS = [
+    { name: 'dawn', label: '🌄 Dawn', from: -12, to: SUNRISE_ALTITUDE, rising: true },
+    { name: 'morning-golden', label: '🌅 Morning golden hour', from: -4, to: 6, rising: true },
+    { name: 'noon', label: '☀️ Noon', around: 'solarNoon' },
+    { name: 'golden', label: '🌇 Golden hour', from: 6, to: -4 },
+    { name: 'blue', label: '🌆 Blue hour', from: -4, to: -6 },
+    { name: 'dusk', label: '🌆 Dusk', from: SUNRISE_ALTITUDE, to: -12 },
+    { name: 'midnight', label: '🌙 Midnight', around: 'nadir' }
+];
+const WINDOWS_BY_NAME = new Map(SKY_WINDOWS.map(part => [part.name, part]));
+
+// The solar day (solar midnight to solar midnight) around `time` at (latitude, longitude), for the
+// timeline: { start, end, sunrise, sunset (ms, or null if the sun doesn't rise or set), altitudes
+// (the sun's, in degrees, DAY_SAMPLES of them evenly across the day) }
+export function skyDay(time, latitude, longitude) {
+    const times = sunTimes(new Date(time), latitude, longitude);
+    const start = times.nadir.getTime();
+    const end = start + 24 * HOUR_MS;
+    const altitudes = [];
+    for (let i = 0; i < DAY_SAMPLES; i++) {
+        const when = new Date(start + (i + 0.5) * (end - start) / DAY_SAMPLES);
+        altitudes.push(sunPosition(when, latitude, longitude).altitude * 180 / Math.PI);
+    }
+    return {
+        start,
+        end,
+        sunrise: times.sunrise && times.sunrise.getTime(),
+        sunset: times.sunset && times.sunset.getTime(),
+        altitudes
+    };
+}
+
+// Window `name` (one of SKY_WINDOWS) of the day around `time` at (latitude, longitude):
+// { start, end, at } in ms, or null when the sun doesn't get there that day. Midnight is the one
+// nearest `time`.
+export function skyWindow(name, time, latitude, longitude) {
+    const part = WINDOWS_BY_NAME.get(name);
+    if (!part) throw new Error(`Unknown sky window: ${name}`);
+    const date = new Date(time);
+    if (part.around) {
+        const times = sunTimes(date, latitude, longitude);
+        let at = times[part.around].getTime();
+        if (part.around === 'nadir' && time - at > 12 * HOUR_MS) at += 24 * HOUR_MS;
+        return { start: at - HOUR_MS, end: at + HOUR_MS, at };
+    }
+    const side = part.rising ? 0 : 1;
+    const start = sunCrossings(date, latitude, longitude, part.from)[side];
+    const end = sunCrossings(date, latitude, longitude, part.to)[side];
+    if (!start || !end) return null;
+    return { start: start.getTime(), end: end.getTime(), at: start.getTime() };
+}
+
+export class SkyClock {
+    constructor(time) {
+        this.time = time;       // ms since 1970
+        this.playing = true;
+        this.loop = null;       // { start, end } (ms) the clock wraps within, or null
+    }
+
+    // Advance by `dt` simulated seconds at `rate` sky seconds each (while playing)
+    step(dt, rate) {
+        if (!this.playing) return;
+        this.time += dt * 1000 * rate;
+        const loop = this.loop;
+        if (loop && this.time >= loop.end) {
+            this.time = loop.start + (this.time - loop.start) % (loop.end - loop.start);
+        }
+    }
+
+    // Jump to `time`; a loop it lands outside of is dropped
+    seek(time) {
+        this.time = time;
+        if (this.loop && (time < this.loop.start || time >= this.loop.end)) this.loop = null;
+    }
+
+    // Wrap within `span` ({ start, end } in ms), moving to its start if the clock is outside it;
+    // null stops looping
+    setLoop(span) {
+        this.loop = span && span.end > span.start ? { start: span.start, end: span.end } : null;
+        if (this.loop && (this.time < this.loop.start || this.time >= this.loop.end)) this.time = this.loop.start;
+    }
+}
@@ -0,0 +1,184 @@
+// Sky timeline: a bar across the bottom of the screen for the sky clock (skyClock.js). It spans
+// one solar day, shaded by the sun's altitude from night through twilight to day, with the
+// sunrise and sunset marked and a cursor at the time shown; drag along it to go to any moment.
+// Above it: play/pause, the playback rates, the parts of the day to jump to, a loop toggle for
+// the chosen part and a button back to the present. main.js owns the clock and calls update()
+// every frame.
+
+// Colour of the sky with the sun at `altitude` degrees (night, the three twilights, day)
+const SHADES = [
+    { altitude: -18, rgb: [8, 10, 28] },
+    { altitude: -12, rgb: [20, 28, 70] },
+    { altitude: -6, rgb: [48, 62, 130] },
+    { altitude: -0.833, rgb: [214, 120, 90] },
+    { altitude: 6, rgb: [235, 190, 110] },
+    { altitude: 20, rgb: [110, 170, 230] }
+];
+function shade(altitude) {
+    if (altitude <= SHADES[0].altitude) return `rgb(${SHADES[0].rgb})`;
+    for (let i = 1; i < SHADES.length; i++) {
+        const a = SHADES[i - 1], b = SHADES[i];
+        if (altitude <= b.altitude) {
+            const t = (altitude - a.altitude) / (b.altitude - a.altitude);
+            return `rgb(${a.rgb.map((value, j) => Math.round(value + (b.rgb[j] - value) * t))})`;
+        }
+    }
+    return `rgb(${SHADES[SHADES.length - 1].rgb})`;
+}
+
+const formatTime = ms => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+const formatDateTime = ms => new Date(ms).toLocaleString([], {
+    weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+});
+
+// Builds the timeline and adds it to the page. `rates` and `windows` are skyClock.SKY_RATES and
+// SKY_WINDOWS; the callbacks ask main.js to change the clock:
+// onSeek(time), onPlay(playing), onRate(rate), onJump(name), onLoop(name or null), onNow()
+export function createSkyTimeline({ rates, windows, onSeek, onPlay, onRate, onJump, onLoop, onNow }) {
+    const panel = document.createElement('div');
+    panel.id = 'sky-timeline';
+
+    // --- Controls ---
+    const controls = document.createElement('div');
+    controls.className = 'sky-timeline-controls';
+
+    const playBtn = document.createElement('button');
+    playBtn.title = 'Play or pause the sky clock';
+    let playing = true;
+    playBtn.addEventListener('click', () => onPlay(!playing));
+
+    const rateButtons = rates.map(({ rate, label, title }) => {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        btn.title = title;
+        btn.addEventListener('click', () => onRate(rate));
+        return { rate, btn };
+    });
+
+    const readout = document.createElement('span');
+    readout.className = 'sky-timeline-readout';
+
+    const windowSelect = document.createElement('select');
+    windowSelect.title = 'Jump to a part of the day';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Jump to…';
+    placeholder.disabled = true;
+    windowSelect.append(placeholder);
+    for (const { name, label } of windows) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = label;
+        windowSelect.append(option);
+    }
+    windowSelect.value = '';
+    let looping = false;
+    windowSelect.addEventListener('change', () => {
+        onJump(windowSelect.value);
+        if (looping) onLoop(windowSelect.value);
+        windowSelect.blur(); // leave the keys to the camera
+    });
+
+    const loopBtn = document.createElement('button');
+    loopBtn.textContent = '🔁 Loop';
+    loopBtn.title = 'Loop the chosen part of the day';
+    loopBtn.addEventListener('click', () => onLoop(looping ? null : windowSelect.value));
+
+    const nowBtn = document.createElement('button');
+    nowBtn.textContent = '⏱ Now';
+    nowBtn.title = 'Back to the present';
+    nowBtn.addEventListener('click', () => {
+        windowSelect.value = '';
+        onNow();
+    });
+
+    controls.append(playBtn, ...rateButtons.map(({ btn }) => btn), readout, windowSelect, loopBtn, nowBtn);
+
+    // --- Track ---
+    const track = document.createElement('div');
+    track.className = 'sky-timeline-track';
+    const loopBand = document.createElement('div');
+    loopBand.className = 'sky-timeline-loop';
+    const cursor = document.createElement('div');
+    cursor.className = 'sky-timeline-cursor';
+    const markers = ['sunrise', 'sunset'].map(name => {
+        const marker = document.createElement('div');
+        marker.className = `sky-timeline-marker ${name}`;
+        const label = document.createElement('span');
+        marker.append(label);
+        return { name, marker, label };
+    });
+    track.append(loopBand, ...markers.map(({ marker }) => marker), cursor);
+
+    panel.append(controls, track);
+    document.body.appendChild(panel);
+
+    // Dragging along the track seeks; the pointer stays captured until it's released
+    let day = null;
+    const seekTo = event => {
+        if (!day) return;
+        const rect = track.getBoundingClientRect();
+        const fraction = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 0.9999);
+        onSeek(day.start + fraction * (day.end - day.start));
+    };
+    track.addEventListener('pointerdown', event => {
+        track.setPointerCapture(event.pointerId);
+        track.classList.add('dragging');
+        seekTo(event);
+        event.preventDefault();
+    });
+    track.addEventListener('pointermove', event => {
+        if (track.hasPointerCapture(event.pointerId)) seekTo(event);
+    });
+    const endDrag = () => track.classList.remove('dragging');
+    track.addEventListener('pointerup', endDrag);
+    track.addEventListener('pointercancel', endDrag);
+
+    // Share of the day (%) at `time`
+    const percent = time => 100 * (time - day.start) / (day.end - day.start);
+
+    return {
+        element: panel,
+
+        // Show the clock: `time` (ms), whether it's `playing`, its `rate`, the `loop` window
+        // ({ start, end } or null) and the `day` it's in (skyClock.skyDay)
+        update({ time, playing: isPlaying, rate, loop, day: currentDay }) {
+            if (currentDay !== day) {
+                day = currentDay;
+                const step = 100 / day.altitudes.length;
+                const stops = day.altitudes.map((altitude, i) => `${shade(altitude)} ${((i + 0.5) * step).toFixed(2)}%`);
+                track.style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+                for (const { name, marker, label } of markers) {
+                    const at = day[name];
+                    marker.hidden = !at;
+                    if (!at) continue;
+                    marker.style.left = `${percent(at)}%`;
+                    label.textContent = `${name === 'sunrise' ? '🌅' : '🌇'} ${formatTime(at)}`;
+                    marker.title = `${name === 'sunrise' ? 'Sunrise' : 'Sunset'} ${formatTime(at)}`;
+                }
+            }
+
+            cursor.style.left = `${Math.min(Math.max(percent(time), 0), 100)}%`;
+            const text = formatDateTime(time);
+            if (readout.textContent !== text) readout.textContent = text;
+
+            if (playing !== isPlaying || !playBtn.textContent) {
+                playing = isPlaying;
+                playBtn.textContent = playing ? '⏸' : '▶';
+                playBtn.classList.toggle('active', !playing);
+            }
+            for (const { rate: value, btn } of rateButtons) btn.classList.toggle('active', value === rate);
+
+            looping = !!loop;
+            loopBtn.classList.toggle('active', looping);
+            loopBtn.disabled = !looping && !windowSelect.value;
+            loopBand.hidden = !looping;
+            if (looping) {
+                const from = Math.max(percent(loop.start), 0);
+                const to = Math.min(percent(loop.end), 100);
+                loopBand.style.left = `${from}%`;
+                loopBand.style.width = `${Math.max(to - from, 0)}%`;
+            }
+        }
+    };
+}
@@ -0,0 +1,41 @@
+// Uniform grid over the X/Z plane for "what's near this point" queries. A query walks out ring by
+// ring from the point's cell, so it only touches the items near the point: with cells about the
+// size of the smallest search radius and each search stopping at a bounded number of items
+// (traffic separation in simulation.js), all-pairs checks cost O(n) rather than O(n²). Plain data
+// and math, like the rest of the simulation core. Rebuild it whenever the items move.
+
+export class SpatialGrid {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // "cx,cz" -> items in that cell, in insertion order
+    }
+
+    key(cx, cz) { return `${cx},${cz}`; }
+
+    clear() {
+        this.cells.clear();
+    }
+
+    insert(item, x, z) {
+        const k = this.key(Math.floor(x / this.cellSize), Math.floor(z / this.cellSize));
+        const cell = this.cells.get(k);
+        if (cell) cell.push(item);
+        else this.cells.set(k, [item]);
+    }
+
+    // Call fn(item) for every item in the square ring of cells `ring` steps out from the cell
+    // holding (x, z) (ring 0 is that cell). Rings 0..r hold everything within r × cellSize of
+    // the point, plus some farther items, which callers filter themselves.
+    forEachInRing(x, z, ring, fn) {
+        const cx = Math.floor(x / this.cellSize);
+        const cz = Math.floor(z / this.cellSize);
+        for (let dz = -ring; dz <= ring; dz++) {
+            // Inner rows only have the two end cells in this ring
+            const step = Math.abs(dz) === ring ? 1 : Math.max(2 * ring, 1);
+            for (let dx = -ring; dx <= ring; dx += step) {
+                const cell = this.cells.get(this.key(cx + dx, cz + dz));
+                if (cell) cell.forEach(fn);
+            }
+        }
+    }
+}
@@ -0,0 +1,175 @@
+// The star catalogue as the sky draws it (plain math, no three.js): the bright stars
+// (brightStars.js) with the colour and size of each, and the constellation figures joining them.
+
+import { BRIGHT_STARS } from './brightStars.js';
+
+export const MAGNITUDE_LIMIT = 5.5;    // faintest star drawn
+
+// Constellation figures: each line is a run of star ids (brightStars.js) joined in order. Steps
+// to a star the catalogue doesn't have are left out.
+export const CONSTELLATIONS = [
+    { name: 'Orion', lines: [
+        ['α Ori', 'ζ Ori', 'ε Ori', 'δ Ori', 'γ Ori', 'λ Ori', 'α Ori'],
+        ['ζ Ori', 'κ Ori'], ['δ Ori', 'β Ori'],
+        ['α Ori', 'μ Ori', 'ν Ori', 'χ1 Ori', 'χ2 Ori'], ['ν Ori', 'ξ Ori'],
+        ['γ Ori', 'π3 Ori'], ['ο2 Ori', 'π1 Ori', 'π2 Ori', 'π3 Ori', 'π4 Ori', 'π5 Ori', 'π6 Ori']
+    ] },
+    { name: 'Canis Major', lines: [
+        ['β CMa', 'α CMa', 'ι CMa', 'γ CMa'],
+        ['α CMa', 'ο2 CMa', 'δ CMa', 'η CMa'], ['δ CMa', 'ε CMa', 'ζ CMa'], ['ε CMa', 'σ CMa', 'δ CMa']
+    ] },
+    { name: 'Canis Minor', lines: [['α CMi', 'β CMi']] },
+    { name: 'Gemini', lines: [
+        ['α Gem', 'τ Gem', 'ε Gem', 'μ Gem', 'η Gem'], ['ε Gem', 'ν Gem'], ['τ Gem', 'θ Gem'],
+        ['β Gem', 'υ Gem', 'δ Gem', 'λ Gem', 'ξ Gem'], ['δ Gem', 'ζ Gem', 'γ Gem'],
+        ['υ Gem', 'ι Gem', 'τ Gem'], ['β Gem', 'κ Gem']
+    ] },
+    { name: 'Taurus', lines: [
+        ['β Tau', 'ε Tau', 'δ Tau', 'γ Tau', 'θ2 Tau', 'α Tau', 'ζ Tau'],
+        ['γ Tau', 'λ Tau', 'ο Tau'], ['λ Tau', 'ξ Tau']
+    ] },
+    { name: 'Auriga', lines: [
+        ['α Aur', 'β Aur', 'θ Aur', 'β Tau', 'ι Aur', 'η Aur', 'α Aur'], ['α Aur', 'ε Aur', 'ζ Aur', 'η Aur'], ['β Aur', 'δ Aur']
+    ] },
+    { name: 'Perseus', lines: [
+        ['η Per', 'γ Per', 'α Per', 'δ Per', 'ν Per', 'ε Per', 'ξ Per', 'ζ Per', 'ο Per'],
+        ['α Per', 'κ Per', 'β Per', 'ρ Per']
+    ] },
+    { name: 'Andromeda', lines: [
+        ['α And', 'δ And', 'β And', 'γ1 And', '51 And'], ['β And', 'μ And', 'ν And'], ['δ And', 'π And'],
+        ['α And', 'ε And', 'ζ And'], ['ο And', 'λ And', 'κ And', 'ι And']
+    ] },
+    { name: 'Pegasus', lines: [
+        ['α Peg', 'β Peg', 'α And', 'γ Peg', 'α Peg'],
+        ['α Peg', 'ζ Peg', 'θ Peg', 'ε Peg'], ['β Peg', 'μ Peg', 'λ Peg', 'ι Peg', 'κ Peg'], ['β Peg', 'η Peg', 'π Peg']
+    ] },
+    { name: 'Cassiopeia', lines: [['β Cas', 'α Cas', 'γ Cas', 'δ Cas', 'ε Cas']] },
+    { name: 'Cepheus', lines: [
+        ['α Cep', 'β Cep', 'γ Cep', 'ι Cep', 'ζ Cep', 'α Cep'], ['ι Cep', 'β Cep'], ['ζ Cep', 'δ Cep'], ['α Cep', 'η Cep']
+    ] },
+    { name: 'Ursa Major', lines: [
+        ['η UMa', 'ζ UMa', 'ε UMa', 'δ UMa', 'α UMa', 'β UMa', 'γ UMa', 'δ UMa'],
+        ['α UMa', '23 UMa', 'ο UMa', 'υ UMa', 'θ UMa', 'κ UMa', 'ι UMa'], ['23 UMa', 'υ UMa'],
+        ['γ UMa', 'χ UMa', 'ψ UMa', 'λ UMa', 'μ UMa'], ['ψ UMa', 'ν UMa', 'ξ UMa']
+    ] },
+    { name: 'Ursa Minor', lines: [['α UMi', 'δ UMi', 'ε UMi', 'ζ UMi', 'β UMi', 'γ UMi', 'η UMi', 'ζ UMi']] },
+    { name: 'Draco', lines: [
+        ['λ Dra', 'κ Dra', 'α Dra', 'ι Dra', 'θ Dra', 'η Dra', 'ζ Dra', 'φ Dra', 'χ Dra', 'ε Dra', 'δ Dra', 'ξ Dra'],
+        ['ξ Dra', 'γ Dra', 'β Dra', 'ξ Dra']
+    ] },
+    { name: 'Boötes', lines: [['α Boo', 'ε Boo', 'δ Boo', 'β Boo', 'γ Boo', 'ρ Boo', 'α Boo', 'η Boo'], ['α Boo', 'ζ Boo']] },
+    { name: 'Corona Borealis', lines: [['ι CrB', 'ε CrB', 'δ CrB', 'γ CrB', 'α CrB', 'β CrB', 'θ CrB']] },
+    { name: 'Hercules', lines: [
+        ['ε Her', 'ζ Her', 'η Her', 'π Her', 'ε Her'], ['ζ Her', 'β Her', 'γ Her'],
+        ['η Her', 'τ Her', 'φ Her'], ['π Her', 'ι Her'], ['π Her', 'θ Her'],
+        ['ε Her', 'δ Her', 'α1 Her'], ['δ Her', 'μ Her', 'ξ Her', 'ο Her']
+    ] },
+    { name: 'Lyra', lines: [['α Lyr', 'ζ1 Lyr', 'β Lyr', 'γ Lyr', 'δ2 Lyr', 'ζ1 Lyr']] },
+    { name: 'Cygnus', lines: [['α Cyg', 'γ Cyg', 'η Cyg', 'β1 Cyg'], ['δ Cyg', 'γ Cyg', 'ε Cyg', 'ζ Cyg'], ['δ Cyg', 'ι Cyg', 'κ Cyg']] },
+    { name: 'Aquila', lines: [
+        ['ζ Aql', 'δ Aql', 'η Aql', 'θ Aql'], ['ε Aql', 'ζ Aql'], ['δ Aql', 'λ Aql'], ['δ Aql', 'γ Aql', 'α Aql', 'β Aql']
+    ] },
+    { name: 'Sagitta', lines: [['γ Sge', 'δ Sge', 'α Sge'], ['δ Sge', 'β Sge']] },
+    { name: 'Delphinus', lines: [['ε Del', 'β Del', 'α Del', 'γ2 Del', 'δ Del', 'β Del']] },
+    { name: 'Leo', lines: [
+        ['α Leo', 'η Leo', 'γ1 Leo', 'ζ Leo', 'μ Leo', 'ε Leo'], ['α Leo', 'θ Leo', 'β Leo', 'δ Leo', 'γ1 Leo'], ['θ Leo', 'ι Leo', 'σ Leo']
+    ] },
+    { name: 'Cancer', lines: [['ι Cnc', 'γ Cnc', 'δ Cnc', 'β Cnc'], ['δ Cnc', 'α Cnc']] },
+    { name: 'Virgo', lines: [
+        ['β Vir', 'η Vir', 'γ Vir', 'δ Vir', 'ε Vir'], ['γ Vir', 'θ Vir', 'α Vir'], ['δ Vir', 'ζ Vir', 'τ Vir', '109 Vir'], ['ζ Vir', 'ι Vir', 'μ Vir']
+    ] },
+    { name: 'Libra', lines: [['σ Lib', 'α2 Lib', 'β Lib', 'γ Lib', 'υ Lib', 'τ Lib']] },
+    { name: 'Scorpius', lines: [
+        ['β1 Sco', 'δ Sco', 'π Sco', 'ρ Sco'],
+        ['δ Sco', 'σ Sco', 'α Sco', 'τ Sco', 'ε Sco', 'μ1 Sco', 'ζ2 Sco', 'η Sco', 'θ Sco', 'ι1 Sco', 'κ Sco', 'λ Sco', 'υ Sco']
+    ] },
+    { name: 'Sagittarius', lines: [
+        ['γ2 Sgr', 'δ Sgr', 'ε Sgr', 'ζ Sgr', 'φ Sgr', 'λ Sgr', 'δ Sgr'], ['ε Sgr', 'η Sgr'], ['λ Sgr', 'μ Sgr'],
+        ['φ Sgr', 'σ Sgr', 'τ Sgr', 'ζ Sgr'], ['σ Sgr', 'ξ2 Sgr', 'ο Sgr', 'π Sgr', 'ρ1 Sgr']
+    ] },
+    { name: 'Ophiuchus', lines: [
+        ['α Oph', 'β Oph', 'η Oph', 'ζ Oph', 'ε Oph', 'δ Oph', 'κ Oph', 'α Oph'], ['β Oph', 'γ Oph'], ['η Oph', 'θ Oph'], ['η Oph', 'ν Oph']
+    ] },
+    { name: 'Serpens', lines: [
+        ['κ Ser', 'γ Ser', 'β Ser', 'δ Ser', 'α Ser', 'ε Ser', 'μ Ser'], ['β Ser', 'κ Ser'], ['ξ Ser', 'η Ser', 'θ1 Ser']
+    ] },
+    { name: 'Aries', lines: [['41 Ari', 'α Ari', 'β Ari', 'γ1 Ari']] },
+    { name: 'Triangulum', lines: [['α Tri', 'β Tri', 'γ Tri', 'α Tri']] },
+    { name: 'Pisces', lines: [
+        ['η Psc', 'ο Psc', 'α Psc', 'ν Psc', 'ε Psc', 'δ Psc', 'ω Psc', 'ι Psc', 'θ Psc', 'γ Psc', 'κ Psc', 'λ Psc', 'ι Psc']
+    ] },
+    { name: 'Cetus', lines: [['γ Cet', 'α Cet', 'δ Cet', 'ζ Cet', 'τ Cet', 'β Cet', 'ι Cet', 'η Cet', 'θ Cet', 'ζ Cet']] },
+    { name: 'Aquarius', lines: [['ε Aqr', 'β Aqr', 'α Aqr', 'γ Aqr', 'ζ1 Aqr', 'η Aqr'], ['α Aqr', 'θ Aqr', 'λ Aqr', 'δ Aqr']] },
+    { name: 'Capricornus', lines: [['α2 Cap', 'β Cap', 'ψ Cap', 'ω Cap', 'ζ Cap', 'δ Cap', 'γ Cap', 'ι Cap', 'θ Cap', 'α2 Cap']] },
+    { name: 'Hydra', lines: [
+        ['δ Hya', 'σ Hya', 'η Hya', 'ε Hya', 'δ Hya'],
+        ['ε Hya', 'ζ Hya', 'θ Hya', 'ι Hya', 'α Hya', 'υ1 Hya', 'λ Hya', 'μ Hya', 'ν Hya', 'ξ Hya', 'γ Hya', 'π Hya']
+    ] },
+    { name: 'Corvus', lines: [['α Crv', 'ε Crv', 'γ Crv', 'δ Crv', 'β Crv', 'ε Crv']] },
+    { name: 'Lepus', lines: [['μ Lep', 'α Lep', 'β Lep', 'ε Lep'], ['α Lep', 'ζ Lep', 'η Lep'], ['β Lep', 'γ Lep', 'δ Lep', 'α Lep']] },
+    { name: 'Columba', lines: [['α Col', 'β Col']] },
+    { name: 'Eridanus', lines: [['β Eri', 'δ Eri', 'ε Eri', 'η Eri']] },
+    { name: 'Crux', lines: [['α1 Cru', 'γ Cru'], ['β Cru', 'δ Cru']] },
+    { name: 'Centaurus', lines: [
+        ['α1 Cen', 'β Cen', 'ε Cen', 'ζ Cen', 'μ Cen', 'ν Cen', 'θ Cen'], ['ε Cen', 'γ Cen', 'δ Cen'], ['ν Cen', 'ι Cen'], ['ζ Cen', 'η Cen', 'κ Cen']
+    ] },
+    { name: 'Lupus', lines: [['α Lup', 'β Lup', 'γ Lup']] },
+    { name: 'Carina', lines: [['α Car', 'ε Car', 'ι Car', 'p Car', 'θ Car', 'ω Car', 'β Car', 'υ Car', 'ε Car']] },
+    { name: 'Vela', lines: [['γ2 Vel', 'δ Vel', 'κ Vel', 'φ Vel', 'μ Vel', 'λ Vel', 'γ2 Vel']] },
+    { name: 'Puppis', lines: [['ρ Pup', 'ξ Pup', 'ζ Pup', 'σ Pup', 'π Pup', 'ν Pup', 'τ Pup']] },
+    { name: 'Triangulum Australe', lines: [['α TrA', 'β TrA', 'γ TrA', 'α TrA']] },
+    { name: 'Grus', lines: [['γ Gru', 'α Gru', 'β Gru']] },
+    { name: 'Phoenix', lines: [['α Phe', 'β Phe', 'γ Phe']] }
+];
+
+// The catalogue's stars down to MAGNITUDE_LIMIT: { id, ra, dec (radians), magnitude, bv }
+export function catalogStars() {
+    return BRIGHT_STARS
+        .filter(([, , , magnitude]) => magnitude <= MAGNITUDE_LIMIT)
+        .map(([id, ra, dec, magnitude, bv]) => ({
+            id, ra: ra * Math.PI / 12, dec: dec * Math.PI / 180, magnitude, bv
+        }));
+}
+
+// Each constellation's lines as pairs of stars from `stars` (as catalogStars): [{ name, segments: [[a, b], ...] }]
+export function constellationFigures(stars) {
+    const byId = new Map(stars.map(star => [star.id, star]));
+    return CONSTELLATIONS.map(({ name, lines }) => {
+        const segments = [];
+        for (const line of lines) {
+            for (let i = 1; i < line.length; i++) {
+                const a = byId.get(line[i - 1]), b = byId.get(line[i]);
+                if (a && b) segments.push([a, b]);
+            }
+        }
+        return { name, segments };
+    }).filter(figure => figure.segments.length > 0);
+}
+
+// Colour of a star with B-V colour index `bv`, as { r, g, b } (0..1, sRGB): from its surface
+// temperature (Ballesteros' formula) through the tint of a black body at that temperature,
+// washed halfway to white (to the eye, only the reddest and bluest stars look coloured)
+export function starColor(bv) {
+    const index = Math.min(Math.max(bv, -0.4), 2);
+    const kelvin = 4600 * (1 / (0.92 * index + 1.7) + 1 / (0.92 * index + 0.62));
+    const t = kelvin / 100;
+    let r, g, b;
+    if (t <= 66) {
+        r = 255;
+        g = 99.47 * Math.log(t) - 161.12;
+        b = t <= 19 ? 0 : 138.52 * Math.log(t - 10) - 305.04;
+    } else {
+        r = 329.7 * Math.pow(t - 60, -0.1332);
+        g = 288.12 * Math.pow(t - 60, -0.0755);
+        b = 255;
+    }
+    const wash = channel => 0.5 + 0.5 * Math.min(Math.max(channel / 255, 0), 1);
+    return { r: wash(r), g: wash(g), b: wash(b) };
+}
+
+// Size on screen (pixels) of a star of `magnitude`: it grows slowly with the star's light (each
+// magnitude is 2.5 times the light), from 2 px at the limit to 6.5 px for Sirius
+export function starSize(magnitude) {
+    const light = Math.pow(10, -0.4 * (magnitude + 1.5)); // relative to Sirius
+    return 1.5 + 5 * Math.pow(light, 0.35);
+}
@@ -0,0 +1,210 @@
+// The stars, fixed on the celestial sphere and turned with the Earth: each catalogue star
+// (starCatalog.js) sits at its right ascension and declination, and once a frame one rotation
+// (from the local sidereal time and the observer's latitude, see astronomy.js) carries the whole
+// sphere to where it stands in the sky. The stars are one Points layer on a shell around the
+// camera, sized and tinted by magnitude and colour index; they come out faintest-last as the
+// limiting magnitude rises through twilight, and those below the horizon fade out. The
+// constellation figures are lines and labels on the same sphere, off unless asked for.
+
+import * as THREE from 'three';
+import { starColor, starSize } from './starCatalog.js';
+
+const LINE_OPACITY = 0.35;
+const LABEL_HEIGHT = 0.035;     // share of the view's height (sprites keep their screen size)
+
+const _f1 = new THREE.Vector3();
+const _f2 = new THREE.Vector3();
+const _f3 = new THREE.Vector3();
+const _spin = new THREE.Matrix4();
+const _direction = new THREE.Vector3();
+
+// Unit vector to right ascension `ra`, declination `dec` (radians) in the equatorial frame:
+// x towards RA 0h on the equator, y towards RA 6h, z the north celestial pole
+function equatorial(ra, dec, target = new THREE.Vector3()) {
+    return target.set(Math.cos(dec) * Math.cos(ra), Math.cos(dec) * Math.sin(ra), Math.sin(dec));
+}
+
+function createStarMaterial() {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            opacity: { value: 1 },
+            limit: { value: 6 }     // limiting magnitude
+        },
+        vertexShader: `
+            attribute float size;
+            attribute float magnitude;
+            attribute vec3 starColor;
+            uniform float limit;
+            varying vec3 vColor;
+            varying float vAbove;
+            varying float vLight;
+            void main() {
+                vColor = starColor;
+                // Height above the horizon of the direction to the star (the shell follows the camera)
+                vAbove = normalize(mat3(modelMatrix) * position).y;
+                // Near the horizon the air swallows the faint stars first
+                float extinction = 1.5 * (1.0 - smoothstep(0.0, 0.25, vAbove));
+                vLight = clamp(limit - extinction - magnitude, 0.0, 1.0);
+                vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                gl_PointSize = size;
+                gl_Position = projectionMatrix * mvPosition;
+            }
+        `,
+        fragmentShader: `
+            uniform float opacity;
+            varying vec3 vColor;
+            varying float vAbove;
+            varying float vLight;
+            void main() {
+                float d = length(gl_PointCoord - 0.5) * 2.0;
+                float disc = 1.0 - smoothstep(0.4, 1.0, d);
+                float alpha = disc * opacity * vLight * smoothstep(-0.01, 0.03, vAbove);
+                if (alpha < 0.01) discard;
+                gl_FragColor = vec4(vColor, alpha);
+            }
+        `,
+        transparent: true,
+        depthTest: false,   // drawn over the sky dome like the sun and moon
+        depthWrite: false
+    });
+}
+
+function createLineMaterial() {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            color: { value: new THREE.Color(0x6f86c8) },
+            opacity: { value: 0 }
+        },
+        vertexShader: `
+            varying float vAbove;
+            void main() {
+                vAbove = normalize(mat3(modelMatrix) * position).y;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+        `,
+        fragmentShader: `
+            uniform vec3 color;
+            uniform float opacity;
+            varying float vAbove;
+            void main() {
+                gl_FragColor = vec4(color, opacity * smoothstep(0.0, 0.05, vAbove));
+            }
+        `,
+        transparent: true,
+        depthTest: false,
+        depthWrite: false
+    });
+}
+
+// A constellation's name on a sprite that keeps its size on screen
+function createLabel(name) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 48;
+    const ctx = canvas.getContext('2d');
+    ctx.font = '26px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#a9b8e6';
+    ctx.fillText(name, canvas.width / 2, canvas.height / 2);
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: texture, transparent: true, depthTest: false, depthWrite: false, fog: false, sizeAttenuation: false
+    }));
+    sprite.scale.set(LABEL_HEIGHT * canvas.width / canvas.height, LABEL_HEIGHT, 1);
+    sprite.renderOrder = 999;
+    return sprite;
+}
+
+export class StarField {
+    // `stars` ({ id, ra, dec, magnitude, bv }, as starCatalog.catalogStars) at `radius` from the
+    // camera, and the constellation `figures` (as starCatalog.constellationFigures)
+    constructor(parent, radius, stars, figures) {
+        // The celestial sphere: the stars, lines and labels turn together
+        this.sphere = new THREE.Group();
+        this.sphere.matrixAutoUpdate = false;
+        parent.add(this.sphere);
+
+        const positions = new Float32Array(stars.length * 3);
+        const colors = new Float32Array(stars.length * 3);
+        const sizes = new Float32Array(stars.length);
+        const magnitudes = new Float32Array(stars.length);
+        stars.forEach((star, i) => {
+            equatorial(star.ra, star.dec, _direction).multiplyScalar(radius).toArray(positions, i * 3);
+            const { r, g, b } = starColor(star.bv);
+            colors.set([r, g, b], i * 3);
+            sizes[i] = starSize(star.magnitude);
+            magnitudes[i] = star.magnitude;
+        });
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('starColor', new THREE.BufferAttribute(colors, 3));
+        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        geometry.setAttribute('magnitude', new THREE.BufferAttribute(magnitudes, 1));
+        this.points = new THREE.Points(geometry, createStarMaterial());
+        this.points.frustumCulled = false;
+        this.points.renderOrder = 1000;
+        this.sphere.add(this.points);
+
+        // Constellation figures, a little inside the stars
+        const linePositions = [];
+        this.labels = [];
+        for (const { name, segments } of figures) {
+            const centre = new THREE.Vector3();
+            for (const [a, b] of segments) {
+                for (const star of [a, b]) {
+                    equatorial(star.ra, star.dec, _direction);
+                    centre.add(_direction);
+                    linePositions.push(..._direction.clone().multiplyScalar(radius * 0.995).toArray());
+                }
+            }
+            const label = createLabel(name);
+            label.position.copy(centre.normalize()).multiplyScalar(radius * 0.99);
+            label.userData.direction = centre;
+            this.sphere.add(label);
+            this.labels.push(label);
+        }
+        const lineGeometry = new THREE.BufferGeometry();
+        lineGeometry.setAttribute('position', new THREE.Float32BufferAttribute(linePositions, 3));
+        this.lines = new THREE.LineSegments(lineGeometry, createLineMaterial());
+        this.lines.frustumCulled = false;
+        this.lines.renderOrder = 999;
+        this.sphere.add(this.lines);
+
+        this.constellations = false;
+    }
+
+    // Show or hide the constellation lines and labels
+    setConstellations(visible) {
+        this.constellations = visible;
+    }
+
+    // Turn the sphere for local sidereal time `lst` (radians) at `latitude` (degrees); show the
+    // stars down to magnitude `limit` (astronomy.limitingMagnitude), all faded to `opacity`
+    update(lst, latitude, limit, opacity) {
+        // Where the equator on the meridian, the east point and the celestial pole are in the
+        // world (north -Z, east +X, up +Y); the sphere turns westward by the sidereal time
+        const phi = latitude * Math.PI / 180;
+        _f1.set(0, Math.cos(phi), Math.sin(phi));
+        _f2.set(1, 0, 0);
+        _f3.set(0, Math.sin(phi), -Math.cos(phi));
+        this.sphere.matrix.makeBasis(_f1, _f2, _f3).multiply(_spin.makeRotationZ(-lst));
+        this.sphere.matrixWorldNeedsUpdate = true;
+
+        const uniforms = this.points.material.uniforms;
+        uniforms.opacity.value = opacity;
+        uniforms.limit.value = limit;
+        this.points.visible = opacity > 0.001 && limit > -1.5;
+
+        // The figures come out with the main constellation stars
+        const overlay = this.constellations ? opacity * THREE.MathUtils.smoothstep(limit, 1.5, 3.5) : 0;
+        this.lines.material.uniforms.opacity.value = overlay * LINE_OPACITY;
+        this.lines.visible = overlay > 0.001;
+        for (const label of this.labels) {
+            const above = _direction.copy(label.userData.direction).applyMatrix4(this.sphere.matrix).y;
+            label.visible = this.lines.visible && above > 0.05;
+            label.material.opacity = overlay * THREE.MathUtils.smoothstep(above, 0.05, 0.15);
+        }
+    }
+}
@@ -0,0 +1,286 @@
+// Procedural heightmap terrain: rolling hills plus ridge lines from seeded gradient noise.
+// Like simulation.js this is plain math with no DOM or Three.js, so the same heights are
+// available to the simulation (terrain-aware AGL), the camera (ground clamp), the chunk
+// builder in terrainWorker.js and Node scripts. Heights depend only on world X/Z and the
+// scene seed, which is what makes neighbouring chunks meet without seams.
+
+import { createRandom, deriveSeed } from './random.js';
+
+const HILL_SCALE = 3200;          // metres per noise cell for the rolling hills
+const HILL_HEIGHT = 90;           // metres either side of the base height
+const HILL_OCTAVES = 4;
+const RIDGE_SCALE = 5200;         // metres per noise cell for the ridge lines
+const RIDGE_HEIGHT = 150;         // metres at a ridge crest
+const RIDGE_OCTAVES = 3;
+const RIDGE_MASK_SCALE = 14000;   // ridges come in ranges separated by open country
+const PERSISTENCE = 0.45;         // amplitude kept per octave (lower = smoother)
+const NOISE_RANGE = Math.SQRT1_2; // |noise| never exceeds this with the gradients below
+
+// Eight unit gradients
+const GRAD_X = [1, -1, 0, 0, Math.SQRT1_2, -Math.SQRT1_2, Math.SQRT1_2, -Math.SQRT1_2];
+const GRAD_Y = [0, 0, 1, -1, Math.SQRT1_2, Math.SQRT1_2, -Math.SQRT1_2, -Math.SQRT1_2];
+
+const fade = t => t * t * t * (t * (t * 6 - 15) + 10);
+const lerp = (a, b, t) => a + (b - a) * t;
+const smoothstep = (edge0, edge1, x) => {
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+};
+
+// 2D gradient (Perlin) noise with a seeded permutation table, in [-NOISE_RANGE, NOISE_RANGE]
+function createNoise2D(seed) {
+    const random = createRandom(seed);
+    const table = Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [table[i], table[j]] = [table[j], table[i]];
+    }
+    const perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) perm[i] = table[i & 255];
+
+    const dot = (hash, dx, dy) => GRAD_X[hash & 7] * dx + GRAD_Y[hash & 7] * dy;
+
+    return (x, y) => {
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const fx = x - x0;
+        const fy = y - y0;
+        const xi = x0 & 255;
+        const yi = y0 & 255;
+        const u = fade(fx);
+        const v = fade(fy);
+        const a = perm[xi] + yi;
+        const b = perm[xi + 1] + yi;
+        return lerp(
+            lerp(dot(perm[a], fx, fy), dot(perm[b], fx - 1, fy), u),
+            lerp(dot(perm[a + 1], fx, fy - 1), dot(perm[b + 1], fx - 1, fy - 1), u),
+            v
+        );
+    };
+}
+
+// Fractal sum of `octaves` noise layers, normalized to about [-1, 1]
+function fbm(noise, x, y, octaves) {
+    let sum = 0, amplitude = 1, frequency = 1, total = 0;
+    for (let i = 0; i < octaves; i++) {
+        sum += noise(x * frequency, y * frequency) * amplitude;
+        total += amplitude;
+        amplitude *= PERSISTENCE;
+        frequency *= 2;
+    }
+    return sum / (total * NOISE_RANGE);
+}
+
+// Ridged fractal: sharp crests where the noise crosses zero, in [0, 1]
+function ridged(noise, x, y, octaves) {
+    let sum = 0, amplitude = 1, frequency = 1, total = 0;
+    for (let i = 0; i < octaves; i++) {
+        const crest = 1 - Math.abs(noise(x * frequency, y * frequency)) / NOISE_RANGE;
+        sum += crest * crest * amplitude;
+        total += amplitude;
+        amplitude *= PERSISTENCE;
+        frequency *= 2;
+    }
+    return sum / total;
+}
+
+// How much of flat area `flat` applies at (x, z): 1 inside its rectangle, easing to 0 over its margin
+function flatWeight(flat, x, z) {
+    const dx = x - flat.x;
+    const dz = z - flat.z;
+    const along = dx * Math.sin(flat.heading) + dz * Math.cos(flat.heading);
+    const across = dz * Math.sin(flat.heading) - dx * Math.cos(flat.heading);
+    const outside = Math.hypot(Math.max(0, Math.abs(along) - flat.halfLength), Math.max(0, Math.abs(across) - flat.halfWidth));
+    return 1 - smoothstep(0, flat.margin, outside);
+}
+
+// Terrain for a scene seed. `baseHeight` is the world Y of the mean ground level.
+// `flats` are level pads cut into the hills (an airport's `flat`, see airport.js): rectangles
+// { x, z, heading, halfLength, halfWidth, margin, height } that blend back over `margin` metres.
+// Returns { seed, baseHeight, flats, heightAt(x, z) } with heights in world units (metres).
+export function createTerrain(sceneSeed, { baseHeight = 0, flats = [] } = {}) {
+    const hillNoise = createNoise2D(deriveSeed(sceneSeed, 'terrain:hills'));
+    const ridgeNoise = createNoise2D(deriveSeed(sceneSeed, 'terrain:ridges'));
+    const maskNoise = createNoise2D(deriveSeed(sceneSeed, 'terrain:ranges'));
+
+    const naturalHeightAt = (x, z) => {
+        const hills = fbm(hillNoise, x / HILL_SCALE, z / HILL_SCALE, HILL_OCTAVES) * HILL_HEIGHT;
+        const range = smoothstep(-0.1, 0.35, maskNoise(x / RIDGE_MASK_SCALE, z / RIDGE_MASK_SCALE) / NOISE_RANGE);
+        if (range === 0) return baseHeight + hills;
+        const ridges = ridged(ridgeNoise, x / RIDGE_SCALE, z / RIDGE_SCALE, RIDGE_OCTAVES) * RIDGE_HEIGHT;
+        return baseHeight + hills + ridges * range;
+    };
+
+    return {
+        seed: sceneSeed,
+        baseHeight,
+        flats,
+        heightAt(x, z) {
+            let height = naturalHeightAt(x, z);
+            for (const flat of flats) {
+                const weight = flatWeight(flat, x, z);
+                if (weight > 0) height += (flat.height - height) * weight;
+            }
+            return height;
+        }
+    };
+}
+
+// --- Chunk meshes ---
+// A chunk is a (segments + 1)² vertex grid (rows from -Z to +Z, columns from -X to +X) followed
+// by a skirt: a copy of the four edges lowered by `skirtDepth`, which hides the slivers that can
+// open between neighbours at different resolutions. Every vertex also carries `coarseHeight`,
+// its height on the half-resolution grid, so a renderer can morph toward the next coarser level
+// before switching to it (see terrainChunks.js).
+
+// Grid vertex indices along each edge, in order: north (-Z), south (+Z), west (-X), east (+X)
+function edgeVertices(segments) {
+    const side = segments + 1;
+    const edges = [[], [], [], []];
+    for (let t = 0; t <= segments; t++) {
+        edges[0].push(t);
+        edges[1].push(segments * side + t);
+        edges[2].push(t * side);
+        edges[3].push(t * side + segments);
+    }
+    return edges;
+}
+
+// Vertex data for the chunk of side `size` centred on (centerX, centerZ), relative to the centre.
+// Normals are sampled `normalStep` apart whatever the resolution, and heights depend only on
+// world X/Z, so chunks that share an edge at the same resolution match exactly.
+export function buildChunk(terrain, centerX, centerZ, size, segments, { normalStep = size / segments, skirtDepth = 0 } = {}) {
+    const step = size / segments;
+    const half = size / 2;
+    const side = segments + 1;
+    const row = segments + 3; // heights with a one-vertex border
+    const heights = new Float32Array(row * row);
+    for (let iz = 0; iz < row; iz++) {
+        for (let ix = 0; ix < row; ix++) {
+            heights[iz * row + ix] = terrain.heightAt(
+                centerX - half + (ix - 1) * step,
+                centerZ - half + (iz - 1) * step
+            );
+        }
+    }
+    const heightAtGrid = (ix, iz) => heights[(iz + 1) * row + (ix + 1)];
+    const gridNormals = Math.abs(normalStep - step) < 1e-6; // the border already holds the samples
+
+    const edges = edgeVertices(segments);
+    const count = side * side + edges.length * side;
+    const positions = new Float32Array(count * 3);
+    const normals = new Float32Array(count * 3);
+    const coarseHeights = new Float32Array(count);
+
+    for (let iz = 0; iz <= segments; iz++) {
+        for (let ix = 0; ix <= segments; ix++) {
+            const v = iz * side + ix;
+            const x = -half + ix * step;
+            const z = -half + iz * step;
+            positions[v * 3] = x;
+            positions[v * 3 + 1] = heightAtGrid(ix, iz);
+            positions[v * 3 + 2] = z;
+
+            // Central differences: n = (-dh/dx, 1, -dh/dz), normalized
+            let nx, nz;
+            if (gridNormals) {
+                nx = (heightAtGrid(ix - 1, iz) - heightAtGrid(ix + 1, iz)) / (2 * step);
+                nz = (heightAtGrid(ix, iz - 1) - heightAtGrid(ix, iz + 1)) / (2 * step);
+            } else {
+                const wx = centerX + x, wz = centerZ + z;
+                nx = (terrain.heightAt(wx - normalStep, wz) - terrain.heightAt(wx + normalStep, wz)) / (2 * normalStep);
+                nz = (terrain.heightAt(wx, wz - normalStep) - terrain.heightAt(wx, wz + normalStep)) / (2 * normalStep);
+            }
+            const length = Math.hypot(nx, 1, nz);
+            normals[v * 3] = nx / length;
+            normals[v * 3 + 1] = 1 / length;
+            normals[v * 3 + 2] = nz / length;
+
+            // Height on the coarser grid: odd vertices sit mid-edge or mid-diagonal of a coarse cell
+            // (cells are split along the (x0, z1)-(x1, z0) diagonal, as in buildChunkIndex)
+            const oddX = ix % 2 === 1, oddZ = iz % 2 === 1;
+            if (segments < 2 || (!oddX && !oddZ)) {
+                coarseHeights[v] = heightAtGrid(ix, iz);
+            } else if (oddX && oddZ) {
+                coarseHeights[v] = (heightAtGrid(ix - 1, iz + 1) + heightAtGrid(ix + 1, iz - 1)) / 2;
+            } else if (oddX) {
+                coarseHeights[v] = (heightAtGrid(ix - 1, iz) + heightAtGrid(ix + 1, iz)) / 2;
+            } else {
+                coarseHeights[v] = (heightAtGrid(ix, iz - 1) + heightAtGrid(ix, iz + 1)) / 2;
+            }
+        }
+    }
+
+    // Skirt: the edge vertices again, lowered
+    let v = side * side;
+    for (const edge of edges) {
+        for (const source of edge) {
+            positions[v * 3] = positions[source * 3];
+            positions[v * 3 + 1] = positions[source * 3 + 1] - skirtDepth;
+            positions[v * 3 + 2] = positions[source * 3 + 2];
+            normals.copyWithin(v * 3, source * 3, source * 3 + 3);
+            coarseHeights[v] = coarseHeights[source] - skirtDepth;
+            v++;
+        }
+    }
+    return { positions, normals, coarseHeights };
+}
+
+// Triangle indices for a chunk with `segments` cells per side (grid, then skirt)
+export function buildChunkIndex(segments) {
+    const side = segments + 1;
+    const edges = edgeVertices(segments);
+    const count = side * side + edges.length * side;
+    const triangles = segments * segments * 2 + edges.length * segments * 2;
+    const index = count > 65535 ? new Uint32Array(triangles * 3) : new Uint16Array(triangles * 3);
+    let i = 0;
+    const triangle = (a, b, c) => {
+        index[i++] = a;
+        index[i++] = b;
+        index[i++] = c;
+    };
+    for (let iz = 0; iz < segments; iz++) {
+        for (let ix = 0; ix < segments; ix++) {
+            const a = iz * side + ix;         // (x0, z0)
+            const b = (iz + 1) * side + ix;   // (x0, z1)
+            const c = b + 1;                  // (x1, z1)
+            const d = a + 1;                  // (x1, z0)
+            triangle(a, b, d); // counter-clockwise seen from above
+            triangle(b, c, d);
+        }
+    }
+    let skirt = side * side;
+    for (const edge of edges) {
+        for (let t = 0; t < segments; t++) {
+            const top0 = edge[t], top1 = edge[t + 1];
+            const bottom0 = skirt + t, bottom1 = skirt + t + 1;
+            triangle(top0, bottom0, top1);
+            triangle(top1, bottom0, bottom1);
+        }
+        skirt += side;
+    }
+    return index;
+}
+
+// Texture coordinates for a chunk: 0..1 across the grid (v = 1 at -Z, as on a PlaneGeometry)
+export function buildChunkUVs(segments) {
+    const side = segments + 1;
+    const edges = edgeVertices(segments);
+    const uvs = new Float32Array((side * side + edges.length * side) * 2);
+    for (let iz = 0; iz <= segments; iz++) {
+        for (let ix = 0; ix <= segments; ix++) {
+            const v = iz * side + ix;
+            uvs[v * 2] = ix / segments;
+            uvs[v * 2 + 1] = 1 - iz / segments;
+        }
+    }
+    let v = side * side;
+    for (const edge of edges) {
+        for (const source of edge) {
+            uvs[v * 2] = uvs[source * 2];
+            uvs[v * 2 + 1] = uvs[source * 2 + 1];
+            v++;
+        }
+    }
+    return uvs;
+}
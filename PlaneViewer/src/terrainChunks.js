@@ -0,0 +1,233 @@
+// Streams terrain chunks around the camera with distance-based levels of detail.
+// Chunk vertex data comes from terrainWorker.js (or is built here if workers are unavailable);
+// adding and removing meshes is budgeted per frame so fast camera moves don't cause hitches.
+//
+// Cracks between levels: a chunk's level is picked from the Chebyshev distance (in chunks) between
+// the camera and the nearest point of the chunk. Near the outer edge of its band each vertex morphs
+// (in the vertex shader) to its height on the next coarser grid, so by the time a neighbour or
+// the chunk itself switches to that level the shared edges already line up. Every band is at least
+// 1 + MORPH_WIDTH chunks wide, so neighbours differ by at most one level and no chunk reaches the
+// distance where the level after next starts morphing. Skirts hide whatever is left while a
+// rebuild is on its way.
+
+import * as THREE from 'three';
+import { buildChunk, buildChunkIndex, buildChunkUVs } from './terrain.js';
+
+export const CHUNK_SIZE = 2000;  // world tile size in units (X/Z) - larger to extend beyond fog
+
+// Grid cells per chunk side, and the distance (in chunks) out to which each level is used
+const LOD_LEVELS = [
+    { segments: 64, within: 1 },
+    { segments: 32, within: 2.5 },
+    { segments: 16, within: 4.5 },
+    { segments: 8, within: 7.5 },
+    { segments: 4, within: Infinity }
+];
+const MORPH_WIDTH = 0.5;                // chunks; how far before its band ends a level starts morphing
+const NORMAL_STEP = CHUNK_SIZE / 64;    // normals are sampled at the finest spacing on every level
+const MAX_IN_FLIGHT = 4;                // chunk builds queued in the worker at once
+const FRAME_BUDGET_MS = 2;              // main-thread time per frame for adding/removing chunk meshes
+const RETARGET_DISTANCE = 0.02;         // chunks the camera moves before levels are re-evaluated
+
+// Skirt depth for a level: enough to cover the largest gap its neighbours can leave
+const skirtDepth = segments => CHUNK_SIZE / segments * 0.25 + 5;
+
+// A clone of `base` whose vertices morph toward the next coarser level with distance
+function createLodMaterial(base, level) {
+    const material = base.clone();
+    const end = LOD_LEVELS[level].within;
+    const uniforms = {
+        lodChunkSize: { value: CHUNK_SIZE },
+        lodMorphStart: { value: Number.isFinite(end) ? end - MORPH_WIDTH : 1e9 },
+        lodMorphEnd: { value: Number.isFinite(end) ? end : 1e9 + 1 }
+    };
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, uniforms);
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+attribute float coarseHeight;
+uniform float lodChunkSize;
+uniform float lodMorphStart;
+uniform float lodMorphEnd;`)
+            .replace('#include <begin_vertex>', `#include <begin_vertex>
+vec2 lodOffset = abs((modelMatrix * vec4(position, 1.0)).xz - cameraPosition.xz) / lodChunkSize;
+float lodMorph = clamp((max(lodOffset.x, lodOffset.y) - lodMorphStart) / (lodMorphEnd - lodMorphStart), 0.0, 1.0);
+transformed.y = mix(position.y, coarseHeight, lodMorph);`);
+    };
+    material.customProgramCacheKey = () => 'terrain-lod';
+    return material;
+}
+
+export class TerrainChunkManager {
+    constructor(scene, material, terrain, radius = 1) {
+        this.scene = scene;
+        this.terrain = terrain;
+        this.radius = radius; // tiles kept loaded around the current one
+        this.materials = LOD_LEVELS.map((_, level) => createLodMaterial(material, level));
+        this.layouts = new Map(); // segments -> { index, uvs }, shared by every chunk of a level
+        this.active = new Map();  // key -> { mesh, level }
+        this.pending = new Map(); // key -> level being built
+        this.ready = [];          // built chunks waiting for a frame with budget to spare
+        this.targets = new Map(); // key -> { cx, cz, level, distance } for every chunk in range
+        this.lastCenter = null;
+        this.inFlight = 0;
+        this.worker = this.createWorker();
+    }
+
+    createWorker() {
+        if (typeof Worker === 'undefined') return null;
+        try {
+            const worker = new Worker(new URL('./terrainWorker.js', import.meta.url), { type: 'module' });
+            worker.onmessage = (event) => {
+                this.inFlight--;
+                this.ready.push(event.data);
+            };
+            worker.onerror = (event) => {
+                console.warn('⚠️ Terrain worker failed, building chunks on the main thread:', event.message);
+                worker.terminate();
+                this.worker = null;
+                // Whatever was still queued in the worker is lost; it gets requested again
+                this.inFlight = 0;
+                for (const k of [...this.pending.keys()]) {
+                    if (!this.ready.some(chunk => chunk.key === k)) this.pending.delete(k);
+                }
+            };
+            return worker;
+        } catch (err) {
+            console.warn('⚠️ Terrain worker unavailable, building chunks on the main thread:', err);
+            return null;
+        }
+    }
+
+    key(cx, cz) { return `${cx},${cz}`; }
+
+    // Farthest loaded ground from the camera (for the camera's far plane)
+    get viewDistance() {
+        return (this.radius + 1) * CHUNK_SIZE * Math.SQRT2;
+    }
+
+    // Work out which chunks should be loaded at which level for a camera at `centerPos`
+    updateTargets(centerPos) {
+        const px = centerPos.x / CHUNK_SIZE;
+        const pz = centerPos.z / CHUNK_SIZE;
+        if (this.lastCenter && Math.max(Math.abs(px - this.lastCenter.x), Math.abs(pz - this.lastCenter.z)) < RETARGET_DISTANCE) return;
+        this.lastCenter = { x: px, z: pz };
+
+        // Chunk (cx, cz) is centred on (cx, cz) * CHUNK_SIZE
+        const ccx = Math.round(px);
+        const ccz = Math.round(pz);
+        this.targets.clear();
+        for (let dz = -this.radius; dz <= this.radius; dz++) {
+            for (let dx = -this.radius; dx <= this.radius; dx++) {
+                const cx = ccx + dx;
+                const cz = ccz + dz;
+                const distance = Math.max(0, Math.abs(px - cx) - 0.5, Math.abs(pz - cz) - 0.5);
+                const level = LOD_LEVELS.findIndex(lod => distance < lod.within);
+                this.targets.set(this.key(cx, cz), { cx, cz, level, distance });
+            }
+        }
+    }
+
+    update(centerPos) {
+        this.updateTargets(centerPos);
+
+        const deadline = performance.now() + FRAME_BUDGET_MS;
+        let operations = 0;
+        const withinBudget = () => operations++ === 0 || performance.now() < deadline;
+
+        // Add freshly built chunks (replacing the previous level's mesh, so there's never a hole)
+        while (this.ready.length > 0 && withinBudget()) this.install(this.ready.shift());
+
+        // Drop chunks that fell out of range (behind you)
+        for (const [k, chunk] of this.active) {
+            if (this.targets.has(k)) continue;
+            if (!withinBudget()) break;
+            this.removeMesh(chunk.mesh);
+            this.active.delete(k);
+        }
+
+        // Queue builds for missing or wrong-level chunks, nearest first
+        const wanted = [];
+        for (const [k, target] of this.targets) {
+            const chunk = this.active.get(k);
+            if ((!chunk || chunk.level !== target.level) && this.pending.get(k) !== target.level) wanted.push([k, target]);
+        }
+        wanted.sort((a, b) => a[1].distance - b[1].distance);
+        for (const [k, target] of wanted) {
+            if (this.worker ? this.inFlight >= MAX_IN_FLIGHT : !withinBudget()) break;
+            this.requestChunk(k, target);
+        }
+    }
+
+    requestChunk(k, { cx, cz, level }) {
+        const { segments } = LOD_LEVELS[level];
+        const options = { normalStep: NORMAL_STEP, skirtDepth: skirtDepth(segments) };
+        this.pending.set(k, level);
+        if (this.worker) {
+            this.inFlight++;
+            this.worker.postMessage({
+                key: k,
+                level,
+                seed: this.terrain.seed,
+                baseHeight: this.terrain.baseHeight,
+                flats: this.terrain.flats,
+                centerX: cx * CHUNK_SIZE,
+                centerZ: cz * CHUNK_SIZE,
+                size: CHUNK_SIZE,
+                segments,
+                ...options
+            });
+        } else {
+            const data = buildChunk(this.terrain, cx * CHUNK_SIZE, cz * CHUNK_SIZE, CHUNK_SIZE, segments, options);
+            this.ready.push({ key: k, level, ...data });
+        }
+    }
+
+    install({ key: k, level, positions, normals, coarseHeights }) {
+        if (this.pending.get(k) === level) this.pending.delete(k);
+        const target = this.targets.get(k);
+        if (!target) return; // walked away while it was being built
+        const current = this.active.get(k);
+        if (current && (current.level === target.level || level !== target.level)) return; // superseded
+
+        const { segments } = LOD_LEVELS[level];
+        let layout = this.layouts.get(segments);
+        if (!layout) {
+            layout = { index: buildChunkIndex(segments), uvs: buildChunkUVs(segments) };
+            this.layouts.set(segments, layout);
+        }
+        // Chunks get their own index/UV attributes (same arrays) so disposing one never frees another's buffers
+        const geometry = new THREE.BufferGeometry();
+        geometry.setIndex(new THREE.BufferAttribute(layout.index, 1));
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        geometry.setAttribute('coarseHeight', new THREE.BufferAttribute(coarseHeights, 1));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(layout.uvs, 2));
+        geometry.computeBoundingSphere();
+
+        const mesh = new THREE.Mesh(geometry, this.materials[level]);
+        mesh.position.set(target.cx * CHUNK_SIZE, 0, target.cz * CHUNK_SIZE);
+        mesh.receiveShadow = true;
+        this.scene.add(mesh);
+        if (current) this.removeMesh(current.mesh);
+        this.active.set(k, { mesh, level });
+    }
+
+    removeMesh(mesh) {
+        this.scene.remove(mesh);
+        mesh.geometry.dispose(); // per-chunk geometry; materials stay shared
+    }
+
+    // Change the loaded radius; takes effect on the next update()
+    setRadius(radius) {
+        this.radius = radius;
+        this.lastCenter = null;
+    }
+
+    // Loaded/pending chunk counts per level, for the debug HUD
+    stats() {
+        const levels = LOD_LEVELS.map(() => 0);
+        for (const { level } of this.active.values()) levels[level]++;
+        return { loaded: this.active.size, pending: this.pending.size, levels };
+    }
+}
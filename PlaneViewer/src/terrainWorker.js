@@ -0,0 +1,18 @@
+// Builds terrain chunk vertex data off the main thread for TerrainChunkManager (terrainChunks.js).
+// Request: { key, level, seed, baseHeight, flats, centerX, centerZ, size, segments, normalStep, skirtDepth }
+// Reply:   { key, level, positions, normals, coarseHeights } (the arrays' buffers are transferred, not copied)
+
+import { createTerrain, buildChunk } from './terrain.js';
+
+let terrain = null;
+let terrainFlats = null; // JSON of terrain.flats, to spot a change
+
+self.onmessage = (event) => {
+    const { key, level, seed, baseHeight, flats, centerX, centerZ, size, segments, normalStep, skirtDepth } = event.data;
+    if (!terrain || terrain.seed !== seed || terrain.baseHeight !== baseHeight || terrainFlats !== JSON.stringify(flats)) {
+        terrain = createTerrain(seed, { baseHeight, flats });
+        terrainFlats = JSON.stringify(flats);
+    }
+    const { positions, normals, coarseHeights } = buildChunk(terrain, centerX, centerZ, size, segments, { normalStep, skirtDepth });
+    self.postMessage({ key, level, positions, normals, coarseHeights }, [positions.buffer, normals.buffer, coarseHeights.buffer]);
+};
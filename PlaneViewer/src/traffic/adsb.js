@@ -0,0 +1,262 @@
+// Parsers for recorded and live ADS-B traffic.
+// Every format is reduced to the same flat "position report":
+//   { id, time, lat, lon, altitude, onGround, groundSpeed, track, verticalRate, callsign, icaoType, category }
+// with `id` the ICAO 24-bit address (lower-case hex), `time` in unix seconds, `altitude` in metres
+// above sea level, `groundSpeed` in knots, `track` in degrees and `verticalRate` in feet/minute.
+// Fields a source doesn't report are null. Recording parsers drop reports without a position;
+// SBS-1 messages each carry only a few fields, so their reports are partial (see parseSbsMessage).
+
+import { FEET_TO_METERS } from './geo.js';
+
+// ICAO type designators look like 'B738', 'C172', 'U2'
+const TYPE_DESIGNATOR = /^[A-Z][A-Z0-9]{1,3}$/;
+
+const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+};
+
+const cleanText = (value) => {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    return text || null;
+};
+
+function typeDesignator(value) {
+    const text = cleanText(value);
+    return text && TYPE_DESIGNATOR.test(text.toUpperCase()) ? text.toUpperCase() : null;
+}
+
+// --- dump1090 / readsb aircraft.json ---
+
+// One aircraft.json snapshot ({ now, aircraft: [...] }) -> position reports.
+// Understands both current field names (alt_baro, gs, baro_rate) and the older ones
+// (altitude, speed, vert_rate). `fallbackTime` is used when the snapshot has no `now`.
+export function parseDump1090Snapshot(snapshot, fallbackTime = 0) {
+    const now = toNumber(snapshot && snapshot.now) ?? fallbackTime;
+    const reports = [];
+    for (const ac of (snapshot && snapshot.aircraft) || []) {
+        const lat = toNumber(ac.lat);
+        const lon = toNumber(ac.lon);
+        if (!ac.hex || lat === null || lon === null) continue;
+
+        const rawAltitude = ac.alt_baro ?? ac.altitude ?? ac.alt_geom;
+        const onGround = rawAltitude === 'ground';
+        const altitudeFeet = onGround ? null : toNumber(rawAltitude);
+
+        reports.push({
+            id: String(ac.hex).replace(/^~/, '').toLowerCase(),
+            // Position age: the fix is `seen_pos` seconds older than the snapshot
+            time: now - (toNumber(ac.seen_pos) ?? toNumber(ac.seen) ?? 0),
+            lat,
+            lon,
+            altitude: altitudeFeet === null ? null : altitudeFeet * FEET_TO_METERS,
+            onGround,
+            groundSpeed: toNumber(ac.gs ?? ac.speed),
+            track: toNumber(ac.track),
+            verticalRate: toNumber(ac.baro_rate ?? ac.geom_rate ?? ac.vert_rate),
+            callsign: cleanText(ac.flight),
+            // readsb with an aircraft database adds `t`; dump1090-fa's `type` is the message type, not a designator
+            icaoType: typeDesignator(ac.t) || typeDesignator(ac.type),
+            category: cleanText(ac.category)
+        });
+    }
+    return reports;
+}
+
+// A JSON recording: a single aircraft.json, an array of them, or one snapshot per line (NDJSON)
+export function parseTrafficJson(text, fallbackTime = 0) {
+    let snapshots;
+    try {
+        const data = JSON.parse(text);
+        snapshots = Array.isArray(data) ? data : [data];
+    } catch (err) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim());
+        if (lines.length < 2) throw err;
+        snapshots = lines.map((line, i) => {
+            try {
+                return JSON.parse(line);
+            } catch (lineErr) {
+                throw new Error(`Line ${i + 1}: ${lineErr.message}`);
+            }
+        });
+    }
+
+    const reports = [];
+    snapshots.forEach((snapshot, i) => {
+        if (!snapshot || !Array.isArray(snapshot.aircraft)) return;
+        // Snapshots without a timestamp are assumed to be one second apart
+        reports.push(...parseDump1090Snapshot(snapshot, fallbackTime + i));
+    });
+    if (snapshots.length && !snapshots.some(s => s && Array.isArray(s.aircraft))) {
+        throw new Error('No dump1090 "aircraft" list found in JSON');
+    }
+    return reports;
+}
+
+// --- SBS-1 BaseStation (port 30003) ---
+
+// SBS-1 field positions (comma separated, 22 fields; MSG lines only)
+const SBS = { type: 0, hex: 4, callsign: 10, altitude: 11, groundSpeed: 12, track: 13, lat: 14, lon: 15, verticalRate: 16, onGround: 21 };
+
+// One SBS-1 line -> partial report, or null for lines that aren't aircraft messages.
+// Each transmission type fills a different subset (MSG,1 callsign; MSG,3 position and altitude;
+// MSG,4 velocity; MSG,5/7 altitude), so absent fields are null and `onGround` may be null.
+// The receiver's own timestamps have no time zone, so `time` is the caller's receive time.
+export function parseSbsMessage(line, time) {
+    const f = line.trim().split(',');
+    if (f[SBS.type] !== 'MSG' || f.length < 11 || !f[SBS.hex]) return null;
+
+    const feet = toNumber(f[SBS.altitude]);
+    const groundFlag = f[SBS.onGround];
+    return {
+        id: f[SBS.hex].trim().replace(/^~/, '').toLowerCase(),
+        time,
+        lat: toNumber(f[SBS.lat]),
+        lon: toNumber(f[SBS.lon]),
+        altitude: feet === null ? null : feet * FEET_TO_METERS,
+        onGround: groundFlag === '-1' || groundFlag === '1' ? true : groundFlag === '0' ? false : null,
+        groundSpeed: toNumber(f[SBS.groundSpeed]),
+        track: toNumber(f[SBS.track]),
+        verticalRate: toNumber(f[SBS.verticalRate]),
+        callsign: cleanText(f[SBS.callsign]),
+        icaoType: null,
+        category: null
+    };
+}
+
+// --- CSV track log ---
+
+// Accepted header names for each field (case-insensitive)
+const CSV_COLUMNS = {
+    time: ['time', 'timestamp', 'ts', 'unix_time', 'datetime', 'date_time'],
+    id: ['hex', 'icao', 'icao24', 'icao_hex', 'id'],
+    lat: ['lat', 'latitude'],
+    lon: ['lon', 'lng', 'long', 'longitude'],
+    altitudeFeet: ['altitude', 'alt', 'alt_baro', 'alt_ft', 'altitude_ft'],
+    altitudeMeters: ['alt_m', 'altitude_m'],
+    groundSpeed: ['gs', 'speed', 'ground_speed', 'groundspeed', 'speed_kt'],
+    track: ['track', 'heading', 'true_track', 'course'],
+    verticalRate: ['vert_rate', 'baro_rate', 'vertical_rate', 'vs'],
+    callsign: ['callsign', 'flight'],
+    icaoType: ['type', 'icao_type', 'aircraft_type', 't'],
+    category: ['category', 'cat']
+};
+
+// Split one CSV line, honouring double-quoted fields ("a,b" and "" escapes)
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    fields.push(field);
+    return fields.map(f => f.trim());
+}
+
+// Unix seconds from a number (seconds or milliseconds) or an ISO-8601 date string
+function parseTime(value) {
+    const num = toNumber(value);
+    if (num !== null) return num > 1e11 ? num / 1000 : num;
+    const ms = Date.parse(value);
+    return Number.isFinite(ms) ? ms / 1000 : null;
+}
+
+// CSV with a header row; needs at least time, hex/icao, lat and lon columns
+export function parseTrackCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+    if (lines.length === 0) return [];
+
+    const header = splitCsvLine(lines[0]).map(name => name.toLowerCase());
+    const column = {};
+    for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+        column[field] = header.findIndex(name => aliases.includes(name));
+    }
+    const missing = ['time', 'id', 'lat', 'lon'].filter(field => column[field] === -1);
+    if (missing.length) {
+        throw new Error(`CSV track log is missing ${missing.join(', ')} column(s) (header: ${header.join(', ')})`);
+    }
+
+    const reports = [];
+    for (let i = 1; i < lines.length; i++) {
+        const row = splitCsvLine(lines[i]);
+        const get = (field) => (column[field] === -1 ? null : row[column[field]]);
+
+        const time = parseTime(get('time'));
+        const lat = toNumber(get('lat'));
+        const lon = toNumber(get('lon'));
+        const id = cleanText(get('id'));
+        if (time === null || lat === null || lon === null || !id) continue;
+
+        const rawFeet = get('altitudeFeet');
+        const onGround = String(rawFeet).toLowerCase() === 'ground';
+        const feet = onGround ? null : toNumber(rawFeet);
+        const meters = toNumber(get('altitudeMeters'));
+
+        reports.push({
+            id: id.toLowerCase(),
+            time,
+            lat,
+            lon,
+            altitude: feet !== null ? feet * FEET_TO_METERS : meters,
+            onGround,
+            groundSpeed: toNumber(get('groundSpeed')),
+            track: toNumber(get('track')),
+            verticalRate: toNumber(get('verticalRate')),
+            callsign: cleanText(get('callsign')),
+            icaoType: typeDesignator(get('icaoType')),
+            category: cleanText(get('category'))
+        });
+    }
+    return reports;
+}
+
+// Parse one recording file, choosing the format from its content
+export function parseRecordingFile(text, fallbackTime = 0) {
+    const start = text.trimStart()[0];
+    return start === '{' || start === '['
+        ? parseTrafficJson(text, fallbackTime)
+        : parseTrackCsv(text);
+}
+
+// Group reports into per-aircraft tracks: Map id -> { id, callsign, icaoType, category, samples }.
+// Samples are sorted by time; repeats of the same fix (common in snapshot series) are dropped.
+// Identity fields keep the last non-empty value seen.
+export function buildTracks(reports) {
+    const tracks = new Map();
+    for (const report of reports) {
+        let track = tracks.get(report.id);
+        if (!track) {
+            track = { id: report.id, callsign: null, icaoType: null, category: null, samples: [] };
+            tracks.set(report.id, track);
+        }
+        track.callsign = report.callsign || track.callsign;
+        track.icaoType = report.icaoType || track.icaoType;
+        track.category = report.category || track.category;
+        track.samples.push(report);
+    }
+    for (const track of tracks.values()) {
+        track.samples.sort((a, b) => a.time - b.time);
+        track.samples = track.samples.filter((s, i, all) => {
+            if (i === 0) return true;
+            const prev = all[i - 1];
+            const dt = s.time - prev.time;
+            // Snapshot timestamps and position ages are rounded to 0.1 s, so the same fix can drift a little
+            return dt > 0.05 && !(dt < 0.5 && s.lat === prev.lat && s.lon === prev.lon);
+        });
+    }
+    return tracks;
+}
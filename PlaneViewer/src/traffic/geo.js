@@ -0,0 +1,41 @@
+// Geodesy and unit helpers for real-world traffic.
+// Positions are projected onto a flat local east/north/up frame around an observer origin
+// (equirectangular approximation - good to a few metres within the ~50 km a receiver covers).
+
+export const EARTH_RADIUS = 6371008.8;   // mean Earth radius (m)
+export const FEET_TO_METERS = 0.3048;
+export const KNOTS_TO_MPS = 0.514444;
+export const FPM_TO_MPS = 0.00508;       // feet per minute -> metres per second
+
+const DEG = Math.PI / 180;
+
+// Projection around `origin` = { lat, lon, elevation } (degrees, degrees, metres above sea level).
+// project(lat, lon, altitudeMeters) -> { east, north, up } in metres, `up` relative to the origin's elevation.
+export function createLocalProjection(origin) {
+    const lat0 = origin.lat * DEG;
+    const lon0 = origin.lon * DEG;
+    const cosLat0 = Math.cos(lat0);
+    const elevation = origin.elevation || 0;
+
+    return {
+        origin: { lat: origin.lat, lon: origin.lon, elevation },
+        project(lat, lon, altitudeMeters) {
+            // Wrap longitude difference so origins near the antimeridian still work
+            let dLon = lon * DEG - lon0;
+            if (dLon > Math.PI) dLon -= Math.PI * 2;
+            if (dLon < -Math.PI) dLon += Math.PI * 2;
+            return {
+                east: dLon * cosLat0 * EARTH_RADIUS,
+                north: (lat * DEG - lat0) * EARTH_RADIUS,
+                up: altitudeMeters - elevation
+            };
+        }
+    };
+}
+
+// Ground velocity (m/s) from ground speed (knots) and track (degrees clockwise from true north)
+export function trackToVelocity(groundSpeedKnots, trackDegrees) {
+    const speed = groundSpeedKnots * KNOTS_TO_MPS;
+    const track = trackDegrees * DEG;
+    return { east: Math.sin(track) * speed, north: Math.cos(track) * speed };
+}
@@ -0,0 +1,276 @@
+// Live traffic from a receiver, relayed to the browser over a WebSocket (scripts/traffic-relay.js,
+// or scripts/traffic-standin.js for canned traffic when there's no receiver).
+// A traffic source like ReplayTraffic: call update(dt) once per simulation step, then read
+// `aircraft`. Messages can be SBS-1 BaseStation lines or dump1090-style aircraft.json snapshots;
+// other formats plug in through the `decoders` option, other transports by calling ingest().
+// Each aircraft is dead-reckoned from its last fix to the present, and the jump to a newer fix
+// is blended in over a second or two. Aircraft that fall silent are retired.
+
+import { parseDump1090Snapshot, parseSbsMessage } from './adsb.js';
+import { createLocalProjection, trackToVelocity, FPM_TO_MPS } from './geo.js';
+import { createPose, applyLocalPose } from './pose.js';
+
+const AIRCRAFT_TIMEOUT = 60;    // seconds without any message before an aircraft is retired (as dump1090 does)
+const POSITION_TIMEOUT = 30;    // seconds without a new position before it stops being shown
+const EXTRAPOLATE_LIMIT = 15;   // seconds of dead reckoning past the last fix
+const CORRECTION_TIME = 1.5;    // seconds; time constant for blending in corrections from new fixes
+const MAX_CORRECTION = 2000;    // metres; bigger jumps are taken immediately
+const RECONNECT_DELAY_MIN = 1;  // seconds; doubles after each failed attempt
+const RECONNECT_DELAY_MAX = 30;
+
+// --- Message decoders: (text, receivedAt) -> reports, or null if the text isn't in that format ---
+
+// dump1090/readsb aircraft.json snapshot (or an array of them, or a single aircraft object).
+// Fix times are re-based on our receive time, since the receiver's clock may be skewed against ours.
+export function decodeJsonMessage(text, receivedAt) {
+    const trimmed = text.trimStart();
+    if (trimmed[0] !== '{' && trimmed[0] !== '[') return null;
+    const data = JSON.parse(trimmed);
+    const reports = [];
+    for (const snapshot of Array.isArray(data) ? data : [data]) {
+        const aircraft = Array.isArray(snapshot.aircraft) ? snapshot.aircraft : snapshot.hex ? [snapshot] : [];
+        reports.push(...parseDump1090Snapshot({ aircraft }, receivedAt));
+    }
+    return reports;
+}
+
+// One or more SBS-1 lines
+export function decodeSbsMessage(text, receivedAt) {
+    const reports = text.split(/\r?\n/)
+        .map(line => parseSbsMessage(line, receivedAt))
+        .filter(Boolean);
+    return reports.length ? reports : null;
+}
+
+export const DEFAULT_DECODERS = [decodeJsonMessage, decodeSbsMessage];
+
+const CONNECTION_LABELS = {
+    connecting: 'Connecting…',
+    open: 'Live',
+    reconnecting: 'Reconnecting…',
+    closed: 'Disconnected'
+};
+
+export class LiveTraffic {
+    // `url` is the relay's WebSocket endpoint (pass null to feed messages through ingest() only).
+    // Options: origin/scale/anchor as for ReplayTraffic, plus
+    //   decoders:      message decoders tried in order (DEFAULT_DECODERS)
+    //   WebSocketImpl: WebSocket constructor (the browser's by default)
+    //   clock:         () => unix seconds, the "present" aircraft are dead-reckoned to
+    constructor(url, {
+        origin, scale = 1, anchor = { x: 0, y: 0, z: 0 },
+        decoders = DEFAULT_DECODERS, WebSocketImpl = globalThis.WebSocket, clock = () => Date.now() / 1000
+    } = {}) {
+        this.url = url;
+        this.decoders = decoders;
+        this.WebSocketImpl = WebSocketImpl;
+        this.clock = clock;
+        this.records = new Map();   // id -> everything heard about the aircraft
+        this.aircraft = new Map();  // id -> pose, for aircraft with a recent position
+        this.generation = 0;
+        this.connection = 'closed';
+        this.socket = null;
+        this.closed = false;
+        this.reconnectDelay = RECONNECT_DELAY_MIN;
+        this.reconnectTimer = null;
+        this.lastUpdate = null;
+        this.setProjection(origin, scale, anchor);
+        if (url && WebSocketImpl) this.connect();
+    }
+
+    connect() {
+        this.connection = this.connection === 'closed' ? 'connecting' : 'reconnecting';
+        const socket = new this.WebSocketImpl(this.url);
+        this.socket = socket;
+        socket.onopen = () => {
+            this.connection = 'open';
+            this.reconnectDelay = RECONNECT_DELAY_MIN;
+        };
+        socket.onmessage = (event) => {
+            if (typeof event.data === 'string') this.ingest(event.data);
+        };
+        socket.onclose = () => {
+            this.socket = null;
+            if (this.closed) return;
+            this.connection = 'reconnecting';
+            this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay * 1000);
+            this.reconnectDelay = Math.min(RECONNECT_DELAY_MAX, this.reconnectDelay * 2);
+        };
+    }
+
+    // Stop for good (no more reconnects)
+    close() {
+        this.closed = true;
+        this.connection = 'closed';
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) this.socket.close();
+    }
+
+    // Feed one message; returns how many reports it contained
+    ingest(text, receivedAt = this.clock()) {
+        for (const decode of this.decoders) {
+            let reports;
+            try {
+                reports = decode(text, receivedAt);
+            } catch (err) {
+                console.warn('📡 Unreadable traffic message:', err.message);
+                return 0;
+            }
+            if (reports) {
+                const now = this.clock();
+                reports.forEach(report => this.applyReport(report, now));
+                return reports.length;
+            }
+        }
+        return 0;
+    }
+
+    // Re-place every aircraft for a new observer origin and/or scale
+    setProjection(origin, scale = this.scale, anchor = this.anchor) {
+        this.projection = createLocalProjection(origin);
+        this.scale = scale;
+        this.anchor = { ...anchor };
+        for (const record of this.records.values()) {
+            if (record.fix) this.projectFix(record.fix);
+            record.correction = { east: 0, north: 0, up: 0 };
+        }
+        this.aircraft.clear();
+        this.generation++;
+    }
+
+    projectFix(fix) {
+        const local = this.projection.project(fix.lat, fix.lon, 0);
+        fix.east = local.east;
+        fix.north = local.north;
+    }
+
+    // Merge a (possibly partial) report into the aircraft's record
+    applyReport(report, now) {
+        let record = this.records.get(report.id);
+        if (!record) {
+            record = {
+                id: report.id, callsign: null, icaoType: null, category: null,
+                lastSeen: report.time, fix: null, previousFix: null,
+                altitude: null, altitudeTime: 0, onGround: false,
+                groundSpeed: null, track: null, verticalRate: null,
+                correction: { east: 0, north: 0, up: 0 },
+                lastTrack: null, roll: 0 // banking memory for applyLocalPose
+            };
+            this.records.set(report.id, record);
+        }
+
+        // Where the aircraft is drawn right now, so the update can be blended in rather than jumped to
+        const before = this.aircraft.has(record.id) ? this.localAt(record, now, {}) : null;
+
+        record.lastSeen = Math.max(record.lastSeen, report.time);
+        record.callsign = report.callsign || record.callsign;
+        record.icaoType = report.icaoType || record.icaoType;
+        record.category = report.category || record.category;
+        if (report.onGround !== null) record.onGround = report.onGround;
+        if (report.groundSpeed !== null) record.groundSpeed = report.groundSpeed;
+        if (report.track !== null) record.track = report.track;
+        if (report.verticalRate !== null) record.verticalRate = report.verticalRate;
+        if (report.altitude !== null && report.time >= record.altitudeTime) {
+            record.altitude = report.altitude;
+            record.altitudeTime = report.time;
+        }
+
+        // Snapshot feeds repeat the last fix every second; only genuinely new positions count
+        const fix = record.fix;
+        if (report.lat !== null && report.lon !== null && (!fix ||
+            (report.time > fix.time + 0.05 && (report.lat !== fix.lat || report.lon !== fix.lon)))) {
+            record.previousFix = fix;
+            record.fix = { time: report.time, lat: report.lat, lon: report.lon, east: 0, north: 0 };
+            this.projectFix(record.fix);
+        }
+
+        if (before) {
+            const correction = record.correction;
+            correction.east = correction.north = correction.up = 0;
+            const after = this.localAt(record, now, {});
+            const dx = before.east - after.east, dy = before.north - after.north, dz = before.up - after.up;
+            if (Math.hypot(dx, dy, dz) < MAX_CORRECTION) {
+                correction.east = dx;
+                correction.north = dy;
+                correction.up = dz;
+            }
+        }
+    }
+
+    // Ground velocity: reported speed/track if known, else from the last two fixes
+    velocity(record) {
+        if (record.groundSpeed !== null && record.track !== null) {
+            return trackToVelocity(record.groundSpeed, record.track);
+        }
+        const a = record.previousFix, b = record.fix;
+        const span = a && b ? b.time - a.time : 0;
+        if (span <= 0) return { east: 0, north: 0 };
+        return { east: (b.east - a.east) / span, north: (b.north - a.north) / span };
+    }
+
+    // Dead-reckoned local position/velocity at unix time `now` (correction included)
+    localAt(record, now, out) {
+        const velocity = this.velocity(record);
+        const vu = record.onGround || record.verticalRate === null ? 0 : record.verticalRate * FPM_TO_MPS;
+        const age = Math.min(Math.max(now - record.fix.time, 0), EXTRAPOLATE_LIMIT);
+        const altitudeAge = Math.min(Math.max(now - record.altitudeTime, 0), EXTRAPOLATE_LIMIT);
+        const elevation = this.projection.origin.elevation;
+        const altitude = record.onGround ? elevation : record.altitude;
+
+        out.east = record.fix.east + velocity.east * age + record.correction.east;
+        out.north = record.fix.north + velocity.north * age + record.correction.north;
+        out.up = Math.max(0, altitude - elevation + vu * altitudeAge + record.correction.up);
+        out.ve = velocity.east;
+        out.vn = velocity.north;
+        out.vu = vu;
+        out.onGround = record.onGround;
+        return out;
+    }
+
+    // Bring every pose up to the present (live traffic follows the wall clock, not `dt`)
+    update(dt) {
+        const now = this.clock();
+        const elapsed = this.lastUpdate === null ? dt : Math.max(0, now - this.lastUpdate);
+        this.lastUpdate = now;
+        const decay = Math.exp(-elapsed / CORRECTION_TIME);
+
+        const local = {};
+        for (const record of this.records.values()) {
+            const id = record.id;
+            if (now - record.lastSeen > AIRCRAFT_TIMEOUT) {
+                this.records.delete(id);
+                this.aircraft.delete(id);
+                continue;
+            }
+            const hasPosition = record.fix && now - record.fix.time <= POSITION_TIMEOUT &&
+                (record.altitude !== null || record.onGround);
+            if (!hasPosition) {
+                this.aircraft.delete(id);
+                record.lastTrack = null;
+                continue;
+            }
+
+            record.correction.east *= decay;
+            record.correction.north *= decay;
+            record.correction.up *= decay;
+            this.localAt(record, now, local);
+
+            let pose = this.aircraft.get(id);
+            if (!pose) {
+                pose = createPose(record, this.generation);
+                this.aircraft.set(id, pose);
+                record.roll = 0;
+            }
+            // Identity often arrives after the first position (SBS MSG,1)
+            pose.callsign = record.callsign;
+            pose.icaoType = record.icaoType;
+            pose.category = record.category;
+            applyLocalPose(pose, local, this, record, elapsed);
+        }
+    }
+
+    // Connection state and aircraft count, for the UI
+    status() {
+        return `📡 ${CONNECTION_LABELS[this.connection]} · ${this.aircraft.size} aircraft`;
+    }
+}
@@ -0,0 +1,62 @@
+// World poses for traffic aircraft, shared by every traffic source (replay, live feed).
+// Sources work in a local east/north/up frame in real metres; a pose is what the simulation
+// copies onto its `external` planes (see syncTraffic in simulation.js).
+
+const GRAVITY = 9.81;
+const MAX_BANK = 35 * Math.PI / 180;
+const MAX_PITCH = 20 * Math.PI / 180;
+const ROLL_RESPONSE = 0.6;     // seconds; time constant smoothing the bank angle
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const wrapAngle = (a) => Math.atan2(Math.sin(a), Math.cos(a));
+
+// New pose for an aircraft ({ id, callsign, icaoType, category }) as of source `generation`
+export function createPose(info, generation) {
+    return {
+        id: info.id,
+        callsign: info.callsign,
+        icaoType: info.icaoType,
+        category: info.category,
+        generation, // bumped by the source when playback jumps, so views don't interpolate across it
+        position: { x: 0, y: 0, z: 0 },
+        heading: 0,
+        pitch: 0,
+        roll: 0,
+        speed: 0,
+        vSpeed: 0,
+        onGround: false
+    };
+}
+
+// Place `pose` from a local fix `local` = { east, north, up, ve, vn, vu, onGround } (metres, m/s).
+// `frame` = { scale, anchor } maps real metres to world units (north is -Z, east is +X).
+// `motion` = { lastTrack, roll } is per-aircraft memory for banking; `dt` is seconds since the last call.
+export function applyLocalPose(pose, local, frame, motion, dt) {
+    const { scale, anchor } = frame;
+    pose.position.x = anchor.x + local.east * scale;
+    pose.position.y = anchor.y + local.up * scale;
+    pose.position.z = anchor.z - local.north * scale;
+
+    const groundSpeed = Math.hypot(local.ve, local.vn);
+    pose.speed = Math.hypot(groundSpeed, local.vu) * scale;
+    pose.vSpeed = local.vu * scale;
+    pose.onGround = local.onGround;
+
+    // Compass track (clockwise from north) -> simulation heading (0 = +Z)
+    if (groundSpeed > 0.5) {
+        const track = Math.atan2(local.ve, local.vn);
+        pose.heading = Math.PI - track;
+
+        // Bank for a coordinated turn at the current turn rate
+        let targetRoll = 0;
+        if (motion.lastTrack !== null && dt > 0 && !local.onGround) {
+            const turnRate = wrapAngle(track - motion.lastTrack) / dt;
+            targetRoll = clamp(Math.atan(groundSpeed * turnRate / GRAVITY), -MAX_BANK, MAX_BANK);
+        }
+        motion.lastTrack = track;
+        motion.roll += (targetRoll - motion.roll) * (dt > 0 ? 1 - Math.exp(-dt / ROLL_RESPONSE) : 0);
+    }
+    pose.roll = motion.roll;
+    // Negative pitch is nose up (Three.js rotation.x convention, as in the simulation)
+    pose.pitch = local.onGround ? 0 : clamp(-Math.atan2(local.vu, Math.max(groundSpeed, 1)), -MAX_PITCH, MAX_PITCH);
+}
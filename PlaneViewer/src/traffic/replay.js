@@ -0,0 +1,180 @@
+// Replay of recorded ADS-B tracks (see adsb.js for the file formats).
+// A traffic source: call update(dt) once per simulation step, then read `aircraft`
+// (Map id -> pose in world units). Replay time advances with simulated time, so pause and
+// time scale apply. Between fixes each aircraft follows a cubic Hermite curve through the
+// recorded positions, using the recorded ground velocity as the tangent, so turns stay round.
+// Like the simulation, this is plain data and never touches Three.js or the DOM.
+
+import { createLocalProjection, trackToVelocity, FPM_TO_MPS } from './geo.js';
+import { createPose, applyLocalPose } from './pose.js';
+
+const MAX_SAMPLE_GAP = 60;     // seconds; fixes further apart than this aren't joined (aircraft drops out)
+const EXTRAPOLATE_LIMIT = 10;  // seconds an aircraft keeps flying on dead reckoning past its last fix
+
+// Local-frame points (metres, m/s) for one track, with missing altitudes and velocities filled in
+function buildPath(track, projection) {
+    const samples = track.samples;
+
+    // Altitude: ground reports sit at the origin's elevation; gaps borrow the nearest known value
+    const altitudes = samples.map(s => (s.onGround ? projection.origin.elevation : s.altitude));
+    for (let i = 1; i < altitudes.length; i++) {
+        if (altitudes[i] === null) altitudes[i] = altitudes[i - 1];
+    }
+    for (let i = altitudes.length - 2; i >= 0; i--) {
+        if (altitudes[i] === null) altitudes[i] = altitudes[i + 1];
+    }
+
+    const points = samples.map((s, i) => {
+        const local = projection.project(s.lat, s.lon, altitudes[i] ?? projection.origin.elevation);
+        return {
+            time: s.time,
+            east: local.east,
+            north: local.north,
+            up: Math.max(0, local.up),
+            onGround: s.onGround,
+            ve: null,
+            vn: null,
+            vu: s.verticalRate === null ? null : s.verticalRate * FPM_TO_MPS,
+            reported: s
+        };
+    });
+
+    // Velocities: recorded ground speed/track where present, else the finite difference of neighbours
+    points.forEach((p, i) => {
+        const s = p.reported;
+        if (s.groundSpeed !== null && s.track !== null) {
+            const v = trackToVelocity(s.groundSpeed, s.track);
+            p.ve = v.east;
+            p.vn = v.north;
+        }
+        const prev = i > 0 && p.time - points[i - 1].time <= MAX_SAMPLE_GAP ? points[i - 1] : p;
+        const next = i < points.length - 1 && points[i + 1].time - p.time <= MAX_SAMPLE_GAP ? points[i + 1] : p;
+        const span = next.time - prev.time;
+        if (p.ve === null) {
+            p.ve = span > 0 ? (next.east - prev.east) / span : 0;
+            p.vn = span > 0 ? (next.north - prev.north) / span : 0;
+        }
+        if (p.vu === null) {
+            p.vu = span > 0 ? (next.up - prev.up) / span : 0;
+        }
+        delete p.reported;
+    });
+
+    return { track, points, cursor: 0, lastTrack: null, roll: 0 };
+}
+
+// Position/velocity at time `t`, or false if the aircraft isn't in the air at that moment
+function evaluatePath(path, t, out) {
+    const points = path.points;
+    if (t < points[0].time) return false;
+
+    // Time mostly moves forward, so resume the search where the last one ended
+    if (path.cursor >= points.length || points[path.cursor].time > t) path.cursor = 0;
+    while (path.cursor < points.length - 1 && points[path.cursor + 1].time <= t) path.cursor++;
+
+    const p0 = points[path.cursor];
+    const p1 = points[path.cursor + 1];
+    const gap = p1 ? p1.time - p0.time : Infinity;
+
+    if (gap <= MAX_SAMPLE_GAP) {
+        // Cubic Hermite between the two fixes, tangents from the recorded ground velocity
+        const s = (t - p0.time) / gap;
+        const s2 = s * s;
+        const s3 = s2 * s;
+        const h00 = 2 * s3 - 3 * s2 + 1, h10 = s3 - 2 * s2 + s, h01 = -2 * s3 + 3 * s2, h11 = s3 - s2;
+        const d00 = 6 * s2 - 6 * s, d10 = 3 * s2 - 4 * s + 1, d01 = -6 * s2 + 6 * s, d11 = 3 * s2 - 2 * s;
+
+        out.east = h00 * p0.east + h10 * gap * p0.ve + h01 * p1.east + h11 * gap * p1.ve;
+        out.north = h00 * p0.north + h10 * gap * p0.vn + h01 * p1.north + h11 * gap * p1.vn;
+        out.ve = (d00 * p0.east + d01 * p1.east) / gap + d10 * p0.ve + d11 * p1.ve;
+        out.vn = (d00 * p0.north + d01 * p1.north) / gap + d10 * p0.vn + d11 * p1.vn;
+        // Altitude is reported in 25 ft steps; a straight line between fixes is smooth enough
+        out.up = p0.up + (p1.up - p0.up) * s;
+        out.vu = (p1.up - p0.up) / gap;
+        out.onGround = p0.onGround && p1.onGround;
+        return true;
+    }
+
+    // Past the last fix (or into a long gap): dead-reckon for a little while, then drop out
+    const since = t - p0.time;
+    if (since > EXTRAPOLATE_LIMIT) return false;
+    out.east = p0.east + p0.ve * since;
+    out.north = p0.north + p0.vn * since;
+    out.up = Math.max(0, p0.up + p0.vu * since);
+    out.ve = p0.ve;
+    out.vn = p0.vn;
+    out.vu = p0.vu;
+    out.onGround = p0.onGround;
+    return true;
+}
+
+export class ReplayTraffic {
+    // `tracks` comes from buildTracks(). Options:
+    //   origin: { lat, lon, elevation } - the observer's real-world position
+    //   scale:  world units per real metre (shrinks real distances to the scene's scale)
+    //   anchor: { x, y, z } - world position of the origin (y = ground level)
+    //   loop:   restart from the beginning when the recording ends
+    constructor(tracks, { origin, scale = 1, anchor = { x: 0, y: 0, z: 0 }, loop = true } = {}) {
+        this.tracks = [...tracks.values()].filter(track => track.samples.length > 0);
+        if (this.tracks.length === 0) throw new Error('Recording contains no aircraft positions');
+
+        this.start = Math.min(...this.tracks.map(track => track.samples[0].time));
+        this.end = Math.max(...this.tracks.map(track => track.samples[track.samples.length - 1].time));
+        this.time = this.start;
+        this.loop = loop;
+        this.generation = 0; // bumped when playback jumps, so views don't interpolate across it
+        this.aircraft = new Map();
+        this.paths = [];
+        this.setProjection(origin, scale, anchor);
+    }
+
+    get duration() {
+        return this.end - this.start;
+    }
+
+    // Re-place every track for a new observer origin and/or scale
+    setProjection(origin, scale = this.scale, anchor = this.anchor) {
+        const projection = createLocalProjection(origin);
+        this.origin = projection.origin;
+        this.scale = scale;
+        this.anchor = { ...anchor };
+        this.paths = this.tracks.map(track => buildPath(track, projection));
+        this.aircraft.clear();
+        this.generation++;
+    }
+
+    // Advance replay time by `dt` seconds and refresh `aircraft`
+    update(dt) {
+        this.time += dt;
+        if (this.time > this.end + EXTRAPOLATE_LIMIT && this.loop) {
+            this.time = this.start;
+            this.paths.forEach(path => { path.cursor = 0; });
+            this.aircraft.clear();
+            this.generation++;
+        }
+
+        const local = {};
+        for (const path of this.paths) {
+            const id = path.track.id;
+            if (!evaluatePath(path, this.time, local)) {
+                this.aircraft.delete(id);
+                path.lastTrack = null;
+                continue;
+            }
+
+            let aircraft = this.aircraft.get(id);
+            if (!aircraft) {
+                aircraft = createPose(path.track, this.generation);
+                this.aircraft.set(id, aircraft);
+                path.roll = 0;
+            }
+            applyLocalPose(aircraft, local, this, path, dt);
+        }
+    }
+
+    // Replay clock (UTC) and aircraft count, for the UI
+    status() {
+        const clock = new Date(this.time * 1000).toISOString().slice(11, 19);
+        return `📼 ${clock}Z · ${this.aircraft.size} aircraft`;
+    }
+}
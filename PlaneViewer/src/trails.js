@@ -0,0 +1,182 @@
+// Contrails and exhaust trails behind the planes' engines.
+// Every trail of every plane is one mesh of ribbon segments in a ring buffer: each segment joins
+// two samples of an engine's position, and the vertex shader does the rest (widening with age,
+// drifting with the wind at its height, turning to face the camera, fading out), so the CPU
+// only writes the few segments added each frame. When the buffer is full the oldest segments are recycled.
+//
+// Each engine is an emitter ({} owned by the caller, see emit); a teleported plane breaks its
+// emitters so no ribbon is drawn across the jump, and its old trail fades where it was left.
+
+import * as THREE from 'three';
+
+const MAX_SEGMENTS = 16384;
+const SAMPLE_INTERVAL = 0.25; // seconds of simulated time between samples of an engine
+
+// Attributes per vertex (4 vertices per segment): name -> item size
+const ATTRIBUTES = { start: 3, end: 3, times: 2, style: 4, drift: 2, smoke: 1 };
+
+function createTrailMaterial() {
+    return new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.merge([THREE.UniformsLib.fog, {
+            time: { value: 0 },
+            lightColor: { value: new THREE.Color(1, 1, 1) },
+            visibility: { value: 1 }
+        }]),
+        vertexShader: `
+            #include <common>
+            #include <fog_pars_vertex>
+            attribute vec3 start;
+            attribute vec3 end;
+            attribute vec2 times;   // when the start and end samples were taken
+            attribute vec2 corner;  // along the segment (0 start, 1 end), across it (-1, 1)
+            attribute vec4 style;   // lifetime (s), width (m), widening (m/s), opacity
+            attribute vec2 drift;   // the wind where it formed (m/s, x and z)
+            attribute float smoke;
+            uniform float time;
+            varying float vAlpha;
+            varying float vSide;
+            varying float vSmoke;
+            void main() {
+                // Segment gone once its newer end has aged out
+                if (time - times.y >= style.x) {
+                    gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+                    return;
+                }
+                float age = clamp(time - mix(times.x, times.y, corner.x), 0.0, style.x);
+                vec3 wind = vec3(drift.x, 0.0, drift.y);
+                vec3 a = start + wind * (time - times.x);
+                vec3 b = end + wind * (time - times.y);
+                vec3 p = mix(a, b, corner.x);
+
+                // Ribbon across the segment, facing the camera
+                vec3 across = cross(b - a, cameraPosition - p);
+                float len = length(across);
+                across = len > 1e-6 ? across / len : vec3(0.0, 1.0, 0.0);
+                p += across * corner.y * 0.5 * (style.y + style.z * age);
+
+                float fade = 1.0 - age / style.x;
+                vAlpha = style.w * fade * fade * smoothstep(0.0, 0.5, age); // forms just behind the engine
+                vSide = corner.y;
+                vSmoke = smoke;
+                vec4 mvPosition = viewMatrix * vec4(p, 1.0);
+                gl_Position = projectionMatrix * mvPosition;
+                #include <fog_vertex>
+            }
+        `,
+        fragmentShader: `
+            #include <common>
+            #include <fog_pars_fragment>
+            uniform vec3 lightColor;
+            uniform float visibility;
+            varying float vAlpha;
+            varying float vSide;
+            varying float vSmoke;
+            void main() {
+                float edge = 1.0 - vSide * vSide;
+                vec3 color = mix(vec3(1.0), vec3(0.35), vSmoke) * lightColor;
+                // Contrails are ice lit by the sun; exhaust haze shows a little even at night
+                float shown = mix(visibility, max(visibility, 0.3), vSmoke);
+                gl_FragColor = vec4(color, vAlpha * edge * shown);
+                #include <tonemapping_fragment>
+                #include <colorspace_fragment>
+                #include <fog_fragment>
+            }
+        `,
+        fog: true,
+        transparent: true,
+        depthWrite: false
+    });
+}
+
+export class TrailSystem {
+    constructor(scene) {
+        this.geometry = new THREE.BufferGeometry();
+        const vertices = MAX_SEGMENTS * 4;
+        for (const [name, itemSize] of Object.entries(ATTRIBUTES)) {
+            const attribute = new THREE.BufferAttribute(new Float32Array(vertices * itemSize), itemSize);
+            this.geometry.setAttribute(name, attribute.setUsage(THREE.DynamicDrawUsage));
+        }
+        // Static per vertex: the corner of the segment's quad, and two triangles per quad
+        const corners = new Float32Array(vertices * 2);
+        const indices = new Uint32Array(MAX_SEGMENTS * 6);
+        for (let i = 0; i < MAX_SEGMENTS; i++) {
+            corners.set([0, -1, 0, 1, 1, -1, 1, 1], i * 8);
+            const v = i * 4;
+            indices.set([v, v + 2, v + 1, v + 1, v + 2, v + 3], i * 6);
+        }
+        this.geometry.setAttribute('corner', new THREE.BufferAttribute(corners, 2));
+        this.geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+
+        this.mesh = new THREE.Mesh(this.geometry, createTrailMaterial());
+        this.mesh.frustumCulled = false;
+        scene.add(this.mesh);
+
+        this.cursor = 0;        // next segment to write
+        this.written = null;    // [first, last] segment written this frame, or 'all' after a wrap
+    }
+
+    // Feed one engine's world `position` at simulated `time`. `style` is { lifetime, width,
+    // widening, opacity, drift, smoke } (seconds, metres, metres per second, 0..1, the wind
+    // { x, z } in m/s, boolean), or null when the engine leaves no trail just now.
+    emit(emitter, position, time, style) {
+        if (!style) {
+            emitter.last = null;
+            return;
+        }
+        if (!emitter.last) {
+            emitter.last = position.clone();
+            emitter.time = time;
+            return;
+        }
+        if (time - emitter.time < SAMPLE_INTERVAL) return;
+        this.writeSegment(emitter.last, position, emitter.time, time, style);
+        emitter.last.copy(position);
+        emitter.time = time;
+    }
+
+    // Stop an engine's trail here (the plane teleported); the next emit starts a new one
+    breakTrail(emitter) {
+        emitter.last = null;
+    }
+
+    writeSegment(start, end, startTime, endTime, style) {
+        const segment = this.cursor;
+        this.cursor = (this.cursor + 1) % MAX_SEGMENTS;
+        if (this.written === null) this.written = [segment, segment];
+        else if (this.written !== 'all') {
+            if (segment < this.written[1]) this.written = 'all'; // wrapped round
+            else this.written[1] = segment;
+        }
+
+        const attributes = this.geometry.attributes;
+        for (let corner = 0; corner < 4; corner++) {
+            const v = segment * 4 + corner;
+            attributes.start.setXYZ(v, start.x, start.y, start.z);
+            attributes.end.setXYZ(v, end.x, end.y, end.z);
+            attributes.times.setXY(v, startTime, endTime);
+            attributes.style.setXYZW(v, style.lifetime, style.width, style.widening, style.opacity);
+            attributes.drift.setXY(v, style.drift.x, style.drift.z);
+            attributes.smoke.setX(v, style.smoke ? 1 : 0);
+        }
+    }
+
+    // Once a frame: simulated `time` (the clock the trails age by), and how the sun lights the
+    // trails: `color` and `visibility` (0 at night)
+    update(time, color, visibility) {
+        const uniforms = this.mesh.material.uniforms;
+        uniforms.time.value = time;
+        uniforms.lightColor.value.copy(color);
+        uniforms.visibility.value = visibility;
+
+        if (this.written === null) return;
+        for (const [name, itemSize] of Object.entries(ATTRIBUTES)) {
+            const attribute = this.geometry.getAttribute(name);
+            if (this.written !== 'all') {
+                const [first, last] = this.written;
+                attribute.addUpdateRange(first * 4 * itemSize, (last - first + 1) * 4 * itemSize);
+            }
+            attribute.needsUpdate = true;
+        }
+        this.written = null;
+    }
+}
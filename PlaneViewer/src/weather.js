@@ -0,0 +1,126 @@
+// Weather: named presets and the cross-fade between them (plain data, no three.js).
+// Every preset is the same set of numbers, so a change of weather is a blend of each one from
+// the old preset to the new over TRANSITION_TIME seconds of simulated time: clouds thicken,
+// rain sets in, the wind picks up. weatherView.js draws the result, main.js applies the fog and
+// light, and simulation.js takes the wind (setWindWeather).
+//
+// Cloud layers are in metres above GROUND_HEIGHT: a cumulus layer (heaped clouds, towering for
+// thunderstorms) and a stratus layer (flat sheets) that planes fly into and out of.
+//   cumulusCover/stratusCover  share of the sky each layer covers, 0..1
+//   cumulusBase..cumulusTop, stratusBase..stratusTop  the layers' heights
+//   rain, snow     precipitation rate, 0..1
+//   lightning      flashes a minute
+//   visibility     scales the fog distances (settings fogNear/fogFar); haze pulls the fog's
+//                  start in to the camera (ground fog)
+//   gloom          how grey the sky and fog turn, 0..1
+//   ambient, sunlight  multipliers on the ambient and sun light
+//   windMin, windMax   range of the wind strength (see simulation.js)
+//   turbulence     how rough and gusty the air is, 0..1 (see wind.js)
+//   humidity       0..1, for contrails (main.js)
+
+import { createRandom } from './random.js';
+
+export const TRANSITION_TIME = 30; // seconds to cross-fade from one weather to the next
+
+const CLEAR = {
+    cumulusCover: 0, cumulusBase: 350, cumulusTop: 460,
+    stratusCover: 0, stratusBase: 320, stratusTop: 400,
+    rain: 0, snow: 0, lightning: 0,
+    visibility: 1, haze: 0, gloom: 0, ambient: 1, sunlight: 1,
+    windMin: 0.5, windMax: 2, turbulence: 0.2, humidity: 0.5
+};
+
+export const WEATHER_PRESETS = {
+    clear: { label: '☀️ Clear', ...CLEAR },
+    scattered: {
+        label: '⛅ Scattered cumulus', ...CLEAR,
+        cumulusCover: 0.35, cumulusBase: 330, cumulusTop: 480,
+        gloom: 0.1, sunlight: 0.9, windMin: 1, windMax: 2.5, turbulence: 0.5, humidity: 0.6
+    },
+    overcast: {
+        label: '☁️ Overcast', ...CLEAR,
+        cumulusCover: 0.1, stratusCover: 1, stratusBase: 320, stratusTop: 420,
+        visibility: 0.8, gloom: 0.7, ambient: 0.8, sunlight: 0.3, windMin: 1, windMax: 3, turbulence: 0.3, humidity: 0.75
+    },
+    rain: {
+        label: '🌧️ Rain', ...CLEAR,
+        stratusCover: 1, stratusBase: 260, stratusTop: 420, rain: 0.8,
+        visibility: 0.55, gloom: 0.85, ambient: 0.65, sunlight: 0.2, windMin: 1.5, windMax: 3.5, turbulence: 0.6, humidity: 0.95
+    },
+    snow: {
+        label: '🌨️ Snow', ...CLEAR,
+        stratusCover: 1, stratusBase: 240, stratusTop: 380, snow: 0.9,
+        visibility: 0.4, gloom: 0.75, ambient: 0.8, sunlight: 0.25, windMin: 0.5, windMax: 2, turbulence: 0.4, humidity: 0.9
+    },
+    thunderstorm: {
+        label: '⛈️ Thunderstorm', ...CLEAR,
+        cumulusCover: 0.85, cumulusBase: 220, cumulusTop: 800,
+        stratusCover: 0.6, stratusBase: 250, stratusTop: 320, rain: 1, lightning: 6,
+        visibility: 0.45, gloom: 1, ambient: 0.5, sunlight: 0.1, windMin: 3, windMax: 6, turbulence: 1, humidity: 1
+    },
+    fog: {
+        label: '🌫️ Low fog', ...CLEAR,
+        stratusCover: 0.7, stratusBase: 10, stratusTop: 70,
+        visibility: 0.25, haze: 1, gloom: 0.5, ambient: 0.85, sunlight: 0.6, windMin: 0, windMax: 0.5, turbulence: 0, humidity: 1
+    }
+};
+
+const PARAMETERS = Object.keys(CLEAR);
+
+// Brightness of a lightning flash `age` seconds in: a bright stroke, a flicker and a fade
+function flashEnvelope(age) {
+    if (age < 0.07) return 1;
+    if (age < 0.14) return 0.25;
+    if (age < 0.22) return 0.8;
+    return Math.max(0, 0.8 * (1 - (age - 0.22) / 0.4));
+}
+
+export class Weather {
+    // `seed` drives the lightning (so a scene's storms replay the same)
+    constructor(name = 'clear', seed = 0) {
+        this.random = createRandom(seed);
+        this.name = WEATHER_PRESETS[name] ? name : 'clear';
+        this.current = {};   // the blended numbers, as in a preset
+        this.from = {};      // the numbers when the last change began
+        this.progress = 1;   // 0..1 through the cross-fade
+        this.flash = 0;      // lightning brightness this step, 0..1
+        this.flashAge = Infinity;
+        for (const key of PARAMETERS) this.current[key] = this.from[key] = WEATHER_PRESETS[this.name][key];
+    }
+
+    // Change to preset `name`, cross-fading from the weather as it is now (or at once)
+    set(name, immediate = false) {
+        if (!WEATHER_PRESETS[name]) throw new Error(`Unknown weather: ${name}`);
+        this.name = name;
+        Object.assign(this.from, this.current);
+        this.progress = immediate ? 1 : 0;
+        if (immediate) this.blend();
+    }
+
+    get label() {
+        return WEATHER_PRESETS[this.name].label;
+    }
+
+    // Still cross-fading?
+    get changing() {
+        return this.progress < 1;
+    }
+
+    // Advance the cross-fade and the lightning by `dt` seconds
+    step(dt) {
+        if (this.progress < 1) {
+            this.progress = Math.min(1, this.progress + dt / TRANSITION_TIME);
+            this.blend();
+        }
+
+        this.flashAge += dt;
+        if (this.current.lightning > 0 && this.random() < this.current.lightning / 60 * dt) this.flashAge = 0;
+        this.flash = flashEnvelope(this.flashAge);
+    }
+
+    blend() {
+        const target = WEATHER_PRESETS[this.name];
+        const t = this.progress * this.progress * (3 - 2 * this.progress);
+        for (const key of PARAMETERS) this.current[key] = this.from[key] + (target[key] - this.from[key]) * t;
+    }
+}
@@ -0,0 +1,280 @@
+// Draws the weather (weather.js): cloud layers, rain or snow around the camera.
+// - Each cloud layer is a stack of horizontal slices that follow the camera, cut from world-space
+//   noise so clouds stay put as you fly past (and drift with the wind). Heaped (cumulus) slices
+//   shrink towards the top of the layer; sheet (stratus) slices keep their shape. Planes flying
+//   through a layer pass in and out of the slices.
+// - Precipitation is a fixed set of particles in a box that wraps around the camera in the
+//   vertex shader, so nothing is moved on the CPU; the rate decides how many are drawn.
+// update() also says how far the camera is inside a cloud, for main.js to close the fog in.
+
+import * as THREE from 'three';
+import { createRandom } from './random.js';
+
+const CLOUD_EXTENT = 6000;    // metres across each slice (well past the fog)
+const CLOUD_SCALE = 1 / 420;  // noise frequency: about this many metres per cloud
+const CUMULUS_SLICES = 6;
+const STRATUS_SLICES = 3;
+const CUMULUS_OPACITY = 0.45; // per slice
+const STRATUS_OPACITY = 0.6;
+
+const RAIN_DROPS = 8000;
+const SNOW_FLAKES = 6000;
+const RAIN_BOX = new THREE.Vector3(80, 50, 80); // metres around the camera
+const SNOW_BOX = new THREE.Vector3(60, 40, 60);
+const RAIN_SPEED = 9;         // m/s
+const SNOW_SPEED = 1.2;
+const RAIN_STREAK = 0.05;     // seconds of fall each streak shows
+const SNOW_SIZE = 0.12;       // metres across a flake
+const WIND_CARRY = 4;         // precipitation drifts this many times faster than the planes do
+
+const _wind = new THREE.Vector3();
+const _shade = new THREE.Color();
+
+const NOISE_GLSL = `
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+    }
+    float noise(vec2 p) {
+        vec2 i = floor(p);
+        vec2 f = fract(p);
+        vec2 u = f * f * (3.0 - 2.0 * f);
+        return mix(mix(hash(i), hash(i + vec2(1.0, 0.0)), u.x),
+                   mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), u.x), u.y);
+    }
+    float fbm(vec2 p) {
+        float value = 0.0;
+        float amplitude = 0.5;
+        for (int i = 0; i < 5; i++) {
+            value += amplitude * noise(p);
+            p = p * 2.03 + 17.0;
+            amplitude *= 0.5;
+        }
+        return value;
+    }
+`;
+
+function createCloudMaterial(height, heap, seed) {
+    return new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.merge([THREE.UniformsLib.fog, {
+            coverage: { value: 0 },
+            height: { value: height },   // slice's place in its layer, 0 base .. 1 top
+            heap: { value: heap },       // 1 heaped clouds, 0 sheets
+            seed: { value: seed },
+            drift: { value: new THREE.Vector2() },
+            litColor: { value: new THREE.Color() },
+            shadeColor: { value: new THREE.Color() },
+            opacity: { value: 1 }
+        }]),
+        vertexShader: `
+            #include <common>
+            #include <fog_pars_vertex>
+            varying vec3 vWorld;
+            void main() {
+                vec4 world = modelMatrix * vec4(position, 1.0);
+                vWorld = world.xyz;
+                vec4 mvPosition = viewMatrix * world;
+                gl_Position = projectionMatrix * mvPosition;
+                #include <fog_vertex>
+            }
+        `,
+        fragmentShader: `
+            #include <common>
+            #include <fog_pars_fragment>
+            uniform float coverage;
+            uniform float height;
+            uniform float heap;
+            uniform float seed;
+            uniform vec2 drift;
+            uniform vec3 litColor;
+            uniform vec3 shadeColor;
+            uniform float opacity;
+            varying vec3 vWorld;
+            ${NOISE_GLSL}
+            void main() {
+                float n = fbm((vWorld.xz - drift) * ${CLOUD_SCALE.toFixed(6)} + seed);
+                // Higher cover lowers the bar; heaped clouds raise it towards their tops
+                float threshold = 0.75 - coverage * 0.5 + heap * height * height * 0.2;
+                float density = smoothstep(threshold, threshold + 0.12, n);
+                if (density < 0.01) discard;
+                // Sunlit on top, darker underneath and in the thick of the cloud
+                float light = mix(0.35, 1.0, height) * mix(1.0, 0.8, density * (1.0 - height));
+                gl_FragColor = vec4(mix(shadeColor, litColor, light), density * opacity);
+                #include <tonemapping_fragment>
+                #include <colorspace_fragment>
+                #include <fog_fragment>
+            }
+        `,
+        fog: true,
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide
+    });
+}
+
+// Particles for one kind of precipitation: `count` of them (two vertices each when `streaks`)
+function createPrecipitation(count, streaks, box, seed) {
+    const random = createRandom(seed);
+    const perParticle = streaks ? 2 : 1;
+    const offsets = new Float32Array(count * perParticle * 3);
+    const seeds = new Float32Array(count * perParticle);
+    const tips = new Float32Array(count * perParticle);
+    for (let i = 0; i < count; i++) {
+        const x = random() * box.x;
+        const y = random() * box.y;
+        const z = random() * box.z;
+        const s = random();
+        for (let j = 0; j < perParticle; j++) {
+            const v = i * perParticle + j;
+            offsets.set([x, y, z], v * 3);
+            seeds[v] = s;
+            tips[v] = j;
+        }
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(offsets, 3));
+    geometry.setAttribute('seed', new THREE.BufferAttribute(seeds, 1));
+    geometry.setAttribute('tip', new THREE.BufferAttribute(tips, 1));
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.merge([THREE.UniformsLib.fog, {
+            time: { value: 0 },
+            travel: { value: new THREE.Vector3() },   // how far the particles have fallen and drifted
+            velocity: { value: new THREE.Vector3() },
+            box: { value: box.clone() },
+            rate: { value: 0 },
+            ceiling: { value: 1e6 },
+            color: { value: new THREE.Color() },
+            pixelScale: { value: 500 }
+        }]),
+        vertexShader: `
+            #include <common>
+            #include <fog_pars_vertex>
+            attribute float seed;
+            attribute float tip;
+            uniform float time;
+            uniform vec3 travel;
+            uniform vec3 velocity;
+            uniform vec3 box;
+            uniform float rate;
+            uniform float ceiling;
+            uniform float pixelScale;
+            varying float vAlpha;
+            void main() {
+                vec3 p = position + travel;
+                ${streaks ? '' : 'p.xz += vec2(sin(time * 1.3 + seed * 40.0), cos(time * 1.1 + seed * 30.0)) * 0.6; // flakes sway'}
+                // Wrap into the box around the camera
+                p = mod(p - cameraPosition + box * 0.5, box) - box * 0.5 + cameraPosition;
+                // Only a share (rate) of the particles fall, and none above the cloud base
+                if (seed > rate || p.y > ceiling) {
+                    gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+                    return;
+                }
+                p -= velocity * ${RAIN_STREAK.toFixed(3)} * tip; // a streak's tail trails its head
+                vAlpha = 1.0 - tip * 0.8;
+                vec4 mvPosition = viewMatrix * vec4(p, 1.0);
+                gl_Position = projectionMatrix * mvPosition;
+                gl_PointSize = clamp(${SNOW_SIZE.toFixed(2)} * pixelScale / -mvPosition.z, 1.0, 12.0);
+                #include <fog_vertex>
+            }
+        `,
+        fragmentShader: `
+            #include <common>
+            #include <fog_pars_fragment>
+            uniform vec3 color;
+            varying float vAlpha;
+            void main() {
+                float alpha = vAlpha;
+                ${streaks ? 'alpha *= 0.35;' : 'vec2 q = gl_PointCoord * 2.0 - 1.0; alpha *= 0.9 * (1.0 - smoothstep(0.5, 1.0, dot(q, q)));'}
+                gl_FragColor = vec4(color, alpha);
+                #include <fog_fragment>
+            }
+        `,
+        fog: true,
+        transparent: true,
+        depthWrite: false
+    });
+    const object = streaks ? new THREE.LineSegments(geometry, material) : new THREE.Points(geometry, material);
+    object.frustumCulled = false;
+    object.visible = false;
+    return object;
+}
+
+export class WeatherView {
+    // Cloud heights are measured from `groundHeight` (world Y)
+    constructor(scene, groundHeight) {
+        this.groundHeight = groundHeight;
+        this.drift = new THREE.Vector2(); // how far the wind has carried the clouds (metres)
+
+        const geometry = new THREE.PlaneGeometry(CLOUD_EXTENT, CLOUD_EXTENT).rotateX(-Math.PI / 2);
+        const layer = (slices, heap, seed) => Array.from({ length: slices }, (_, i) => {
+            const height = slices > 1 ? i / (slices - 1) : 0;
+            const mesh = new THREE.Mesh(geometry, createCloudMaterial(height, heap, seed));
+            mesh.frustumCulled = false;
+            mesh.visible = false;
+            scene.add(mesh);
+            return mesh;
+        });
+        this.cumulus = layer(CUMULUS_SLICES, 1, 3.7);
+        this.stratus = layer(STRATUS_SLICES, 0, 11.3);
+
+        this.rain = createPrecipitation(RAIN_DROPS, true, RAIN_BOX, 1);
+        this.snow = createPrecipitation(SNOW_FLAKES, false, SNOW_BOX, 2);
+        scene.add(this.rain, this.snow);
+    }
+
+    // Once a frame, with the camera at world `cameraPosition`. `weather` is Weather.current, `time` simulated seconds, `wind` the wind
+    // velocity ({ x, z } m/s), `light` the colour of sunlit cloud tops (day/night and the
+    // lightning already in it), `dt` the simulated seconds since the last frame.
+    // Returns how far inside a cloud the camera is, 0..1.
+    update(camera, cameraPosition, viewportHeight, weather, time, wind, light, dt) {
+        this.drift.x += wind.x * dt;
+        this.drift.y += wind.z * dt;
+        const shade = _shade.copy(light).multiplyScalar(0.55 - 0.25 * weather.gloom);
+
+        const place = (slices, cover, base, top, opacity) => {
+            const show = cover > 0.01;
+            slices.forEach((mesh) => {
+                mesh.visible = show;
+                if (!show) return;
+                const uniforms = mesh.material.uniforms;
+                mesh.position.set(cameraPosition.x, this.groundHeight + base + (top - base) * uniforms.height.value, cameraPosition.z);
+                uniforms.coverage.value = cover;
+                uniforms.drift.value.copy(this.drift);
+                uniforms.litColor.value.copy(light);
+                uniforms.shadeColor.value.copy(shade);
+                uniforms.opacity.value = opacity;
+            });
+            if (!show) return 0;
+            // Inside the layer: all the way in for a full sheet, part way for patchy cloud
+            const y = cameraPosition.y - this.groundHeight;
+            const inside = THREE.MathUtils.smoothstep(y, base - 10, base + 10) * (1 - THREE.MathUtils.smoothstep(y, top - 10, top + 10));
+            return inside * cover;
+        };
+        const inCumulus = place(this.cumulus, weather.cumulusCover, weather.cumulusBase, weather.cumulusTop, CUMULUS_OPACITY);
+        const inStratus = place(this.stratus, weather.stratusCover, weather.stratusBase, weather.stratusTop, STRATUS_OPACITY);
+
+        // Rain and snow fall from the lowest cloud that's there
+        const bases = [];
+        if (weather.cumulusCover > 0.3) bases.push(weather.cumulusBase);
+        if (weather.stratusCover > 0.3) bases.push(weather.stratusBase);
+        const ceiling = this.groundHeight + (bases.length ? Math.min(...bases) : 1e6);
+        const pixelScale = viewportHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+        const fall = (object, rate, speed, color) => {
+            object.visible = rate > 0.01;
+            if (!object.visible) return;
+            const uniforms = object.material.uniforms;
+            uniforms.time.value = time;
+            uniforms.velocity.value.copy(_wind.set(wind.x * WIND_CARRY, -speed, wind.z * WIND_CARRY));
+            // Accumulated rather than velocity × time, so a change of wind doesn't make them jump
+            uniforms.travel.value.addScaledVector(uniforms.velocity.value, dt);
+            uniforms.rate.value = rate;
+            uniforms.ceiling.value = ceiling;
+            uniforms.color.value.copy(color);
+            uniforms.pixelScale.value = pixelScale;
+        };
+        fall(this.rain, weather.rain, RAIN_SPEED, light);
+        fall(this.snow, weather.snow, SNOW_SPEED, light);
+
+        return Math.max(inStratus, inCumulus * 0.6);
+    }
+}
@@ -0,0 +1,103 @@
+// Wind field (plain math, no three.js): the wind at any height and moment.
+// simulation.js keeps the surface wind in state.wind (the direction it blows towards and a
+// strength that wanders within the weather's range); from that this works out
+// - shear: the wind strengthens with height, most over the first couple of hundred metres
+// - veer: it turns clockwise (seen from above) with height, as the ground's drag fades
+// - gusts: it rises and falls over seconds, more near the ground and in rough weather
+// - turbulence: how rough the air is for a plane, by layer, weather and cumulus cloud
+// Heights are metres above the ground (AGL) in the scaled sky (see aircraftProfiles.js).
+// Wind vectors are { x, z } in m/s, pointing the way the air moves.
+
+export const WIND_DRIFT = 0.3;     // m/s of surface wind per unit of wind strength
+export const SURFACE_HEIGHT = 10;  // where the surface wind is measured (the standard 10 m)
+
+// The wind through the height of the sky: speed as a multiple of the surface wind, veer in
+// degrees clockwise from it, and mechanical turbulence (wind over rough ground, dying out with
+// height). Linear in between, and held beyond the last point.
+const PROFILE = [
+    { height: 0, speed: 0.5, veer: 0, turbulence: 1 },
+    { height: SURFACE_HEIGHT, speed: 1, veer: 0, turbulence: 1 },
+    { height: 60, speed: 1.35, veer: 5, turbulence: 0.8 },
+    { height: 200, speed: 1.7, veer: 15, turbulence: 0.5 },
+    { height: 400, speed: 2, veer: 25, turbulence: 0.3 },
+    { height: 800, speed: 2.2, veer: 30, turbulence: 0.2 }
+];
+
+// Layers of the air mass, by the height of their top
+export const WIND_LAYERS = [
+    { name: 'surface', label: 'Surface layer', top: 60 },
+    { name: 'boundary', label: 'Boundary layer', top: 400 },
+    { name: 'free', label: 'Free atmosphere', top: Infinity }
+];
+
+const GUST_CALM = 0.1;             // gust amplitude (share of the mean wind) in still weather...
+const GUST_ROUGH = 0.35;           // ...added to in the roughest
+const GUST_SPEED = 12;             // m/s at which gusts sweep across the ground
+const CUMULUS_TURBULENCE = 1.5;    // convection inside a full cumulus layer
+const MAX_TURBULENCE = 3;
+
+const DEG = Math.PI / 180;
+const _profile = { speed: 0, veer: 0, turbulence: 0 };
+
+// The profile at `height`, interpolated (shared object, valid until the next call)
+function profileAt(height) {
+    let i = 1;
+    while (i < PROFILE.length - 1 && PROFILE[i].height < height) i++;
+    const a = PROFILE[i - 1], b = PROFILE[i];
+    const t = Math.min(Math.max((height - a.height) / (b.height - a.height), 0), 1);
+    _profile.speed = a.speed + (b.speed - a.speed) * t;
+    _profile.veer = a.veer + (b.veer - a.veer) * t;
+    _profile.turbulence = a.turbulence + (b.turbulence - a.turbulence) * t;
+    return _profile;
+}
+
+// The layer (one of WIND_LAYERS) at `height`
+export function windLayer(height) {
+    return WIND_LAYERS.find(layer => height < layer.top);
+}
+
+// Gust amplitude at `height`: the wind swings about this share of its mean
+export function gustiness(wind, height) {
+    return (GUST_CALM + GUST_ROUGH * wind.turbulence) * profileAt(height).turbulence;
+}
+
+// The mean wind at `height` (no gusts)
+export function meanWindAt(wind, height) {
+    const { speed, veer } = profileAt(height);
+    const strength = wind.strength * WIND_DRIFT * speed;
+    const direction = wind.direction + veer * DEG;
+    return { x: Math.cos(direction) * strength, z: Math.sin(direction) * strength };
+}
+
+// The wind at `height` and simulated `time`, gusting, at world point (x, z). Gusts are a few
+// overlapping swells that sweep downwind, so nearby planes feel them one after the other.
+export function windAt(wind, height, time, x = 0, z = 0) {
+    const { speed, veer, turbulence } = profileAt(height);
+    const direction = wind.direction + veer * DEG;
+    // Seconds the gust pattern at (x, z) lags behind the origin's
+    const lag = (x * Math.cos(direction) + z * Math.sin(direction)) / GUST_SPEED;
+    const t = time - lag + wind.gustPhase;
+    const swell = (Math.sin(t * 0.83) + Math.sin(t * 2.1 + 1.3) * 0.6 + Math.sin(t * 0.29 + 4.1) * 0.8) / 2.4;
+    const gust = (GUST_CALM + GUST_ROUGH * wind.turbulence) * turbulence;
+    const strength = wind.strength * WIND_DRIFT * speed * (1 + gust * swell);
+    const shift = direction + gust * Math.sin(t * 0.47 + 2.7) * 0.5; // gusts swing the wind a little
+    return { x: Math.cos(shift) * strength, z: Math.sin(shift) * strength };
+}
+
+// How rough the air is at `height` AGL and world `y` (0 calm, MAX_TURBULENCE severe): wind over
+// the ground, strongest low down, plus convection inside the weather's cumulus layer; the
+// weather's turbulence scales both
+export function turbulenceAt(wind, height, y) {
+    const mechanical = profileAt(height).turbulence * wind.strength * 0.5;
+    const { cover, base, top } = wind.convection;
+    const convective = y > base && y < top ? cover * CUMULUS_TURBULENCE : 0;
+    return Math.min((mechanical + convective) * (0.5 + wind.turbulence), MAX_TURBULENCE);
+}
+
+// A word for turbulence `intensity` (as from turbulenceAt)
+export function turbulenceLabel(intensity) {
+    if (intensity < 0.4) return 'smooth';
+    if (intensity < 1) return 'light';
+    if (intensity < 2) return 'moderate';
+    return 'severe';
+}
@@ -0,0 +1,86 @@
+// A windsock on a pole: orange and white stripes that swing round to point downwind and lift
+// from hanging limp to standing straight out as the wind rises. The sock is a chain of stripe
+// segments, each hinged to the one before, so a light wind bends it down along its length.
+
+import * as THREE from 'three';
+
+const POLE_HEIGHT = 6;          // metres
+const SOCK_LENGTH = 3.6;
+const MOUTH_RADIUS = 0.45;      // at the pole
+const TAIL_RADIUS = 0.2;
+const STRIPES = 5;
+const FULL_WIND = 1;            // m/s of wind that holds the sock straight out
+const HANG = 60 * Math.PI / 180;  // droop at the mouth in still air...
+const SAG = 8 * Math.PI / 180;    // ...and at each stripe after it
+const RESPONSE = 0.6;           // seconds the sock takes to follow the wind
+
+const STRIPE_COLORS = [0xff5a00, 0xf2f2f2];
+
+export class Windsock {
+    // Standing on the ground at world `position` (a Vector3)
+    constructor(scene, position) {
+        this.group = new THREE.Group();
+        this.group.position.copy(position);
+
+        const pole = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.05, 0.07, POLE_HEIGHT, 8).translate(0, POLE_HEIGHT / 2, 0),
+            new THREE.MeshStandardMaterial({ color: 0x9a9ea3, roughness: 0.5, metalness: 0.6 })
+        );
+        this.group.add(pole);
+
+        // Turns about the pole's top; the sock runs along its +Z
+        this.swivel = new THREE.Object3D();
+        this.swivel.position.y = POLE_HEIGHT;
+        this.group.add(this.swivel);
+
+        this.hinges = [];
+        const length = SOCK_LENGTH / STRIPES;
+        const materials = STRIPE_COLORS.map(color => new THREE.MeshStandardMaterial({
+            color, roughness: 0.9, side: THREE.DoubleSide
+        }));
+        let parent = this.swivel;
+        for (let i = 0; i < STRIPES; i++) {
+            const start = THREE.MathUtils.lerp(MOUTH_RADIUS, TAIL_RADIUS, i / STRIPES);
+            const end = THREE.MathUtils.lerp(MOUTH_RADIUS, TAIL_RADIUS, (i + 1) / STRIPES);
+            // An open cone along +Z from the hinge
+            const geometry = new THREE.CylinderGeometry(end, start, length, 16, 1, true)
+                .rotateX(Math.PI / 2)
+                .translate(0, 0, length / 2);
+            const hinge = new THREE.Object3D();
+            if (i > 0) hinge.position.z = length;
+            hinge.add(new THREE.Mesh(geometry, materials[i % 2]));
+            parent.add(hinge);
+            this.hinges.push(hinge);
+            parent = hinge;
+        }
+
+        this.heading = 0;       // direction the sock points (radians, as a plane's heading)
+        this.extension = 0;     // 0 limp .. 1 straight out
+        scene.add(this.group);
+    }
+
+    // Height of the sock above the ground, where its wind should be sampled
+    get height() {
+        return POLE_HEIGHT;
+    }
+
+    // Once a frame: the `wind` at the sock ({ x, z } m/s), simulated `time` and the time `dt` since the last frame
+    update(wind, time, dt) {
+        const follow = Math.min(1, dt / RESPONSE);
+        const speed = Math.hypot(wind.x, wind.z);
+        if (speed > 0.01) {
+            const heading = Math.atan2(wind.x, wind.z);
+            this.heading += Math.atan2(Math.sin(heading - this.heading), Math.cos(heading - this.heading)) * follow;
+        }
+        this.extension += (Math.min(speed / FULL_WIND, 1) - this.extension) * follow;
+
+        const slack = 1 - this.extension;
+        this.swivel.rotation.y = this.heading;
+        this.hinges.forEach((hinge, i) => {
+            // Flutters once there's wind to fill it, most when half filled and towards the tail
+            const flap = Math.sin(time * (5 + i) + i * 1.7) * 0.04 * this.extension * (0.4 + slack) * (1 + i * 0.5);
+            hinge.rotation.x = (i === 0 ? HANG : SAG) * slack + flap;
+            hinge.rotation.y = flap * 0.5;
+        });
+    }
+}